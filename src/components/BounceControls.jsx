@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { AudioLines, Loader2 } from 'lucide-react';
+
+const MINUTE_OPTIONS = [1, 2, 5, 10];
+
+export default function BounceControls({ isBouncing, onBounce }) {
+  const [minutes, setMinutes] = useState(2);
+  const [output, setOutput] = useState('mix');
+  const [bitDepth, setBitDepth] = useState(24);
+
+  const selectClassName = 'h-8 bg-white/5 border-white/20 text-white text-xs';
+
+  return (
+    <div className="mt-3 pt-3 border-t border-white/10 space-y-2">
+      <div className="text-xs text-gray-400">Bounce to WAV</div>
+      <div className="grid grid-cols-3 gap-2">
+        <Select value={String(minutes)} onValueChange={(value) => setMinutes(Number(value))}>
+          <SelectTrigger className={selectClassName}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {MINUTE_OPTIONS.map(option => (
+              <SelectItem key={option} value={String(option)}>
+                Last {option} min
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={output} onValueChange={setOutput}>
+          <SelectTrigger className={selectClassName}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="mix">Mixdown</SelectItem>
+            <SelectItem value="stems">Stems</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select value={String(bitDepth)} onValueChange={(value) => setBitDepth(Number(value))}>
+          <SelectTrigger className={selectClassName}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="16">16-bit</SelectItem>
+            <SelectItem value="24">24-bit</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+      <Button
+        variant="outline"
+        size="sm"
+        disabled={isBouncing}
+        onClick={() => onBounce({ minutes, stems: output === 'stems', bitDepth })}
+        className="w-full bg-white/5 border-white/20 text-white hover:bg-white/10"
+        title="Render the session with the current instrument sounds"
+      >
+        {isBouncing ? (
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        ) : (
+          <AudioLines className="w-4 h-4 mr-2" />
+        )}
+        {isBouncing ? 'Rendering…' : 'Bounce'}
+      </Button>
+    </div>
+  );
+}
+
+BounceControls.propTypes = {
+  isBouncing: PropTypes.bool,
+  onBounce: PropTypes.func.isRequired
+};
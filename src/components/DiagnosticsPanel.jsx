@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Activity, ChevronDown, ChevronUp, Copy, Check } from 'lucide-react';
+import { useDiagnostics } from './hooks/useDiagnostics';
+
+const SPARKLINE_WIDTH = 96;
+const SPARKLINE_HEIGHT = 20;
+
+function formatMs(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? `${Math.round(value)} ms` : '–';
+}
+
+/**
+ * Small line chart of recent values, scaled to their own range
+ */
+function Sparkline({ values, className }) {
+  const points = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (points.length < 2) {
+    return <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} />;
+  }
+
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min || 1;
+  const path = points
+    .map((value, index) => {
+      const x = (index / (points.length - 1)) * SPARKLINE_WIDTH;
+      const y = SPARKLINE_HEIGHT - 1 - ((value - min) / range) * (SPARKLINE_HEIGHT - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} className={className}>
+      <polyline points={path} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+Sparkline.propTypes = {
+  values: PropTypes.arrayOf(PropTypes.number).isRequired,
+  className: PropTypes.string
+};
+
+function MetricRow({ label, values, latest, className }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-12 text-gray-400">{label}</span>
+      <Sparkline values={values} className={className} />
+      <span className="ml-auto tabular-nums text-white">{formatMs(latest)}</span>
+    </div>
+  );
+}
+
+MetricRow.propTypes = {
+  label: PropTypes.string.isRequired,
+  values: PropTypes.arrayOf(PropTypes.number).isRequired,
+  latest: PropTypes.number,
+  className: PropTypes.string
+};
+
+function describeRoute(link, transport) {
+  if (link === 'relay') {
+    return 'Notes through the server relay';
+  }
+  if (link === 'none') {
+    return 'No link';
+  }
+  if (!transport?.localCandidateType) {
+    return 'No route yet';
+  }
+  const route = `${transport.localCandidateType} ↔ ${transport.remoteCandidateType || '?'}`;
+  return transport.relayProtocol ? `${route} (TURN over ${transport.relayProtocol})` : route;
+}
+
+export default function DiagnosticsPanel({ webrtc, players }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const diagnostics = useDiagnostics({ webrtc, enabled: open });
+  const { server, peers, scheduler, playout } = diagnostics;
+
+  const getPlayerName = (peerId) => players.find(p => String(p.userId || p.user_id || p.id) === String(peerId))?.displayName || 'A player';
+
+  const handleCopy = async () => {
+    const report = {
+      ...diagnostics,
+      peers: peers.map(peer => ({ ...peer, displayName: getPlayerName(peer.peerId) })),
+      userAgent: navigator.userAgent
+    };
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.warn('[DiagnosticsPanel] Failed to copy report:', error);
+    }
+  };
+
+  return (
+    <Card className="bg-slate-800/80 border-white/10">
+      <CardHeader className={`pb-3 ${open ? 'border-b border-white/10' : ''}`}>
+        <button
+          onClick={() => setOpen(!open)}
+          className="flex items-center gap-2 w-full text-left"
+        >
+          <Activity className="w-5 h-5 text-cyan-400" />
+          <h3 className="text-white font-semibold">Diagnostics</h3>
+          {open ? <ChevronUp className="w-4 h-4 ml-auto text-gray-400" /> : <ChevronDown className="w-4 h-4 ml-auto text-gray-400" />}
+        </button>
+      </CardHeader>
+
+      {open && (
+        <CardContent className="pt-4 space-y-4 text-xs">
+          <div className="space-y-1">
+            <div className="text-gray-400">This device</div>
+            <div className="grid grid-cols-2 gap-x-3 gap-y-0.5 tabular-nums text-white">
+              <span className="text-gray-400">Server clock offset</span>
+              <span>{formatMs(server?.offset)}</span>
+              <span className="text-gray-400">Server RTT / jitter</span>
+              <span>{formatMs(server?.avgRTT)} / {formatMs(server?.jitter)}</span>
+              <span className="text-gray-400">Notes received</span>
+              <span>{scheduler?.totalEvents ?? 0}</span>
+              <span className="text-gray-400">Dropped late</span>
+              <span>{scheduler?.totalLate ?? 0}</span>
+              <span className="text-gray-400">Dropped stale</span>
+              <span>{scheduler?.droppedStale ?? 0}</span>
+              <span className="text-gray-400">Dropped duplicate</span>
+              <span>{scheduler?.droppedDuplicates ?? 0}</span>
+              <span className="text-gray-400">Dropped overlapping</span>
+              <span>{scheduler?.droppedOverlapping ?? 0}</span>
+            </div>
+          </div>
+
+          {peers.length === 0 ? (
+            <p className="text-gray-400">No other players connected.</p>
+          ) : (
+            peers.map(peer => {
+              const history = peer.history;
+              const latest = history[history.length - 1];
+              const delay = playout.find(sender => String(sender.senderId) === String(peer.peerId));
+              return (
+                <div key={peer.peerId} className="space-y-1 border-t border-white/10 pt-3">
+                  <div className="flex items-center gap-2">
+                    <span className="text-white font-medium truncate">{getPlayerName(peer.peerId)}</span>
+                    <span className={`ml-auto ${peer.state === 'connected' ? 'text-green-400' : 'text-yellow-400'}`}>
+                      {peer.state}
+                    </span>
+                  </div>
+                  <div className="text-gray-400">
+                    {describeRoute(peer.link, peer.transport)}
+                    {peer.transport && ` · ${peer.transport.bufferedAmount} B buffered`}
+                  </div>
+                  <MetricRow label="RTT" values={history.map(sample => sample.rttMs)} latest={latest?.rttMs} className="text-cyan-400" />
+                  <MetricRow label="Jitter" values={history.map(sample => sample.jitterMs)} latest={latest?.jitterMs} className="text-yellow-400" />
+                  <MetricRow label="Offset" values={history.map(sample => sample.offsetMs)} latest={latest?.offsetMs} className="text-purple-400" />
+                  <div className="flex items-center gap-2">
+                    <span className="text-gray-400">Playout delay</span>
+                    <span className="ml-auto tabular-nums text-white">
+                      {delay ? `${formatMs(delay.delayMs)} · ${delay.late} late` : formatMs(null)}
+                    </span>
+                  </div>
+                </div>
+              );
+            })
+          )}
+
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleCopy}
+            className="w-full border-white/20 text-white bg-white/5 hover:bg-white/10"
+          >
+            {copied ? <Check className="w-4 h-4 mr-2" /> : <Copy className="w-4 h-4 mr-2" />}
+            {copied ? 'Copied' : 'Copy report'}
+          </Button>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
+
+DiagnosticsPanel.propTypes = {
+  webrtc: PropTypes.object.isRequired,
+  players: PropTypes.arrayOf(PropTypes.object).isRequired
+};
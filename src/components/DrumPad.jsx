@@ -1,18 +1,10 @@
 import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getInstrument } from '@/lib/instruments/registry';
 
-const DRUM_PADS = [
-  { id: 'kick', label: 'Kick', key: 'q' },
-  { id: 'snare', label: 'Snare', key: 'w' },
-  { id: 'hihat', label: 'Hi-Hat', key: 'e' },
-  { id: 'tom1', label: 'Tom 1', key: 'r' },
-  { id: 'tom2', label: 'Tom 2', key: 'a' },
-  { id: 'crash', label: 'Crash', key: 's' },
-  { id: 'ride', label: 'Ride', key: 'd' },
-  { id: 'clap', label: 'Clap', key: 'f' }
-];
-
-export default function DrumPad({ onNotePlay, disabled }) {
+export default function DrumPad({ instrument = 'DRUMS', onNotePlay, disabled }) {
   const [activePads, setActivePads] = useState(new Set());
+  const pads = getInstrument(instrument)?.pads || [];
 
   const handlePadPress = (padId) => {
     if (disabled) return;
@@ -36,7 +28,7 @@ export default function DrumPad({ onNotePlay, disabled }) {
     if (disabled) return;
 
     const handleKeyDown = (e) => {
-      const pad = DRUM_PADS.find(p => p.key === e.key.toLowerCase());
+      const pad = pads.find(p => p.key === e.key.toLowerCase());
       if (pad) {
         // Always allow the hit - no blocking based on activePads
         // This enables fast patterns like 16th notes and rolls
@@ -46,11 +38,11 @@ export default function DrumPad({ onNotePlay, disabled }) {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [disabled]); // Removed activePads dependency - no longer needed for blocking
+  }, [disabled, instrument]); // Removed activePads dependency - no longer needed for blocking
 
   return (
     <div className="grid grid-cols-4 gap-2">
-      {DRUM_PADS.map(pad => (
+      {pads.map(pad => (
         <button
           key={pad.id}
           onClick={() => handlePadPress(pad.id)}
@@ -73,4 +65,10 @@ export default function DrumPad({ onNotePlay, disabled }) {
       ))}
     </div>
   );
-}
\ No newline at end of file
+}
+
+DrumPad.propTypes = {
+  instrument: PropTypes.string,
+  onNotePlay: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
@@ -1,12 +1,13 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import InstrumentPanel from './InstrumentPanel';
+import { getInstrumentIds } from '@/lib/instruments/registry';
+import { SEQUENCER_INSTRUMENT } from '@/lib/audio/stepSequencer';
 
-const INSTRUMENTS = ['DRUMS', 'BASS', 'EP', 'GUITAR'];
-
-export default function InstrumentGrid({ players, currentPlayer, audioEngine, sendNote, room, activityTriggersRef }) {
+export default function InstrumentGrid({ players, currentPlayer, audioEngine, sendNote, sendControl, room, sequencer, activityTriggersRef }) {
   return (
     <div className="grid md:grid-cols-2 gap-4">
-      {INSTRUMENTS.map(instrument => {
+      {getInstrumentIds().map(instrument => {
         const player = players.find(p => p.instrument === instrument);
         const isMyInstrument = currentPlayer?.instrument === instrument;
 
@@ -18,7 +19,9 @@ export default function InstrumentGrid({ players, currentPlayer, audioEngine, se
             isMyInstrument={isMyInstrument}
             audioEngine={audioEngine}
             sendNote={sendNote}
+            sendControl={sendControl}
             isPlaying={room?.isPlaying}
+            sequencer={instrument === SEQUENCER_INSTRUMENT ? sequencer : null}
             onActivity={(triggerFn) => {
               if (activityTriggersRef.current) {
                 activityTriggersRef.current[instrument] = triggerFn;
@@ -29,4 +32,15 @@ export default function InstrumentGrid({ players, currentPlayer, audioEngine, se
       })}
     </div>
   );
-}
\ No newline at end of file
+}
+
+InstrumentGrid.propTypes = {
+  players: PropTypes.arrayOf(PropTypes.object).isRequired,
+  currentPlayer: PropTypes.object,
+  audioEngine: PropTypes.object.isRequired,
+  sendNote: PropTypes.func.isRequired,
+  sendControl: PropTypes.func,
+  room: PropTypes.object,
+  sequencer: PropTypes.object,
+  activityTriggersRef: PropTypes.shape({ current: PropTypes.object }).isRequired
+};
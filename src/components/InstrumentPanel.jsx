@@ -1,34 +1,15 @@
 import React, { useState, useEffect, useImperativeHandle, forwardRef } from 'react';
+import PropTypes from 'prop-types';
 import { Card, CardContent, CardHeader } from '@/components/ui/card';
 import { Slider } from '@/components/ui/slider';
 import { Volume2, VolumeX } from 'lucide-react';
 import DrumPad from './DrumPad';
+import StepSequencer from './StepSequencer';
 import PianoKeyboard from './PianoKeyboard';
-import { setBassMode, getBassMode, BASS_MODE_SYNTH, BASS_MODE_SAMPLED } from '@/lib/instruments/bass';
-import { setDrumKitMode, getDrumKitMode, DRUM_KIT_MODE_SAMPLED, DRUM_KIT_MODE_ELECTRONIC } from '@/lib/instruments/drums';
-
-const INSTRUMENT_CONFIG = {
-  DRUMS: {
-    name: 'Drums',
-    color: 'from-red-500 to-orange-500',
-    textColor: 'text-red-400'
-  },
-  BASS: {
-    name: 'Bass',
-    color: 'from-blue-500 to-cyan-500',
-    textColor: 'text-cyan-400'
-  },
-  EP: {
-    name: 'Electric Piano',
-    color: 'from-purple-500 to-pink-500',
-    textColor: 'text-purple-400'
-  },
-  GUITAR: {
-    name: 'Guitar',
-    color: 'from-green-500 to-emerald-500',
-    textColor: 'text-green-400'
-  }
-};
+import MidiInputPanel from './MidiInputPanel';
+import QuantizeControl from './QuantizeControl';
+import MidiOutputRoute from './MidiOutputRoute';
+import { getInstrument } from '@/lib/instruments/registry';
 
 const InstrumentPanel = forwardRef(function InstrumentPanel({ 
   instrument, 
@@ -36,30 +17,33 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
   isMyInstrument, 
   audioEngine, 
   sendNote,
+  sendControl,
   isPlaying,
+  sequencer,
   onActivity
 }, ref) {
-  const [volume, setVolume] = useState(0.8);
+  const definition = getInstrument(instrument);
+  const [volume, setVolume] = useState(definition?.defaultVolume ?? 0.8);
   const [isMuted, setIsMuted] = useState(false);
   const [activity, setActivity] = useState(false);
-  const [bassMode, setBassModeState] = useState(getBassMode());
-  const [drumKitMode, setDrumKitModeState] = useState(getDrumKitMode());
-
-  const config = INSTRUMENT_CONFIG[instrument];
+  const modes = definition?.modes || null;
+  const [mode, setModeState] = useState(() => (modes ? modes.get() : null));
+  const controls = definition?.controls || null;
+  const [controlValues, setControlValues] = useState(() => (
+    controls ? Object.fromEntries(controls.map(control => [control.id, control.get()])) : {}
+  ));
 
-  // Update bass mode state when it changes externally
-  useEffect(() => {
-    if (instrument === 'BASS') {
-      setBassModeState(getBassMode());
-    }
-  }, [instrument]);
+  const config = {
+    name: definition?.name || instrument,
+    ...(definition?.ui || { color: 'from-gray-500 to-gray-600', textColor: 'text-gray-400' })
+  };
 
-  // Update drum kit mode state when it changes externally
+  // Update sound mode state when it changes externally
   useEffect(() => {
-    if (instrument === 'DRUMS') {
-      setDrumKitModeState(getDrumKitMode());
+    if (modes) {
+      setModeState(modes.get());
     }
-  }, [instrument]);
+  }, [modes]);
 
   // Expose triggerActivity method via ref for external triggering
   useImperativeHandle(ref, () => ({
@@ -80,7 +64,7 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
   }, [onActivity]);
 
   const handleNotePlay = (note) => {
-    audioEngine.playNote(instrument, note, 100);
+    // sendNote also plays the note locally
     sendNote(instrument, note, 'NOTE_ON', 100);
 
     // Local activity indicator (useNoteEvents will also trigger via callback for consistency)
@@ -88,6 +72,15 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
     setTimeout(() => setActivity(false), 100);
   };
 
+  const handleNoteRelease = (note) => {
+    sendNote(instrument, note, 'NOTE_OFF');
+  };
+
+  const handleControlChange = (control, value) => {
+    control.set(value[0]);
+    setControlValues(prev => ({ ...prev, [control.id]: control.get() }));
+  };
+
   const handleVolumeChange = (value) => {
     const newVolume = value[0];
     setVolume(newVolume);
@@ -100,16 +93,10 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
     audioEngine.setInstrumentVolume(instrument, newMuted ? 0 : volume);
   };
 
-  const handleBassModeChange = (event) => {
-    const newMode = event.target.value;
-    setBassModeState(newMode);
-    setBassMode(newMode);
-  };
-
-  const handleDrumKitModeChange = (event) => {
+  const handleModeChange = (event) => {
     const newMode = event.target.value;
-    setDrumKitModeState(newMode);
-    setDrumKitMode(newMode);
+    setModeState(newMode);
+    modes.set(newMode);
   };
 
   return (
@@ -160,61 +147,49 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
           </div>
         </div>
         
-        {/* Bass mode toggle - only show for BASS instrument */}
-        {instrument === 'BASS' && player && (
+        {/* Sound mode toggle - only for instruments that declare modes */}
+        {modes && player && (
           <div className="mt-2 flex items-center gap-3 text-xs">
-            <span className="text-white/70">Bass:</span>
-            <label className="flex items-center gap-1 cursor-pointer">
-              <input
-                type="radio"
-                value={BASS_MODE_SYNTH}
-                checked={bassMode === BASS_MODE_SYNTH}
-                onChange={handleBassModeChange}
-                className="cursor-pointer"
-                disabled={!isMyInstrument}
-              />
-              <span className="text-white/80">Synth</span>
-            </label>
-            <label className="flex items-center gap-1 cursor-pointer">
-              <input
-                type="radio"
-                value={BASS_MODE_SAMPLED}
-                checked={bassMode === BASS_MODE_SAMPLED}
-                onChange={handleBassModeChange}
-                className="cursor-pointer"
-                disabled={!isMyInstrument}
-              />
-              <span className="text-white/80">Sampled</span>
-            </label>
+            <span className="text-white/70">{modes.label}:</span>
+            {modes.options.map(option => (
+              <label key={option.value} className="flex items-center gap-1 cursor-pointer">
+                <input
+                  type="radio"
+                  value={option.value}
+                  checked={mode === option.value}
+                  onChange={handleModeChange}
+                  className="cursor-pointer"
+                  disabled={!isMyInstrument}
+                />
+                <span className="text-white/80">{option.label}</span>
+              </label>
+            ))}
           </div>
         )}
-        
-        {/* Drum kit mode toggle - only show for DRUMS instrument */}
-        {instrument === 'DRUMS' && player && (
-          <div className="mt-2 flex items-center gap-3 text-xs">
-            <span className="text-white/70">Drums:</span>
-            <label className="flex items-center gap-1 cursor-pointer">
-              <input
-                type="radio"
-                value={DRUM_KIT_MODE_SAMPLED}
-                checked={drumKitMode === DRUM_KIT_MODE_SAMPLED}
-                onChange={handleDrumKitModeChange}
-                className="cursor-pointer"
-                disabled={!isMyInstrument}
-              />
-              <span className="text-white/80">Sampled</span>
-            </label>
-            <label className="flex items-center gap-1 cursor-pointer">
-              <input
-                type="radio"
-                value={DRUM_KIT_MODE_ELECTRONIC}
-                checked={drumKitMode === DRUM_KIT_MODE_ELECTRONIC}
-                onChange={handleDrumKitModeChange}
-                className="cursor-pointer"
-                disabled={!isMyInstrument}
-              />
-              <span className="text-white/80">Electronic</span>
-            </label>
+
+        {/* Sound controls - only for instruments that declare them */}
+        {controls && player && (
+          <div className="mt-2 grid grid-cols-2 gap-x-4 gap-y-2 text-xs">
+            {controls.map(control => (
+              <div key={control.id} className="flex items-center gap-2">
+                <span className="text-white/70 w-16 shrink-0">{control.label}</span>
+                <Slider
+                  value={[controlValues[control.id]]}
+                  onValueChange={(value) => handleControlChange(control, value)}
+                  min={control.min}
+                  max={control.max}
+                  step={control.step}
+                  className="flex-1"
+                  disabled={!isMyInstrument}
+                />
+                <span className="text-white/60 w-14 text-right tabular-nums">
+                  {controlValues[control.id] >= 100
+                    ? Math.round(controlValues[control.id])
+                    : controlValues[control.id].toFixed(2)}
+                  {control.unit}
+                </span>
+              </div>
+            ))}
           </div>
         )}
       </CardHeader>
@@ -224,21 +199,60 @@ const InstrumentPanel = forwardRef(function InstrumentPanel({
           <div className="py-12 text-center">
             <p className="text-white/50">Waiting for player...</p>
           </div>
-        ) : instrument === 'DRUMS' ? (
-          <DrumPad 
-            onNotePlay={handleNotePlay}
-            disabled={!isMyInstrument}
-          />
+        ) : definition?.widget === 'drumPad' ? (
+          <>
+            <DrumPad 
+              instrument={instrument}
+              onNotePlay={handleNotePlay}
+              disabled={!isMyInstrument}
+            />
+            {/* Room drum patterns - edited by the drummer, heard by everyone */}
+            {sequencer && (
+              <StepSequencer sequencer={sequencer} disabled={!isMyInstrument} />
+            )}
+          </>
         ) : (
           <PianoKeyboard
             instrument={instrument}
             onNotePlay={handleNotePlay}
+            onNoteRelease={handleNoteRelease}
             disabled={!isMyInstrument}
           />
         )}
+
+        {/* MIDI controller input - only for the player's own instrument */}
+        {player && isMyInstrument && (
+          <MidiInputPanel
+            instrument={instrument}
+            sendNote={sendNote}
+            sendControl={sendControl}
+          />
+        )}
+
+        {/* Input quantize for the notes this player sends */}
+        {player && isMyInstrument && (
+          <QuantizeControl />
+        )}
+
+        {/* Forward a bandmate's part to an external synth / DAW */}
+        {player && !isMyInstrument && (
+          <MidiOutputRoute instrument={instrument} />
+        )}
       </CardContent>
     </Card>
   );
 });
 
+InstrumentPanel.propTypes = {
+  instrument: PropTypes.string.isRequired,
+  player: PropTypes.object,
+  isMyInstrument: PropTypes.bool,
+  audioEngine: PropTypes.object.isRequired,
+  sendNote: PropTypes.func.isRequired,
+  sendControl: PropTypes.func,
+  isPlaying: PropTypes.bool,
+  sequencer: PropTypes.object,
+  onActivity: PropTypes.func.isRequired
+};
+
 export default InstrumentPanel;
\ No newline at end of file
@@ -2,33 +2,7 @@ import React from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Music2 } from 'lucide-react';
-
-const INSTRUMENT_CONFIG = {
-  DRUMS: {
-    name: 'Drums',
-    emoji: '🥁',
-    color: 'from-red-500 to-orange-500',
-    icon: '🥁'
-  },
-  BASS: {
-    name: 'Bass',
-    emoji: '🎸',
-    color: 'from-blue-500 to-cyan-500',
-    icon: '🎸'
-  },
-  EP: {
-    name: 'Electric Piano',
-    emoji: '🎹',
-    color: 'from-purple-500 to-pink-500',
-    icon: '🎹'
-  },
-  GUITAR: {
-    name: 'Guitar',
-    emoji: '🎸',
-    color: 'from-green-500 to-emerald-500',
-    icon: '🎸'
-  }
-};
+import { getInstrument } from '@/lib/instruments/registry';
 
 export default function InstrumentSlot({ 
   instrument, 
@@ -37,7 +11,11 @@ export default function InstrumentSlot({
   onClaim,
   currentUserId 
 }) {
-  const config = INSTRUMENT_CONFIG[instrument];
+  const definition = getInstrument(instrument);
+  if (!definition) {
+    return null;
+  }
+  const config = { name: definition.name, ...definition.ui };
   const isMyInstrument = player?.id === currentUserId;
 
   return (
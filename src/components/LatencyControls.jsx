@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { LATENCY_MODES } from '@/config/latencyMode';
+import { getInstrument, getInstrumentIds } from '@/lib/instruments/registry';
+import { DELAY_LIMIT_MS } from '@/lib/audio/playoutDelay';
+import { usePlayoutDelay } from './hooks/usePlayoutDelay';
+
+// Radix Select doesn't allow an empty value
+const DEFAULT_OPTION = 'default';
+
+const MODE_LABELS = {
+  [LATENCY_MODES.ULTRA]: 'Ultra low',
+  [LATENCY_MODES.SYNCED]: 'Synced',
+};
+
+/**
+ * Bounds of this device's playout delay, and the delays in use now
+ */
+function PlayoutDelayControls() {
+  const { senders, bounds, setBounds } = usePlayoutDelay();
+  const [minText, setMinText] = useState(String(bounds.minMs));
+  const [maxText, setMaxText] = useState(String(bounds.maxMs));
+
+  useEffect(() => {
+    setMinText(String(bounds.minMs));
+    setMaxText(String(bounds.maxMs));
+  }, [bounds]);
+
+  const commit = () => {
+    setBounds({ minMs: Number(minText), maxMs: Number(maxText) });
+  };
+
+  const delays = senders.map(sender => Math.round(sender.delayMs));
+  const inputClassName = 'h-8 w-20 bg-white/5 border-white/20 text-white text-xs';
+
+  return (
+    <div className="space-y-1">
+      <div className="text-xs text-gray-400">Playout delay on this device (ms)</div>
+      <div className="flex items-center gap-2">
+        {[[minText, setMinText, 'Min'], [maxText, setMaxText, 'Max']].map(([value, setValue, label]) => (
+          <label key={label} className="flex items-center gap-1 text-xs text-gray-400">
+            {label}
+            <Input
+              type="number"
+              min={0}
+              max={DELAY_LIMIT_MS}
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              onBlur={commit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commit();
+              }}
+              className={inputClassName}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 tabular-nums">
+        {delays.length === 0
+          ? 'Adapts to each player once their notes arrive.'
+          : `Now ${Math.min(...delays)}${Math.max(...delays) > Math.min(...delays) ? `-${Math.max(...delays)}` : ''} ms, adapting to each player's connection.`}
+      </p>
+    </div>
+  );
+}
+
+export default function LatencyControls({ room, setLatencyMode, setInstrumentLatencyMode }) {
+  const roomMode = room?.latencyMode ?? null;
+  const overrides = room?.instrumentLatencyModes || {};
+
+  const selectClassName = 'h-8 bg-white/5 border-white/20 text-white text-xs';
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          className="latency-indicator bg-purple-500/20 border border-purple-400/30 rounded px-2 py-1 text-xs text-purple-300 whitespace-nowrap hover:bg-purple-500/30"
+          title="How notes from other players are played back"
+        >
+          Latency: {roomMode === LATENCY_MODES.SYNCED ? 'SYNCED' : roomMode === LATENCY_MODES.ULTRA ? 'ULTRA LOW' : 'AUTO'}
+          {Object.keys(overrides).length > 0 && ' *'}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-72 bg-slate-800 border-white/20 space-y-3">
+        <div className="space-y-1">
+          <div className="text-xs text-gray-400">Room default</div>
+          <Select
+            value={roomMode || DEFAULT_OPTION}
+            onValueChange={(value) => setLatencyMode(value === DEFAULT_OPTION ? null : value)}
+          >
+            <SelectTrigger className={selectClassName}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={DEFAULT_OPTION}>Auto (drums ultra low, others synced)</SelectItem>
+              {Object.values(LATENCY_MODES).map(mode => (
+                <SelectItem key={mode} value={mode}>{MODE_LABELS[mode]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <p className="text-xs text-gray-500">
+            Ultra low plays notes as they arrive. Synced plays them in time with the sender, a little later.
+          </p>
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-xs text-gray-400">Per instrument</div>
+          {getInstrumentIds().map(instrument => (
+            <div key={instrument} className="flex items-center gap-2">
+              <span className="flex-1 text-xs text-white truncate">{getInstrument(instrument)?.name || instrument}</span>
+              <Select
+                value={overrides[instrument] || DEFAULT_OPTION}
+                onValueChange={(value) => setInstrumentLatencyMode(instrument, value === DEFAULT_OPTION ? null : value)}
+              >
+                <SelectTrigger className={`${selectClassName} w-32`}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DEFAULT_OPTION}>Room default</SelectItem>
+                  {Object.values(LATENCY_MODES).map(mode => (
+                    <SelectItem key={mode} value={mode}>{MODE_LABELS[mode]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ))}
+        </div>
+
+        <PlayoutDelayControls />
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+LatencyControls.propTypes = {
+  room: PropTypes.object,
+  setLatencyMode: PropTypes.func.isRequired,
+  setInstrumentLatencyMode: PropTypes.func.isRequired
+};
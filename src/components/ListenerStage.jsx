@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent } from '@/components/ui/card';
+import { getInstrument, getInstrumentIds } from '@/lib/instruments/registry';
+
+/**
+ * One instrument on stage: who plays it, and a light that flashes with their notes
+ */
+function StageSlot({ instrument, player, onActivity }) {
+  const [activity, setActivity] = useState(false);
+  const definition = getInstrument(instrument);
+
+  useEffect(() => {
+    onActivity(() => {
+      setActivity(true);
+      setTimeout(() => setActivity(false), 100);
+    });
+  }, [onActivity]);
+
+  if (!definition) {
+    return null;
+  }
+  const config = { name: definition.name, ...definition.ui };
+
+  return (
+    <Card className={`border-2 transition-all duration-300 ${
+      player
+        ? `border-white/20 bg-gradient-to-br ${config.color}`
+        : 'border-white/10 bg-white/5 opacity-50'
+    }`}>
+      <CardContent className="p-6 text-center">
+        <div className="text-5xl mb-3">{config.icon}</div>
+        <h3 className="text-lg font-bold text-white mb-2">{config.name}</h3>
+        {player ? (
+          <div className="flex items-center justify-center gap-2">
+            <div
+              className={`w-3 h-3 rounded-full transition-transform duration-100 ${activity ? 'scale-150' : ''}`}
+              style={{ backgroundColor: player.color }}
+            />
+            <span className="text-white font-medium">{player.displayName}</span>
+          </div>
+        ) : (
+          <span className="text-xs text-gray-400">Nobody playing</span>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+StageSlot.propTypes = {
+  instrument: PropTypes.string.isRequired,
+  player: PropTypes.object,
+  onActivity: PropTypes.func.isRequired
+};
+
+/**
+ * Read-only view of the band for listeners
+ */
+export default function ListenerStage({ players, activityTriggersRef }) {
+  return (
+    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+      {getInstrumentIds().map(instrument => (
+        <StageSlot
+          key={instrument}
+          instrument={instrument}
+          player={players.find(p => p.instrument === instrument)}
+          onActivity={(triggerFn) => {
+            if (activityTriggersRef.current) {
+              activityTriggersRef.current[instrument] = triggerFn;
+            }
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+ListenerStage.propTypes = {
+  players: PropTypes.arrayOf(PropTypes.object).isRequired,
+  activityTriggersRef: PropTypes.shape({ current: PropTypes.object }).isRequired
+};
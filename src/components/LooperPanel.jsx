@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Repeat, Circle, Layers, Undo2, Trash2 } from 'lucide-react';
+import { getInstrument } from '@/lib/instruments/registry';
+import { LOOP_BAR_OPTIONS, MAX_LAYERS } from '@/lib/audio/loopStation';
+
+export default function LooperPanel({ looper, currentPlayer, players, userId }) {
+  const [bars, setBars] = useState(2);
+
+  const instrument = currentPlayer?.instrument || null;
+  const ownLoop = looper.loops.find(loop => loop.instrument === instrument && loop.ownerId === userId);
+  const takenLoop = looper.loops.find(loop => loop.instrument === instrument && loop.ownerId !== userId);
+  const recording = looper.recording?.instrument === instrument ? looper.recording : null;
+
+  const getOwnerName = (ownerId) => players.find(p => String(p.userId || p.user_id || p.id) === String(ownerId))?.displayName || 'A player';
+
+  const recordLabel = recording
+    ? (looper.isArmed ? 'Armed' : 'Recording')
+    : `Record ${bars} bar${bars > 1 ? 's' : ''}`;
+
+  return (
+    <Card className="bg-slate-800/80 border-white/10">
+      <CardHeader className="border-b border-white/10 pb-3">
+        <div className="flex items-center gap-2">
+          <Repeat className="w-5 h-5 text-orange-400" />
+          <h3 className="text-white font-semibold">Loops</h3>
+        </div>
+      </CardHeader>
+
+      <CardContent className="pt-4 space-y-3">
+        {instrument && !takenLoop && (
+          <div className="flex items-center gap-2">
+            {!ownLoop ? (
+              <>
+                <Select
+                  value={String(bars)}
+                  onValueChange={(value) => setBars(Number(value))}
+                  disabled={Boolean(recording)}
+                >
+                  <SelectTrigger className="w-24 h-8 bg-white/5 border-white/20 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {LOOP_BAR_OPTIONS.map(option => (
+                      <SelectItem key={option} value={String(option)}>
+                        {option} bar{option > 1 ? 's' : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  size="sm"
+                  disabled={!looper.isPlaying}
+                  onClick={() => (recording ? looper.cancelRecording() : looper.record(instrument, bars))}
+                  className={`flex-1 h-8 ${recording ? 'bg-red-600 hover:bg-red-700' : 'bg-orange-600 hover:bg-orange-700'}`}
+                  title={recording ? 'Cancel' : 'Record a loop from the next bar'}
+                >
+                  <Circle className={`w-3.5 h-3.5 mr-2 ${recording && !looper.isArmed ? 'fill-current animate-pulse' : ''}`} />
+                  {recordLabel}
+                </Button>
+              </>
+            ) : (
+              <>
+                <Button
+                  size="sm"
+                  disabled={!looper.isPlaying || (!recording && ownLoop.layers >= MAX_LAYERS)}
+                  onClick={() => (recording ? looper.cancelRecording() : looper.overdub(instrument))}
+                  className={`flex-1 h-8 ${recording ? 'bg-red-600 hover:bg-red-700' : 'bg-orange-600 hover:bg-orange-700'}`}
+                  title={recording ? 'Cancel' : 'Record another layer over the next pass'}
+                >
+                  <Layers className={`w-3.5 h-3.5 mr-2 ${recording && !looper.isArmed ? 'animate-pulse' : ''}`} />
+                  {recording ? (looper.isArmed ? 'Armed' : 'Overdubbing') : 'Overdub'}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  disabled={Boolean(recording)}
+                  onClick={() => looper.undo(instrument)}
+                  className="h-8 w-8 p-0 text-white hover:bg-white/10"
+                  title="Undo the last layer"
+                >
+                  <Undo2 className="w-4 h-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  disabled={Boolean(recording)}
+                  onClick={() => looper.clear(instrument)}
+                  className="h-8 w-8 p-0 text-white hover:bg-white/10"
+                  title="Clear the loop"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+
+        {instrument && !looper.isPlaying && (
+          <p className="text-xs text-gray-400">Start the room playing to record loops.</p>
+        )}
+
+        {looper.loops.length === 0 ? (
+          <p className="text-sm text-gray-400">No loops yet</p>
+        ) : (
+          <div className="space-y-1">
+            {looper.loops.map(loop => (
+              <div key={loop.instrument} className="flex items-center gap-2 text-sm">
+                <Repeat className={`w-3.5 h-3.5 ${looper.isPlaying ? 'text-orange-400' : 'text-white/40'}`} />
+                <span className="text-white truncate">{getInstrument(loop.instrument)?.name || loop.instrument}</span>
+                <span className="text-gray-400 truncate">{getOwnerName(loop.ownerId)}</span>
+                <span className="ml-auto text-xs text-gray-400 tabular-nums">
+                  {loop.bars} bar{loop.bars > 1 ? 's' : ''} · {loop.layers} layer{loop.layers > 1 ? 's' : ''}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+LooperPanel.propTypes = {
+  looper: PropTypes.object.isRequired,
+  currentPlayer: PropTypes.object,
+  players: PropTypes.arrayOf(PropTypes.object).isRequired,
+  userId: PropTypes.string
+};
@@ -0,0 +1,142 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import {
+  TIME_SIGNATURES,
+  CLICK_SUBDIVISIONS,
+  DEFAULT_TIME_SIGNATURE,
+  ACCENT_DOWNBEAT,
+  ACCENT_GROUP,
+  getRoomBeatGrid,
+  getDefaultAccentPattern,
+  parseAccentPattern
+} from '@/lib/time/beatGrid';
+
+const SUBDIVISION_LABELS = {
+  1: 'Beats',
+  2: 'Eighths',
+  3: 'Triplets',
+  4: 'Sixteenths',
+};
+
+export default function MeterControls({ room, setTimeSignature, setClickSubdivision, setAccentPattern }) {
+  const grid = getRoomBeatGrid(room);
+  const timeSignature = room?.timeSignature || DEFAULT_TIME_SIGNATURE;
+  const defaultPattern = grid ? getDefaultAccentPattern(grid.timeSignature) : null;
+
+  const [patternText, setPatternText] = useState(room?.accentPattern || '');
+  useEffect(() => {
+    setPatternText(room?.accentPattern || '');
+  }, [room?.accentPattern]);
+
+  const beatsPerBar = grid?.beatsPerBar ?? 4;
+  const patternValid = patternText.trim() === '' || parseAccentPattern(patternText, beatsPerBar) !== null;
+
+  const commitPattern = () => {
+    if (!patternValid) return;
+    const groups = parseAccentPattern(patternText, beatsPerBar);
+    const normalized = groups ? groups.join('+') : null;
+    if (normalized !== (room?.accentPattern ?? null)) {
+      setAccentPattern(normalized);
+    }
+  };
+
+  const selectClassName = 'h-8 bg-white/5 border-white/20 text-white text-xs';
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          className="bg-white/5 border-white/20 text-white hover:bg-white/10 tabular-nums"
+          title="Time signature and metronome accents"
+        >
+          {timeSignature}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-72 bg-slate-800 border-white/20 space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <div className="text-xs text-gray-400">Time signature</div>
+            <Select value={timeSignature} onValueChange={setTimeSignature}>
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TIME_SIGNATURES.map(option => (
+                  <SelectItem key={option} value={option}>{option}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <div className="text-xs text-gray-400">Click</div>
+            <Select
+              value={String(grid?.subdivision ?? 1)}
+              onValueChange={(value) => setClickSubdivision(Number(value))}
+            >
+              <SelectTrigger className={selectClassName}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {CLICK_SUBDIVISIONS.map(option => (
+                  <SelectItem key={option} value={String(option)}>{SUBDIVISION_LABELS[option]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-xs text-gray-400">Accents (beat groups)</div>
+          <Input
+            value={patternText}
+            onChange={(e) => setPatternText(e.target.value)}
+            onBlur={commitPattern}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') commitPattern();
+            }}
+            placeholder={defaultPattern || 'Downbeat only'}
+            className={`h-8 text-sm bg-white/5 text-white ${patternValid ? 'border-white/20' : 'border-red-400'}`}
+          />
+          {!patternValid && (
+            <p className="text-xs text-red-400">Groups must add up to {beatsPerBar}, e.g. 2+2+3</p>
+          )}
+        </div>
+
+        {grid && (
+          <div className="flex gap-1">
+            {grid.accents.map((accent, beat) => (
+              <div
+                key={beat}
+                className={`h-2 flex-1 rounded-sm ${
+                  accent === ACCENT_DOWNBEAT
+                    ? 'bg-purple-400'
+                    : accent === ACCENT_GROUP
+                      ? 'bg-purple-400/60'
+                      : 'bg-white/20'
+                }`}
+              />
+            ))}
+          </div>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+MeterControls.propTypes = {
+  room: PropTypes.object,
+  setTimeSignature: PropTypes.func.isRequired,
+  setClickSubdivision: PropTypes.func.isRequired,
+  setAccentPattern: PropTypes.func.isRequired
+};
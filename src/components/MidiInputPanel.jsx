@@ -0,0 +1,122 @@
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Piano } from 'lucide-react';
+import { useMidiInput } from './hooks/useMidiInput';
+import { getInstrument } from '@/lib/instruments/registry';
+
+// Radix Select doesn't allow an empty value
+const NO_DEVICE = 'none';
+
+export default function MidiInputPanel({ instrument, sendNote, sendControl }) {
+  const {
+    supported,
+    hasAccess,
+    inputs,
+    selectedInputId,
+    requestAccess,
+    selectInput,
+    padMap,
+    learningPad,
+    startLearn,
+    resetMapping
+  } = useMidiInput({ instrument, sendNote, sendControl });
+
+  const definition = getInstrument(instrument);
+  const isDrumPad = definition?.widget === 'drumPad';
+
+  if (!supported) {
+    return null;
+  }
+
+  const noteForPad = (padId) => {
+    const entry = Object.entries(padMap).find(([, mappedPad]) => mappedPad === padId);
+    return entry ? entry[0] : null;
+  };
+
+  return (
+    <div className="mt-3 text-xs">
+      <div className="flex items-center gap-2">
+        <Piano className="w-4 h-4 text-white/70" />
+        <span className="text-white/70">MIDI:</span>
+        {!hasAccess ? (
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={requestAccess}
+            className="h-7 px-2 text-xs text-white/80 hover:bg-white/20"
+          >
+            Connect controller
+          </Button>
+        ) : inputs.length === 0 ? (
+          <span className="text-white/50">No devices found</span>
+        ) : (
+          <Select
+            value={selectedInputId || NO_DEVICE}
+            onValueChange={(value) => selectInput(value === NO_DEVICE ? null : value)}
+          >
+            <SelectTrigger className="h-7 w-48 bg-white/5 border-white/20 text-white text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_DEVICE}>None</SelectItem>
+              {inputs.map(input => (
+                <SelectItem key={input.id} value={input.id}>{input.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+
+      {/* MIDI learn for drum pads */}
+      {isDrumPad && selectedInputId && (
+        <div className="mt-2">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-white/60">
+              {learningPad ? 'Hit a pad on your controller...' : 'Click a pad name, then hit a controller pad to map it'}
+            </span>
+            <button
+              onClick={resetMapping}
+              className="text-white/60 hover:text-white underline"
+            >
+              Reset
+            </button>
+          </div>
+          <div className="grid grid-cols-4 gap-1">
+            {(definition.pads || []).map(pad => {
+              const note = noteForPad(pad.id);
+              return (
+                <button
+                  key={pad.id}
+                  onClick={() => startLearn(pad.id)}
+                  className={`
+                    rounded px-1 py-1 transition-colors
+                    ${learningPad === pad.id
+                      ? 'bg-yellow-400 text-gray-900 animate-pulse'
+                      : 'bg-white/10 text-white/80 hover:bg-white/20'
+                    }
+                  `}
+                >
+                  {pad.label}
+                  <span className="ml-1 opacity-60">{note !== null ? note : '–'}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+MidiInputPanel.propTypes = {
+  instrument: PropTypes.string.isRequired,
+  sendNote: PropTypes.func.isRequired,
+  sendControl: PropTypes.func
+};
@@ -0,0 +1,83 @@
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Cable } from 'lucide-react';
+import { useMidiOutput } from './hooks/useMidiOutput';
+
+// Radix Select doesn't allow an empty value
+const NO_DEVICE = 'none';
+
+const CHANNELS = Array.from({ length: 16 }, (_, i) => i);
+
+export default function MidiOutputRoute({ instrument }) {
+  const { supported, hasAccess, outputs, route, requestAccess, setRoute } = useMidiOutput(instrument);
+
+  if (!supported) {
+    return null;
+  }
+
+  const handleOutputChange = (value) => {
+    setRoute(value === NO_DEVICE ? null : { outputId: value, channel: route?.channel ?? 0 });
+  };
+
+  const handleChannelChange = (value) => {
+    if (route) {
+      setRoute({ ...route, channel: Number(value) });
+    }
+  };
+
+  return (
+    <div className="mt-3 flex items-center gap-2 text-xs">
+      <Cable className="w-4 h-4 text-white/70" />
+      <span className="text-white/70">MIDI out:</span>
+      {!hasAccess ? (
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={requestAccess}
+          className="h-7 px-2 text-xs text-white/80 hover:bg-white/20"
+        >
+          Enable
+        </Button>
+      ) : outputs.length === 0 ? (
+        <span className="text-white/50">No devices found</span>
+      ) : (
+        <>
+          <Select value={route?.outputId || NO_DEVICE} onValueChange={handleOutputChange}>
+            <SelectTrigger className="h-7 w-40 bg-white/5 border-white/20 text-white text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_DEVICE}>Off</SelectItem>
+              {outputs.map(output => (
+                <SelectItem key={output.id} value={output.id}>{output.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {route && (
+            <Select value={String(route.channel)} onValueChange={handleChannelChange}>
+              <SelectTrigger className="h-7 w-20 bg-white/5 border-white/20 text-white text-xs">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {CHANNELS.map(channel => (
+                  <SelectItem key={channel} value={String(channel)}>Ch {channel + 1}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+MidiOutputRoute.propTypes = {
+  instrument: PropTypes.string.isRequired
+};
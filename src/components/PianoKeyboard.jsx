@@ -1,19 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { getInstrument } from '@/lib/instruments/registry';
 
-const NOTE_RANGES = {
-  BASS: { start: 28, end: 52 },
-  EP: { start: 48, end: 84 },
-  GUITAR: { start: 40, end: 76 }
-};
+// Used if the instrument isn't registered as a keyboard instrument
+const DEFAULT_NOTE_RANGE = { start: 48, end: 84 };
 
 const KEY_MAP = {
   'a': 0, 's': 2, 'd': 4, 'f': 5, 'g': 7, 'h': 9, 'j': 11, 'k': 12,
   'w': 1, 'e': 3, 't': 6, 'y': 8, 'u': 10
 };
 
-export default function PianoKeyboard({ instrument, onNotePlay, disabled }) {
+export default function PianoKeyboard({ instrument, onNotePlay, onNoteRelease, disabled }) {
   const [activeNotes, setActiveNotes] = useState(new Set());
-  const range = NOTE_RANGES[instrument];
+  // Mirrors activeNotes synchronously so each press gets exactly one release
+  // (mouseleave fires for keys that were never pressed)
+  const heldNotesRef = useRef(new Set());
+  const range = getInstrument(instrument)?.noteRange || DEFAULT_NOTE_RANGE;
   
   const notes = [];
   for (let i = range.start; i <= range.end; i++) {
@@ -26,18 +28,39 @@ export default function PianoKeyboard({ instrument, onNotePlay, disabled }) {
   };
 
   const handleNoteOn = (note) => {
-    if (disabled) return;
+    if (disabled || heldNotesRef.current.has(note)) return;
+    heldNotesRef.current.add(note);
     onNotePlay(note);
     setActiveNotes(prev => new Set(prev).add(note));
   };
 
   const handleNoteOff = (note) => {
+    if (!heldNotesRef.current.has(note)) return;
+    heldNotesRef.current.delete(note);
+    if (onNoteRelease) {
+      onNoteRelease(note);
+    }
     setActiveNotes(prev => {
       const next = new Set(prev);
       next.delete(note);
       return next;
     });
   };
+  const handleNoteOffRef = useRef(handleNoteOff);
+  handleNoteOffRef.current = handleNoteOff;
+
+  // Release held keys if the window loses focus (keyup never arrives),
+  // the keyboard gets disabled, or it unmounts
+  useEffect(() => {
+    const releaseAll = () => {
+      Array.from(heldNotesRef.current).forEach(note => handleNoteOffRef.current(note));
+    };
+    window.addEventListener('blur', releaseAll);
+    return () => {
+      window.removeEventListener('blur', releaseAll);
+      releaseAll();
+    };
+  }, [disabled]);
 
   useEffect(() => {
     if (disabled) return;
@@ -116,4 +139,11 @@ export default function PianoKeyboard({ instrument, onNotePlay, disabled }) {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+PianoKeyboard.propTypes = {
+  instrument: PropTypes.string.isRequired,
+  onNotePlay: PropTypes.func.isRequired,
+  onNoteRelease: PropTypes.func,
+  disabled: PropTypes.bool
+};
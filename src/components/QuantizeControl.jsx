@@ -0,0 +1,46 @@
+import { Slider } from '@/components/ui/slider';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Magnet } from 'lucide-react';
+import { useInputQuantize } from './hooks/useInputQuantize';
+import { QUANTIZE_DIVISIONS } from '@/lib/time/inputQuantizer';
+
+export default function QuantizeControl() {
+  const { division, strength, setDivision, setStrength } = useInputQuantize();
+
+  return (
+    <div className="mt-3 flex items-center gap-2 text-xs">
+      <Magnet className="w-4 h-4 text-white/70" />
+      <span className="text-white/70">Quantize:</span>
+      <Select value={division} onValueChange={setDivision}>
+        <SelectTrigger className="h-7 w-32 bg-white/5 border-white/20 text-white text-xs">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {QUANTIZE_DIVISIONS.map(option => (
+            <SelectItem key={option.id} value={option.id}>{option.label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {division !== 'off' && (
+        <>
+          <Slider
+            value={[strength]}
+            onValueChange={([value]) => setStrength(value)}
+            min={0}
+            max={100}
+            step={5}
+            className="w-24"
+            title="Strength"
+          />
+          <span className="text-white/60 w-8 tabular-nums">{strength}%</span>
+        </>
+      )}
+    </div>
+  );
+}
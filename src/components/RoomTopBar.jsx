@@ -1,14 +1,17 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
 import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
 import { 
   Play, 
   Pause, 
   Music, 
   Copy, 
   Check,
-  ChevronUp,
-  ChevronDown
+  Circle,
+  Square,
+  ListMusic,
+  Download,
+  Headphones
 } from 'lucide-react';
 import { 
   Select, 
@@ -17,13 +20,24 @@ import {
   SelectTrigger, 
   SelectValue 
 } from '@/components/ui/select';
-import { CURRENT_LATENCY_MODE, LATENCY_MODES } from '@/config/latencyMode';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import TakeList from './TakeList';
+import BounceControls from './BounceControls';
+import MeterControls from './MeterControls';
+import TempoControls from './TempoControls';
+import LatencyControls from './LatencyControls';
+import TopologyControls from './TopologyControls';
+import { COUNT_IN_OPTIONS } from '@/lib/time/transport';
+import { formatDuration } from '@/lib/utils';
+import { createPageUrl } from '@/utils';
 
 const KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 const SCALES = ['major', 'minor'];
 
-export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, togglePlay, toggleMetronome }) {
+export default function RoomTopBar({ room, roomId, setBpm, rampTempo, setTimeSignature, setClickSubdivision, setAccentPattern, setKey, setScale, setLatencyMode, setInstrumentLatencyMode, setTopology, toggleMetronome, recorder, transport, players, topology, hostId }) {
   const [copied, setCopied] = useState(false);
+  const [listenLinkCopied, setListenLinkCopied] = useState(false);
+  const listenerCount = (players || []).filter(p => p.isPlayer === false).length;
 
   const handleCopyLink = () => {
     const url = `${window.location.origin}${window.location.pathname}?id=${roomId}`;
@@ -32,9 +46,11 @@ export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, tog
     setTimeout(() => setCopied(false), 2000);
   };
 
-  const handleBpmChange = (delta) => {
-    const newBpm = (room?.bpm || 120) + delta;
-    setBpm(newBpm);
+  const handleCopyListenLink = () => {
+    const url = `${window.location.origin}${createPageUrl(`Listen?id=${roomId}`)}`;
+    navigator.clipboard.writeText(url);
+    setListenLinkCopied(true);
+    setTimeout(() => setListenLinkCopied(false), 2000);
   };
 
   return (
@@ -50,10 +66,20 @@ export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, tog
               </div>
             </div>
 
-            {/* Latency mode indicator */}
-            <div className="latency-indicator bg-purple-500/20 border border-purple-400/30 rounded px-2 py-1 text-xs text-purple-300 whitespace-nowrap">
-              Latency: {CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA ? 'ULTRA LOW' : 'SYNCED'}
-            </div>
+            {/* Latency mode (room default and per-instrument overrides) */}
+            <LatencyControls
+              room={room}
+              setLatencyMode={setLatencyMode}
+              setInstrumentLatencyMode={setInstrumentLatencyMode}
+            />
+
+            {/* Mesh or star (through the elected host) */}
+            <TopologyControls
+              topology={topology}
+              hostId={hostId}
+              players={players}
+              setTopology={setTopology}
+            />
 
             <Button
               variant="outline"
@@ -73,38 +99,33 @@ export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, tog
                 </>
               )}
             </Button>
+
+            {/* Audience (see pages/Listen.jsx) */}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleCopyListenLink}
+              className="bg-white/5 border-white/20 text-white hover:bg-white/10 tabular-nums"
+              title={`${listenerCount} listening. Click to copy a link for people who just want to listen.`}
+            >
+              {listenLinkCopied ? (
+                <Check className="w-4 h-4 mr-2" />
+              ) : (
+                <Headphones className="w-4 h-4 mr-2" />
+              )}
+              {listenerCount}
+            </Button>
           </div>
 
           <div className="flex items-center gap-4">
-            <div className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
-              <span className="text-gray-400 text-sm">BPM</span>
-              <div className="flex items-center gap-1">
-                <Button
-                  size="sm"
-                  variant="ghost"
-                  onClick={() => handleBpmChange(-5)}
-                  className="h-6 w-6 p-0 text-white hover:bg-white/10"
-                >
-                  <ChevronDown className="w-4 h-4" />
-                </Button>
-                <Input
-                  type="number"
-                  value={room?.bpm || 120}
-                  onChange={(e) => setBpm(parseInt(e.target.value) || 120)}
-                  className="w-16 h-8 text-center bg-white/5 border-white/20 text-white"
-                  min="40"
-                  max="240"
-                />
-                <Button
-                  size="sm"
-                  variant="ghost"
-                  onClick={() => handleBpmChange(5)}
-                  className="h-6 w-6 p-0 text-white hover:bg-white/10"
-                >
-                  <ChevronUp className="w-4 h-4" />
-                </Button>
-              </div>
-            </div>
+            <TempoControls room={room} setBpm={setBpm} rampTempo={rampTempo} />
+
+            <MeterControls
+              room={room}
+              setTimeSignature={setTimeSignature}
+              setClickSubdivision={setClickSubdivision}
+              setAccentPattern={setAccentPattern}
+            />
 
             <Select value={room?.key || 'C'} onValueChange={setKey}>
               <SelectTrigger className="w-20 bg-white/5 border-white/20 text-white">
@@ -128,26 +149,48 @@ export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, tog
               </SelectContent>
             </Select>
 
-            <Button
-              onClick={togglePlay}
-              className={`${
-                room?.isPlaying
-                  ? 'bg-red-500 hover:bg-red-600'
-                  : 'bg-green-500 hover:bg-green-600'
-              }`}
-            >
-              {room?.isPlaying ? (
-                <>
-                  <Pause className="w-4 h-4 mr-2" />
-                  Stop
-                </>
-              ) : (
-                <>
-                  <Play className="w-4 h-4 mr-2" />
-                  Play
-                </>
-              )}
-            </Button>
+            <div className="flex items-center">
+              <Button
+                onClick={transport.toggle}
+                className={`rounded-r-none ${
+                  transport.isCountingIn
+                    ? 'bg-yellow-500 hover:bg-yellow-600'
+                    : transport.isPlaying
+                      ? 'bg-red-500 hover:bg-red-600'
+                      : 'bg-green-500 hover:bg-green-600'
+                }`}
+              >
+                {transport.isPlaying ? (
+                  <>
+                    <Pause className="w-4 h-4 mr-2" />
+                    {transport.isCountingIn ? 'Count-in' : 'Stop'}
+                  </>
+                ) : (
+                  <>
+                    <Play className="w-4 h-4 mr-2" />
+                    Play
+                  </>
+                )}
+              </Button>
+              <Select
+                value={String(transport.countIn)}
+                onValueChange={(value) => transport.setCountIn(Number(value))}
+              >
+                <SelectTrigger
+                  className="w-24 rounded-l-none border-l-0 bg-white/5 border-white/20 text-white"
+                  title="Count-in before the room starts playing"
+                >
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {COUNT_IN_OPTIONS.map(bars => (
+                    <SelectItem key={bars} value={String(bars)}>
+                      {bars === 0 ? 'No count' : `${bars} bar${bars > 1 ? 's' : ''}`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
 
             <Button
               onClick={toggleMetronome}
@@ -161,9 +204,105 @@ export default function RoomTopBar({ room, roomId, setBpm, setKey, setScale, tog
               <Music className="w-4 h-4 mr-2" />
               Metro
             </Button>
+
+            {/* Session recording */}
+            {recorder && (
+              <div className="flex items-center gap-2">
+                <Button
+                  onClick={recorder.isRecording ? recorder.stopRecording : recorder.startRecording}
+                  variant="outline"
+                  className={`${
+                    recorder.isRecording
+                      ? 'bg-red-500/20 border-red-400 text-red-300'
+                      : 'bg-white/5 border-white/20 text-white'
+                  } hover:bg-white/10`}
+                  title={recorder.error || undefined}
+                >
+                  {recorder.isRecording ? (
+                    <>
+                      <Square className="w-4 h-4 mr-2 fill-current" />
+                      <span className="tabular-nums">{formatDuration(recorder.elapsedMs)}</span>
+                    </>
+                  ) : (
+                    <>
+                      <Circle className="w-4 h-4 mr-2 fill-red-500 text-red-500" />
+                      Rec
+                    </>
+                  )}
+                </Button>
+
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      variant="outline"
+                      className="bg-white/5 border-white/20 text-white hover:bg-white/10"
+                    >
+                      <ListMusic className="w-4 h-4 mr-2" />
+                      Takes ({recorder.takes.length})
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent align="end" className="w-96 bg-slate-800 border-white/20">
+                    {recorder.error && (
+                      <p className="text-xs text-red-400 mb-2">{recorder.error}</p>
+                    )}
+                    <TakeList
+                      takes={recorder.takes}
+                      onDelete={recorder.deleteTake}
+                      onRename={recorder.renameTake}
+                      onExport={recorder.exportTakeMidi}
+                    />
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={recorder.exportSessionMidi}
+                      className="w-full mt-3 bg-white/5 border-white/20 text-white hover:bg-white/10"
+                      title="Everything played since you joined the room"
+                    >
+                      <Download className="w-4 h-4 mr-2" />
+                      Export session (.mid)
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={recorder.exportSessionLog}
+                      className="w-full mt-2 bg-white/5 border-white/20 text-white hover:bg-white/10"
+                      title="Jam event log, for playing back in a room"
+                    >
+                      <Download className="w-4 h-4 mr-2" />
+                      Export session (.json)
+                    </Button>
+                    <BounceControls
+                      isBouncing={recorder.isBouncing}
+                      onBounce={recorder.bounceSession}
+                    />
+                  </PopoverContent>
+                </Popover>
+              </div>
+            )}
           </div>
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+RoomTopBar.propTypes = {
+  room: PropTypes.object,
+  roomId: PropTypes.string.isRequired,
+  setBpm: PropTypes.func.isRequired,
+  rampTempo: PropTypes.func.isRequired,
+  setTimeSignature: PropTypes.func.isRequired,
+  setClickSubdivision: PropTypes.func.isRequired,
+  setAccentPattern: PropTypes.func.isRequired,
+  setKey: PropTypes.func.isRequired,
+  setScale: PropTypes.func.isRequired,
+  setLatencyMode: PropTypes.func.isRequired,
+  setInstrumentLatencyMode: PropTypes.func.isRequired,
+  setTopology: PropTypes.func.isRequired,
+  toggleMetronome: PropTypes.func.isRequired,
+  recorder: PropTypes.object.isRequired,
+  transport: PropTypes.object.isRequired,
+  players: PropTypes.arrayOf(PropTypes.object),
+  topology: PropTypes.string,
+  hostId: PropTypes.string
+};
@@ -0,0 +1,130 @@
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Card, CardContent, CardHeader } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Slider } from '@/components/ui/slider';
+import { FileAudio, Upload, Play, Pause, Repeat, Volume2, VolumeX, X } from 'lucide-react';
+import { getInstrument } from '@/lib/instruments/registry';
+import { formatDuration } from '@/lib/utils';
+
+export default function SessionPlayerPanel({ player }) {
+  const fileInputRef = useRef(null);
+  // Slider position while dragging (seek on release)
+  const [dragPosition, setDragPosition] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      player.loadFile(file);
+    }
+    e.target.value = '';
+  };
+
+  const shownPosition = dragPosition ?? player.position;
+
+  return (
+    <Card className="bg-slate-800/80 border-white/10">
+      <CardHeader className="border-b border-white/10 pb-3">
+        <div className="flex items-center gap-2">
+          <FileAudio className="w-5 h-5 text-cyan-400" />
+          <h3 className="text-white font-semibold">Playback</h3>
+        </div>
+      </CardHeader>
+
+      <CardContent className="pt-4 space-y-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={handleFile}
+        />
+
+        {!player.isLoaded ? (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+            className="w-full bg-white/5 border-white/20 text-white hover:bg-white/10"
+            title="Play a jam event log (.json) for everyone in the room"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import event log
+          </Button>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <span className="flex-1 truncate text-sm text-white" title={player.name || ''}>
+                {player.name || 'Event log'}
+              </span>
+              <button
+                onClick={player.unload}
+                className="p-1 text-white/60 hover:text-white"
+                title="Close"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Button
+                size="sm"
+                onClick={player.isPlaying ? player.pause : player.play}
+                className="h-8 w-8 p-0 bg-cyan-600 hover:bg-cyan-700"
+                title={player.isPlaying ? 'Pause' : 'Play'}
+              >
+                {player.isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </Button>
+              <button
+                onClick={() => player.setLoop(!player.loop)}
+                className={`p-1.5 rounded ${player.loop ? 'text-cyan-400 bg-white/10' : 'text-white/60 hover:text-white'}`}
+                title="Loop"
+              >
+                <Repeat className="w-4 h-4" />
+              </button>
+              <span className="ml-auto text-xs text-gray-400 tabular-nums">
+                {formatDuration(shownPosition)} / {formatDuration(player.durationMs)}
+              </span>
+            </div>
+
+            <Slider
+              value={[shownPosition]}
+              onValueChange={([value]) => setDragPosition(value)}
+              onValueCommit={([value]) => {
+                player.seek(value);
+                setDragPosition(null);
+              }}
+              max={Math.max(player.durationMs, 1)}
+              step={100}
+            />
+
+            <div className="space-y-1">
+              {player.instruments.map(instrument => {
+                const muted = player.muted.includes(instrument);
+                return (
+                  <button
+                    key={instrument}
+                    onClick={() => player.setMuted(instrument, !muted)}
+                    className={`w-full flex items-center gap-2 rounded px-2 py-1 text-sm ${muted ? 'text-white/40' : 'text-white'} hover:bg-white/5`}
+                    title={muted ? 'Unmute' : 'Mute'}
+                  >
+                    {muted ? <VolumeX className="w-3.5 h-3.5" /> : <Volume2 className="w-3.5 h-3.5" />}
+                    <span className="truncate">{getInstrument(instrument)?.name || instrument}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {player.error && (
+          <p className="text-xs text-red-400">{player.error}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+SessionPlayerPanel.propTypes = {
+  player: PropTypes.object.isRequired
+};
@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Slider } from '@/components/ui/slider';
+import { Play, Square, Eraser } from 'lucide-react';
+import { getInstrument } from '@/lib/instruments/registry';
+import {
+  SEQUENCER_INSTRUMENT,
+  PATTERN_SLOTS,
+  STEP_COUNTS,
+  STEPS_PER_BEAT,
+  STEP_VELOCITIES,
+  MAX_CHAIN_LENGTH
+} from '@/lib/audio/stepSequencer';
+
+// Steps shown at once (32-step patterns are shown in two pages)
+const PAGE_STEPS = 16;
+
+function formatChain(chain) {
+  return chain.map(slot => PATTERN_SLOTS[slot]).join('');
+}
+
+function parseChain(text) {
+  return text
+    .toUpperCase()
+    .split('')
+    .map(letter => PATTERN_SLOTS.indexOf(letter))
+    .filter(slot => slot !== -1)
+    .slice(0, MAX_CHAIN_LENGTH);
+}
+
+export default function StepSequencer({ sequencer, disabled }) {
+  const { sequence } = sequencer;
+  const pads = getInstrument(SEQUENCER_INSTRUMENT)?.pads || [];
+
+  const [slot, setSlot] = useState(0);
+  const [page, setPage] = useState(0);
+  const [chainText, setChainText] = useState(() => formatChain(sequence.chain));
+  const [position, setPosition] = useState(null);
+
+  const pattern = sequence.patterns[slot];
+  const pageCount = pattern.steps / PAGE_STEPS;
+  const shownPage = Math.min(page, pageCount - 1);
+  const playingSlots = new Set(sequence.chain);
+
+  useEffect(() => {
+    setChainText(formatChain(sequence.chain));
+  }, [sequence.chain]);
+
+  // Follow the step playing now
+  const getPosition = sequencer.getPosition;
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const next = getPosition();
+      setPosition(prev => (
+        prev?.slot === next?.slot && prev?.step === next?.step ? prev : next
+      ));
+    }, 50);
+    return () => clearInterval(interval);
+  }, [getPosition]);
+
+  const handleStepClick = (pad, step) => {
+    const velocity = pattern.tracks[pad]?.[step] ?? 0;
+    const index = STEP_VELOCITIES.indexOf(velocity);
+    sequencer.setStep(slot, pad, step, STEP_VELOCITIES[(index + 1) % STEP_VELOCITIES.length]);
+  };
+
+  const applyChainText = () => {
+    const chain = parseChain(chainText);
+    if (formatChain(chain) !== formatChain(sequence.chain)) {
+      sequencer.setChain(chain);
+    }
+    setChainText(formatChain(chain));
+  };
+
+  const steps = Array.from({ length: PAGE_STEPS }, (_, index) => shownPage * PAGE_STEPS + index);
+
+  return (
+    <div className="mt-4 space-y-2 text-xs">
+      <div className="flex items-center gap-1">
+        <span className="text-white/70 mr-1">Pattern</span>
+        {PATTERN_SLOTS.map((name, index) => (
+          <button
+            key={name}
+            onClick={() => setSlot(index)}
+            className={`
+              w-6 h-6 rounded font-semibold
+              ${index === slot ? 'bg-white text-gray-900' : 'bg-white/10 text-white hover:bg-white/20'}
+              ${position?.slot === index ? 'ring-2 ring-red-400' : ''}
+            `}
+            title={playingSlots.has(index) ? `Pattern ${name} (in the chain)` : `Pattern ${name}`}
+          >
+            {name}
+          </button>
+        ))}
+        <Button
+          size="sm"
+          variant="ghost"
+          disabled={disabled}
+          onClick={() => sequencer.setChain([slot])}
+          className="h-6 w-6 p-0 ml-1 text-white hover:bg-white/10"
+          title={`Play pattern ${PATTERN_SLOTS[slot]} from the next bar`}
+        >
+          <Play className="w-3.5 h-3.5" />
+        </Button>
+        <Button
+          size="sm"
+          variant="ghost"
+          disabled={disabled || sequence.chain.length === 0}
+          onClick={() => sequencer.setChain([])}
+          className="h-6 w-6 p-0 text-white hover:bg-white/10"
+          title="Stop the patterns at the next bar"
+        >
+          <Square className="w-3.5 h-3.5" />
+        </Button>
+        <Input
+          value={chainText}
+          onChange={(e) => setChainText(e.target.value)}
+          onBlur={applyChainText}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          disabled={disabled}
+          placeholder="Chain, e.g. AABA"
+          className="ml-auto h-6 w-28 px-2 text-xs bg-white/5 border-white/20 text-white uppercase"
+          title="Patterns to play in order, switching on the next bar"
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        {STEP_COUNTS.map(count => (
+          <button
+            key={count}
+            onClick={() => sequencer.setSteps(slot, count)}
+            disabled={disabled}
+            className={`px-1.5 py-0.5 rounded ${pattern.steps === count ? 'bg-white/30 text-white' : 'text-white/60 hover:text-white'}`}
+          >
+            {count}
+          </button>
+        ))}
+        {pageCount > 1 && (
+          <div className="flex items-center gap-1 ml-1">
+            {Array.from({ length: pageCount }, (_, index) => (
+              <button
+                key={index}
+                onClick={() => setPage(index)}
+                className={`px-1.5 py-0.5 rounded ${shownPage === index ? 'bg-white/30 text-white' : 'text-white/60 hover:text-white'}`}
+              >
+                {index * PAGE_STEPS + 1}-{(index + 1) * PAGE_STEPS}
+              </button>
+            ))}
+          </div>
+        )}
+        <span className="text-white/70 ml-2">Swing</span>
+        <Slider
+          value={[pattern.swing]}
+          onValueChange={([value]) => sequencer.setSwing(slot, value)}
+          max={100}
+          step={5}
+          className="w-20"
+          disabled={disabled}
+        />
+        <span className="text-white/60 w-8 tabular-nums">{pattern.swing}%</span>
+        <Button
+          size="sm"
+          variant="ghost"
+          disabled={disabled}
+          onClick={() => sequencer.clear(slot)}
+          className="h-6 w-6 p-0 ml-auto text-white hover:bg-white/10"
+          title={`Clear pattern ${PATTERN_SLOTS[slot]}`}
+        >
+          <Eraser className="w-3.5 h-3.5" />
+        </Button>
+      </div>
+
+      <div className="space-y-0.5">
+        {pads.map(pad => (
+          <div key={pad.id} className="flex items-center gap-1">
+            <span className="w-12 truncate text-white/70">{pad.label}</span>
+            <div className="flex flex-1 gap-0.5">
+              {steps.map(step => {
+                const velocity = pattern.tracks[pad.id]?.[step] ?? 0;
+                const isPlaying = position?.slot === slot && position.step === step;
+                return (
+                  <button
+                    key={step}
+                    onClick={() => handleStepClick(pad.id, step)}
+                    disabled={disabled}
+                    className={`
+                      h-4 flex-1 rounded-sm
+                      ${velocity > 0 ? 'bg-red-400' : step % STEPS_PER_BEAT === 0 ? 'bg-white/20' : 'bg-white/10'}
+                      ${isPlaying ? 'ring-1 ring-white' : ''}
+                      ${disabled ? 'cursor-default' : 'hover:bg-white/40'}
+                    `}
+                    style={velocity > 0 ? { opacity: 0.35 + 0.65 * (velocity / 127) } : undefined}
+                    title={velocity > 0 ? `Step ${step + 1}: velocity ${velocity}` : `Step ${step + 1}`}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+StepSequencer.propTypes = {
+  sequencer: PropTypes.object.isRequired,
+  disabled: PropTypes.bool
+};
@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Input } from '@/components/ui/input';
+import { Pencil, Trash2, Download } from 'lucide-react';
+import { getInstrument } from '@/lib/instruments/registry';
+import { formatDuration } from '@/lib/utils';
+
+export default function TakeList({ takes, onDelete, onRename, onExport }) {
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const startRename = (take) => {
+    setEditingId(take.id);
+    setEditName(take.name);
+  };
+
+  const commitRename = () => {
+    const name = editName.trim();
+    if (editingId && name) {
+      onRename(editingId, name);
+    }
+    setEditingId(null);
+  };
+
+  if (takes.length === 0) {
+    return (
+      <p className="text-sm text-gray-400 py-2">
+        No takes yet. Hit Rec to capture the jam.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2 max-h-80 overflow-y-auto">
+      {takes.map(take => (
+        <div key={take.id} className="rounded-md bg-white/5 p-2">
+          <div className="flex items-center gap-2">
+            {editingId === take.id ? (
+              <Input
+                autoFocus
+                value={editName}
+                onChange={(e) => setEditName(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                className="h-7 text-sm bg-white/5 border-white/20 text-white"
+              />
+            ) : (
+              <span className="flex-1 truncate text-sm text-white" title={take.name}>
+                {take.name}
+              </span>
+            )}
+            {onExport && (
+              <button
+                onClick={() => onExport(take.id)}
+                className="p-1 text-white/60 hover:text-white"
+                title="Download MIDI"
+              >
+                <Download className="w-3.5 h-3.5" />
+              </button>
+            )}
+            <button
+              onClick={() => startRename(take)}
+              className="p-1 text-white/60 hover:text-white"
+              title="Rename"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => onDelete(take.id)}
+              className="p-1 text-white/60 hover:text-red-400"
+              title="Delete"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          <div className="mt-1 text-xs text-gray-400">
+            {formatDuration(take.durationMs)} • {take.bpm} BPM • {take.key} {take.scale}
+            {take.instruments.length > 0 && (
+              <> • {take.instruments.map(id => getInstrument(id)?.name || id).join(', ')}</>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+TakeList.propTypes = {
+  takes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired
+};
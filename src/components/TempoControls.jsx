@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { ChevronUp, ChevronDown, TrendingUp } from 'lucide-react';
+import { MAX_RAMP_BARS } from '@/lib/time/beatGrid';
+import { TapTempo, TAP_RESET_MS } from '@/lib/time/tapTempo';
+
+export default function TempoControls({ room, setBpm, rampTempo }) {
+  const bpm = room?.bpm || 120;
+
+  // Tap tempo: show the tapped tempo live, apply it once the taps stop
+  const tapTempoRef = useRef(null);
+  if (!tapTempoRef.current) {
+    tapTempoRef.current = new TapTempo();
+  }
+  const [tappedBpm, setTappedBpm] = useState(null);
+  const commitTimerRef = useRef(null);
+
+  useEffect(() => {
+    return () => clearTimeout(commitTimerRef.current);
+  }, []);
+
+  const handleTap = () => {
+    const tapped = tapTempoRef.current.tap(performance.now());
+    setTappedBpm(tapped);
+    clearTimeout(commitTimerRef.current);
+    commitTimerRef.current = setTimeout(() => {
+      tapTempoRef.current.reset();
+      setTappedBpm(null);
+      if (tapped !== null && tapped !== bpm) {
+        setBpm(tapped);
+      }
+    }, TAP_RESET_MS);
+  };
+
+  // Ramp settings
+  const [rampTarget, setRampTarget] = useState(String(bpm));
+  const [rampBars, setRampBars] = useState('8');
+  const target = parseInt(rampTarget, 10);
+  const bars = parseInt(rampBars, 10);
+  const rampValid = target >= 40 && target <= 240 && bars >= 1 && bars <= MAX_RAMP_BARS && target !== bpm;
+
+  return (
+    <div className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
+      <span className="text-gray-400 text-sm">BPM</span>
+      <div className="flex items-center gap-1">
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => setBpm(bpm - 5)}
+          className="h-6 w-6 p-0 text-white hover:bg-white/10"
+        >
+          <ChevronDown className="w-4 h-4" />
+        </Button>
+        <Input
+          type="number"
+          value={bpm}
+          onChange={(e) => setBpm(parseInt(e.target.value) || 120)}
+          className="w-16 h-8 text-center bg-white/5 border-white/20 text-white"
+          min="40"
+          max="240"
+        />
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={() => setBpm(bpm + 5)}
+          className="h-6 w-6 p-0 text-white hover:bg-white/10"
+        >
+          <ChevronUp className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <Button
+        size="sm"
+        variant="outline"
+        onClick={handleTap}
+        className={`h-8 w-14 bg-white/5 border-white/20 hover:bg-white/10 tabular-nums ${tappedBpm ? 'text-purple-300' : 'text-white'}`}
+        title="Tap to set the tempo"
+      >
+        {tappedBpm ?? 'Tap'}
+      </Button>
+
+      <Popover onOpenChange={(open) => open && setRampTarget(String(bpm))}>
+        <PopoverTrigger asChild>
+          <Button
+            size="sm"
+            variant="ghost"
+            className="h-8 w-8 p-0 text-white hover:bg-white/10"
+            title="Tempo ramp"
+          >
+            <TrendingUp className="w-4 h-4" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="start" className="w-64 bg-slate-800 border-white/20 space-y-3">
+          <div className="text-xs text-gray-400">Ramp from {bpm} BPM</div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <div className="text-xs text-gray-400">To BPM</div>
+              <Input
+                type="number"
+                value={rampTarget}
+                onChange={(e) => setRampTarget(e.target.value)}
+                className="h-8 text-sm bg-white/5 border-white/20 text-white"
+                min="40"
+                max="240"
+              />
+            </div>
+            <div className="space-y-1">
+              <div className="text-xs text-gray-400">Over bars</div>
+              <Input
+                type="number"
+                value={rampBars}
+                onChange={(e) => setRampBars(e.target.value)}
+                className="h-8 text-sm bg-white/5 border-white/20 text-white"
+                min="1"
+                max={String(MAX_RAMP_BARS)}
+              />
+            </div>
+          </div>
+          <Button
+            size="sm"
+            disabled={!rampValid}
+            onClick={() => rampTempo(target, bars)}
+            className="w-full bg-purple-600 hover:bg-purple-700"
+          >
+            Start ramp
+          </Button>
+        </PopoverContent>
+      </Popover>
+    </div>
+  );
+}
+
+TempoControls.propTypes = {
+  room: PropTypes.object,
+  setBpm: PropTypes.func.isRequired,
+  rampTempo: PropTypes.func.isRequired
+};
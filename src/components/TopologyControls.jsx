@@ -0,0 +1,78 @@
+import PropTypes from 'prop-types';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { MESH_MAX_PLAYERS, STAR_MAX_PLAYERS, TOPOLOGIES } from '@/lib/topology';
+
+const TOPOLOGY_LABELS = {
+  [TOPOLOGIES.MESH]: 'Mesh (everyone connects to everyone)',
+  [TOPOLOGIES.STAR]: 'Star (through the host)',
+};
+
+/**
+ * How players connect: full mesh, or a star around the elected host
+ */
+export default function TopologyControls({ topology, hostId, players, setTopology }) {
+  const roomPlayers = (players || []).filter(p => p.isPlayer !== false && p.is_player !== false);
+  const playerCount = roomPlayers.length;
+  const hostName = roomPlayers.find(p => String(p.userId || p.user_id || p.id) === String(hostId))?.displayName;
+  const crowded = topology === TOPOLOGIES.MESH && playerCount > MESH_MAX_PLAYERS;
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          className={`border rounded px-2 py-1 text-xs whitespace-nowrap ${
+            crowded
+              ? 'bg-yellow-500/20 border-yellow-400/30 text-yellow-300 hover:bg-yellow-500/30'
+              : 'bg-purple-500/20 border-purple-400/30 text-purple-300 hover:bg-purple-500/30'
+          }`}
+          title="How players are connected to each other"
+        >
+          Network: {topology === TOPOLOGIES.STAR ? 'STAR' : 'MESH'}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-72 bg-slate-800 border-white/20 space-y-2">
+        <div className="text-xs text-gray-400">Connections</div>
+        <Select value={topology} onValueChange={setTopology}>
+          <SelectTrigger className="h-8 bg-white/5 border-white/20 text-white text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.values(TOPOLOGIES).map(option => (
+              <SelectItem key={option} value={option}>{TOPOLOGY_LABELS[option]}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="text-xs text-gray-500">
+          Mesh has the lowest latency and suits up to {MESH_MAX_PLAYERS} players. Star sends every note
+          through the host, so each player uploads it only once: for up to {STAR_MAX_PLAYERS} players
+          or slow connections.
+        </p>
+        {topology === TOPOLOGIES.STAR && (
+          <p className="text-xs text-white">
+            Host: {hostName || 'electing…'}
+            <span className="text-gray-500"> · the next player takes over if the host drops out</span>
+          </p>
+        )}
+        {crowded && (
+          <p className="text-xs text-yellow-300">
+            {playerCount} players in a mesh: switch to star if notes arrive late or connections fail.
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+TopologyControls.propTypes = {
+  topology: PropTypes.string,
+  hostId: PropTypes.string,
+  players: PropTypes.arrayOf(PropTypes.object),
+  setTopology: PropTypes.func.isRequired
+};
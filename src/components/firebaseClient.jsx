@@ -1,4 +1,6 @@
 import { supabase } from '@/api/supabaseClient';
+import { isRegisteredInstrument } from '@/lib/instruments/registry';
+import { MAX_LISTENERS } from '@/lib/crowdChannel';
 
 /**
  * Room Operations
@@ -74,6 +76,20 @@ export async function getRoom(roomId) {
       scale: data.scale,
       isPlaying: data.is_playing,
       metronomeOn: data.metronome_on,
+      beatOrigin: data.beat_origin ?? null,
+      timeSignature: data.time_signature || '4/4',
+      clickSubdivision: data.click_subdivision || 1,
+      accentPattern: data.accent_pattern ?? null,
+      transportStartAt: data.transport_start_at ?? null,
+      countInBars: data.count_in_bars ?? 0,
+      transportIssuedAt: data.transport_issued_at ?? null,
+      drumSequence: data.drum_sequence ?? null,
+      latencyMode: data.latency_mode ?? null,
+      instrumentLatencyModes: data.instrument_latency_modes ?? null,
+      iceServers: data.ice_servers ?? null,
+      topology: data.topology ?? null,
+      tempoRamp: data.tempo_ramp ?? null,
+      hostUserId: data.host_user_id ?? null,
       createdAt: data.created_at,
       created_at: data.created_at, // Include both formats for compatibility
       updatedAt: data.updated_at,
@@ -93,6 +109,19 @@ export async function updateRoom(roomId, data) {
     if (data.scale !== undefined) updateData.scale = data.scale;
     if (data.isPlaying !== undefined) updateData.is_playing = data.isPlaying;
     if (data.metronomeOn !== undefined) updateData.metronome_on = data.metronomeOn;
+    if (data.beatOrigin !== undefined) updateData.beat_origin = data.beatOrigin;
+    if (data.timeSignature !== undefined) updateData.time_signature = data.timeSignature;
+    if (data.clickSubdivision !== undefined) updateData.click_subdivision = data.clickSubdivision;
+    if (data.accentPattern !== undefined) updateData.accent_pattern = data.accentPattern;
+    if (data.transportStartAt !== undefined) updateData.transport_start_at = data.transportStartAt;
+    if (data.countInBars !== undefined) updateData.count_in_bars = data.countInBars;
+    if (data.transportIssuedAt !== undefined) updateData.transport_issued_at = data.transportIssuedAt;
+    if (data.drumSequence !== undefined) updateData.drum_sequence = data.drumSequence;
+    if (data.latencyMode !== undefined) updateData.latency_mode = data.latencyMode;
+    if (data.instrumentLatencyModes !== undefined) updateData.instrument_latency_modes = data.instrumentLatencyModes;
+    if (data.iceServers !== undefined) updateData.ice_servers = data.iceServers;
+    if (data.topology !== undefined) updateData.topology = data.topology;
+    if (data.tempoRamp !== undefined) updateData.tempo_ramp = data.tempoRamp;
 
     const { data: updatedRoom, error } = await supabase
       .from('rooms')
@@ -109,6 +138,32 @@ export async function updateRoom(roomId, data) {
   }
 }
 
+/**
+ * Make a player the room's host, unless the host changed meanwhile
+ *
+ * @param {string} roomId
+ * @param {string} userId - New host
+ * @param {string|null} currentHostId - rooms.host_user_id as last seen
+ * @returns {Promise<{data: Object|null}>} data is null if someone else changed the host first
+ */
+export async function claimRoomHost(roomId, userId, currentHostId) {
+  try {
+    let query = supabase
+      .from('rooms')
+      .update({ host_user_id: userId })
+      .eq('id', roomId);
+    query = currentHostId ? query.eq('host_user_id', currentHostId) : query.is('host_user_id', null);
+
+    const { data, error } = await query.select();
+
+    if (error) throw error;
+    return { data: data?.[0] || null };
+  } catch (error) {
+    console.error('Error claiming room host:', error);
+    throw new Error(error.message || 'Failed to claim room host');
+  }
+}
+
 /**
  * Player Operations
  */
@@ -196,10 +251,119 @@ export async function joinRoomAsPlayer(roomId, userId, displayName, color) {
   }
 }
 
+/**
+ * Join a room as a listener (is_player = FALSE): no instrument and no WebRTC,
+ * the room's host streams the jam to listeners (see lib/crowdChannel.js)
+ *
+ * A player who joins as a listener gives up their instrument.
+ *
+ * @param {string} roomId
+ * @param {string} userId
+ * @param {string} displayName
+ * @param {string} color - Hex color code
+ * @returns {Promise<{data: Object}>} The player row
+ */
+export async function joinRoomAsListener(roomId, userId, displayName, color) {
+  if (!roomId || !userId) {
+    throw new Error('Room ID and User ID are required');
+  }
+  if (!displayName || displayName.trim().length === 0) {
+    throw new Error('Display name is required');
+  }
+  if (!color || !/^#[0-9A-F]{6}$/i.test(color)) {
+    throw new Error('Valid color hex code is required');
+  }
+
+  try {
+    // Listening only makes sense in a room that already exists
+    const room = await getRoom(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    const { data: existingPlayer, error: queryError } = await supabase
+      .from('players')
+      .select('*')
+      .eq('room_id', roomId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (queryError && queryError.code !== 'PGRST116') {
+      console.error('Error querying for existing player:', queryError);
+      throw queryError;
+    }
+
+    // Rejoining listeners keep their place; everyone else needs a free one
+    if (!existingPlayer || existingPlayer.is_player !== false) {
+      const { count, error: countError } = await supabase
+        .from('players')
+        .select('id', { count: 'exact', head: true })
+        .eq('room_id', roomId)
+        .eq('is_player', false);
+
+      if (countError) throw countError;
+      if ((count || 0) >= MAX_LISTENERS) {
+        throw new Error(`This room already has ${MAX_LISTENERS} listeners`);
+      }
+    }
+
+    if (existingPlayer) {
+      console.log(`[joinRoomAsListener] Player row found for user ${userId} in room ${roomId}`);
+
+      const { data, error } = await supabase
+        .from('players')
+        .update({
+          display_name: displayName,
+          color: color,
+          is_player: false,
+          instrument: null, // Listeners don't play
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', existingPlayer.id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating existing player:', error);
+        throw error;
+      }
+      return { data };
+    }
+
+    console.log(`[joinRoomAsListener] Creating new listener row for user ${userId} in room ${roomId}`);
+
+    const { data, error } = await supabase
+      .from('players')
+      .insert({
+        room_id: roomId,
+        user_id: userId,
+        display_name: displayName,
+        color: color,
+        is_player: false,
+        instrument: null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating new listener:', error);
+      throw error;
+    }
+    return { data };
+  } catch (error) {
+    console.error('Error joining room as listener:', error);
+    throw new Error(error.message || 'Failed to join room');
+  }
+}
+
 export async function claimInstrument(roomId, userId, instrument) {
   if (!roomId || !userId || !instrument) {
     throw new Error('Room ID, User ID, and Instrument are required');
   }
+  // The database no longer constrains instrument names, so validate against the registry here
+  if (!isRegisteredInstrument(instrument)) {
+    throw new Error('Invalid instrument');
+  }
 
   console.log(`[claimInstrument] Claiming ${instrument} for user ${userId} in room ${roomId}`);
   
@@ -285,7 +449,7 @@ export async function sendNoteEvent(roomId, userId, instrument, type, note, velo
   if (!roomId || !userId) {
     throw new Error('Room ID and User ID are required');
   }
-  if (!['DRUMS', 'BASS', 'EP', 'GUITAR'].includes(instrument)) {
+  if (!isRegisteredInstrument(instrument)) {
     throw new Error('Invalid instrument');
   }
   if (!['NOTE_ON', 'NOTE_OFF'].includes(type)) {
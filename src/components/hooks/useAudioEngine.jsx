@@ -1,6 +1,17 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { CURRENT_LATENCY_MODE, LATENCY_MODES } from '@/config/latencyMode';
+import { LATENCY_MODES, getInstrumentLatencyMode } from '@/config/latencyMode';
 import * as ToneInstruments from '@/lib/instruments';
+import { syncedNow } from '@/lib/time/syncedNow';
+import {
+  getBeatAt,
+  getBeatTime,
+  getNextBarTime,
+  getBeatAccent,
+  ACCENT_DOWNBEAT,
+  ACCENT_GROUP,
+  ACCENT_NONE
+} from '@/lib/time/beatGrid';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
 
 /**
  * Debug flag for latency mode logging
@@ -19,6 +30,37 @@ const DEBUG_DRUMS = false;
  */
 const MAX_DRUM_VOICES = 32;
 
+/**
+ * How far ahead metronome clicks are scheduled (ms)
+ */
+const METRONOME_LOOKAHEAD_MS = 100;
+
+/**
+ * Beats more than this late are skipped rather than clicked (e.g. after the tab was in the background) (ms)
+ */
+const METRONOME_LATE_MS = 20;
+
+/**
+ * Metronome click sounds per accent level (see beatGrid.js), and for subdivisions
+ */
+const METRONOME_CLICKS = {
+  [ACCENT_DOWNBEAT]: { frequency: 1200, gain: 0.3 },
+  [ACCENT_GROUP]: { frequency: 1000, gain: 0.3 },
+  [ACCENT_NONE]: { frequency: 800, gain: 0.3 },
+};
+const METRONOME_SUBDIVISION_CLICK = { frequency: 600, gain: 0.15 };
+
+/**
+ * Get the first metronome tick (in subdivisions) at or after a time
+ *
+ * @param {import('@/lib/time/beatGrid').BeatGrid} grid
+ * @param {number} timeMs - syncedNow() time
+ * @returns {number} Tick number
+ */
+function getFirstTick(grid, timeMs) {
+  return Math.ceil(getBeatAt(grid, timeMs) * grid.subdivision - 1e-6);
+}
+
 /**
  * Enhanced Web Audio Engine Hook
  * Implements realistic synthesis for Drums, Bass, Electric Piano, and Guitar
@@ -30,15 +72,15 @@ export function useAudioEngine() {
   
   const audioContextRef = useRef(null);
   const masterGainRef = useRef(null);
-  const instrumentVolumesRef = useRef({
-    DRUMS: 0.8,
-    BASS: 0.7,
-    EP: 0.7,
-    GUITAR: 0.7
-  });
+  const instrumentVolumesRef = useRef(Object.fromEntries(
+    ToneInstruments.getInstruments().map(instrument => [instrument.id, instrument.defaultVolume])
+  ));
   const activeNotesRef = useRef(new Map());
   const metronomeIntervalRef = useRef(null);
-  const nextMetronomeTimeRef = useRef(0);
+  const metronomeGridRef = useRef(null); // Beat grid being clicked
+  const pendingMetronomeGridRef = useRef(null); // { grid, switchAt } for a tempo or meter change
+  const nextMetronomeTickRef = useRef(0); // Next click, in subdivisions of a beat
+  const metronomeRangeRef = useRef({ startAt: null, stopAt: null }); // syncedNow() times to click between (null = open)
   const hasWarmedUpRef = useRef(false);
   
   // Tone.js integration (shadowing existing implementation)
@@ -66,10 +108,9 @@ export function useAudioEngine() {
           useToneJsRef.current = true; // Enable Tone.js path by default
           
           // Sync instrument volumes with Tone.js
-          ToneInstruments.setInstrumentVolume('DRUMS', instrumentVolumesRef.current.DRUMS);
-          ToneInstruments.setInstrumentVolume('BASS', instrumentVolumesRef.current.BASS);
-          ToneInstruments.setInstrumentVolume('EP', instrumentVolumesRef.current.EP);
-          ToneInstruments.setInstrumentVolume('GUITAR', instrumentVolumesRef.current.GUITAR);
+          Object.entries(instrumentVolumesRef.current).forEach(([instrument, volume]) => {
+            ToneInstruments.setInstrumentVolume(instrument, volume);
+          });
           
           console.log('[AudioEngine] Tone.js instruments initialized and ready');
         } catch (toneError) {
@@ -206,7 +247,7 @@ export function useAudioEngine() {
     const ctx = audioContextRef.current;
     const now = when !== null ? when : ctx.currentTime;
     const volume = instrumentVolumesRef.current.DRUMS || 0.8;
-    const isUltraMode = CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA;
+    const isUltraMode = getInstrumentLatencyMode('DRUMS') === LATENCY_MODES.ULTRA;
 
     // Polyphony management: check if we need to steal a voice
     const activeVoices = drumVoicesRef.current.filter(v => v.stopTime > now);
@@ -418,7 +459,7 @@ export function useAudioEngine() {
     const ctx = audioContextRef.current;
     const now = when !== null ? when : ctx.currentTime;
     const volume = instrumentVolumesRef.current.BASS || 0.7;
-    const isUltraMode = CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA;
+    const isUltraMode = getInstrumentLatencyMode('BASS') === LATENCY_MODES.ULTRA;
 
     // Dual oscillators for fat bass
     const osc1 = ctx.createOscillator();
@@ -474,7 +515,7 @@ export function useAudioEngine() {
     const ctx = audioContextRef.current;
     const now = when !== null ? when : ctx.currentTime;
     const volume = instrumentVolumesRef.current.EP || 0.7;
-    const isUltraMode = CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA;
+    const isUltraMode = getInstrumentLatencyMode('EP') === LATENCY_MODES.ULTRA;
 
     // FM-style electric piano
     const carrier = ctx.createOscillator();
@@ -526,7 +567,7 @@ export function useAudioEngine() {
     const ctx = audioContextRef.current;
     const now = when !== null ? when : ctx.currentTime;
     const volume = instrumentVolumesRef.current.GUITAR || 0.7;
-    const isUltraMode = CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA;
+    const isUltraMode = getInstrumentLatencyMode('GUITAR') === LATENCY_MODES.ULTRA;
 
     // Karplus-Strong inspired guitar synthesis
     const osc1 = ctx.createOscillator();
@@ -604,26 +645,27 @@ export function useAudioEngine() {
 
     // Fallback to raw Web Audio API (existing implementation)
     // ULTRA mode: Warm up audio engine on first real note
-    if (CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA && !hasWarmedUpRef.current) {
+    if (getInstrumentLatencyMode(instrument) === LATENCY_MODES.ULTRA && !hasWarmedUpRef.current) {
       warmupAudioEngine();
     }
 
-    if (instrument === 'DRUMS') {
+    if (ToneInstruments.getInstrument(instrument)?.widget === 'drumPad') {
       playDrumSound(note);
     } else {
       const frequency = 440 * Math.pow(2, (note - 69) / 12);
       const duration = 1.5;
       
+      // Instruments without a dedicated fallback voice use the EP voice
       switch (instrument) {
         case 'BASS':
           playBassSynth(frequency, duration);
           break;
-        case 'EP':
-          playEPianoSynth(frequency, duration);
-          break;
         case 'GUITAR':
           playGuitarSynth(frequency, duration);
           break;
+        default:
+          playEPianoSynth(frequency, duration);
+          break;
       }
       
       const noteKey = `${instrument}_${note}`;
@@ -662,7 +704,7 @@ export function useAudioEngine() {
     
     // Fallback to raw Web Audio API (existing implementation)
     // ULTRA mode: Warm up audio engine on first real note
-    if (CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA && !hasWarmedUpRef.current) {
+    if (getInstrumentLatencyMode(instrument) === LATENCY_MODES.ULTRA && !hasWarmedUpRef.current) {
       warmupAudioEngine();
     }
     
@@ -671,22 +713,23 @@ export function useAudioEngine() {
     const now = ctx.currentTime;
     const when = Math.max(whenInSeconds, now);
 
-    if (instrument === 'DRUMS') {
+    if (ToneInstruments.getInstrument(instrument)?.widget === 'drumPad') {
       playDrumSound(note, when);
     } else {
       const frequency = 440 * Math.pow(2, (note - 69) / 12);
       const duration = 1.5;
       
+      // Instruments without a dedicated fallback voice use the EP voice
       switch (instrument) {
         case 'BASS':
           playBassSynth(frequency, duration, when);
           break;
-        case 'EP':
-          playEPianoSynth(frequency, duration, when);
-          break;
         case 'GUITAR':
           playGuitarSynth(frequency, duration, when);
           break;
+        default:
+          playEPianoSynth(frequency, duration, when);
+          break;
       }
       
       const noteKey = `${instrument}_${note}`;
@@ -697,6 +740,15 @@ export function useAudioEngine() {
   const stopNote = useCallback((instrument, note) => {
     const noteKey = `${instrument}_${note}`;
     activeNotesRef.current.delete(noteKey);
+
+    // Sustained instruments (e.g. PAD) hold until released; others ignore this
+    if (useToneJsRef.current && toneInstrumentsReadyRef.current) {
+      try {
+        ToneInstruments.releaseNote(instrument, note);
+      } catch (error) {
+        console.warn('[AudioEngine] Tone.js stopNote failed:', error);
+      }
+    }
   }, []);
 
   /**
@@ -713,14 +765,39 @@ export function useAudioEngine() {
     const now = ctx.currentTime;
     const when = Math.max(whenInSeconds, now);
     
-    // For now, just remove from active notes at the scheduled time
-    // Most notes are short-lived, so this is mainly for cleanup
+    // Sustained instruments get a scheduled release; other notes are short-lived,
+    // so for them this is mainly cleanup of active notes
+    if (useToneJsRef.current && toneInstrumentsReadyRef.current) {
+      try {
+        const transportTime = ToneInstruments.audioContextTimeToTransportTime(when);
+        ToneInstruments.releaseNote(instrument, note, transportTime);
+      } catch (error) {
+        console.warn('[AudioEngine] Tone.js stopNoteAt failed:', error);
+      }
+    }
+
     const noteKey = `${instrument}_${note}`;
     setTimeout(() => {
       activeNotesRef.current.delete(noteKey);
     }, Math.max(0, (when - now) * 1000));
   }, []);
 
+  /**
+   * Apply a pitch bend or control change immediately (local MIDI controller input)
+   * 
+   * @param {string} instrument - Instrument name
+   * @param {Object} event - Control event ({ type: 'pitchBend'|'controlChange', value, cc })
+   */
+  const applyControl = useCallback((instrument, event) => {
+    if (useToneJsRef.current && toneInstrumentsReadyRef.current) {
+      try {
+        ToneInstruments.applyControl(instrument, event);
+      } catch (error) {
+        console.warn('[AudioEngine] Tone.js applyControl failed:', error);
+      }
+    }
+  }, []);
+
   const setInstrumentVolume = useCallback((instrument, value) => {
     const clampedValue = Math.max(0, Math.min(1, value));
     instrumentVolumesRef.current[instrument] = clampedValue;
@@ -735,52 +812,140 @@ export function useAudioEngine() {
     }
   }, []);
 
-  const playMetronomeClick = useCallback((isDownbeat = false) => {
+  const playMetronomeClick = useCallback((click, when) => {
     if (!audioContextRef.current) return;
 
     const ctx = audioContextRef.current;
-    const now = ctx.currentTime;
+    const start = Math.max(when ?? ctx.currentTime, ctx.currentTime);
     const osc = ctx.createOscillator();
     const gainNode = ctx.createGain();
 
-    osc.frequency.value = isDownbeat ? 1200 : 800;
+    osc.frequency.value = click.frequency;
     osc.type = 'sine';
-    gainNode.gain.value = 0.3;
-    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+    gainNode.gain.setValueAtTime(click.gain, start);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, start + 0.05);
 
     osc.connect(gainNode);
     gainNode.connect(masterGainRef.current);
-    osc.start(now);
-    osc.stop(now + 0.05);
+    osc.start(start);
+    osc.stop(start + 0.05);
   }, []);
 
-  const startMetronome = useCallback((bpm) => {
-    if (!audioContextRef.current) return;
+  /**
+   * Schedule the clicks due within the lookahead window
+   * Click times come from the shared beat grid (syncedNow() time) and are
+   * converted to AudioContext time, so every client clicks on the same instants.
+   * Clicks are counted in subdivisions: tick n is beat n / subdivision.
+   */
+  const scheduleMetronome = useCallback(() => {
+    const ctx = audioContextRef.current;
+    if (!ctx || !metronomeGridRef.current) return;
+
+    const now = syncedNow();
+    const horizon = now + METRONOME_LOOKAHEAD_MS;
+
+    for (;;) {
+      const grid = metronomeGridRef.current;
+      const tick = nextMetronomeTickRef.current;
+      const tickTime = getBeatTime(grid, tick / grid.subdivision);
+
+      // Tempo or meter change: hand over to the new grid at its first bar
+      const pending = pendingMetronomeGridRef.current;
+      if (pending && tickTime >= pending.switchAt - 1) {
+        metronomeGridRef.current = pending.grid;
+        pendingMetronomeGridRef.current = null;
+        nextMetronomeTickRef.current = getFirstTick(pending.grid, pending.switchAt);
+        continue;
+      }
 
-    const beatInterval = 60 / bpm;
-    let beatCount = 0;
+      // Tempo step on the way to the room's grid (a bar of a tempo ramp)
+      const target = pending?.grid || grid;
+      const step = getTempoTimeline().getNextStep(target, grid.originMs, target.originMs - 1);
+      if (step && tickTime >= step.at - 1) {
+        metronomeGridRef.current = { ...grid, originMs: step.at, bpm: step.bpm };
+        nextMetronomeTickRef.current = getFirstTick(metronomeGridRef.current, step.at);
+        continue;
+      }
 
-    const scheduleMetronome = () => {
-      const ctx = audioContextRef.current;
-      const now = ctx.currentTime;
+      if (tickTime >= horizon) break;
 
-      while (nextMetronomeTimeRef.current < now + 0.1) {
-        playMetronomeClick(beatCount % 4 === 0);
-        nextMetronomeTimeRef.current += beatInterval;
-        beatCount++;
+      // End of a count-in with the metronome off
+      const { startAt, stopAt } = metronomeRangeRef.current;
+      if (stopAt !== null && tickTime >= stopAt - 1) {
+        clearInterval(metronomeIntervalRef.current);
+        metronomeIntervalRef.current = null;
+        metronomeGridRef.current = null;
+        pendingMetronomeGridRef.current = null;
+        break;
       }
-    };
 
-    nextMetronomeTimeRef.current = audioContextRef.current.currentTime;
+      if (tickTime >= now - METRONOME_LATE_MS && (startAt === null || tickTime >= startAt - 1)) {
+        const click = tick % grid.subdivision === 0
+          ? METRONOME_CLICKS[getBeatAccent(grid, tick / grid.subdivision)]
+          : METRONOME_SUBDIVISION_CLICK;
+        playMetronomeClick(click, ctx.currentTime + Math.max(0, tickTime - now) / 1000);
+      }
+      nextMetronomeTickRef.current = tick + 1;
+    }
+  }, [playMetronomeClick]);
+
+  /**
+   * Start the metronome on the room's beat grid, or move a running metronome to a new grid
+   * A running metronome keeps its phase: a new tempo or meter switches on a bar
+   * boundary (the new grid's origin, or the next bar if that has already
+   * passed); new subdivisions or accents apply from the next click. Tempo
+   * steps before the new origin (see tempoTimeline.js) are followed on the way.
+   *
+   * The optional range ties the clicks to the room transport: nothing before
+   * `startAt` (the start of the count-in) and nothing from `stopAt` on (the end
+   * of the count-in, when the metronome itself is off).
+   *
+   * @param {import('@/lib/time/beatGrid').BeatGrid} grid - Room beat grid (see getRoomBeatGrid)
+   * @param {Object} [range]
+   * @param {number|null} [range.startAt] - syncedNow() time of the first click
+   * @param {number|null} [range.stopAt] - syncedNow() time to stop clicking at
+   */
+  const startMetronome = useCallback((grid, { startAt = null, stopAt = null } = {}) => {
+    if (!audioContextRef.current || !grid) return;
+
+    metronomeRangeRef.current = { startAt, stopAt };
+
+    const current = metronomeGridRef.current;
+    if (metronomeIntervalRef.current && current) {
+      const target = pendingMetronomeGridRef.current?.grid || current;
+      const samePhase = target.originMs === grid.originMs && target.bpm === grid.bpm && target.beatsPerBar === grid.beatsPerBar;
+      if (!samePhase) {
+        pendingMetronomeGridRef.current = {
+          grid,
+          switchAt: Math.max(grid.originMs, getNextBarTime(current, syncedNow())),
+        };
+      } else if (target === current) {
+        const nextTime = getBeatTime(current, nextMetronomeTickRef.current / current.subdivision);
+        metronomeGridRef.current = grid;
+        nextMetronomeTickRef.current = getFirstTick(grid, nextTime);
+      } else {
+        pendingMetronomeGridRef.current = { ...pendingMetronomeGridRef.current, grid };
+      }
+      return;
+    }
+
+    // In the middle of a tempo ramp, start on the current step and follow it to the room's grid
+    const firstTime = Math.max(syncedNow(), startAt ?? 0);
+    const firstGrid = getTempoTimeline().getGridAt(grid, firstTime);
+    metronomeGridRef.current = firstGrid;
+    pendingMetronomeGridRef.current = firstGrid === grid ? null : { grid, switchAt: grid.originMs };
+    nextMetronomeTickRef.current = getFirstTick(firstGrid, firstTime);
     metronomeIntervalRef.current = setInterval(scheduleMetronome, 25);
     scheduleMetronome();
-  }, [playMetronomeClick]);
+  }, [scheduleMetronome]);
 
   const stopMetronome = useCallback(() => {
     if (metronomeIntervalRef.current) {
       clearInterval(metronomeIntervalRef.current);
       metronomeIntervalRef.current = null;
     }
+    metronomeGridRef.current = null;
+    pendingMetronomeGridRef.current = null;
   }, []);
 
   /**
@@ -799,6 +964,7 @@ export function useAudioEngine() {
     playNoteAt,
     stopNote,
     stopNoteAt,
+    applyControl,
     setInstrumentVolume,
     startMetronome,
     stopMetronome,
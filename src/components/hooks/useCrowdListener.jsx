@@ -0,0 +1,184 @@
+import { useEffect, useRef, useState, useCallback } from 'react';
+import * as ToneInstruments from '@/lib/instruments';
+import { initCrowdListener } from '@/lib/crowdChannel';
+import { ClockSyncManager } from '@/lib/time/syncClock';
+import { initSyncedNow, syncedNow } from '@/lib/time/syncedNow';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+import { normalizeIncomingJamPayload, getPlaybackSenderId } from '@/lib/jamEventProtocol';
+import {
+  LISTENER_DELAY_MS,
+  setFixedPlayoutDelay,
+  scheduleNote,
+  scheduleNoteOff,
+  scheduleControl
+} from '@/lib/audio/scheduler';
+import { VoiceTracker } from '@/lib/audio/voiceTracker';
+import { isSustainedInstrument } from '@/lib/instruments/registry';
+import { getLoopSenderId } from '@/lib/audio/loopStation';
+
+/**
+ * useCrowdListener Hook
+ *
+ * Plays a room for a listener: jam events arrive from the host over the crowd
+ * channel (see lib/crowdChannel.js) and are all scheduled LISTENER_DELAY_MS
+ * after their timestamps, so nothing plays immediately (not even ULTRA
+ * instruments). Listeners open no WebRTC connections; they only sync their
+ * clock with the server so the timestamps line up.
+ *
+ * Sustained instruments hold each note until its noteOff, with a VoiceTracker
+ * per sender as in useNoteEvents. Activity callbacks fire when a note is
+ * heard, not when it arrives.
+ *
+ * @param {Object} options
+ * @param {string} options.roomId - Room ID
+ * @param {string} options.userId - Current user ID
+ * @param {Object} options.audioEngine - From useAudioEngine (for releasing held notes)
+ * @param {Array} options.players - Room players (held notes of players who leave are released)
+ * @param {function(Object): void} [options.onNoteActivity] - Called with { source, instrument, note, velocity }
+ * @returns {{connected: boolean, started: boolean, start: function(): Promise<void>}}
+ */
+export function useCrowdListener({ roomId, userId, audioEngine, players, onNoteActivity }) {
+  const [connected, setConnected] = useState(false);
+  const [started, setStarted] = useState(false);
+
+  const processedEventsRef = useRef(new Set());
+  const audioEngineRef = useRef(audioEngine);
+  audioEngineRef.current = audioEngine;
+  const onNoteActivityRef = useRef(onNoteActivity);
+  onNoteActivityRef.current = onNoteActivity;
+
+  // Held notes for sustained instruments, per sender
+  const voiceTrackerRef = useRef(null);
+  if (!voiceTrackerRef.current) {
+    voiceTrackerRef.current = new VoiceTracker((instrument, note) => {
+      audioEngineRef.current?.stopNote(instrument, note);
+    });
+  }
+
+  useEffect(() => {
+    if (!roomId || !userId) return;
+
+    // Server-aligned clock (players get this from useWebRTC)
+    const clockSyncManager = new ClockSyncManager(roomId, userId);
+    initSyncedNow(clockSyncManager);
+    clockSyncManager.start().catch(error => {
+      console.error('[useCrowdListener] Failed to start clock sync:', error);
+    });
+
+    setFixedPlayoutDelay(LISTENER_DELAY_MS);
+
+    const voices = voiceTrackerRef.current;
+    const processedEvents = processedEventsRef.current;
+    const activityTimers = new Set();
+
+    /**
+     * Fire the activity callback when the note is heard
+     */
+    const reportActivity = (event) => {
+      const timer = setTimeout(() => {
+        activityTimers.delete(timer);
+        onNoteActivityRef.current?.({
+          source: 'remote',
+          instrument: event.instrument,
+          note: event.note,
+          velocity: event.velocity ?? 100
+        });
+      }, Math.max(0, event.timestamp + LISTENER_DELAY_MS - syncedNow()));
+      activityTimers.add(timer);
+    };
+
+    const handleEvent = (event) => {
+      // Deduplicate (a host handing over can send the same events twice)
+      const eventKey = `${event.senderId}-${event.timestamp}-${event.type}-${event.note ?? event.cc ?? ''}`;
+      if (processedEvents.has(eventKey)) {
+        return;
+      }
+      processedEvents.add(eventKey);
+      if (processedEvents.size > 500) {
+        processedEvents.delete(processedEvents.values().next().value);
+      }
+
+      if (event.type === 'tempo') {
+        getTempoTimeline().add(event.timestamp, event.bpm);
+        return;
+      }
+
+      if (event.type === 'pitchBend' || event.type === 'controlChange') {
+        scheduleControl(event);
+        return;
+      }
+
+      const sustained = isSustainedInstrument(event.instrument);
+      if (event.type === 'noteOn') {
+        // Retrigger of a note this sender still holds (its noteOff was lost): release it first
+        if (sustained && voices.isHeld(event.senderId, event.instrument, event.note)
+          && voices.end(event.senderId, event.instrument, event.note)) {
+          scheduleNoteOff(event);
+        }
+
+        const scheduled = scheduleNote({
+          instrument: event.instrument,
+          note: event.note,
+          velocity: event.velocity ?? 100,
+          timestamp: event.timestamp,
+          senderId: event.senderId,
+        });
+        if (scheduled) {
+          if (sustained) {
+            voices.start(event.senderId, event.instrument, event.note);
+          }
+          reportActivity(event);
+        }
+      } else if (event.type === 'noteOff') {
+        // Only release notes we actually started (the noteOn may have been dropped)
+        if (!sustained || voices.end(event.senderId, event.instrument, event.note)) {
+          scheduleNoteOff(event);
+        }
+      }
+    };
+
+    const crowd = initCrowdListener(roomId);
+    const unsubscribeConnection = crowd.onConnectionChange(setConnected);
+    const unsubscribeEvents = crowd.onJamEvents((events) => {
+      normalizeIncomingJamPayload(events).forEach(handleEvent);
+    });
+
+    return () => {
+      unsubscribeEvents();
+      unsubscribeConnection();
+      crowd.disconnect();
+      clockSyncManager.stop();
+      setFixedPlayoutDelay(null);
+      activityTimers.forEach(timer => clearTimeout(timer));
+      voices.releaseAll();
+      processedEvents.clear();
+      setConnected(false);
+    };
+  }, [roomId, userId]);
+
+  // Release held notes from players who left mid-note
+  useEffect(() => {
+    if (!Array.isArray(players)) return;
+    const senderIds = players.map(p => String(p.userId || p.user_id || p.id));
+    senderIds.push(...senderIds.map(getPlaybackSenderId), ...senderIds.map(getLoopSenderId));
+    voiceTrackerRef.current.releaseMissingSenders(senderIds);
+  }, [players]);
+
+  /**
+   * Start audio (browsers only allow it after a click or key press)
+   */
+  const start = useCallback(async () => {
+    try {
+      await ToneInstruments.Tone.start();
+      setStarted(true);
+    } catch (error) {
+      console.error('[useCrowdListener] Failed to start audio:', error);
+    }
+  }, []);
+
+  return {
+    connected,
+    started,
+    start
+  };
+}
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { getSchedulerStats } from '@/lib/audio/scheduler';
+import { getPlayoutDelay } from '@/lib/audio/playoutDelay';
+
+/**
+ * useDiagnostics Hook
+ *
+ * Connection, clock sync and playback figures for the diagnostics panel,
+ * refreshed every `intervalMs` while `enabled` (nothing is polled while the
+ * panel is closed).
+ *
+ * @param {Object} options
+ * @param {Object} options.webrtc - useWebRTC() API
+ * @param {boolean} options.enabled - Poll only while true
+ * @param {number} [options.intervalMs]
+ * @returns {{server: Object|null, peers: Array<Object>, scheduler: Object|null, playout: Array<Object>, updatedAt: number|null}}
+ */
+export function useDiagnostics({ webrtc, enabled, intervalMs = 1000 }) {
+  const [diagnostics, setDiagnostics] = useState({
+    server: null,
+    peers: [],
+    scheduler: null,
+    playout: [],
+    updatedAt: null
+  });
+
+  const getDiagnostics = webrtc?.getDiagnostics;
+
+  useEffect(() => {
+    if (!enabled || !getDiagnostics) return;
+
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const { server, peers } = await getDiagnostics();
+        if (cancelled) return;
+        setDiagnostics({
+          server,
+          peers,
+          scheduler: getSchedulerStats(),
+          playout: getPlayoutDelay().getTelemetry(),
+          updatedAt: Date.now()
+        });
+      } catch (error) {
+        console.warn('[useDiagnostics] Failed to read diagnostics:', error);
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, intervalMs);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [enabled, getDiagnostics, intervalMs]);
+
+  return diagnostics;
+}
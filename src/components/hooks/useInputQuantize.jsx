@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getInputQuantizer } from '@/lib/time/inputQuantizer';
+
+/**
+ * useInputQuantize Hook
+ *
+ * This player's input quantize setting (see lib/time/inputQuantizer.js),
+ * applied by useNoteEvents to every note they send.
+ */
+export function useInputQuantize() {
+  const quantizer = getInputQuantizer();
+  const [settings, setSettingsState] = useState(() => quantizer.getSettings());
+
+  useEffect(() => {
+    return quantizer.subscribe(setSettingsState);
+  }, [quantizer]);
+
+  const setDivision = useCallback((division) => quantizer.setSettings({ division }), [quantizer]);
+  const setStrength = useCallback((strength) => quantizer.setSettings({ strength }), [quantizer]);
+
+  return {
+    ...settings,
+    setDivision,
+    setStrength
+  };
+}
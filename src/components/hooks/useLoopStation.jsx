@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getLoopStation } from '@/lib/audio/loopStation';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import { syncedNow } from '@/lib/time/syncedNow';
+
+/**
+ * useLoopStation Hook
+ *
+ * Drives the shared loop station (see lib/audio/loopStation.js) from the UI:
+ * record, overdub, undo and clear loops of your own instrument. Loops from
+ * peers arrive over the DataChannel; everyone's loops follow the room tempo
+ * and play while the room transport does.
+ *
+ * Our loops are re-sent to each newly connected peer (once its capability
+ * hello arrives, i.e. its DataChannel is open), and loops of players who
+ * left the room are dropped.
+ */
+export function useLoopStation({ roomId, userId, room, players, transport, webrtc }) {
+  const station = getLoopStation();
+
+  const [state, setState] = useState(() => station.getState());
+  const [isArmed, setIsArmed] = useState(false);
+
+  useEffect(() => {
+    return station.subscribe(setState);
+  }, [station]);
+
+  // Forget the previous room's loops
+  useEffect(() => {
+    return () => station.reset();
+  }, [station, roomId]);
+
+  useEffect(() => {
+    station.setOutput(userId, webrtc?.sendLoopMessage || null);
+  }, [station, userId, webrtc?.sendLoopMessage]);
+
+  // Follow the room tempo
+  useEffect(() => {
+    station.setTempoGrid(getRoomBeatGrid(room));
+  }, [station, room]);
+
+  // Follow the room transport
+  const transportPlaying = transport?.isPlaying ?? false;
+  const transportStartAt = transport?.startAt ?? null;
+  useEffect(() => {
+    station.setTransport({ isPlaying: transportPlaying, startAt: transportStartAt });
+  }, [station, transportPlaying, transportStartAt]);
+
+  // Loops from peers
+  const onLoopMessage = webrtc?.onLoopMessage;
+  useEffect(() => {
+    if (!onLoopMessage) return;
+    return onLoopMessage((message) => {
+      station.apply(message);
+    });
+  }, [station, onLoopMessage]);
+
+  // Send our loops to peers as they connect
+  const connectedPeers = Object.keys(webrtc?.peerCompatibility || {}).sort().join(',');
+  const knownPeersRef = useRef(new Set());
+  useEffect(() => {
+    const peerIds = connectedPeers ? connectedPeers.split(',') : [];
+    const joined = peerIds.some(peerId => !knownPeersRef.current.has(peerId));
+    knownPeersRef.current = new Set(peerIds);
+    if (joined) {
+      station.resend();
+    }
+  }, [station, connectedPeers]);
+
+  // Drop loops of players who left
+  const playerIds = (players || []).map(player => String(player.userId || player.user_id || player.id)).sort().join(',');
+  useEffect(() => {
+    if (!playerIds) return;
+    station.retainOwners(playerIds.split(','));
+  }, [station, playerIds]);
+
+  // Armed until the recording's first downbeat
+  useEffect(() => {
+    const remaining = state.recording ? state.recording.startAt - syncedNow() : 0;
+    if (remaining <= 0) {
+      setIsArmed(false);
+      return;
+    }
+    setIsArmed(true);
+    const timeout = setTimeout(() => setIsArmed(false), remaining);
+    return () => clearTimeout(timeout);
+  }, [state.recording]);
+
+  const record = useCallback((instrument, bars) => station.record(instrument, bars), [station]);
+  const overdub = useCallback((instrument) => station.overdub(instrument), [station]);
+  const cancelRecording = useCallback(() => station.cancelRecording(), [station]);
+  const undo = useCallback((instrument) => station.undo(instrument), [station]);
+  const clear = useCallback((instrument) => station.clear(instrument), [station]);
+
+  return {
+    ...state,
+    isArmed,
+    record,
+    overdub,
+    cancelRecording,
+    undo,
+    clear
+  };
+}
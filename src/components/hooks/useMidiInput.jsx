@@ -0,0 +1,196 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getMidiInput } from '@/lib/midi/midiInput';
+import { loadPadMap, savePadMap, assignPadNote, resetPadMap } from '@/lib/midi/padMapping';
+import { getInstrument } from '@/lib/instruments/registry';
+
+/**
+ * useMidiInput Hook
+ *
+ * Plays an instrument from a connected MIDI controller. Messages from the
+ * selected input go through the same send path as the on-screen widgets:
+ * - keyboard instruments: noteOn/noteOff with the controller's note and velocity
+ * - drumPad instruments: notes are mapped to pads (MIDI learn, see padMapping.js)
+ * - pitch bend and CC: sent via sendControl
+ *
+ * The chosen device is remembered; access is only requested automatically if
+ * the user picked a device before.
+ */
+
+const STORAGE_KEY_INPUT = 'jam_midiInputId';
+
+function getStoredInputId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY_INPUT);
+  } catch (error) {
+    console.warn('[useMidiInput] Failed to read saved MIDI device:', error);
+    return null;
+  }
+}
+
+export function useMidiInput({ instrument, sendNote, sendControl, enabled = true }) {
+  const midi = getMidiInput();
+  const isDrumPad = getInstrument(instrument)?.widget === 'drumPad';
+
+  const [supported] = useState(() => midi.isSupported());
+  const [hasAccess, setHasAccess] = useState(() => midi.hasAccess());
+  const [inputs, setInputs] = useState(() => midi.getInputs());
+  const [selectedInputId, setSelectedInputId] = useState(() => midi.getSelectedInputId());
+  const [padMap, setPadMap] = useState(() => (isDrumPad ? loadPadMap(instrument) : {}));
+  const [learningPad, setLearningPad] = useState(null);
+
+  // Latest values for the MIDI message listener (registered once)
+  const sendNoteRef = useRef(sendNote);
+  const sendControlRef = useRef(sendControl);
+  const padMapRef = useRef(padMap);
+  const learningPadRef = useRef(learningPad);
+  sendNoteRef.current = sendNote;
+  sendControlRef.current = sendControl;
+  padMapRef.current = padMap;
+  learningPadRef.current = learningPad;
+
+  // Notes held on the controller (note -> instrument), released if we stop listening mid-note
+  const heldNotesRef = useRef(new Map());
+  // Last value per control, so controllers that resend the same value don't flood the channel
+  const lastControlRef = useRef(new Map());
+  const releaseHeldNotes = useCallback(() => {
+    heldNotesRef.current.forEach((heldInstrument, note) => {
+      sendNoteRef.current(heldInstrument, note, 'NOTE_OFF');
+    });
+    heldNotesRef.current.clear();
+  }, []);
+
+  const selectInput = useCallback((inputId) => {
+    const id = inputId || null;
+    // The old device's noteOffs won't reach us anymore
+    releaseHeldNotes();
+    if (midi.selectInput(id)) {
+      setSelectedInputId(id);
+      try {
+        if (id) {
+          localStorage.setItem(STORAGE_KEY_INPUT, id);
+        } else {
+          localStorage.removeItem(STORAGE_KEY_INPUT);
+        }
+      } catch (error) {
+        console.warn('[useMidiInput] Failed to save MIDI device:', error);
+      }
+    }
+  }, [midi, releaseHeldNotes]);
+
+  const requestAccess = useCallback(async () => {
+    const granted = await midi.requestAccess();
+    setHasAccess(granted);
+    if (!granted) {
+      return false;
+    }
+
+    const available = midi.getInputs();
+    setInputs(available);
+
+    // Reconnect to the remembered device, if it's plugged in
+    if (!midi.getSelectedInputId()) {
+      const storedId = getStoredInputId();
+      if (storedId && available.some(input => input.id === storedId)) {
+        selectInput(storedId);
+      }
+    }
+    return true;
+  }, [midi, selectInput]);
+
+  // Re-request access on load if the user picked a device in an earlier session
+  useEffect(() => {
+    if (!supported || midi.hasAccess()) return;
+    if (getStoredInputId()) {
+      requestAccess();
+    }
+  }, [supported, midi, requestAccess]);
+
+  // Track device connect / disconnect
+  useEffect(() => {
+    return midi.onDevicesChange((available) => {
+      setInputs(available);
+      setSelectedInputId(midi.getSelectedInputId());
+    });
+  }, [midi]);
+
+  // Pad mapping follows the instrument
+  useEffect(() => {
+    setPadMap(isDrumPad ? loadPadMap(instrument) : {});
+    setLearningPad(null);
+  }, [instrument, isDrumPad]);
+
+  // Route controller messages into the jam
+  useEffect(() => {
+    if (!enabled) return;
+    const lastControl = lastControlRef.current;
+
+    const unsubscribe = midi.onMessage((message) => {
+      if (message.type === 'noteOn' || message.type === 'noteOff') {
+        if (isDrumPad) {
+          if (message.type !== 'noteOn') return; // Drum hits are one-shot
+
+          const padId = learningPadRef.current;
+          if (padId) {
+            const next = assignPadNote(padMapRef.current, message.note, padId);
+            savePadMap(instrument, next);
+            setPadMap(next);
+            setLearningPad(null);
+            return;
+          }
+
+          const mappedPad = padMapRef.current[message.note];
+          if (mappedPad) {
+            sendNoteRef.current(instrument, mappedPad, 'NOTE_ON', message.velocity);
+          }
+          return;
+        }
+
+        if (message.type === 'noteOn') {
+          heldNotesRef.current.set(message.note, instrument);
+          sendNoteRef.current(instrument, message.note, 'NOTE_ON', message.velocity);
+        } else if (heldNotesRef.current.delete(message.note)) {
+          sendNoteRef.current(instrument, message.note, 'NOTE_OFF');
+        }
+        return;
+      }
+
+      if (!sendControlRef.current) return;
+      const controlKey = message.type === 'controlChange' ? `cc${message.cc}` : message.type;
+      if (lastControl.get(controlKey) === message.value) return;
+      lastControl.set(controlKey, message.value);
+      sendControlRef.current(instrument, {
+        type: message.type,
+        cc: message.cc,
+        value: message.value
+      });
+    });
+
+    return () => {
+      unsubscribe();
+      releaseHeldNotes();
+      lastControl.clear();
+    };
+  }, [midi, instrument, isDrumPad, enabled, releaseHeldNotes]);
+
+  const startLearn = useCallback((padId) => {
+    setLearningPad(prev => (prev === padId ? null : padId));
+  }, []);
+
+  const resetMapping = useCallback(() => {
+    setPadMap(resetPadMap(instrument));
+    setLearningPad(null);
+  }, [instrument]);
+
+  return {
+    supported,
+    hasAccess,
+    inputs,
+    selectedInputId,
+    requestAccess,
+    selectInput,
+    padMap,
+    learningPad,
+    startLearn,
+    resetMapping
+  };
+}
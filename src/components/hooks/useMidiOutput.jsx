@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getMidiOutput } from '@/lib/midi/midiOutput';
+
+/**
+ * useMidiOutput Hook
+ *
+ * Picks the MIDI output port and channel a remote instrument is forwarded to
+ * (see midiOutput.js). Routes are remembered; access is requested on load if
+ * this instrument already has one, so forwarding resumes after a reload.
+ */
+export function useMidiOutput(instrument) {
+  const midi = getMidiOutput();
+
+  const [supported] = useState(() => midi.isSupported());
+  const [hasAccess, setHasAccess] = useState(() => midi.hasAccess());
+  const [outputs, setOutputs] = useState(() => midi.getOutputs());
+  const [route, setRouteState] = useState(() => midi.getRoute(instrument));
+
+  const requestAccess = useCallback(async () => {
+    const granted = await midi.requestAccess();
+    setHasAccess(granted);
+    if (granted) {
+      setOutputs(midi.getOutputs());
+    }
+    return granted;
+  }, [midi]);
+
+  const setRoute = useCallback((nextRoute) => {
+    midi.setRoute(instrument, nextRoute);
+    setRouteState(midi.getRoute(instrument));
+  }, [midi, instrument]);
+
+  // Resume forwarding after a reload
+  useEffect(() => {
+    setRouteState(midi.getRoute(instrument));
+    if (supported && !midi.hasAccess() && midi.getRoute(instrument)) {
+      requestAccess();
+    }
+  }, [midi, instrument, supported, requestAccess]);
+
+  // Track device connect / disconnect
+  useEffect(() => {
+    return midi.onDevicesChange(setOutputs);
+  }, [midi]);
+
+  return {
+    supported,
+    hasAccess,
+    outputs,
+    route,
+    requestAccess,
+    setRoute
+  };
+}
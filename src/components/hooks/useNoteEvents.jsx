@@ -1,10 +1,26 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { useWebRTC } from './useWebRTC';
-import { createNoteOnEvent, createNoteOffEvent } from '@/lib/jamEventProtocol';
+import {
+  createNoteOnEvent,
+  createNoteOffEvent,
+  createControlChangeEvent,
+  createPitchBendEvent,
+  getPlaybackSenderId,
+  isPlaybackEvent
+} from '@/lib/jamEventProtocol';
 import { IMMEDIATE_PLAYBACK_THRESHOLD_SECONDS } from '@/lib/clockSync';
-import { CURRENT_LATENCY_MODE, LATENCY_MODES } from '@/config/latencyMode';
+import { LATENCY_MODES, getInstrumentLatencyMode } from '@/config/latencyMode';
 import { syncedNow } from '@/lib/time/syncedNow';
-import { scheduleNote } from '@/lib/audio/scheduler';
+import { scheduleNote, scheduleNoteOff, scheduleControl } from '@/lib/audio/scheduler';
+import { VoiceTracker } from '@/lib/audio/voiceTracker';
+import { getMidiOutput } from '@/lib/midi/midiOutput';
+import { getSessionRecorder } from '@/lib/recording/sessionRecorder';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+import { getLoopStation } from '@/lib/audio/loopStation';
+import { getPlayoutDelay } from '@/lib/audio/playoutDelay';
+import { getInputQuantizer } from '@/lib/time/inputQuantizer';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import { isSustainedInstrument } from '@/lib/instruments/registry';
 // TODO: Deprecated - Supabase note_events table is no longer used for live audio
 // import { subscribeToNoteEvents, sendNoteEvent } from '../firebaseClient';
 
@@ -27,15 +43,59 @@ const DEBUG_LATENCY = false;
  * This hook now uses WebRTC DataChannels instead of Supabase for ultra-low latency.
  * The external API remains the same so existing components don't break.
  * 
- * DRUMS are treated in ultra-low-latency mode:
- * - sending: bypasses bundler and goes out immediately (handled in webrtcManager.js)
- * - receiving: plays immediately, no scheduling (bypasses all scheduling logic)
- * Other instruments keep the existing scheduling / bundling behavior.
+ * Received notes follow their instrument's latency mode (see config/latencyMode.js),
+ * which the room can change at any time:
+ * - ULTRA: plays immediately, no scheduling (bypasses all scheduling logic)
+ * - SYNCED: scheduled on the sender's timestamp
+ * By default DRUMS (`lowLatency` in the instrument registry) use ULTRA and other
+ * instruments SYNCED. Sending DRUMS bypasses the bundler (handled in webrtcManager.js).
+ * 
+ * Sustained instruments (`sustained` in the registry, e.g. PAD) hold each note until
+ * its noteOff. A VoiceTracker pairs every noteOn with one release, locally and per
+ * remote sender, and cleans up after senders who leave mid-note.
+ * 
+ * Pitch bend and control change events (e.g. from a MIDI controller, see
+ * useMidiInput) go out through sendControl() and are scheduled on the same
+ * timeline as notes on the receiving side.
+ * 
+ * Tempo events (stamped with the downbeat they take effect on) go to the tempo
+ * timeline, see tempoTimeline.js.
+ * 
+ * Scheduled notes play at their timestamp plus a playout delay measured per
+ * sender from the delay and jitter of its live events (see playoutDelay.js).
+ * 
+ * Session playback (see sessionPlayer.js) arrives as jam events stamped ahead of
+ * time. Those are always scheduled on their timestamps (drums included) and are
+ * not captured by the session recorder.
+ * 
+ * Our own notes and controls also go to the loop station, which keeps them
+ * while a loop is recording (see loopStation.js).
+ * 
+ * With input quantize on (see inputQuantizer.js), our notes are stamped with
+ * their grid position instead of the time they were played; a note ahead of
+ * the grid is held back until then, local echo included, so everyone hears it
+ * in the same place. Peers schedule it on that timestamp as usual.
  */
 
 export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteActivity, webrtc = null) {
   const processedEventsRef = useRef(new Set());
   const webrtcRef = useRef(null);
+  const audioEngineRef = useRef(audioEngine);
+  audioEngineRef.current = audioEngine;
+  const roomRef = useRef(room);
+  roomRef.current = room;
+
+  // Quantized notes waiting for their grid position
+  const pendingNotesRef = useRef(new Set());
+
+  // Held notes for sustained instruments (local voices use senderId 'local')
+  const voiceTrackerRef = useRef(null);
+  if (!voiceTrackerRef.current) {
+    voiceTrackerRef.current = new VoiceTracker((instrument, note) => {
+      audioEngineRef.current?.stopNote(instrument, note);
+      getMidiOutput().sendNoteOff(instrument, note);
+    });
+  }
   
   // Use provided webrtc instance, or create one if not provided (backward compatibility)
   const webrtcInstance = webrtc || useWebRTC({ roomId, userId, peers, room });
@@ -43,6 +103,9 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
   // Keep ref updated with latest webrtc object
   webrtcRef.current = webrtcInstance;
 
+  const sendJamEvent = webrtcInstance?.sendJamEvent;
+  const getRoomTime = webrtcInstance?.getRoomTime;
+
   // Handle incoming jam events from WebRTC
   // Set up listener once when webrtc is available, keep it stable
   useEffect(() => {
@@ -106,7 +169,7 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
       }
 
       // Deduplicate events (use senderId + timestamp as key)
-      const eventKey = `${event.senderId}-${event.timestamp}-${event.type}-${event.note || ''}`;
+      const eventKey = `${event.senderId}-${event.timestamp}-${event.type}-${event.note ?? event.cc ?? ''}`;
       if (processedEventsRef.current.has(eventKey)) {
         if (DEBUG_WEBRTC) {
           console.log('[useNoteEvents] Ignoring duplicate event');
@@ -121,13 +184,49 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
         processedEventsRef.current.delete(firstItem);
       }
 
-      // Fast path: DRUMS always play immediately, bypassing all scheduling logic
-      // This ensures DRUMS get the lowest possible latency (network latency only)
-      const isDrumsEvent = event.instrument === 'DRUMS';
-      if (isDrumsEvent) {
-        // Immediate playback for DRUMS - bypass all scheduling, regardless of mode
+      // Capture for the session recorder (no-op unless a take is recording)
+      const isPlayback = isPlaybackEvent(event);
+      if (!isPlayback) {
+        getSessionRecorder().recordJamEvent(event, 'remote');
+      }
+
+      // Measure the sender's delay for its adaptive playout delay (live events only;
+      // tempo events are stamped with an upcoming downbeat)
+      if (!isPlayback && event.type !== 'tempo') {
+        getPlayoutDelay().observe(event.senderId, syncedNow() - event.timestamp);
+      }
+
+      // Tempo change on the synced timeline (the metronome and session player follow it)
+      if (event.type === 'tempo') {
+        getTempoTimeline().add(event.timestamp, event.bpm);
+        return;
+      }
+
+      // Pitch bend / CC: apply on the sender's timeline (never dropped, see scheduleControl)
+      if (event.type === 'pitchBend' || event.type === 'controlChange') {
+        scheduleControl(event);
+        return;
+      }
+
+      // Fast path: ULTRA instruments (DRUMS by default) play immediately, bypassing all scheduling logic
+      // This gives them the lowest possible latency (network latency only)
+      const playImmediately = getInstrumentLatencyMode(event.instrument) === LATENCY_MODES.ULTRA && !isPlayback;
+      if (playImmediately) {
+        if (DEBUG_LATENCY) {
+          console.log('[useNoteEvents] Playing immediately (ULTRA):', event.instrument, event.note);
+        }
         if (event.type === 'noteOn') {
+          // Sustained instruments: release a note this sender still holds, and track the new one
+          if (isSustainedInstrument(event.instrument)) {
+            const voices = voiceTrackerRef.current;
+            if (voices.isHeld(event.senderId, event.instrument, event.note)
+              && voices.end(event.senderId, event.instrument, event.note)) {
+              audioEngine.stopNote(event.instrument, event.note);
+            }
+            voices.start(event.senderId, event.instrument, event.note);
+          }
           audioEngine.playNote(event.instrument, event.note, event.velocity);
+          getMidiOutput().sendNoteOn(event.instrument, event.note, event.velocity ?? 100);
           
           // Trigger activity indicator for remote notes
           if (onNoteActivity) {
@@ -139,13 +238,17 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
             });
           }
         } else if (event.type === 'noteOff') {
-          audioEngine.stopNote(event.instrument, event.note);
+          // Sustained instruments: only release notes we actually started
+          if (!isSustainedInstrument(event.instrument) || voiceTrackerRef.current.end(event.senderId, event.instrument, event.note)) {
+            audioEngine.stopNote(event.instrument, event.note);
+            getMidiOutput().sendNoteOff(event.instrument, event.note);
+          }
         }
-        return; // Exit early - DRUMS are done (no scheduling, no mode checks)
+        return; // Exit early - done (no scheduling)
       }
 
-      // Phase 4: Use timestamp-based scheduling for all non-DRUMS instruments
-      // All notes are scheduled using event.timestamp + LATENCY_BUFFER_MS
+      // Phase 4: Use timestamp-based scheduling for SYNCED instruments (and session playback)
+      // All notes are scheduled using event.timestamp + the sender's playout delay
       // This ensures tight playback with no jitter or missed notes
       
       if (event.type === 'noteOn') {
@@ -154,6 +257,16 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
         // - Late note filtering (if playAt < syncedNow())
         // - Tone.Transport scheduling
         // - Tone.js instrument triggering
+        const sustained = isSustainedInstrument(event.instrument);
+        const voices = voiceTrackerRef.current;
+
+        // Retrigger of a note this sender still holds (its noteOff was lost): release it first
+        if (sustained && voices.isHeld(event.senderId, event.instrument, event.note)) {
+          if (voices.end(event.senderId, event.instrument, event.note)) {
+            scheduleNoteOff(event);
+          }
+        }
+
         const scheduled = scheduleNote({
           instrument: event.instrument,
           note: event.note,
@@ -162,6 +275,10 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
           senderId: event.senderId,
         });
         
+        if (scheduled && sustained) {
+          voices.start(event.senderId, event.instrument, event.note);
+        }
+
         if (scheduled) {
           // Trigger activity indicator for remote notes
           if (onNoteActivity) {
@@ -184,9 +301,18 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
           }
         }
       } else if (event.type === 'noteOff') {
-        // NoteOff events: For now, we'll handle them immediately
-        // TODO: Consider scheduling noteOff events as well for precise timing
-        audioEngine.stopNote(event.instrument, event.note);
+        if (isSustainedInstrument(event.instrument)) {
+          // Release on the same timeline as the noteOn so the held length is preserved.
+          // Only release notes we actually started (the noteOn may have been dropped).
+          if (voiceTrackerRef.current.end(event.senderId, event.instrument, event.note)) {
+            scheduleNoteOff(event);
+          }
+        } else {
+          // Fixed-length instruments: nothing to release locally, but a routed
+          // MIDI output still needs the noteOff on the sender's timeline
+          audioEngine.stopNote(event.instrument, event.note);
+          scheduleNoteOff(event);
+        }
       }
     });
 
@@ -198,49 +324,77 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
     };
   }, [webrtcInstance, webrtcInstance?.onJamEvent, audioEngine, userId]); // Don't depend on ready - keep listener stable
 
+  // Release held notes from players who left mid-note
+  useEffect(() => {
+    if (!Array.isArray(peers)) return;
+    const senderIds = peers.map(p => String(p.userId || p.user_id || p.id));
+    // Their session playback stops with them
+    senderIds.push(...senderIds.map(getPlaybackSenderId));
+    voiceTrackerRef.current.releaseMissingSenders(senderIds);
+    getPlayoutDelay().retainSenders(senderIds);
+  }, [peers]);
+
+  // Release everything when leaving the room
+  useEffect(() => {
+    const voices = voiceTrackerRef.current;
+    const pendingNotes = pendingNotesRef.current;
+    return () => {
+      pendingNotes.forEach(timeout => clearTimeout(timeout));
+      pendingNotes.clear();
+      getInputQuantizer().reset();
+      getPlayoutDelay().reset();
+      voices.releaseAll();
+      getMidiOutput().allNotesOff();
+    };
+  }, [roomId]);
+
   /**
-   * Send a note event via WebRTC
+   * Send a note event via WebRTC and play it locally
    * 
    * @param {string} instrument - Instrument name
    * @param {number} note - MIDI note (0-127)
    * @param {string} type - 'NOTE_ON' or 'NOTE_OFF'
    * @param {number} velocity - MIDI velocity (0-127)
+   * @param {number} timestamp - Server-aligned time to stamp it with
    */
-  const sendNote = useCallback(async (instrument, note, type = 'NOTE_ON', velocity = 100) => {
-    if (!roomId || !userId || !webrtcInstance?.sendJamEvent) return;
-
+  const emitNote = useCallback((instrument, note, type, velocity, timestamp) => {
     try {
       // Get current room time from clock sync (uses syncedNow() internally if available)
-      const roomTime = webrtcInstance.getRoomTime();
+      const roomTime = getRoomTime();
 
       // Create jam event based on type
-      let event;
-      if (type === 'NOTE_ON') {
-        event = createNoteOnEvent({
+      const event = type === 'NOTE_ON'
+        ? createNoteOnEvent({
           instrument,
           note,
           velocity,
           roomTime,
-          senderId: userId
-        });
-      } else if (type === 'NOTE_OFF') {
-        event = createNoteOffEvent({
+          senderId: userId,
+          timestamp
+        })
+        : createNoteOffEvent({
           instrument,
           note,
           roomTime,
-          senderId: userId
+          senderId: userId,
+          timestamp
         });
-      } else {
-        console.warn(`Unknown note type: ${type}`);
-        return;
-      }
 
       // Send via WebRTC
-      webrtcInstance.sendJamEvent(event);
+      sendJamEvent(event);
+      getSessionRecorder().recordJamEvent(event, 'local');
+      getLoopStation().capture(event);
 
       // Local echo: play the note immediately for the sender
       // This matches the previous behavior where you hear yourself
       if (type === 'NOTE_ON') {
+        if (isSustainedInstrument(instrument)) {
+          const voices = voiceTrackerRef.current;
+          if (voices.isHeld('local', instrument, note) && voices.end('local', instrument, note)) {
+            audioEngine.stopNote(instrument, note);
+          }
+          voices.start('local', instrument, note);
+        }
         audioEngine.playNote(instrument, note, velocity);
         
         // Trigger activity indicator for local notes
@@ -253,15 +407,104 @@ export function useNoteEvents(roomId, userId, audioEngine, peers, room, onNoteAc
           });
         }
       } else if (type === 'NOTE_OFF') {
-        audioEngine.stopNote(instrument, note);
+        if (!isSustainedInstrument(instrument) || voiceTrackerRef.current.end('local', instrument, note)) {
+          audioEngine.stopNote(instrument, note);
+        }
       }
 
     } catch (error) {
       console.error('Failed to send note event:', error);
     }
-  }, [roomId, userId, webrtcInstance?.sendJamEvent, webrtcInstance?.getRoomTime, audioEngine]);
+  }, [userId, sendJamEvent, getRoomTime, audioEngine, onNoteActivity]);
+
+  /**
+   * Send a note event via WebRTC
+   * 
+   * @param {string} instrument - Instrument name
+   * @param {number} note - MIDI note (0-127)
+   * @param {string} type - 'NOTE_ON' or 'NOTE_OFF'
+   * @param {number} velocity - MIDI velocity (0-127)
+   */
+  const sendNote = useCallback(async (instrument, note, type = 'NOTE_ON', velocity = 100) => {
+    if (!roomId || !userId || !sendJamEvent) return;
+
+    // Stamp with the quantized time (the played time when quantize is off)
+    const now = syncedNow();
+    const quantizer = getInputQuantizer();
+    let timestamp;
+    if (type === 'NOTE_ON') {
+      timestamp = quantizer.noteOn(getRoomBeatGrid(roomRef.current), instrument, note, now);
+    } else if (type === 'NOTE_OFF') {
+      timestamp = quantizer.noteOff(instrument, note, now);
+    } else {
+      console.warn(`Unknown note type: ${type}`);
+      return;
+    }
+
+    // Ahead of the grid: hold it until its grid position
+    const delay = timestamp - now;
+    if (delay > 0) {
+      const pendingNotes = pendingNotesRef.current;
+      const timeout = setTimeout(() => {
+        pendingNotes.delete(timeout);
+        emitNote(instrument, note, type, velocity, timestamp);
+      }, delay);
+      pendingNotes.add(timeout);
+      return;
+    }
+
+    emitNote(instrument, note, type, velocity, timestamp);
+  }, [roomId, userId, sendJamEvent, emitNote]);
+
+  /**
+   * Send a pitch bend or control change event via WebRTC
+   * 
+   * @param {string} instrument - Instrument name
+   * @param {Object} control - Control to send
+   * @param {'pitchBend'|'controlChange'} control.type - Event type
+   * @param {number} control.value - Pitch bend (-8192 to 8191) or CC value (0-127)
+   * @param {number} [control.cc] - CC number (controlChange only)
+   */
+  const sendControl = useCallback((instrument, { type, cc, value }) => {
+    if (!roomId || !userId || !sendJamEvent) return;
+
+    try {
+      const roomTime = getRoomTime();
+
+      let event;
+      if (type === 'pitchBend') {
+        event = createPitchBendEvent({
+          instrument,
+          value,
+          roomTime,
+          senderId: userId
+        });
+      } else if (type === 'controlChange') {
+        event = createControlChangeEvent({
+          instrument,
+          cc,
+          value,
+          roomTime,
+          senderId: userId
+        });
+      } else {
+        console.warn(`Unknown control type: ${type}`);
+        return;
+      }
+
+      sendJamEvent(event);
+      getSessionRecorder().recordJamEvent(event, 'local');
+      getLoopStation().capture(event);
+
+      // Local echo: apply immediately for the sender
+      audioEngine.applyControl?.(instrument, event);
+    } catch (error) {
+      console.error('Failed to send control event:', error);
+    }
+  }, [roomId, userId, sendJamEvent, getRoomTime, audioEngine]);
 
   return {
-    sendNote
+    sendNote,
+    sendControl
   };
 }
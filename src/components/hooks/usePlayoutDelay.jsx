@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPlayoutDelay } from '@/lib/audio/playoutDelay';
+
+/**
+ * usePlayoutDelay Hook
+ *
+ * The adaptive playout delay of each peer (see lib/audio/playoutDelay.js),
+ * refreshed every `intervalMs`, and this device's bounds for it.
+ */
+export function usePlayoutDelay({ intervalMs = 1000 } = {}) {
+  const playoutDelay = getPlayoutDelay();
+  const [senders, setSenders] = useState(() => playoutDelay.getTelemetry());
+  const [bounds, setBoundsState] = useState(() => playoutDelay.getBounds());
+
+  useEffect(() => {
+    const interval = setInterval(() => setSenders(playoutDelay.getTelemetry()), intervalMs);
+    return () => clearInterval(interval);
+  }, [playoutDelay, intervalMs]);
+
+  const setBounds = useCallback((changes) => {
+    playoutDelay.setBounds(changes);
+    setBoundsState(playoutDelay.getBounds());
+  }, [playoutDelay]);
+
+  return {
+    senders,
+    bounds,
+    setBounds
+  };
+}
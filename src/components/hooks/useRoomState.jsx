@@ -7,6 +7,12 @@ import {
   releaseInstrument
 } from '../firebaseClient';
 import { getClaimSyncManager } from '@/lib/instruments/claimSync';
+import { getSessionRecorder } from '@/lib/recording/sessionRecorder';
+import { getRoomBeatGrid, changeTempo, changeMeter, createTempoRamp, getTempoRampSteps, isTempoRamp } from '@/lib/time/beatGrid';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+import { syncedNow } from '@/lib/time/syncedNow';
+import { createTempoEvent } from '@/lib/jamEventProtocol';
+import { setLatencySettings } from '@/config/latencyMode';
 
 export function useRoomState(roomId, userId) {
   const [room, setRoom] = useState(null);
@@ -74,9 +80,41 @@ export function useRoomState(roomId, userId) {
       } catch (error) {
         console.error('[useRoomState] Error cleaning up subscriptions:', error);
       }
+      getTempoTimeline().clear();
     };
   }, [roomId]);
 
+  // Feed key / scale changes to the session recorder (tempo changes arrive as tempo events)
+  const lastRoomSettingsRef = useRef(null);
+  useEffect(() => {
+    if (!room) return;
+    const settings = { key: room.key, scale: room.scale };
+    const previous = lastRoomSettingsRef.current;
+    lastRoomSettingsRef.current = settings;
+    if (!previous) return;
+
+    const change = {};
+    Object.keys(settings).forEach(field => {
+      if (settings[field] !== previous[field]) {
+        change[field] = settings[field];
+      }
+    });
+    if (Object.keys(change).length > 0) {
+      getSessionRecorder().recordRoomChange(change);
+    }
+  }, [room]);
+
+  // Apply the room's latency modes (changes reach every peer through the room row)
+  const instrumentLatencyModes = JSON.stringify(room?.instrumentLatencyModes ?? null);
+  useEffect(() => {
+    setLatencySettings({ mode: room?.latencyMode ?? null, instruments: JSON.parse(instrumentLatencyModes) });
+  }, [room?.latencyMode, instrumentLatencyModes]);
+
+  // Back to the defaults when leaving
+  useEffect(() => {
+    return () => setLatencySettings({});
+  }, []);
+
   const currentPlayer = players.find(p => {
     const playerUserId = p.userId || p.user_id || p.id;
     return playerUserId === userId;
@@ -121,8 +159,83 @@ export function useRoomState(roomId, userId) {
     return players.find(p => p.instrument === instrument);
   };
 
+  // Follow the room's tempo ramp bar by bar, whether or not its tempo events reached us
+  useEffect(() => {
+    const grid = getRoomBeatGrid(room);
+    if (!grid || !isTempoRamp(room.tempoRamp)) return;
+    getTempoRampSteps(grid, room.tempoRamp).forEach(step => {
+      getTempoTimeline().add(step.originMs, step.bpm);
+    });
+  }, [room]);
+
+  /**
+   * Broadcast tempo steps as tempo events on the synced timeline, and save
+   * where the tempo ends up (and the ramp, if it is one) in the room row
+   *
+   * @param {Array<import('@/lib/time/beatGrid').BeatGrid>} steps - From changeTempo / getTempoRampSteps, in time order
+   * @param {import('@/lib/time/beatGrid').TempoRamp|null} [tempoRamp] - The ramp the steps come from
+   */
+  const applyTempoSteps = async (steps, tempoRamp = null) => {
+    const webrtc = webrtcRef.current;
+    const roomTime = webrtc?.getRoomTime ? webrtc.getRoomTime() : 0;
+    steps.forEach(step => {
+      const event = createTempoEvent({ bpm: step.bpm, roomTime, senderId: userId, timestamp: step.originMs });
+      getTempoTimeline().add(step.originMs, step.bpm);
+      getSessionRecorder().recordJamEvent(event, 'local');
+      webrtc?.sendJamEvent?.(event);
+    });
+
+    const last = steps[steps.length - 1];
+    await updateRoom(roomId, { bpm: last.bpm, beatOrigin: last.originMs, tempoRamp });
+  };
+
   const setBpm = async (bpm) => {
-    await updateRoom(roomId, { bpm: Math.max(40, Math.min(240, bpm)) });
+    const clamped = Math.max(40, Math.min(240, bpm));
+    const grid = getRoomBeatGrid(room);
+    if (!grid) {
+      await updateRoom(roomId, { bpm: clamped });
+      return;
+    }
+    // Start the new tempo on an upcoming bar of the shared beat grid (or of the ramp in progress)
+    const now = syncedNow();
+    await applyTempoSteps([changeTempo(getTempoTimeline().getGridAt(grid, now), clamped, now)]);
+  };
+
+  /**
+   * Move to a tempo gradually, one step per bar
+   *
+   * @param {number} bpm - Target tempo
+   * @param {number} bars - Length of the ramp
+   */
+  const rampTempo = async (bpm, bars) => {
+    const clamped = Math.max(40, Math.min(240, Math.round(bpm)));
+    const grid = getRoomBeatGrid(room);
+    if (!grid) return;
+    const now = syncedNow();
+    const current = getTempoTimeline().getGridAt(grid, now);
+    const tempoRamp = createTempoRamp(current, clamped, bars, now);
+    await applyTempoSteps(getTempoRampSteps(current, tempoRamp), tempoRamp);
+  };
+
+  const setTimeSignature = async (timeSignature) => {
+    const grid = getRoomBeatGrid(room);
+    const update = { timeSignature, accentPattern: null };
+    if (grid) {
+      // Start the new meter on an upcoming bar of the shared beat grid
+      update.beatOrigin = changeMeter(grid, timeSignature, syncedNow()).originMs;
+    }
+    await updateRoom(roomId, update);
+  };
+
+  const setClickSubdivision = async (clickSubdivision) => {
+    await updateRoom(roomId, { clickSubdivision });
+  };
+
+  /**
+   * @param {string|null} accentPattern - Beat groups like '2+2+3', or null for the meter's default
+   */
+  const setAccentPattern = async (accentPattern) => {
+    await updateRoom(roomId, { accentPattern: accentPattern || null });
   };
 
   const setKey = async (key) => {
@@ -133,8 +246,32 @@ export function useRoomState(roomId, userId) {
     await updateRoom(roomId, { scale });
   };
 
-  const togglePlay = async () => {
-    await updateRoom(roomId, { isPlaying: !room?.isPlaying });
+  /**
+   * @param {string|null} latencyMode - Room default (LATENCY_MODES value), or null for by instrument
+   */
+  const setLatencyMode = async (latencyMode) => {
+    await updateRoom(roomId, { latencyMode });
+  };
+
+  /**
+   * @param {string} instrument - Instrument ID
+   * @param {string|null} latencyMode - Override (LATENCY_MODES value), or null to follow the room default
+   */
+  const setInstrumentLatencyMode = async (instrument, latencyMode) => {
+    const overrides = { ...(room?.instrumentLatencyModes || {}) };
+    if (latencyMode) {
+      overrides[instrument] = latencyMode;
+    } else {
+      delete overrides[instrument];
+    }
+    await updateRoom(roomId, { instrumentLatencyModes: Object.keys(overrides).length > 0 ? overrides : null });
+  };
+
+  /**
+   * @param {'mesh'|'star'} topology - How players connect (see lib/topology.js)
+   */
+  const setTopology = async (topology) => {
+    await updateRoom(roomId, { topology });
   };
 
   const toggleMetronome = async () => {
@@ -248,9 +385,15 @@ export function useRoomState(roomId, userId) {
     isInstrumentAvailable,
     getPlayerByInstrument,
     setBpm,
+    rampTempo,
+    setTimeSignature,
+    setClickSubdivision,
+    setAccentPattern,
     setKey,
     setScale,
-    togglePlay,
+    setLatencyMode,
+    setInstrumentLatencyMode,
+    setTopology,
     toggleMetronome,
     claimMyInstrument,
     releaseMyInstrument,
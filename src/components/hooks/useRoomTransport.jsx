@@ -0,0 +1,130 @@
+import { useState, useEffect, useCallback } from 'react';
+import { updateRoom } from '../firebaseClient';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import {
+  COUNT_IN_OPTIONS,
+  createStartCommand,
+  createStopCommand,
+  getRoomTransport,
+  getRoomTransportCommand
+} from '@/lib/time/transport';
+import { syncedNow } from '@/lib/time/syncedNow';
+
+/**
+ * useRoomTransport Hook
+ *
+ * Play / stop for the whole room. Starting picks a synced start time a bar or
+ * more ahead (after the chosen count-in) and sends it to peers over the
+ * DataChannel and to the room row, so every client starts on the same
+ * instant (see lib/time/transport.js). Commands from peers and room updates
+ * both feed the shared RoomTransport; the newest one wins.
+ *
+ * The count-in length is a local preference.
+ */
+
+const STORAGE_KEY_COUNT_IN = 'jam_countInBars';
+
+function getStoredCountIn() {
+  try {
+    const stored = Number(localStorage.getItem(STORAGE_KEY_COUNT_IN));
+    return COUNT_IN_OPTIONS.includes(stored) ? stored : 1;
+  } catch (error) {
+    console.warn('[useRoomTransport] Failed to read saved count-in:', error);
+    return 1;
+  }
+}
+
+export function useRoomTransport({ roomId, userId, room, webrtc }) {
+  const transport = getRoomTransport();
+
+  const [state, setState] = useState(() => transport.getState());
+  const [countIn, setCountInState] = useState(getStoredCountIn);
+  const [isCountingIn, setIsCountingIn] = useState(false);
+
+  useEffect(() => {
+    return transport.subscribe(setState);
+  }, [transport]);
+
+  // Forget the previous room's transport
+  useEffect(() => {
+    return () => transport.reset();
+  }, [transport, roomId]);
+
+  // Commands from the room row (Supabase Realtime; also the state late joiners see)
+  // (apply ignores repeated and older commands, so other room updates are no-ops)
+  useEffect(() => {
+    if (!room) return;
+    transport.apply(getRoomTransportCommand(room));
+  }, [transport, room]);
+
+  // Commands from peers (DataChannel, usually first)
+  const onTransportCommand = webrtc?.onTransportCommand;
+  useEffect(() => {
+    if (!onTransportCommand) return;
+    return onTransportCommand((command) => {
+      transport.apply(command);
+    });
+  }, [transport, onTransportCommand]);
+
+  // Counting in until the start time
+  useEffect(() => {
+    const remaining = state.isPlaying && state.startAt !== null ? state.startAt - syncedNow() : 0;
+    if (remaining <= 0) {
+      setIsCountingIn(false);
+      return;
+    }
+    setIsCountingIn(true);
+    const timeout = setTimeout(() => setIsCountingIn(false), remaining);
+    return () => clearTimeout(timeout);
+  }, [state.isPlaying, state.startAt]);
+
+  /**
+   * Send a command to peers and the room row, and apply it here
+   */
+  const sendTransportCommand = webrtc?.sendTransportCommand;
+  const issue = useCallback(async (command, update) => {
+    transport.apply(command);
+    sendTransportCommand?.(command);
+    try {
+      await updateRoom(roomId, { ...update, transportIssuedAt: command.issuedAt });
+    } catch (error) {
+      console.warn('[useRoomTransport] Failed to save transport state:', error);
+    }
+  }, [transport, roomId, sendTransportCommand]);
+
+  const start = useCallback(async () => {
+    const grid = getRoomBeatGrid(room);
+    if (!grid) return;
+    const command = createStartCommand(grid, { countInBars: countIn, senderId: userId, nowMs: syncedNow() });
+    await issue(command, { isPlaying: true, transportStartAt: command.startAt, countInBars: command.countInBars });
+  }, [issue, room, countIn, userId]);
+
+  const stop = useCallback(async () => {
+    const command = createStopCommand({ senderId: userId, nowMs: syncedNow() });
+    await issue(command, { isPlaying: false, transportStartAt: null, countInBars: 0 });
+  }, [issue, userId]);
+
+  const toggle = useCallback(() => (state.isPlaying ? stop() : start()), [state.isPlaying, start, stop]);
+
+  /**
+   * @param {number} bars - Count-in for starts from this client (one of COUNT_IN_OPTIONS)
+   */
+  const setCountIn = useCallback((bars) => {
+    setCountInState(bars);
+    try {
+      localStorage.setItem(STORAGE_KEY_COUNT_IN, String(bars));
+    } catch (error) {
+      console.warn('[useRoomTransport] Failed to save count-in:', error);
+    }
+  }, []);
+
+  return {
+    ...state,
+    isCountingIn,
+    countIn,
+    setCountIn,
+    start,
+    stop,
+    toggle
+  };
+}
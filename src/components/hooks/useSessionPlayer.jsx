@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getSessionPlayer } from '@/lib/audio/sessionPlayer';
+import { parseEventLog } from '@/lib/recording/eventLog';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import {
+  createNoteOnEvent,
+  createNoteOffEvent,
+  createControlChangeEvent,
+  createPitchBendEvent,
+  getPlaybackSenderId
+} from '@/lib/jamEventProtocol';
+
+/**
+ * Build the jam event for a playback event
+ *
+ * @param {Object} event - Event from the session player (with timestamp and senderId)
+ * @param {number} roomTime - Current room time
+ * @returns {Object|null} Jam event
+ */
+function toJamEvent({ type, instrument, note, velocity, cc, value, timestamp, senderId }, roomTime) {
+  switch (type) {
+    case 'noteOn':
+      return createNoteOnEvent({ instrument, note, velocity: velocity ?? 100, roomTime, senderId, timestamp });
+    case 'noteOff':
+      return createNoteOffEvent({ instrument, note, roomTime, senderId, timestamp });
+    case 'controlChange':
+      return createControlChangeEvent({ instrument, cc, value, roomTime, senderId, timestamp });
+    case 'pitchBend':
+      return createPitchBendEvent({ instrument, value, roomTime, senderId, timestamp });
+    default:
+      return null;
+  }
+}
+
+/**
+ * useSessionPlayer Hook
+ *
+ * Loads jam event log files into the session player and drives it from the
+ * UI. Playback events go out to peers as jam events under this player's
+ * playback senderId (see getPlaybackSenderId), so the whole room hears them.
+ * A loaded log also follows the room transport (it starts on the transport's
+ * start time and pauses when the transport stops) and the room tempo.
+ */
+export function useSessionPlayer({ userId, webrtc, transport, room }) {
+  const player = getSessionPlayer();
+
+  const [state, setState] = useState(() => player.getState());
+  const [position, setPosition] = useState(() => player.getPosition());
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return player.subscribe((next) => {
+      setState(next);
+      setPosition(player.getPosition());
+    });
+  }, [player]);
+
+  // Send playback to peers
+  const sendJamEvent = webrtc?.sendJamEvent;
+  const getRoomTime = webrtc?.getRoomTime;
+  useEffect(() => {
+    if (!userId || !sendJamEvent) {
+      player.setOutput(getPlaybackSenderId(userId), null);
+      return;
+    }
+    player.setOutput(getPlaybackSenderId(userId), (event) => {
+      const jamEvent = toJamEvent(event, getRoomTime());
+      if (jamEvent) {
+        sendJamEvent(jamEvent);
+      }
+    });
+  }, [player, userId, sendJamEvent, getRoomTime]);
+
+  // Follow the position while playing
+  useEffect(() => {
+    if (!state.isPlaying) return;
+    const interval = setInterval(() => setPosition(player.getPosition()), 250);
+    return () => clearInterval(interval);
+  }, [player, state.isPlaying]);
+
+  // Follow the room tempo
+  useEffect(() => {
+    player.setTempoGrid(getRoomBeatGrid(room));
+  }, [player, room]);
+
+  // Follow the room transport
+  const transportPlaying = transport?.isPlaying ?? false;
+  const transportStartAt = transport?.startAt ?? null;
+  useEffect(() => {
+    if (transportPlaying) {
+      player.play(transportStartAt ?? undefined);
+    } else {
+      player.pause();
+    }
+  }, [player, transportPlaying, transportStartAt]);
+
+  // Stop playback when leaving the room
+  useEffect(() => {
+    return () => player.unload();
+  }, [player]);
+
+  /**
+   * Load a jam event log file
+   *
+   * @param {File} file - .json file picked by the user
+   */
+  const loadFile = useCallback(async (file) => {
+    setError(null);
+    try {
+      player.load(parseEventLog(await file.text()), file.name.replace(/\.json$/i, ''));
+    } catch (err) {
+      console.warn('[useSessionPlayer] Failed to load event log:', err);
+      setError(err.message || 'Failed to load the file');
+    }
+  }, [player]);
+
+  const play = useCallback(() => player.play(), [player]);
+  const pause = useCallback(() => player.pause(), [player]);
+  const seek = useCallback((positionMs) => player.seek(positionMs), [player]);
+  const setLoop = useCallback((loop) => player.setLoop(loop), [player]);
+  const setMuted = useCallback((instrument, muted) => player.setMuted(instrument, muted), [player]);
+  const unload = useCallback(() => player.unload(), [player]);
+
+  return {
+    ...state,
+    position,
+    error,
+    loadFile,
+    play,
+    pause,
+    seek,
+    setLoop,
+    setMuted,
+    unload
+  };
+}
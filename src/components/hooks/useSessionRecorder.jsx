@@ -0,0 +1,208 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getSessionRecorder } from '@/lib/recording/sessionRecorder';
+import { listTakes, getTake, deleteTake as deleteStoredTake, renameTake as renameStoredTake } from '@/lib/recording/takeStore';
+import { takeToMidiFile, getMidiFilename } from '@/lib/recording/midiExport';
+import { takeToEventLog } from '@/lib/recording/eventLog';
+import { bounceTake } from '@/lib/recording/bounce';
+import { encodeWav } from '@/lib/audio/wav';
+import { downloadFile, toFilename } from '@/lib/utils';
+
+/**
+ * useSessionRecorder Hook
+ *
+ * Record / stop for the session recorder, the list of saved takes, MIDI
+ * export (of a take or of the whole session since joining), exporting the
+ * session as a jam event log (for the session player) and bouncing the
+ * last few minutes of the session to WAV. Jam events are fed to the recorder by useNoteEvents and room changes by
+ * useRoomState; this hook only drives it from the UI. Recording started
+ * during the room transport's count-in begins on the transport's start.
+ */
+export function useSessionRecorder({ roomId, room, players, transport }) {
+  const recorder = getSessionRecorder();
+
+  const [isRecording, setIsRecording] = useState(() => recorder.isRecording());
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [takes, setTakes] = useState([]);
+  const [error, setError] = useState(null);
+  const [isBouncing, setIsBouncing] = useState(false);
+
+  const refreshTakes = useCallback(async () => {
+    try {
+      setTakes(await listTakes());
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to load takes:', err);
+      setError('Saved takes are unavailable in this browser');
+    }
+  }, []);
+
+  // Load takes once
+  useEffect(() => {
+    refreshTakes();
+  }, [refreshTakes]);
+
+  // Follow recorder state (it can also stop itself at the maximum take length)
+  useEffect(() => {
+    return recorder.subscribe((recording) => {
+      setIsRecording(recording);
+      if (!recording) {
+        refreshTakes();
+      }
+    });
+  }, [recorder, refreshTakes]);
+
+  // Keep player names current for new tracks
+  useEffect(() => {
+    recorder.setParticipants(players);
+  }, [recorder, players]);
+
+  // Start a fresh session log per room, once the room state has loaded
+  const roomRef = useRef(room);
+  roomRef.current = room;
+  const roomLoaded = Boolean(room);
+  useEffect(() => {
+    if (roomId && roomLoaded) {
+      recorder.startSessionLog({ roomId, room: roomRef.current });
+    }
+  }, [recorder, roomId, roomLoaded]);
+
+  // Elapsed time while recording
+  useEffect(() => {
+    if (!isRecording) {
+      setElapsedMs(0);
+      return;
+    }
+    const interval = setInterval(() => setElapsedMs(recorder.getElapsed()), 250);
+    return () => clearInterval(interval);
+  }, [recorder, isRecording]);
+
+  // Save the take if we leave the room mid-recording
+  useEffect(() => {
+    return () => {
+      if (recorder.isRecording()) {
+        recorder.stop().catch(() => {
+          // Already logged by the recorder
+        });
+      }
+    };
+  }, [recorder, roomId]);
+
+  const startRecording = useCallback(() => {
+    setError(null);
+    recorder.start({ roomId, room, startAt: transport?.isPlaying ? transport.startAt : null });
+  }, [recorder, roomId, room, transport?.isPlaying, transport?.startAt]);
+
+  const stopRecording = useCallback(async () => {
+    try {
+      await recorder.stop();
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to save take:', err);
+      setError('Failed to save the take');
+    }
+  }, [recorder]);
+
+  const deleteTake = useCallback(async (id) => {
+    try {
+      await deleteStoredTake(id);
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to delete take:', err);
+    }
+    refreshTakes();
+  }, [refreshTakes]);
+
+  const renameTake = useCallback(async (id, name) => {
+    try {
+      await renameStoredTake(id, name);
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to rename take:', err);
+    }
+    refreshTakes();
+  }, [refreshTakes]);
+
+  const exportTakeMidi = useCallback(async (id) => {
+    try {
+      const take = await getTake(id);
+      if (take) {
+        downloadFile(takeToMidiFile(take), getMidiFilename(take), 'audio/midi');
+      }
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to export take:', err);
+      setError('Failed to export the take');
+    }
+  }, []);
+
+  const exportSessionMidi = useCallback(() => {
+    const take = recorder.getSessionLog();
+    if (!take) {
+      return;
+    }
+    try {
+      downloadFile(takeToMidiFile(take), getMidiFilename(take), 'audio/midi');
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to export session:', err);
+      setError('Failed to export the session');
+    }
+  }, [recorder]);
+
+  const exportSessionLog = useCallback(() => {
+    const take = recorder.getSessionLog();
+    if (!take) {
+      return;
+    }
+    try {
+      downloadFile(JSON.stringify(takeToEventLog(take)), `${toFilename(take.name)}.json`, 'application/json');
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to export session log:', err);
+      setError('Failed to export the session');
+    }
+  }, [recorder]);
+
+  /**
+   * Render the last minutes of the session offline and download it as WAV
+   *
+   * @param {Object} options
+   * @param {number} options.minutes - How much of the session to bounce
+   * @param {boolean} options.stems - One file per instrument instead of a mixdown
+   * @param {16|24} options.bitDepth - WAV bit depth
+   */
+  const bounceSession = useCallback(async ({ minutes, stems, bitDepth }) => {
+    const take = recorder.getSessionLog();
+    if (!take) {
+      return;
+    }
+
+    setError(null);
+    setIsBouncing(true);
+    try {
+      const results = await bounceTake(take, { windowMs: minutes * 60 * 1000, stems });
+      if (results.length === 0) {
+        setError('Nothing was played in that time');
+        return;
+      }
+      results.forEach(result => {
+        downloadFile(encodeWav(result, bitDepth), `${toFilename(take.name)} - ${result.name}.wav`, 'audio/wav');
+      });
+    } catch (err) {
+      console.error('[useSessionRecorder] Failed to bounce session:', err);
+      setError('Failed to bounce the session');
+    } finally {
+      setIsBouncing(false);
+    }
+  }, [recorder]);
+
+  return {
+    isRecording,
+    elapsedMs,
+    takes,
+    error,
+    startRecording,
+    stopRecording,
+    deleteTake,
+    renameTake,
+    refreshTakes,
+    exportTakeMidi,
+    exportSessionMidi,
+    exportSessionLog,
+    isBouncing,
+    bounceSession
+  };
+}
@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { updateRoom } from '../firebaseClient';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import { syncedNow } from '@/lib/time/syncedNow';
+import {
+  SEQUENCER_INSTRUMENT,
+  getStepSequencer,
+  normalizeSequence,
+  setStepVelocity,
+  setPatternSteps,
+  setPatternSwing,
+  clearPattern,
+  setChain as buildChain
+} from '@/lib/audio/stepSequencer';
+
+/**
+ * useStepSequencer Hook
+ *
+ * The room's drum patterns (rooms.drum_sequence) and the sequencer that plays
+ * them on this client, following the room tempo and transport (see
+ * lib/audio/stepSequencer.js). Edits show up here right away and are saved to
+ * the room row one at a time, latest last; the newest edit (by updatedAt)
+ * wins over older room updates arriving in between. Hits are recorded on the
+ * drummer's track.
+ */
+export function useStepSequencer({ roomId, userId, room, players, transport }) {
+  const sequencer = getStepSequencer();
+
+  const [sequence, setSequence] = useState(() => normalizeSequence(room?.drumSequence));
+  const sequenceRef = useRef(sequence);
+  const roomIdRef = useRef(roomId);
+  const savingRef = useRef(false);
+  const pendingRef = useRef(null);
+
+  // Patterns from the room row (edits by the drummer, or our own saves coming back)
+  useEffect(() => {
+    const incoming = normalizeSequence(room?.drumSequence);
+    if (roomIdRef.current === roomId && incoming.updatedAt < sequenceRef.current.updatedAt) return;
+    roomIdRef.current = roomId;
+    sequenceRef.current = incoming;
+    setSequence(incoming);
+  }, [roomId, room?.drumSequence]);
+
+  useEffect(() => {
+    sequencer.setSequence(sequence);
+  }, [sequencer, sequence]);
+
+  // Record the hits for whoever plays drums
+  const drummer = (players || []).find(player => player.instrument === SEQUENCER_INSTRUMENT);
+  const drummerId = drummer ? String(drummer.userId || drummer.user_id || drummer.id) : null;
+  useEffect(() => {
+    sequencer.setOwner(drummerId, drummerId !== null && drummerId === String(userId));
+  }, [sequencer, drummerId, userId]);
+
+  // Follow the room tempo
+  useEffect(() => {
+    sequencer.setTempoGrid(getRoomBeatGrid(room));
+  }, [sequencer, room]);
+
+  // Follow the room transport
+  const transportPlaying = transport?.isPlaying ?? false;
+  const transportStartAt = transport?.startAt ?? null;
+  useEffect(() => {
+    sequencer.setTransport({ isPlaying: transportPlaying, startAt: transportStartAt });
+  }, [sequencer, transportPlaying, transportStartAt]);
+
+  // Stop when leaving the room
+  useEffect(() => {
+    return () => sequencer.reset();
+  }, [sequencer, roomId]);
+
+  /**
+   * Save the latest edit, one write at a time so the row ends on the newest
+   */
+  const flush = useCallback(async () => {
+    if (savingRef.current) return;
+    savingRef.current = true;
+    try {
+      while (pendingRef.current) {
+        const next = pendingRef.current;
+        pendingRef.current = null;
+        await updateRoom(roomId, { drumSequence: next });
+      }
+    } catch (error) {
+      console.warn('[useStepSequencer] Failed to save drum patterns:', error);
+    } finally {
+      savingRef.current = false;
+    }
+  }, [roomId]);
+
+  /**
+   * Apply an edit here and save it to the room
+   *
+   * @param {function(Object): Object} edit - Current sequence -> new sequence
+   */
+  const update = useCallback((edit) => {
+    const next = { ...edit(sequenceRef.current), updatedAt: syncedNow() };
+    sequenceRef.current = next;
+    setSequence(next);
+    pendingRef.current = next;
+    flush();
+  }, [flush]);
+
+  const setStep = useCallback((slot, pad, step, velocity) => {
+    update(current => setStepVelocity(current, slot, pad, step, velocity));
+  }, [update]);
+
+  const setSteps = useCallback((slot, steps) => {
+    update(current => setPatternSteps(current, slot, steps));
+  }, [update]);
+
+  const setSwing = useCallback((slot, swing) => {
+    update(current => setPatternSwing(current, slot, swing));
+  }, [update]);
+
+  const clear = useCallback((slot) => {
+    update(current => clearPattern(current, slot));
+  }, [update]);
+
+  /**
+   * Play a chain of slots (empty = stop) from the next bar
+   *
+   * @param {number[]} chain
+   */
+  const setChain = useCallback((chain) => {
+    const grid = getRoomBeatGrid(room);
+    if (!grid) return;
+    update(current => buildChain(current, chain, grid, syncedNow()));
+  }, [update, room]);
+
+  const getPosition = useCallback(() => sequencer.getPosition(), [sequencer]);
+
+  return {
+    sequence,
+    setStep,
+    setSteps,
+    setSwing,
+    clear,
+    setChain,
+    getPosition
+  };
+}
@@ -1,9 +1,22 @@
 import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { initSignaling } from '@/lib/webrtcSignaling';
+import { initJamEventRelay } from '@/lib/jamEventRelay';
+import { initCrowdBroadcast } from '@/lib/crowdChannel';
 import { WebRTCManager } from '@/lib/webrtcManager';
 import { ClockSync } from '@/lib/clockSync';
 import { ClockSyncManager } from '@/lib/time/syncClock';
 import { initSyncedNow } from '@/lib/time/syncedNow';
+import { getLoopStation } from '@/lib/audio/loopStation';
+import { getStepSequencer } from '@/lib/audio/stepSequencer';
+import {
+  HOST_FAILOVER_MS,
+  TOPOLOGIES,
+  electHost,
+  getFailoverRank,
+  getLinkPeers,
+  normalizeTopology
+} from '@/lib/topology';
+import { claimRoomHost } from '../firebaseClient';
 
 /**
  * useWebRTC Hook
@@ -16,6 +29,13 @@ import { initSyncedNow } from '@/lib/time/syncedNow';
  * - Track peer connections (add/remove peers as they join/leave)
  * - Expose simple API for sending/receiving jam events
  * - Manage clock synchronization for room time
+ * - Surface protocol mismatches reported by peers' hello messages
+ * - Report which peers are connected through a TURN relay (or failed to connect)
+ * - Report which peers get jam events through the Supabase relay instead of P2P
+ * - Elect the room host, connect to it only in a star topology, and take over
+ *   when it can't be reached (see lib/topology.js)
+ * - As the host, stream every jam event to the room's listeners (see lib/crowdChannel.js)
+ * - Gather connection and clock figures for the diagnostics panel
  * 
  * This hook must stay lightweight and not block rendering.
  * All heavy work is done in the WebRTC core modules.
@@ -27,17 +47,41 @@ import { initSyncedNow } from '@/lib/time/syncedNow';
  * @param {string} options.userId - Current user ID
  * @param {Array} options.peers - Array of player objects from useRoomState
  * @param {Object|null} options.room - Room object from useRoomState (for room start timestamp)
+ * @param {Array} [options.players] - Everyone in the room including us, in join order (for host election
+ *   and the listener count)
  * @returns {Object} WebRTC API
  */
-export function useWebRTC({ roomId, userId, peers = [], room = null }) {
+export function useWebRTC({ roomId, userId, peers = [], room = null, players = [] }) {
   const [connectionStates, setConnectionStates] = useState(new Map());
+  const [peerCompatibility, setPeerCompatibility] = useState(new Map());
+  const [peerRoutes, setPeerRoutes] = useState(new Map());
+  const [peerLinks, setPeerLinks] = useState(new Map());
+  const [presentUserIds, setPresentUserIds] = useState(null); // Sorted, comma-separated (null until known)
   
   const signalingRef = useRef(null);
+  const relayRef = useRef(null);
   const managerRef = useRef(null);
   const clockSyncRef = useRef(null);
   const clockSyncManagerRef = useRef(null); // New shared clock sync manager
   const jamEventCallbacksRef = useRef(new Set());
   const claimEventCallbacksRef = useRef(new Set());
+  const transportCallbacksRef = useRef(new Set());
+  const loopCallbacksRef = useRef(new Set());
+  const crowdRef = useRef(null); // Crowd broadcast while we're the host and someone is listening
+
+  // Host election (same result on every client, from the room and player rows)
+  const playerIdList = (players || [])
+    .filter(p => p.isPlayer !== false && p.is_player !== false)
+    .map(p => String(p.userId || p.user_id || p.id))
+    .join(',');
+  const topology = normalizeTopology(room?.topology);
+  const hostUserId = room?.hostUserId ?? null;
+  const hostId = useMemo(
+    () => electHost(playerIdList ? playerIdList.split(',') : [], hostUserId),
+    [playerIdList, hostUserId]
+  );
+  const isHost = hostId === String(userId);
+  const listenerCount = (players || []).filter(p => p.isPlayer === false || p.is_player === false).length;
 
   // Initialize WebRTC components (only on client)
   useEffect(() => {
@@ -47,6 +91,14 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
       return;
     }
 
+    // Listeners registered for this room, dropped on cleanup
+    const callbackSets = [
+      jamEventCallbacksRef.current,
+      claimEventCallbacksRef.current,
+      transportCallbacksRef.current,
+      loopCallbacksRef.current
+    ];
+
     // PHASE 2: Wrap initialization in try-catch to prevent crashes
     // PHASE 2: Ensure peers is always an array (even if empty) - this is safe
     console.log('[useWebRTC] Initializing with:', { roomId, userId, peersCount: peers?.length || 0 });
@@ -85,14 +137,25 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
       // Initialize signaling
       const signaling = initSignaling(roomId, userId);
       signalingRef.current = signaling;
+      signaling.onPresenceChange(userIds => {
+        setPresentUserIds(userIds.map(String).sort().join(','));
+      });
+
+      // Initialize the jam event relay (for peers without a DataChannel)
+      const relay = initJamEventRelay(roomId, userId);
+      relayRef.current = relay;
 
       // Initialize WebRTC manager
       const manager = new WebRTCManager({
         roomId,
         userId,
         signaling,
+        relay,
         clockSync, // Pass clockSync for ping/pong handling
+        iceServers: room?.iceServers || null,
         onJamEvent: (event, fromPeerId) => {
+          crowdRef.current?.publish(event);
+
           // Notify all registered callbacks
           jamEventCallbacksRef.current.forEach(callback => {
             try {
@@ -112,6 +175,57 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
             }
           });
         },
+        onTransportCommand: (command, fromPeerId) => {
+          transportCallbacksRef.current.forEach(callback => {
+            try {
+              callback(command, fromPeerId);
+            } catch (error) {
+              console.error('Error in transport command callback:', error);
+            }
+          });
+        },
+        onLoopMessage: (message, fromPeerId) => {
+          loopCallbacksRef.current.forEach(callback => {
+            try {
+              callback(message, fromPeerId);
+            } catch (error) {
+              console.error('Error in loop message callback:', error);
+            }
+          });
+        },
+        onPeerCapabilities: (peerId, capabilities, compatibility) => {
+          setPeerCompatibility(prev => {
+            const next = new Map(prev);
+            if (capabilities) {
+              next.set(peerId, { ...compatibility, protocolVersion: capabilities.protocolVersion });
+            } else {
+              next.delete(peerId);
+            }
+            return next;
+          });
+        },
+        onPeerRouteChange: (peerId, route) => {
+          setPeerRoutes(prev => {
+            const next = new Map(prev);
+            if (route) {
+              next.set(peerId, route);
+            } else {
+              next.delete(peerId);
+            }
+            return next;
+          });
+        },
+        onPeerLinkChange: (peerId, link) => {
+          setPeerLinks(prev => {
+            const next = new Map(prev);
+            if (link) {
+              next.set(peerId, link);
+            } else {
+              next.delete(peerId);
+            }
+            return next;
+          });
+        },
         onPeerConnectionChange: (peerId, state) => {
           setConnectionStates(prev => {
             const next = new Map(prev);
@@ -138,13 +252,17 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
         signalingRef.current.disconnect();
         signalingRef.current = null;
       }
+      setPresentUserIds(null);
+      if (relayRef.current) {
+        relayRef.current.disconnect();
+        relayRef.current = null;
+      }
       if (clockSyncManagerRef.current) {
         clockSyncManagerRef.current.stop();
         clockSyncManagerRef.current = null;
       }
       clockSyncRef.current = null;
-      jamEventCallbacksRef.current.clear();
-      claimEventCallbacksRef.current.clear();
+      callbackSets.forEach(callbacks => callbacks.clear());
     };
   }, [roomId, userId]); // Only re-init if roomId or userId changes
 
@@ -159,6 +277,13 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
     }
   }, [room?.createdAt, room?.created_at]);
 
+  // Use the room's ICE servers for new connections when they load or change
+  useEffect(() => {
+    if (managerRef.current) {
+      managerRef.current.setRoomIceServers(room?.iceServers || null);
+    }
+  }, [room?.iceServers]);
+
   // Manage peer connections based on peers list
   useEffect(() => {
     if (!managerRef.current) {
@@ -176,7 +301,7 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
     const clockSync = clockSyncRef.current;
 
     // Derive stable target peer IDs (only user IDs, sorted for consistency)
-    const targetPeerIds = [...new Set(
+    const roomPeerIds = [...new Set(
       (peers || [])
         .filter(p => {
           const peerUserId = p.userId || p.user_id || p.id;
@@ -186,6 +311,10 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
         .map(p => String(p.userId || p.user_id || p.id))
     )].sort();
 
+    // In a star topology, only the host connects to everyone
+    manager.setTopology(topology, hostId);
+    const targetPeerIds = getLinkPeers(topology, hostId, userId, roomPeerIds);
+
     // Get current peer IDs from manager (all states, not just connected)
     const currentPeerIds = [...new Set(
       (manager.getAllPeerIds() || [])
@@ -220,10 +349,64 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
         }
       }
     });
-  }, [peers, userId]); // Only depend on peers and userId, not connectionStates or ready
+  }, [peers, userId, topology, hostId]); // Not connectionStates or ready
+
+  // The elected host records itself in rooms.host_user_id (the crowd and other clients go by it)
+  const roomLoaded = Boolean(room);
+  useEffect(() => {
+    if (!roomId || !roomLoaded || !hostId || hostId !== String(userId) || hostUserId === hostId) return;
+
+    claimRoomHost(roomId, userId, hostUserId).catch(error => {
+      console.warn('[useWebRTC] Failed to record ourselves as host:', error);
+    });
+  }, [roomId, userId, roomLoaded, hostId, hostUserId]);
+
+  // Star topology failover: take over from a host that is gone from the signaling channel, when
+  // it's our turn. Not from our own link to it: a player who only lost their own connection
+  // would take the room away from a host everyone else can still reach.
+  const presentIds = presentUserIds === null ? null : presentUserIds.split(',');
+  const hostPresent = presentIds === null || !hostId || presentIds.includes(hostId);
+  const selfPresent = presentIds !== null && presentIds.includes(String(userId));
+  useEffect(() => {
+    if (topology !== TOPOLOGIES.STAR || !hostId || hostPresent || !selfPresent) return;
+
+    const rank = getFailoverRank(playerIdList ? playerIdList.split(',') : [], hostId, userId);
+    if (rank < 0) return;
+
+    const timeout = setTimeout(() => {
+      console.warn(`[useWebRTC] Host ${hostId} gone for ${HOST_FAILOVER_MS * (rank + 1)}ms, taking over`);
+      claimRoomHost(roomId, userId, hostUserId).catch(error => {
+        console.warn('[useWebRTC] Failed to take over as host:', error);
+      });
+    }, HOST_FAILOVER_MS * (rank + 1));
+    return () => clearTimeout(timeout);
+  }, [roomId, userId, topology, hostId, hostUserId, hostPresent, selfPresent, playerIdList]);
+
+  // The host streams the jam to listeners, while there are any
+  const hasListeners = listenerCount > 0;
+  useEffect(() => {
+    if (!roomId || !userId || !isHost || !hasListeners) return;
+
+    const crowd = initCrowdBroadcast(roomId, userId);
+    crowdRef.current = crowd;
+
+    // Loops and the step sequencer play on each player and never become jam
+    // events: pass on what ours schedule
+    const publish = (event) => crowd.publish(event);
+    const unsubscribeLoops = getLoopStation().onPlayback(publish);
+    const unsubscribeSequencer = getStepSequencer().onPlayback(publish);
+    return () => {
+      unsubscribeLoops();
+      unsubscribeSequencer();
+      crowd.disconnect();
+      if (crowdRef.current === crowd) {
+        crowdRef.current = null;
+      }
+    };
+  }, [roomId, userId, isHost, hasListeners]);
 
   /**
-   * Send a jam event to all connected peers
+   * Send a jam event to all connected peers (and to listeners, if we're the host)
    * 
    * @param {Object} event - Jam event object
    */
@@ -231,6 +414,7 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
     if (managerRef.current) {
       managerRef.current.sendJamEvent(event);
     }
+    crowdRef.current?.publish(event);
   }, []);
 
   /**
@@ -272,6 +456,56 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
     }
   }, []);
 
+  /**
+   * Register callback for incoming transport start/stop commands
+   * 
+   * @param {function(Object, string): void} callback - Callback function (command, fromPeerId)
+   * @returns {function(): void} Unsubscribe function
+   */
+  const onTransportCommand = useCallback((callback) => {
+    transportCallbacksRef.current.add(callback);
+    
+    return () => {
+      transportCallbacksRef.current.delete(callback);
+    };
+  }, []);
+
+  /**
+   * Send a transport command to all connected peers
+   * 
+   * @param {Object} command - Transport command object
+   */
+  const sendTransportCommand = useCallback((command) => {
+    if (managerRef.current) {
+      managerRef.current.sendTransportCommand(command);
+    }
+  }, []);
+
+  /**
+   * Register callback for incoming loop station updates
+   * 
+   * @param {function(Object, string): void} callback - Callback function (message, fromPeerId)
+   * @returns {function(): void} Unsubscribe function
+   */
+  const onLoopMessage = useCallback((callback) => {
+    loopCallbacksRef.current.add(callback);
+    
+    return () => {
+      loopCallbacksRef.current.delete(callback);
+    };
+  }, []);
+
+  /**
+   * Send a loop station update to all connected peers
+   * 
+   * @param {Object} message - Loop message object
+   */
+  const sendLoopMessage = useCallback((message) => {
+    if (managerRef.current) {
+      managerRef.current.sendLoopMessage(message);
+    }
+  }, []);
+
   /**
    * Get current room time in seconds
    * 
@@ -297,6 +531,32 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
     return 50; // Default latency
   }, []);
 
+  /**
+   * Get connection and clock sync figures (for the diagnostics panel)
+   * 
+   * @returns {Promise<{server: Object|null, peers: Array<Object>}>} Server clock sync stats
+   *   (ClockSyncManager.getStats()) and, per peer, its link, transport stats, latency estimate
+   *   and recent ping results
+   */
+  const getDiagnostics = useCallback(async () => {
+    const manager = managerRef.current;
+    const clockSync = clockSyncRef.current;
+    const server = clockSyncManagerRef.current ? clockSyncManagerRef.current.getStats() : null;
+    if (!manager) {
+      return { server, peers: [] };
+    }
+
+    const peers = await Promise.all(manager.getAllPeerIds().map(async (peerId) => ({
+      peerId,
+      state: manager.getConnectionState(peerId),
+      link: manager.getPeerLink(peerId),
+      transport: await manager.getPeerTransportStats(peerId),
+      latencyMs: clockSync ? clockSync.getLatencyMs(peerId) : null,
+      history: clockSync ? clockSync.getPeerHistory(peerId) : []
+    })));
+    return { server, peers };
+  }, []);
+
   /**
    * Compute target audio time for scheduling a remote note
    * 
@@ -324,12 +584,22 @@ export function useWebRTC({ roomId, userId, peers = [], room = null }) {
   return {
     ready,
     connectionStates: Object.fromEntries(connectionStates),
+    peerCompatibility: Object.fromEntries(peerCompatibility),
+    peerRoutes: Object.fromEntries(peerRoutes),
+    peerLinks: Object.fromEntries(peerLinks),
+    topology,
+    hostId,
     sendJamEvent,
     onJamEvent,
     sendClaimEvent,
     onClaimEvent,
+    sendTransportCommand,
+    onTransportCommand,
+    sendLoopMessage,
+    onLoopMessage,
     getRoomTime,
     getLatency,
+    getDiagnostics,
     computeTargetAudioTime
   };
 }
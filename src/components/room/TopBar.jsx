@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { 
@@ -17,12 +18,13 @@ import {
   SelectTrigger, 
   SelectValue 
 } from '@/components/ui/select';
-import { CURRENT_LATENCY_MODE, LATENCY_MODES } from '@/config/latencyMode';
+import MeterControls from '../MeterControls';
+import { LATENCY_MODES } from '@/config/latencyMode';
 
 const KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 const SCALES = ['major', 'minor'];
 
-export default function TopBar({ room, roomId, setBpm, setKey, setScale, togglePlay, toggleMetronome }) {
+export default function TopBar({ room, roomId, setBpm, setTimeSignature, setClickSubdivision, setAccentPattern, setKey, setScale, togglePlay, toggleMetronome }) {
   const [copied, setCopied] = useState(false);
 
   const handleCopyLink = () => {
@@ -53,7 +55,7 @@ export default function TopBar({ room, roomId, setBpm, setKey, setScale, toggleP
 
             {/* Latency mode indicator */}
             <div className="latency-badge bg-purple-500/20 border border-purple-400/30 rounded px-2 py-1 text-xs text-purple-300">
-              Latency: {CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA ? 'ULTRA LOW' : 'SYNCED'}
+              Latency: {room?.latencyMode === LATENCY_MODES.SYNCED ? 'SYNCED' : room?.latencyMode === LATENCY_MODES.ULTRA ? 'ULTRA LOW' : 'AUTO'}
             </div>
 
             <Button
@@ -109,6 +111,14 @@ export default function TopBar({ room, roomId, setBpm, setKey, setScale, toggleP
               </div>
             </div>
 
+            {/* Meter */}
+            <MeterControls
+              room={room}
+              setTimeSignature={setTimeSignature}
+              setClickSubdivision={setClickSubdivision}
+              setAccentPattern={setAccentPattern}
+            />
+
             {/* Key & Scale */}
             <Select value={room?.key || 'C'} onValueChange={setKey}>
               <SelectTrigger className="w-20 bg-white/5 border-white/20 text-white">
@@ -172,4 +182,17 @@ export default function TopBar({ room, roomId, setBpm, setKey, setScale, toggleP
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+TopBar.propTypes = {
+  room: PropTypes.object,
+  roomId: PropTypes.string.isRequired,
+  setBpm: PropTypes.func.isRequired,
+  setTimeSignature: PropTypes.func.isRequired,
+  setClickSubdivision: PropTypes.func.isRequired,
+  setAccentPattern: PropTypes.func.isRequired,
+  setKey: PropTypes.func.isRequired,
+  setScale: PropTypes.func.isRequired,
+  togglePlay: PropTypes.func.isRequired,
+  toggleMetronome: PropTypes.func.isRequired
+};
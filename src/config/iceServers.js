@@ -0,0 +1,211 @@
+/**
+ * ICE Server Configuration
+ *
+ * STUN/TURN servers used by every peer connection (see lib/webrtcManager.js).
+ * Static servers come from the first of these that is set:
+ *
+ * - The room: rooms.ice_servers, an array of RTCIceServer objects
+ *   (e.g. a TURN server set up for one event)
+ * - VITE_ICE_SERVERS: the same array as JSON
+ * - VITE_TURN_URLS (comma separated), with VITE_TURN_USERNAME and VITE_TURN_CREDENTIAL
+ *
+ * Short-lived TURN credentials are added on top by the credential provider,
+ * asked whenever a connection is made and reused until shortly before they
+ * expire. The default provider fetches VITE_TURN_CREDENTIALS_URL; another can
+ * be plugged in with setTurnCredentialProvider().
+ *
+ * Google's public STUN servers are used when nothing configures STUN.
+ * VITE_ICE_TRANSPORT_POLICY=relay forces every connection through TURN, to
+ * test a TURN server (see DEPLOYMENT.md).
+ */
+
+/**
+ * Public STUN servers (the previous hardcoded configuration)
+ *
+ * @type {RTCIceServer[]}
+ */
+export const DEFAULT_STUN_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+/**
+ * Credential lifetime assumed when the endpoint doesn't say (seconds)
+ */
+const DEFAULT_CREDENTIAL_TTL_S = 600;
+
+/**
+ * Credentials are fetched again this long before they expire (ms)
+ */
+const CREDENTIAL_REFRESH_MARGIN_MS = 60 * 1000;
+
+const env = import.meta.env || {};
+
+/**
+ * @typedef {Object} TurnCredentials
+ * @property {RTCIceServer[]} iceServers
+ * @property {number} [ttlSeconds] - How long they stay valid
+ */
+
+/**
+ * @typedef {function({roomId: string, userId: string}): Promise<TurnCredentials|null>} TurnCredentialProvider
+ */
+
+/** @type {{roomId: string, iceServers: RTCIceServer[], expiresAt: number}|null} Last credentials fetched */
+let cachedCredentials = null;
+
+/**
+ * Keep the valid entries of an RTCIceServer list
+ *
+ * @param {any} servers - Array (or a single server object)
+ * @returns {RTCIceServer[]}
+ */
+export function normalizeIceServers(servers) {
+  const list = Array.isArray(servers) ? servers : (servers ? [servers] : []);
+  return list
+    .filter(server => server && (typeof server.urls === 'string' || (Array.isArray(server.urls) && server.urls.length > 0)))
+    .map(server => ({
+      urls: server.urls,
+      ...(server.username ? { username: String(server.username) } : {}),
+      ...(server.credential ? { credential: String(server.credential) } : {})
+    }));
+}
+
+/**
+ * @param {RTCIceServer} server
+ * @returns {string[]}
+ */
+function getUrls(server) {
+  return Array.isArray(server.urls) ? server.urls : [server.urls];
+}
+
+/**
+ * Check whether any server is a TURN relay
+ *
+ * @param {RTCIceServer[]} servers
+ * @returns {boolean}
+ */
+export function hasRelayServers(servers) {
+  return servers.some(server => getUrls(server).some(url => /^turns?:/i.test(url)));
+}
+
+/**
+ * Get the static servers configured in the environment
+ *
+ * @returns {RTCIceServer[]}
+ */
+export function getEnvIceServers() {
+  if (env.VITE_ICE_SERVERS) {
+    try {
+      return normalizeIceServers(JSON.parse(env.VITE_ICE_SERVERS));
+    } catch (error) {
+      console.warn('[iceServers] VITE_ICE_SERVERS is not valid JSON:', error);
+    }
+  }
+
+  const turnUrls = (env.VITE_TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+  if (turnUrls.length > 0) {
+    return normalizeIceServers([{
+      urls: turnUrls,
+      username: env.VITE_TURN_USERNAME,
+      credential: env.VITE_TURN_CREDENTIAL
+    }]);
+  }
+
+  return [];
+}
+
+/**
+ * Default credential provider: GET VITE_TURN_CREDENTIALS_URL?room=...&user=...
+ *
+ * Accepts `{ iceServers, ttl }` or the TURN REST API response coturn uses,
+ * `{ username, password, ttl, uris }`.
+ *
+ * @type {TurnCredentialProvider}
+ */
+async function fetchTurnCredentials({ roomId, userId }) {
+  if (!env.VITE_TURN_CREDENTIALS_URL) {
+    return null;
+  }
+
+  const url = new URL(env.VITE_TURN_CREDENTIALS_URL, window.location.href);
+  url.searchParams.set('room', roomId);
+  url.searchParams.set('user', userId);
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`TURN credentials request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const iceServers = data.iceServers
+    ? normalizeIceServers(data.iceServers)
+    : normalizeIceServers({ urls: data.uris, username: data.username, credential: data.password });
+  return { iceServers, ttlSeconds: Number(data.ttl) || undefined };
+}
+
+/** @type {TurnCredentialProvider} */
+let credentialProvider = fetchTurnCredentials;
+
+/**
+ * Replace the TURN credential provider (null restores the default)
+ *
+ * @param {TurnCredentialProvider|null} provider
+ */
+export function setTurnCredentialProvider(provider) {
+  credentialProvider = provider || fetchTurnCredentials;
+  cachedCredentials = null;
+}
+
+/**
+ * Get short-lived TURN servers from the credential provider, reusing unexpired ones
+ *
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<RTCIceServer[]>} Empty if there is no provider or it failed
+ */
+async function getTurnCredentials(roomId, userId) {
+  if (cachedCredentials && cachedCredentials.roomId === roomId && Date.now() < cachedCredentials.expiresAt) {
+    return cachedCredentials.iceServers;
+  }
+
+  try {
+    const credentials = await credentialProvider({ roomId, userId });
+    if (!credentials) {
+      return [];
+    }
+    const ttlMs = (credentials.ttlSeconds || DEFAULT_CREDENTIAL_TTL_S) * 1000;
+    cachedCredentials = {
+      roomId,
+      iceServers: normalizeIceServers(credentials.iceServers),
+      expiresAt: Date.now() + Math.max(0, ttlMs - CREDENTIAL_REFRESH_MARGIN_MS)
+    };
+    return cachedCredentials.iceServers;
+  } catch (error) {
+    console.warn('[iceServers] Failed to get TURN credentials, connecting without them:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the RTCPeerConnection configuration for a new connection
+ *
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {string} options.userId
+ * @param {RTCIceServer[]|null} [options.roomIceServers] - rooms.ice_servers
+ * @returns {Promise<{iceServers: RTCIceServer[], iceTransportPolicy: RTCIceTransportPolicy}>}
+ */
+export async function getIceConfiguration({ roomId, userId, roomIceServers = null }) {
+  const staticServers = normalizeIceServers(roomIceServers);
+  const servers = [
+    ...(staticServers.length > 0 ? staticServers : getEnvIceServers()),
+    ...(await getTurnCredentials(roomId, userId))
+  ];
+
+  const hasStun = servers.some(server => getUrls(server).some(url => /^stun:/i.test(url)));
+  return {
+    iceServers: hasStun ? servers : [...DEFAULT_STUN_SERVERS, ...servers],
+    iceTransportPolicy: env.VITE_ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all'
+  };
+}
@@ -1,18 +1,24 @@
+import { isLowLatencyInstrument } from '@/lib/instruments/registry';
+
 /**
  * Latency Mode Configuration
  * 
- * Controls how note events are scheduled and played back.
+ * Controls how note events are scheduled and played back, per instrument.
  * 
  * ULTRA_LOW_LATENCY:
- *   - DRUMS: immediate send (bypasses bundler), immediate receive (no scheduling)
- *   - BASS/EP/GUITAR: immediate playback (bypasses scheduling), but still uses bundling on send
+ *   - Received notes play immediately (no scheduling, network latency only)
  * 
  * SYNCED:
- *   - DRUMS: immediate send (bypasses bundler), immediate receive (no scheduling)
- *   - BASS/EP/GUITAR: clock-synchronized playback with latency compensation + bundling
+ *   - Received notes are clock-synchronized: scheduled on their timestamp
+ *     plus the latency buffer (see audio/scheduler.js)
+ * 
+ * On send, instruments in ULTRA mode bypass the bundler; the others are
+ * bundled at the interval of the room mode.
  * 
- * Note: DRUMS always use the fastest path regardless of mode (network latency only).
- * Other instruments respect the selected latency mode.
+ * The mode is chosen at runtime: a room default plus per-instrument overrides,
+ * stored on the room (rooms.latency_mode, rooms.instrument_latency_modes) so
+ * every peer applies the same settings (see setLatencySettings). Without a
+ * room default, `lowLatency` instruments use ULTRA and the others SYNCED.
  */
 
 export const LATENCY_MODES = {
@@ -20,10 +26,6 @@ export const LATENCY_MODES = {
   SYNCED: 'SYNCED', // existing behavior (clock-scheduled)
 };
 
-// For now we force ULTRA mode globally.
-// Later we can hook this to a UI toggle.
-export const CURRENT_LATENCY_MODE = LATENCY_MODES.ULTRA;
-
 /**
  * Bundle interval constants for event bundling
  * 
@@ -37,3 +39,82 @@ export const CURRENT_LATENCY_MODE = LATENCY_MODES.ULTRA;
 export const BUNDLE_INTERVAL_MS_ULTRA = 8;   // ~125 fps
 export const BUNDLE_INTERVAL_MS_SYNCED = 16; // ~60 fps
 
+
+/**
+ * @typedef {Object} LatencySettings
+ * @property {string|null} mode - Room default (null = by instrument, see above)
+ * @property {Object<string, string>} instruments - Instrument ID -> mode, overriding the room default
+ */
+
+/** @type {LatencySettings} Settings of the room we're in */
+let currentSettings = { mode: null, instruments: {} };
+
+/** @type {Set<function(LatencySettings): void>} */
+const listeners = new Set();
+
+/**
+ * @param {any} mode
+ * @returns {boolean}
+ */
+function isLatencyMode(mode) {
+  return Object.values(LATENCY_MODES).includes(mode);
+}
+
+/**
+ * Get the latency settings in effect
+ *
+ * @returns {LatencySettings}
+ */
+export function getLatencySettings() {
+  return currentSettings;
+}
+
+/**
+ * Apply a room's latency settings (unknown modes are ignored)
+ *
+ * @param {{mode?: string|null, instruments?: Object<string, string>|null}} settings
+ */
+export function setLatencySettings({ mode = null, instruments = null }) {
+  const next = {
+    mode: isLatencyMode(mode) ? mode : null,
+    instruments: Object.fromEntries(
+      Object.entries(instruments || {}).filter(([, instrumentMode]) => isLatencyMode(instrumentMode))
+    ),
+  };
+  if (JSON.stringify(next) === JSON.stringify(currentSettings)) return;
+
+  currentSettings = next;
+  listeners.forEach(listener => listener(currentSettings));
+}
+
+/**
+ * @param {function(LatencySettings): void} listener
+ * @returns {function} Unsubscribe
+ */
+export function subscribeLatencySettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Get the mode an instrument's notes are played back in
+ *
+ * @param {string} instrument - Instrument ID
+ * @returns {string} LATENCY_MODES value
+ */
+export function getInstrumentLatencyMode(instrument) {
+  return currentSettings.instruments[instrument]
+    || currentSettings.mode
+    || (isLowLatencyInstrument(instrument) ? LATENCY_MODES.ULTRA : LATENCY_MODES.SYNCED);
+}
+
+/**
+ * Get the send bundler interval for the room mode
+ *
+ * @returns {number} Milliseconds
+ */
+export function getBundleIntervalMs() {
+  return currentSettings.mode === LATENCY_MODES.SYNCED
+    ? BUNDLE_INTERVAL_MS_SYNCED
+    : BUNDLE_INTERVAL_MS_ULTRA;
+}
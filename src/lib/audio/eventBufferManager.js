@@ -45,7 +45,7 @@ export class EventBufferManager {
     /** @type {Map<string, number>} Instrument -> last play time (ms) */
     this.lastPlayTime = new Map();
     
-    /** @type {Map<string, number>} Instrument-note -> last play time (ms) */
+    /** @type {Map<string, number>} Instrument-note -> timestamp of the last note played (ms) */
     this.lastNotePlayTime = new Map();
     
     /** @type {number} Last cleanup time */
@@ -118,10 +118,12 @@ export class EventBufferManager {
     }
 
     // 3. Overlapping note prevention (especially for mono synths like bass)
-    // Prevent same note from playing again within MIN_NOTE_INTERVAL_MS
+    // Prevent same note from playing again within MIN_NOTE_INTERVAL_MS of the last one.
+    // Compared on event timestamps, not arrival: events sent ahead of time (session
+    // playback) arrive in batches but still play on their own timestamps.
     const lastNoteTime = this.lastNotePlayTime.get(instrumentNoteKey);
     if (lastNoteTime !== undefined) {
-      const timeSinceLastNote = now - lastNoteTime;
+      const timeSinceLastNote = Math.abs(event.timestamp - lastNoteTime);
       if (timeSinceLastNote < MIN_NOTE_INTERVAL_MS) {
         stats.droppedOverlapping++;
         if (DEBUG_BUFFER) {
@@ -158,7 +160,7 @@ export class EventBufferManager {
 
     // 6. Update last play times
     this.lastPlayTime.set(event.instrument, now);
-    this.lastNotePlayTime.set(instrumentNoteKey, now);
+    this.lastNotePlayTime.set(instrumentNoteKey, event.timestamp);
 
     // 7. Periodic cleanup of old events from buffer
     this.cleanupIfNeeded(now);
@@ -0,0 +1,858 @@
+import * as Tone from 'tone';
+import { syncedNow } from '@/lib/time/syncedNow';
+import { getBeatDuration, getNextBarTime } from '@/lib/time/beatGrid';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+import { getSessionRecorder } from '@/lib/recording/sessionRecorder';
+import { scheduleNote, scheduleNoteOff, scheduleControl } from './scheduler';
+
+/**
+ * Loop Station
+ *
+ * Shared bar-length loops, one per instrument. A player records N bars of
+ * their own jam events, starting on a downbeat of the room's beat grid; the
+ * events are stored in beats from the loop start (note starts quantized to
+ * QUANTIZE_BEATS), and the loop then repeats for everyone. Overdubs add a
+ * layer recorded over one full pass of the loop; undo drops the last layer.
+ *
+ * Loop contents go to peers as event lists over the DataChannel (a `loop`
+ * message with the whole loop on every change). Playback is not streamed:
+ * every client schedules each repetition itself through the scheduler
+ * (scheduleNote etc., on the grid with no playout delay), on times worked out
+ * from the shared beat grid and tempo timeline, so it follows tempo changes
+ * and stays in sync with the metronome. What it schedules also goes to the
+ * session recorder, on a track of the loop's owner, and to onPlayback()
+ * listeners (the host passes it on to the room's listeners, see
+ * lib/crowdChannel.js).
+ *
+ * Loops play while the room transport is playing. A transport start restarts
+ * them from the top on its first downbeat. The owner re-sends its loops when
+ * a peer connects, with a recent loop start so late joiners pick up the
+ * same phase.
+ */
+
+/**
+ * Message type for loop updates on the DataChannel
+ */
+export const LOOP_MESSAGE_TYPE = 'loop';
+
+/**
+ * Loop lengths offered in the UI (bars)
+ */
+export const LOOP_BAR_OPTIONS = [1, 2, 4, 8];
+
+/**
+ * Most layers per loop (the recording plus overdubs)
+ */
+export const MAX_LAYERS = 8;
+
+/**
+ * Most events recorded per layer
+ */
+const MAX_LAYER_EVENTS = 1000;
+
+/**
+ * Note starts are moved to the nearest multiple of this (beats)
+ */
+const QUANTIZE_BEATS = 0.25;
+
+/**
+ * Minimum time between pressing record and the first recorded downbeat (ms)
+ */
+const ARM_LEAD_MS = 100;
+
+/**
+ * How often the playback loop runs (seconds)
+ */
+const TICK_SECONDS = 0.05;
+
+/**
+ * How far ahead of now loop events are scheduled (ms)
+ */
+const LOOKAHEAD_MS = 200;
+
+/**
+ * Get the sender ID loop playback is scheduled under
+ *
+ * @param {string} ownerId - User ID of the loop's owner
+ * @returns {string}
+ */
+export function getLoopSenderId(ownerId) {
+  return `loop:${ownerId}`;
+}
+
+/**
+ * @typedef {Object} LoopEvent
+ * @property {'noteOn'|'noteOff'|'controlChange'|'pitchBend'} type
+ * @property {number} beat - Beats from the loop start
+ * @property {number|string} [note]
+ * @property {number} [velocity]
+ * @property {number} [cc]
+ * @property {number} [value]
+ */
+
+/**
+ * @typedef {Object} Loop
+ * @property {string} instrument - Instrument ID (one loop per instrument)
+ * @property {string} ownerId - User who recorded it
+ * @property {number} bars - Length in bars
+ * @property {number} lengthBeats - Length in beats
+ * @property {number} anchorAt - syncedNow() time of a pass's first downbeat
+ * @property {LoopEvent[][]} layers - Recording, then overdubs (each sorted by beat)
+ * @property {number} updatedAt - syncedNow() time of the last change
+ */
+
+/**
+ * @typedef {Object} LoopMessage
+ * @property {'loop'} type
+ * @property {'set'|'clear'} action
+ * @property {string} instrument
+ * @property {Loop|null} loop - The whole loop (set only)
+ * @property {string} senderId
+ * @property {number} issuedAt - syncedNow() when the change was made
+ */
+
+/**
+ * @typedef {Object} LoopStationState
+ * @property {{instrument: string, ownerId: string, bars: number, layers: number}[]} loops
+ * @property {{instrument: string, mode: 'record'|'overdub', bars: number, startAt: number, endAt: number}|null} recording
+ * @property {boolean} isPlaying - Whether loops are playing (the room transport is)
+ */
+
+/**
+ * Check if a message is a loop message
+ *
+ * @param {any} obj
+ * @returns {obj is LoopMessage}
+ */
+export function isLoopMessage(obj) {
+  return Boolean(obj)
+    && typeof obj === 'object'
+    && obj.type === LOOP_MESSAGE_TYPE
+    && typeof obj.instrument === 'string'
+    && typeof obj.issuedAt === 'number'
+    && (obj.action === 'clear' || (obj.action === 'set' && isLoop(obj.loop)));
+}
+
+/**
+ * @param {any} loop
+ * @returns {loop is Loop}
+ */
+function isLoop(loop) {
+  return Boolean(loop)
+    && typeof loop === 'object'
+    && typeof loop.lengthBeats === 'number'
+    && loop.lengthBeats > 0
+    && typeof loop.anchorAt === 'number'
+    && Array.isArray(loop.layers)
+    && loop.layers.every(Array.isArray);
+}
+
+/**
+ * Order loop events by beat, releases before starts on the same beat
+ *
+ * @param {LoopEvent} a
+ * @param {LoopEvent} b
+ * @returns {number}
+ */
+function compareEvents(a, b) {
+  return a.beat - b.beat || (b.type === 'noteOff') - (a.type === 'noteOff');
+}
+
+/**
+ * @param {number} beat
+ * @returns {number} Beat rounded for storage
+ */
+function roundBeat(beat) {
+  return Math.round(beat * 1000) / 1000;
+}
+
+/**
+ * LoopStation class
+ */
+export class LoopStation {
+  constructor() {
+    /** @type {Map<string, Loop>} Instrument ID -> loop */
+    this.loops = new Map();
+
+    /** @type {Map<string, {cycleStart: number, sentUntil: number, events: LoopEvent[], held: Set<number>, ownerId: string}>}
+     * Instrument ID -> playback position (the current pass's first downbeat, latest time scheduled) */
+    this.playheads = new Map();
+
+    /** @type {Map<string, number>} Instrument ID -> issuedAt of its last clear */
+    this.clearedAt = new Map();
+
+    /** @type {import('@/lib/time/beatGrid').BeatGrid|null} Room beat grid */
+    this.grid = null;
+
+    /** @type {{isPlaying: boolean, startAt: number|null}} Room transport */
+    this.transport = { isPlaying: false, startAt: null };
+
+    /** @type {Object|null} Recording or overdub in progress */
+    this.recording = null;
+
+    /** @type {string|null} */
+    this.userId = null;
+
+    /** @type {function(LoopMessage): void|null} Sends loop messages to peers */
+    this.send = null;
+
+    /** @type {number|null} Tone.Transport event ID of the playback loop */
+    this.repeatId = null;
+
+    this.listeners = new Set();
+
+    /** @type {Set<function(Object): void>} Called with every event playback schedules */
+    this.playbackListeners = new Set();
+  }
+
+  /**
+   * Set who we are and how loop messages reach peers
+   *
+   * @param {string|null} userId
+   * @param {function(LoopMessage): void|null} send
+   */
+  setOutput(userId, send) {
+    this.userId = userId;
+    this.send = send;
+  }
+
+  /**
+   * Follow the room tempo
+   *
+   * @param {import('@/lib/time/beatGrid').BeatGrid|null} grid - Room beat grid
+   */
+  setTempoGrid(grid) {
+    this.grid = grid;
+  }
+
+  /**
+   * Follow the room transport: loops play while it plays, from the top of its first downbeat
+   *
+   * @param {{isPlaying: boolean, startAt: number|null}} transport
+   */
+  setTransport({ isPlaying, startAt }) {
+    if (isPlaying === this.transport.isPlaying && startAt === this.transport.startAt) return;
+
+    this.stopTicking();
+    this.cancelRecording();
+    this.transport = { isPlaying, startAt };
+
+    if (isPlaying) {
+      this.playheads.forEach((playhead, instrument) => {
+        playhead.cycleStart = this.getAnchor(this.loops.get(instrument));
+        playhead.sentUntil = 0;
+      });
+      this.repeatId = Tone.Transport.scheduleRepeat(() => this.tick(), TICK_SECONDS, Tone.Transport.seconds);
+      this.tick();
+    }
+    this.notify();
+  }
+
+  /**
+   * Record a new loop of our instrument, from the next downbeat
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {number} bars - Loop length
+   * @returns {boolean} False if a loop can't be recorded now
+   */
+  record(instrument, bars) {
+    if (!this.canRecord() || this.loops.has(instrument)) return false;
+
+    const timeline = getTempoTimeline();
+    const now = syncedNow();
+    // During a count-in, the loop starts on the transport's first downbeat
+    const startAt = Math.round(Math.max(
+      getNextBarTime(timeline.getGridAt(this.grid, now), now + ARM_LEAD_MS),
+      this.transport.startAt ?? 0
+    ));
+    this.startRecording({ instrument, mode: 'record', bars, lengthBeats: bars * this.grid.beatsPerBar, startAt });
+    return true;
+  }
+
+  /**
+   * Record a layer over the next full pass of our loop
+   *
+   * @param {string} instrument - Instrument ID
+   * @returns {boolean} False if the loop can't be overdubbed now
+   */
+  overdub(instrument) {
+    const loop = this.getOwnLoop(instrument);
+    const playhead = this.playheads.get(instrument);
+    if (!this.canRecord() || !loop || !playhead || loop.layers.length >= MAX_LAYERS) return false;
+
+    const timeline = getTempoTimeline();
+    const earliest = syncedNow() + ARM_LEAD_MS;
+    let startAt = playhead.cycleStart;
+    while (startAt < earliest) {
+      startAt = timeline.getTimeAfterBeats(this.grid, startAt, loop.lengthBeats);
+    }
+    this.startRecording({ instrument, mode: 'overdub', bars: loop.bars, lengthBeats: loop.lengthBeats, startAt });
+    return true;
+  }
+
+  /**
+   * Drop the recording or overdub in progress
+   */
+  cancelRecording() {
+    if (!this.recording) return;
+    clearTimeout(this.recording.timer);
+    this.recording = null;
+    this.notify();
+  }
+
+  /**
+   * Remove the last layer of our loop (the loop goes when its last layer does)
+   *
+   * @param {string} instrument - Instrument ID
+   */
+  undo(instrument) {
+    const loop = this.getOwnLoop(instrument);
+    if (!loop) return;
+    if (loop.layers.length <= 1) {
+      this.clear(instrument);
+      return;
+    }
+    const updated = { ...loop, layers: loop.layers.slice(0, -1), updatedAt: syncedNow() };
+    this.setLoop(updated);
+    this.publish('set', instrument, updated);
+    this.notify();
+  }
+
+  /**
+   * Remove our loop
+   *
+   * @param {string} instrument - Instrument ID
+   */
+  clear(instrument) {
+    if (!this.getOwnLoop(instrument)) return;
+    const issuedAt = syncedNow();
+    this.removeLoop(instrument);
+    this.clearedAt.set(instrument, issuedAt);
+    this.publish('clear', instrument, null, issuedAt);
+    this.notify();
+  }
+
+  /**
+   * Capture a jam event we sent (for the recording in progress, if any)
+   *
+   * @param {Object} event - Local jam event (noteOn, noteOff, controlChange or pitchBend)
+   */
+  capture(event) {
+    const recording = this.recording;
+    if (!recording || event.instrument !== recording.instrument || event.senderId !== this.userId) return;
+    if (event.timestamp < recording.openAt || event.timestamp >= recording.closeAt) return;
+    if (recording.events.length >= MAX_LAYER_EVENTS) return;
+
+    const { type, note, velocity, cc, value, timestamp } = event;
+    if (type === 'noteOn' || type === 'noteOff' || type === 'controlChange' || type === 'pitchBend') {
+      recording.events.push({ type, note, velocity, cc, value, timestamp });
+    }
+  }
+
+  /**
+   * Apply a loop message from a peer
+   * The newest change to an instrument's loop wins.
+   *
+   * @param {LoopMessage} message
+   */
+  apply(message) {
+    if (!isLoopMessage(message)) return;
+
+    const { instrument, issuedAt } = message;
+    const current = this.loops.get(instrument);
+    if (issuedAt < (current?.updatedAt ?? -Infinity) || issuedAt <= (this.clearedAt.get(instrument) ?? -Infinity)) {
+      return;
+    }
+
+    if (message.action === 'clear') {
+      this.removeLoop(instrument);
+      this.clearedAt.set(instrument, issuedAt);
+    } else {
+      this.setLoop({ ...message.loop, instrument, ownerId: message.senderId, updatedAt: issuedAt });
+    }
+    this.notify();
+  }
+
+  /**
+   * Send our loops to peers again (e.g. when someone connects), with a recent
+   * pass start as the anchor
+   */
+  resend() {
+    this.loops.forEach((loop, instrument) => {
+      if (loop.ownerId !== this.userId) return;
+      const playhead = this.playheads.get(instrument);
+      this.publish('set', instrument, { ...loop, anchorAt: playhead?.cycleStart ?? loop.anchorAt });
+    });
+  }
+
+  /**
+   * Drop the loops of players who left
+   *
+   * @param {string[]} ownerIds - Users still in the room
+   */
+  retainOwners(ownerIds) {
+    const remaining = new Set(ownerIds.map(String));
+    let changed = false;
+    this.loops.forEach((loop, instrument) => {
+      if (!remaining.has(String(loop.ownerId))) {
+        this.removeLoop(instrument);
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.notify();
+    }
+  }
+
+  /**
+   * Stop everything and forget every loop (when leaving the room)
+   */
+  reset() {
+    this.stopTicking();
+    if (this.recording) {
+      clearTimeout(this.recording.timer);
+      this.recording = null;
+    }
+    Array.from(this.loops.keys()).forEach(instrument => this.removeLoop(instrument));
+    this.clearedAt.clear();
+    this.transport = { isPlaying: false, startAt: null };
+    this.notify();
+  }
+
+  /**
+   * @returns {LoopStationState}
+   */
+  getState() {
+    const recording = this.recording;
+    return {
+      loops: Array.from(this.loops.values()).map(loop => ({
+        instrument: loop.instrument,
+        ownerId: loop.ownerId,
+        bars: loop.bars,
+        layers: loop.layers.length,
+      })),
+      recording: recording
+        ? {
+            instrument: recording.instrument,
+            mode: recording.mode,
+            bars: recording.bars,
+            startAt: recording.startAt,
+            endAt: recording.endAt,
+          }
+        : null,
+      isPlaying: this.transport.isPlaying,
+    };
+  }
+
+  /**
+   * @private
+   * @returns {boolean} Whether a recording can start (transport playing, none in progress)
+   */
+  canRecord() {
+    return Boolean(this.transport.isPlaying && this.grid && this.userId && !this.recording);
+  }
+
+  /**
+   * @private
+   * @param {string} instrument
+   * @returns {Loop|null} The instrument's loop, if we own it
+   */
+  getOwnLoop(instrument) {
+    const loop = this.loops.get(instrument);
+    return loop && loop.ownerId === this.userId ? loop : null;
+  }
+
+  /**
+   * Start capturing one pass. Events up to half a quantize step early count,
+   * so a note played just ahead of the first downbeat lands on it.
+   *
+   * @private
+   * @param {Object} params
+   * @param {string} params.instrument
+   * @param {'record'|'overdub'} params.mode
+   * @param {number} params.bars
+   * @param {number} params.lengthBeats
+   * @param {number} params.startAt - syncedNow() time of the first downbeat
+   */
+  startRecording({ instrument, mode, bars, lengthBeats, startAt }) {
+    const timeline = getTempoTimeline();
+    const margin = (QUANTIZE_BEATS / 2) * getBeatDuration(timeline.getGridAt(this.grid, startAt));
+    const closeAt = timeline.getTimeAfterBeats(this.grid, startAt, lengthBeats - QUANTIZE_BEATS / 2);
+
+    this.recording = {
+      instrument,
+      mode,
+      bars,
+      lengthBeats,
+      startAt,
+      endAt: timeline.getTimeAfterBeats(this.grid, startAt, lengthBeats),
+      openAt: startAt - margin,
+      closeAt,
+      events: [],
+      timer: setTimeout(() => this.finishRecording(), Math.max(0, closeAt - syncedNow())),
+    };
+    this.notify();
+  }
+
+  /**
+   * Turn the captured pass into a loop (or a new layer) and send it to peers
+   *
+   * @private
+   */
+  finishRecording() {
+    const recording = this.recording;
+    if (!recording) return;
+    this.recording = null;
+
+    const layer = this.buildLayer(recording);
+    const current = this.getOwnLoop(recording.instrument);
+    let loop = null;
+    if (layer.length > 0 && recording.mode === 'record' && !this.loops.has(recording.instrument)) {
+      loop = {
+        instrument: recording.instrument,
+        ownerId: this.userId,
+        bars: recording.bars,
+        lengthBeats: recording.lengthBeats,
+        anchorAt: recording.startAt,
+        layers: [layer],
+        updatedAt: syncedNow(),
+      };
+    } else if (layer.length > 0 && recording.mode === 'overdub' && current) {
+      loop = { ...current, layers: [...current.layers, layer], updatedAt: syncedNow() };
+    }
+
+    if (loop) {
+      this.setLoop(loop);
+      this.publish('set', loop.instrument, loop);
+    }
+    this.notify();
+  }
+
+  /**
+   * Turn captured events into a layer: beats from the loop start, note starts
+   * quantized (a note quantized onto the end wraps to the top), every note
+   * released within the loop
+   *
+   * @private
+   * @param {Object} recording
+   * @returns {LoopEvent[]} Sorted by beat
+   */
+  buildLayer({ events, startAt, lengthBeats }) {
+    const timeline = getTempoTimeline();
+    const layer = [];
+    /** @type {Map<number, {on: LoopEvent, shift: number, wrapped: boolean}>} */
+    const open = new Map();
+
+    events.forEach(event => {
+      const beat = timeline.getBeatsBetween(this.grid, startAt, event.timestamp);
+
+      if (event.type === 'noteOn') {
+        let quantized = Math.round(beat / QUANTIZE_BEATS) * QUANTIZE_BEATS;
+        const wrapped = quantized >= lengthBeats;
+        if (wrapped) {
+          quantized -= lengthBeats;
+        }
+        const on = { type: 'noteOn', beat: roundBeat(Math.max(0, quantized)), note: event.note, velocity: event.velocity ?? 100 };
+        layer.push(on);
+        // Drum pads (string notes) have no release
+        if (typeof event.note === 'number') {
+          open.set(event.note, { on, shift: on.beat - beat, wrapped });
+        }
+      } else if (event.type === 'noteOff') {
+        // Releases keep the note's length; skip those of notes started before the pass
+        const held = open.get(event.note);
+        if (!held) return;
+        open.delete(event.note);
+        layer.push({ type: 'noteOff', beat: roundBeat(Math.min(Math.max(beat + held.shift, held.on.beat), lengthBeats)), note: event.note });
+      } else {
+        const control = { type: event.type, beat: roundBeat(Math.min(Math.max(beat, 0), lengthBeats)), value: event.value };
+        if (event.type === 'controlChange') {
+          control.cc = event.cc;
+        }
+        layer.push(control);
+      }
+    });
+
+    // Still held when the pass closed: release at the end (a wrapped note after a beat)
+    open.forEach(({ on, wrapped }) => {
+      layer.push({ type: 'noteOff', beat: wrapped ? Math.min(on.beat + 1, lengthBeats) : lengthBeats, note: on.note });
+    });
+
+    return layer.sort(compareEvents);
+  }
+
+  /**
+   * Add or replace a loop and its playhead
+   *
+   * @private
+   * @param {Loop} loop
+   */
+  setLoop(loop) {
+    const { instrument } = loop;
+    const previous = this.loops.get(instrument);
+    this.loops.set(instrument, loop);
+
+    const events = loop.layers.flat().sort(compareEvents);
+    const playhead = this.playheads.get(instrument);
+    if (!playhead) {
+      this.playheads.set(instrument, {
+        cycleStart: this.getAnchor(loop),
+        sentUntil: 0,
+        events,
+        held: new Set(),
+        ownerId: loop.ownerId,
+      });
+      return;
+    }
+    // Removed layers (undo, or a re-recorded loop) stop sounding right away
+    if (!previous || loop.layers.length < previous.layers.length) {
+      this.releaseHeld(instrument, playhead, syncedNow());
+    }
+    playhead.events = events;
+    playhead.ownerId = loop.ownerId;
+    playhead.cycleStart = this.getAnchor(loop);
+  }
+
+  /**
+   * @private
+   * @param {string} instrument
+   */
+  removeLoop(instrument) {
+    const playhead = this.playheads.get(instrument);
+    if (playhead) {
+      this.releaseHeld(instrument, playhead, syncedNow());
+    }
+    this.loops.delete(instrument);
+    this.playheads.delete(instrument);
+  }
+
+  /**
+   * Get the first downbeat of a pass: the loop's own anchor, or the
+   * transport's start if it was (re)started since
+   *
+   * @private
+   * @param {Loop} loop
+   * @returns {number} syncedNow() time
+   */
+  getAnchor(loop) {
+    const { startAt } = this.transport;
+    return startAt !== null && startAt > loop.anchorAt ? startAt : loop.anchorAt;
+  }
+
+  /**
+   * Schedule every loop event due within the lookahead window
+   *
+   * @private
+   */
+  tick() {
+    if (!this.transport.isPlaying || !this.grid) return;
+
+    const now = syncedNow();
+    const horizon = now + LOOKAHEAD_MS;
+    this.playheads.forEach((playhead, instrument) => {
+      this.tickLoop(this.loops.get(instrument), playhead, now, horizon);
+    });
+  }
+
+  /**
+   * @private
+   * @param {Loop} loop
+   * @param {Object} playhead
+   * @param {number} now - syncedNow()
+   * @param {number} horizon - Schedule up to here
+   */
+  tickLoop(loop, playhead, now, horizon) {
+    const timeline = getTempoTimeline();
+    const { lengthBeats } = loop;
+
+    while (playhead.cycleStart <= horizon) {
+      const { cycleStart } = playhead;
+      const end = timeline.getTimeAfterBeats(this.grid, cycleStart, lengthBeats);
+      const from = Math.max(now, playhead.sentUntil);
+
+      // Skip passes that are already over (e.g. after a transport start or a tab in the background)
+      if (end > from) {
+        const fromBeat = from < cycleStart ? -Infinity : timeline.getBeatsBetween(this.grid, cycleStart, from);
+        const untilBeat = horizon >= end ? lengthBeats : timeline.getBeatsBetween(this.grid, cycleStart, horizon);
+        for (const event of playhead.events) {
+          if (event.beat <= fromBeat) continue;
+          if (event.beat > untilBeat) break;
+          this.dispatch(loop.instrument, playhead, event, timeline.getTimeAfterBeats(this.grid, cycleStart, event.beat));
+        }
+      }
+
+      if (horizon < end) break;
+      this.releaseHeld(loop.instrument, playhead, end);
+      playhead.cycleStart = end;
+    }
+    playhead.sentUntil = horizon;
+  }
+
+  /**
+   * Schedule a loop event
+   *
+   * @private
+   * @param {string} instrument
+   * @param {Object} playhead
+   * @param {LoopEvent} event
+   * @param {number} timestamp - syncedNow() time it plays at
+   */
+  dispatch(instrument, playhead, event, timestamp) {
+    const senderId = getLoopSenderId(playhead.ownerId);
+    const { note } = event;
+
+    let played;
+    switch (event.type) {
+      case 'noteOn':
+        if (typeof note === 'number') {
+          playhead.held.add(note);
+        }
+        played = { type: 'noteOn', instrument, note, velocity: event.velocity ?? 100, timestamp, senderId };
+        scheduleNote(played, { onGrid: true });
+        break;
+      case 'noteOff':
+        if (!playhead.held.delete(note)) return;
+        played = { type: 'noteOff', instrument, note, timestamp, senderId };
+        scheduleNoteOff(played, { onGrid: true });
+        break;
+      case 'controlChange':
+      case 'pitchBend':
+        played = { type: event.type, instrument, cc: event.cc, value: event.value, timestamp, senderId };
+        scheduleControl(played, { onGrid: true });
+        break;
+      default:
+        return;
+    }
+    this.recordPlayback(playhead, played);
+  }
+
+  /**
+   * Release a loop's sounding notes
+   *
+   * @private
+   * @param {string} instrument
+   * @param {Object} playhead
+   * @param {number} timestamp - When to release
+   */
+  releaseHeld(instrument, playhead, timestamp) {
+    const senderId = getLoopSenderId(playhead.ownerId);
+    playhead.held.forEach(note => {
+      const noteOff = { type: 'noteOff', instrument, note, timestamp, senderId };
+      scheduleNoteOff(noteOff, { onGrid: true });
+      this.recordPlayback(playhead, noteOff);
+    });
+    playhead.held.clear();
+  }
+
+  /**
+   * Add a loop event to the session recorder and hand it to the playback
+   * listeners (loops never arrive as jam events)
+   *
+   * @private
+   * @param {Object} playhead
+   * @param {Object} event - Jam event as scheduled
+   */
+  recordPlayback(playhead, event) {
+    getSessionRecorder().recordJamEvent(event, playhead.ownerId === this.userId ? 'local' : 'remote');
+    this.playbackListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[LoopStation] Error in playback listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop the playback loop and release every sounding note
+   *
+   * @private
+   */
+  stopTicking() {
+    if (this.repeatId !== null) {
+      Tone.Transport.clear(this.repeatId);
+      this.repeatId = null;
+    }
+    const now = syncedNow();
+    this.playheads.forEach((playhead, instrument) => {
+      this.releaseHeld(instrument, playhead, Math.max(now, playhead.sentUntil));
+      playhead.sentUntil = 0;
+    });
+  }
+
+  /**
+   * Send a loop change to peers
+   *
+   * @private
+   * @param {'set'|'clear'} action
+   * @param {string} instrument
+   * @param {Loop|null} loop
+   * @param {number} [issuedAt] - Defaults to the loop's updatedAt
+   */
+  publish(action, instrument, loop, issuedAt = loop?.updatedAt) {
+    if (!this.send) return;
+    try {
+      this.send({
+        type: LOOP_MESSAGE_TYPE,
+        action,
+        instrument,
+        loop,
+        senderId: this.userId,
+        issuedAt,
+      });
+    } catch (error) {
+      console.warn('[LoopStation] Failed to send loop update:', error);
+    }
+  }
+
+  /**
+   * Subscribe to loop station state changes
+   *
+   * @param {function(LoopStationState): void} listener - Called with the new state
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to the events loop playback schedules
+   *
+   * @param {function(Object): void} listener - Called with each jam event, ahead of its timestamp
+   * @returns {function(): void} Unsubscribe function
+   */
+  onPlayback(listener) {
+    this.playbackListeners.add(listener);
+    return () => this.playbackListeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('[LoopStation] Error in listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let loopStation = null;
+
+/**
+ * Get or create the singleton LoopStation instance
+ *
+ * @returns {LoopStation} LoopStation instance
+ */
+export function getLoopStation() {
+  if (!loopStation) {
+    loopStation = new LoopStation();
+  }
+  return loopStation;
+}
@@ -0,0 +1,313 @@
+import { syncedNow } from '@/lib/time/syncedNow';
+
+/**
+ * Adaptive Playout Delay
+ *
+ * How long after its timestamp a remote note is played, worked out per
+ * sender. Every live event from a peer gives a one-way delay sample
+ * (arrival syncedNow() - event.timestamp, so it includes the sender's
+ * bundling and any clock sync error). From the last WINDOW_SIZE samples the
+ * target delay is the median plus twice the jitter (95th percentile - median)
+ * plus SAFETY_MARGIN_MS, kept within this device's min/max bounds.
+ *
+ * The delay in use glides toward the target (RISE/FALL_MS_PER_SECOND) instead
+ * of jumping, so a change never moves one note audibly against the next.
+ *
+ * Senders without samples yet, and local sources that schedule ahead of time
+ * (session playback), use DEFAULT_DELAY_MS. Loops and the step sequencer play
+ * on the beat grid with no delay (see scheduler.js).
+ */
+
+/**
+ * Delay used until a sender has been measured (ms)
+ */
+export const DEFAULT_DELAY_MS = 50;
+
+/**
+ * Default bounds of the playout delay (ms)
+ */
+export const DEFAULT_MIN_DELAY_MS = 15;
+export const DEFAULT_MAX_DELAY_MS = 300;
+
+/**
+ * Widest range the bounds can be set to (ms)
+ */
+export const DELAY_LIMIT_MS = 1000;
+
+/**
+ * Samples kept per sender
+ */
+const WINDOW_SIZE = 100;
+
+/**
+ * Samples needed before the delay adapts
+ */
+const MIN_SAMPLES = 10;
+
+/**
+ * Added on top of the measured delay and jitter (ms)
+ */
+const SAFETY_MARGIN_MS = 5;
+
+/**
+ * Samples further off than this are ignored (ms); such events are dropped as stale anyway
+ */
+const MAX_SAMPLE_MS = 1500;
+
+/**
+ * How fast the delay in use follows the target (ms of delay per second).
+ * It rises faster than it falls: a delay that is too short drops notes.
+ */
+const RISE_MS_PER_SECOND = 20;
+const FALL_MS_PER_SECOND = 5;
+
+const STORAGE_KEY_BOUNDS = 'jam_playoutDelayBounds';
+
+/**
+ * @typedef {Object} PlayoutDelayBounds
+ * @property {number} minMs
+ * @property {number} maxMs
+ */
+
+/**
+ * @typedef {Object} SenderDelayStats
+ * @property {string} senderId
+ * @property {number} delayMs - Playout delay in use
+ * @property {number} targetMs - Delay it is moving toward
+ * @property {number|null} medianMs - Median one-way delay (null until measured)
+ * @property {number|null} p95Ms - 95th percentile one-way delay
+ * @property {number|null} jitterMs - p95Ms - medianMs
+ * @property {number} samples - Samples in the window
+ * @property {number} late - Notes that arrived after their play time
+ */
+
+/**
+ * @param {number[]} sorted - Ascending
+ * @param {number} fraction - 0-1
+ * @returns {number}
+ */
+function percentile(sorted, fraction) {
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1));
+  return sorted[index];
+}
+
+/**
+ * @param {Object} bounds
+ * @returns {PlayoutDelayBounds}
+ */
+function normalizeBounds(bounds) {
+  const clampLimit = (value, fallback) => (
+    Number.isFinite(Number(value)) ? Math.max(0, Math.min(DELAY_LIMIT_MS, Math.round(Number(value)))) : fallback
+  );
+  const minMs = clampLimit(bounds?.minMs, DEFAULT_MIN_DELAY_MS);
+  const maxMs = Math.max(minMs, clampLimit(bounds?.maxMs, DEFAULT_MAX_DELAY_MS));
+  return { minMs, maxMs };
+}
+
+/**
+ * PlayoutDelay class
+ */
+export class PlayoutDelay {
+  constructor() {
+    /** @type {PlayoutDelayBounds} */
+    this.bounds = this.loadBounds();
+
+    /** @type {Map<string, Object>} Sender ID -> {samples, delayMs, targetMs, updatedAt, late} */
+    this.senders = new Map();
+  }
+
+  /**
+   * Record the one-way delay of a live event from a sender
+   *
+   * @param {string} senderId
+   * @param {number} delayMs - syncedNow() on arrival - event.timestamp
+   * @param {number} [nowMs] - syncedNow()
+   */
+  observe(senderId, delayMs, nowMs = syncedNow()) {
+    if (!senderId || !Number.isFinite(delayMs) || Math.abs(delayMs) > MAX_SAMPLE_MS) return;
+
+    let sender = this.senders.get(senderId);
+    if (!sender) {
+      const delay = this.clamp(DEFAULT_DELAY_MS);
+      sender = { samples: [], delayMs: delay, targetMs: delay, updatedAt: nowMs, late: 0 };
+      this.senders.set(senderId, sender);
+    }
+
+    this.glide(sender, nowMs);
+    sender.samples.push(delayMs);
+    if (sender.samples.length > WINDOW_SIZE) {
+      sender.samples.shift();
+    }
+    if (sender.samples.length >= MIN_SAMPLES) {
+      const { medianMs, p95Ms } = this.getPercentiles(sender);
+      sender.targetMs = this.clamp(medianMs + 2 * (p95Ms - medianMs) + SAFETY_MARGIN_MS);
+    }
+  }
+
+  /**
+   * Get the playout delay for a sender's events
+   *
+   * @param {string} [senderId]
+   * @param {number} [nowMs] - syncedNow()
+   * @returns {number} Milliseconds after the event timestamp to play it
+   */
+  getDelay(senderId, nowMs = syncedNow()) {
+    const sender = senderId ? this.senders.get(senderId) : null;
+    if (!sender) {
+      return DEFAULT_DELAY_MS;
+    }
+    this.glide(sender, nowMs);
+    return sender.delayMs;
+  }
+
+  /**
+   * Count a note from a sender that arrived too late to play
+   *
+   * @param {string} [senderId]
+   */
+  reportLate(senderId) {
+    const sender = senderId ? this.senders.get(senderId) : null;
+    if (sender) {
+      sender.late++;
+    }
+  }
+
+  /**
+   * @returns {PlayoutDelayBounds}
+   */
+  getBounds() {
+    return this.bounds;
+  }
+
+  /**
+   * Change the bounds (and remember them on this device)
+   *
+   * @param {Partial<PlayoutDelayBounds>} changes
+   */
+  setBounds(changes) {
+    this.bounds = normalizeBounds({ ...this.bounds, ...changes });
+    this.senders.forEach(sender => {
+      sender.targetMs = this.clamp(sender.targetMs);
+      sender.delayMs = this.clamp(sender.delayMs);
+    });
+    try {
+      localStorage.setItem(STORAGE_KEY_BOUNDS, JSON.stringify(this.bounds));
+    } catch (error) {
+      console.warn('[PlayoutDelay] Failed to save bounds:', error);
+    }
+  }
+
+  /**
+   * Get the delay figures of every measured sender (for the UI)
+   *
+   * @param {number} [nowMs] - syncedNow()
+   * @returns {SenderDelayStats[]}
+   */
+  getTelemetry(nowMs = syncedNow()) {
+    return Array.from(this.senders.entries()).map(([senderId, sender]) => {
+      this.glide(sender, nowMs);
+      const { medianMs, p95Ms } = sender.samples.length > 0
+        ? this.getPercentiles(sender)
+        : { medianMs: null, p95Ms: null };
+      return {
+        senderId,
+        delayMs: sender.delayMs,
+        targetMs: sender.targetMs,
+        medianMs,
+        p95Ms,
+        jitterMs: medianMs === null ? null : p95Ms - medianMs,
+        samples: sender.samples.length,
+        late: sender.late,
+      };
+    });
+  }
+
+  /**
+   * Forget senders who left
+   *
+   * @param {string[]} senderIds - Senders to keep
+   */
+  retainSenders(senderIds) {
+    const keep = new Set(senderIds.map(String));
+    Array.from(this.senders.keys()).forEach(senderId => {
+      if (!keep.has(String(senderId))) {
+        this.senders.delete(senderId);
+      }
+    });
+  }
+
+  /**
+   * Forget every sender (when leaving the room)
+   */
+  reset() {
+    this.senders.clear();
+  }
+
+  /**
+   * Move the delay in use toward the target, as far as the time since the last move allows
+   *
+   * @private
+   * @param {Object} sender
+   * @param {number} nowMs
+   */
+  glide(sender, nowMs) {
+    const elapsedSeconds = Math.max(0, nowMs - sender.updatedAt) / 1000;
+    sender.updatedAt = nowMs;
+    const difference = sender.targetMs - sender.delayMs;
+    if (difference > 0) {
+      sender.delayMs += Math.min(difference, RISE_MS_PER_SECOND * elapsedSeconds);
+    } else if (difference < 0) {
+      sender.delayMs -= Math.min(-difference, FALL_MS_PER_SECOND * elapsedSeconds);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} sender
+   * @returns {{medianMs: number, p95Ms: number}}
+   */
+  getPercentiles(sender) {
+    const sorted = [...sender.samples].sort((a, b) => a - b);
+    return { medianMs: percentile(sorted, 0.5), p95Ms: percentile(sorted, 0.95) };
+  }
+
+  /**
+   * @private
+   * @param {number} delayMs
+   * @returns {number}
+   */
+  clamp(delayMs) {
+    return Math.max(this.bounds.minMs, Math.min(this.bounds.maxMs, delayMs));
+  }
+
+  /**
+   * @private
+   * @returns {PlayoutDelayBounds}
+   */
+  loadBounds() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY_BOUNDS) : null;
+      if (stored) {
+        return normalizeBounds(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.warn('[PlayoutDelay] Failed to load bounds:', error);
+    }
+    return { minMs: DEFAULT_MIN_DELAY_MS, maxMs: DEFAULT_MAX_DELAY_MS };
+  }
+}
+
+// Singleton instance (shared across the app)
+let playoutDelay = null;
+
+/**
+ * Get or create the singleton PlayoutDelay instance
+ *
+ * @returns {PlayoutDelay} PlayoutDelay instance
+ */
+export function getPlayoutDelay() {
+  if (!playoutDelay) {
+    playoutDelay = new PlayoutDelay();
+  }
+  return playoutDelay;
+}
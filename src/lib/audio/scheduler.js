@@ -2,9 +2,11 @@ import * as Tone from 'tone';
 import { syncedNow } from '@/lib/time/syncedNow';
 import * as ToneInstruments from '@/lib/instruments';
 import { getEventBufferManager } from './eventBufferManager';
+import { getMidiOutput } from '@/lib/midi/midiOutput';
+import { getPlayoutDelay, DEFAULT_DELAY_MS } from './playoutDelay';
 
 /**
- * Global Latency Buffer
+ * Default Latency Buffer
  * 
  * This buffer ensures notes are scheduled far enough in the future to account for:
  * - Network jitter
@@ -12,9 +14,24 @@ import { getEventBufferManager } from './eventBufferManager';
  * - Clock drift
  * - Audio buffer latency
  * 
- * Start with 50ms. Can be adjusted per environment (low-latency vs. high-latency networks).
+ * Events play at timestamp + the sender's playout delay, which adapts to the
+ * delay and jitter measured from each peer (see playoutDelay.js). This 50ms is
+ * used until a peer has been measured, and for session playback. Loops and
+ * the step sequencer are already on the beat grid and play at their
+ * timestamp, in time with the metronome (see ScheduleOptions.onGrid).
  */
-export const LATENCY_BUFFER_MS = 50; // 50ms default buffer
+export const LATENCY_BUFFER_MS = DEFAULT_DELAY_MS; // 50ms default buffer
+
+/**
+ * Listener Playout Delay
+ *
+ * Listeners get the band's events from the host over Supabase Realtime (see
+ * lib/crowdChannel.js): an extra hop plus batching, with far more jitter than
+ * a DataChannel. They play every event this long after its timestamp instead
+ * of adapting per sender, which keeps the players in time with each other.
+ * Must stay under EventBufferManager's stale threshold (1500ms).
+ */
+export const LISTENER_DELAY_MS = 750;
 
 /**
  * Debug flag for scheduler logging
@@ -31,6 +48,43 @@ const stats = {
   lastDroppedTime: 0,
 };
 
+/**
+ * Fixed playout delay for every sender (ms), or null to use the adaptive one
+ */
+let fixedDelayMs = null;
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {boolean} [onGrid=false] - Local source scheduled ahead on the beat
+ *   grid (loops, the step sequencer): play at the timestamp, with no playout delay
+ */
+
+/**
+ * Get the playout delay for a sender's events
+ *
+ * @param {string} [senderId]
+ * @param {number} now - Current server-aligned time (syncedNow())
+ * @param {ScheduleOptions} [options]
+ * @returns {number} Milliseconds
+ */
+function getDelay(senderId, now, { onGrid = false } = {}) {
+  if (fixedDelayMs !== null) {
+    return fixedDelayMs;
+  }
+  return onGrid ? 0 : getPlayoutDelay().getDelay(senderId, now);
+}
+
+/**
+ * Convert a server-aligned play time to a performance.now() time (for Web MIDI output)
+ *
+ * @param {number} playAt - Server-aligned time in milliseconds
+ * @param {number} now - Current server-aligned time (syncedNow())
+ * @returns {number} performance.now() time in milliseconds
+ */
+function toPerformanceTime(playAt, now) {
+  return performance.now() + Math.max(0, playAt - now);
+}
+
 /**
  * Schedule a note event for playback
  * 
@@ -44,10 +98,11 @@ const stats = {
  * @param {number|string} event.note - MIDI note (0-127) or drum pad ID
  * @param {number} event.velocity - MIDI velocity (0-127)
  * @param {number} event.timestamp - Server-aligned timestamp in milliseconds (from syncedNow())
- * @param {string} [event.senderId] - Optional sender ID for logging
+ * @param {string} [event.senderId] - Optional sender ID (picks the playout delay)
+ * @param {ScheduleOptions} [options]
  * @returns {boolean} True if scheduled, false if dropped (too late, duplicate, stale, etc.)
  */
-export function scheduleNote(event) {
+export function scheduleNote(event, options) {
   if (!event || !event.instrument || event.note === undefined) {
     console.warn('[Scheduler] Invalid event:', event);
     return false;
@@ -64,8 +119,8 @@ export function scheduleNote(event) {
   // Get current server-aligned time
   const now = syncedNow();
   
-  // Calculate when the note should play (timestamp + buffer)
-  const playAt = event.timestamp + LATENCY_BUFFER_MS;
+  // Calculate when the note should play (timestamp + the sender's playout delay)
+  const playAt = event.timestamp + getDelay(event.senderId, now, options);
   
   // Filter too-late notes
   if (playAt < now) {
@@ -73,6 +128,9 @@ export function scheduleNote(event) {
     stats.totalDropped++;
     stats.totalLate++;
     stats.lastDroppedTime = now;
+    if (fixedDelayMs === null && !options?.onGrid) {
+      getPlayoutDelay().reportLate(event.senderId);
+    }
     
     if (DEBUG_SCHEDULER) {
       console.warn('[Scheduler] Dropped late note:', {
@@ -133,6 +191,9 @@ export function scheduleNote(event) {
     }
   }, finalScheduleTime);
 
+  // Forward to an external synth, if this instrument is routed to a MIDI output
+  getMidiOutput().sendNoteOn(event.instrument, event.note, event.velocity || 100, toPerformanceTime(playAt, now));
+
   if (DEBUG_SCHEDULER) {
     console.log('[Scheduler] Scheduled note:', {
       instrument: event.instrument,
@@ -148,6 +209,121 @@ export function scheduleNote(event) {
   return true; // Successfully scheduled
 }
 
+/**
+ * Schedule the release of a held note (noteOff for sustained instruments)
+ *
+ * Uses the same timestamp + playout delay as scheduleNote() so the
+ * held length matches what the sender played. Unlike scheduleNote(), releases
+ * skip the EventBufferManager and are never dropped: a late release is applied
+ * immediately, because a lost release leaves a note ringing forever.
+ *
+ * @param {Object} event - Note off event object
+ * @param {string} event.instrument - Instrument name
+ * @param {number|string} event.note - MIDI note (0-127)
+ * @param {number} event.timestamp - Server-aligned timestamp in milliseconds (from syncedNow())
+ * @param {string} [event.senderId] - Optional sender ID (picks the playout delay)
+ * @param {ScheduleOptions} [options]
+ * @returns {boolean} True if scheduled (or released immediately), false if invalid
+ */
+export function scheduleNoteOff(event, options) {
+  if (!event || !event.instrument || event.note === undefined) {
+    console.warn('[Scheduler] Invalid note off event:', event);
+    return false;
+  }
+
+  const now = syncedNow();
+  const playAt = (typeof event.timestamp === 'number' ? event.timestamp : now) + getDelay(event.senderId, now, options);
+  const timeUntilRelease = Math.max(0, (playAt - now) / 1000);
+
+  const release = () => {
+    try {
+      ToneInstruments.releaseNote(event.instrument, event.note);
+    } catch (error) {
+      console.error('[Scheduler] Error releasing note:', error);
+    }
+  };
+
+  getMidiOutput().sendNoteOff(event.instrument, event.note, toPerformanceTime(playAt, now));
+
+  if (timeUntilRelease === 0) {
+    release();
+    return true;
+  }
+
+  const currentTransportTime = Tone.Transport.seconds;
+  Tone.Transport.scheduleOnce(release, currentTransportTime + Math.max(timeUntilRelease, 0.001));
+
+  if (DEBUG_SCHEDULER) {
+    console.log('[Scheduler] Scheduled release:', {
+      instrument: event.instrument,
+      note: event.note,
+      playAt,
+      timeUntilRelease: `${(timeUntilRelease * 1000).toFixed(2)}ms`,
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Schedule a pitch bend or control change event
+ *
+ * Same timing as scheduleNoteOff(): the event lands on the sender's timeline
+ * (timestamp + playout delay) so bends and pedal moves line up with the
+ * notes around them, and it is applied immediately if already late. Controls
+ * skip the EventBufferManager because its overlap filter is keyed by note.
+ *
+ * @param {Object} event - Control event object
+ * @param {string} event.instrument - Instrument name
+ * @param {'pitchBend'|'controlChange'} event.type - Event type
+ * @param {number} event.value - Pitch bend (-8192 to 8191) or CC value (0-127)
+ * @param {number} [event.cc] - CC number (controlChange only)
+ * @param {number} event.timestamp - Server-aligned timestamp in milliseconds (from syncedNow())
+ * @param {string} [event.senderId] - Optional sender ID (picks the playout delay)
+ * @param {ScheduleOptions} [options]
+ * @returns {boolean} True if scheduled (or applied immediately), false if invalid
+ */
+export function scheduleControl(event, options) {
+  if (!event || !event.instrument || typeof event.value !== 'number') {
+    console.warn('[Scheduler] Invalid control event:', event);
+    return false;
+  }
+
+  const now = syncedNow();
+  const playAt = (typeof event.timestamp === 'number' ? event.timestamp : now) + getDelay(event.senderId, now, options);
+  const timeUntilApply = Math.max(0, (playAt - now) / 1000);
+
+  const apply = () => {
+    try {
+      ToneInstruments.applyControl(event.instrument, event);
+    } catch (error) {
+      console.error('[Scheduler] Error applying control event:', error);
+    }
+  };
+
+  getMidiOutput().sendControl(event.instrument, event, toPerformanceTime(playAt, now));
+
+  if (timeUntilApply === 0) {
+    apply();
+    return true;
+  }
+
+  const currentTransportTime = Tone.Transport.seconds;
+  Tone.Transport.scheduleOnce(apply, currentTransportTime + Math.max(timeUntilApply, 0.001));
+
+  if (DEBUG_SCHEDULER) {
+    console.log('[Scheduler] Scheduled control:', {
+      instrument: event.instrument,
+      type: event.type,
+      cc: event.cc,
+      value: event.value,
+      playAt,
+    });
+  }
+
+  return true;
+}
+
 /**
  * Schedule multiple note events (for chords or bundles)
  * 
@@ -216,7 +392,9 @@ export function resetSchedulerStats() {
 }
 
 /**
- * Set latency buffer (for testing or environment-specific tuning)
+ * Pin the playout delay of remote senders (for testing or environment-specific tuning)
+ * Only until the page reloads (or setFixedPlayoutDelay(null)); the adaptive
+ * delay's saved bounds are left alone.
  * 
  * @param {number} bufferMs - New buffer in milliseconds
  */
@@ -226,8 +404,20 @@ export function setLatencyBuffer(bufferMs) {
     return;
   }
   
-  // Update the constant (note: this is a workaround since we can't modify const)
-  // In production, use a config object instead
-  console.log(`[Scheduler] Latency buffer set to ${bufferMs}ms (note: requires code update to persist)`);
+  setFixedPlayoutDelay(bufferMs);
 }
 
+/**
+ * Play every sender's events a fixed time after their timestamps (listeners,
+ * see LISTENER_DELAY_MS), or go back to the adaptive per-sender delay
+ *
+ * @param {number|null} delayMs - Delay in milliseconds, or null for adaptive
+ */
+export function setFixedPlayoutDelay(delayMs) {
+  if (delayMs !== null && (delayMs < 0 || delayMs > 1500)) {
+    console.warn('[Scheduler] Invalid fixed delay, must be between 0 and 1500ms');
+    return;
+  }
+
+  fixedDelayMs = delayMs;
+}
@@ -0,0 +1,493 @@
+import * as Tone from 'tone';
+import { syncedNow } from '@/lib/time/syncedNow';
+import { scheduleNote, scheduleNoteOff, scheduleControl } from './scheduler';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+
+/**
+ * Session Player
+ *
+ * Plays a jam event log (see recording/eventLog.js) into the room. The log is
+ * streamed in small batches from a Tone.Transport loop: each event gets a
+ * syncedNow() timestamp a little in the future and goes through the same
+ * timestamp-based scheduler path as remote notes (scheduleNote etc.), so it
+ * plays locally at timestamp + LATENCY_BUFFER_MS. The same events are handed
+ * to the broadcaster (see useSessionPlayer), so peers schedule them on the
+ * same timestamps and everyone hears the playback in sync.
+ *
+ * Mutes are applied here, before events are sent, so they apply for everyone.
+ *
+ * Playback follows the room tempo: the log plays at its own speed at the tempo
+ * the room had when it was loaded, and faster or slower as the tempo changes
+ * (including each bar of a tempo ramp, see tempoTimeline.js).
+ */
+
+/**
+ * How often the playback loop runs (seconds)
+ */
+const TICK_SECONDS = 0.05;
+
+/**
+ * How far ahead of now events are sent (ms)
+ * Must stay well under the scheduler's stale threshold.
+ */
+const LOOKAHEAD_MS = 200;
+
+/**
+ * Delay before playback starts after play/seek (ms), so the first events reach peers in time
+ */
+const START_DELAY_MS = LOOKAHEAD_MS;
+
+/**
+ * Shortest log we'll loop (ms)
+ */
+const MIN_LOOP_MS = 250;
+
+/**
+ * @typedef {Object} SessionPlayerState
+ * @property {boolean} isLoaded - Whether an event log is loaded
+ * @property {string|null} name - Name of the loaded log
+ * @property {number} durationMs - Length of the loaded log
+ * @property {string[]} instruments - Instruments in the loaded log
+ * @property {boolean} isPlaying
+ * @property {boolean} loop
+ * @property {string[]} muted - Muted instrument IDs
+ */
+
+/**
+ * SessionPlayer class
+ */
+export class SessionPlayer {
+  constructor() {
+    /** @type {import('@/lib/recording/eventLog').EventLog|null} */
+    this.log = null;
+    this.name = null;
+
+    this.isPlaying = false;
+    this.loop = false;
+
+    /** @type {Set<string>} Muted instrument IDs */
+    this.muted = new Set();
+
+    /** @type {number} Playback position while paused (ms) */
+    this.position = 0;
+
+    /** @type {{syncedTime: number, position: number, rate: number}|null} syncedNow() time at which
+     * `position` plays, and the playback rate from there */
+    this.anchor = null;
+
+    /** @type {import('@/lib/time/beatGrid').BeatGrid|null} Room beat grid (tempo source) */
+    this.grid = null;
+
+    /** @type {number|null} Room tempo the log plays at its own speed */
+    this.baseBpm = null;
+
+    /** @type {number} Index of the next event to send */
+    this.nextIndex = 0;
+
+    /** @type {number} Latest timestamp sent so far */
+    this.sentUntil = 0;
+
+    /** @type {Map<string, {instrument: string, note: number|string}>} Notes started and not yet released */
+    this.held = new Map();
+
+    /** @type {number|null} Tone.Transport event ID of the playback loop */
+    this.repeatId = null;
+
+    /** @type {string} senderId stamped on playback events */
+    this.senderId = 'playback';
+
+    /** @type {function(Object): void|null} Sends playback events to peers */
+    this.broadcast = null;
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Set who playback events are sent as, and how they reach peers
+   *
+   * @param {string} senderId - senderId for playback events (see getPlaybackSenderId)
+   * @param {function(Object): void|null} broadcast - Called with every event sent (type,
+   *   instrument, note, velocity, cc, value, timestamp)
+   */
+  setOutput(senderId, broadcast) {
+    this.senderId = senderId;
+    this.broadcast = broadcast;
+  }
+
+  /**
+   * Follow the room tempo
+   *
+   * @param {import('@/lib/time/beatGrid').BeatGrid|null} grid - Room beat grid (null = play at the log's own speed)
+   */
+  setTempoGrid(grid) {
+    this.grid = grid;
+    if (grid && this.log && this.baseBpm === null) {
+      this.baseBpm = this.getBpmAt(syncedNow());
+    }
+  }
+
+  /**
+   * Load an event log, replacing (and stopping) the current one
+   *
+   * @param {import('@/lib/recording/eventLog').EventLog} log - Parsed event log
+   * @param {string} [name] - Display name (e.g. the file name)
+   */
+  load(log, name = null) {
+    this.stopPlayback();
+    this.log = log;
+    this.name = name;
+    this.position = 0;
+    this.baseBpm = this.grid ? this.getBpmAt(syncedNow()) : null;
+    this.muted.clear();
+    this.notify();
+  }
+
+  /**
+   * Stop playback and forget the loaded log
+   */
+  unload() {
+    this.stopPlayback();
+    this.log = null;
+    this.name = null;
+    this.position = 0;
+    this.muted.clear();
+    this.notify();
+  }
+
+  /**
+   * Start (or resume) playback from the current position
+   *
+   * @param {number} [syncedTime] - syncedNow() time to start at (e.g. the room
+   *   transport's start); defaults to as soon as possible
+   */
+  play(syncedTime) {
+    if (!this.log || this.isPlaying) return;
+
+    if (this.position >= this.log.durationMs) {
+      this.position = 0;
+    }
+    this.startAt(this.position, syncedTime);
+    this.isPlaying = true;
+    this.repeatId = Tone.Transport.scheduleRepeat(() => this.tick(), TICK_SECONDS, Tone.Transport.seconds);
+    this.tick();
+    this.notify();
+  }
+
+  /**
+   * Pause playback at the current position
+   */
+  pause() {
+    if (!this.isPlaying) return;
+    this.position = this.getPosition();
+    this.stopPlayback();
+    this.notify();
+  }
+
+  /**
+   * Jump to a position
+   *
+   * @param {number} positionMs - Position in the log (ms)
+   */
+  seek(positionMs) {
+    if (!this.log) return;
+    const position = Math.max(0, Math.min(positionMs, this.log.durationMs));
+
+    if (this.isPlaying) {
+      this.releaseHeld();
+      this.startAt(position);
+    } else {
+      this.position = position;
+    }
+    this.notify();
+  }
+
+  /**
+   * Turn looping on or off (playback wraps to the start after the last event)
+   *
+   * @param {boolean} loop
+   */
+  setLoop(loop) {
+    this.loop = Boolean(loop);
+    this.notify();
+  }
+
+  /**
+   * Mute or unmute an instrument in the playback
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {boolean} muted
+   */
+  setMuted(instrument, muted) {
+    if (muted) {
+      this.muted.add(instrument);
+      this.releaseHeld(instrument);
+    } else {
+      this.muted.delete(instrument);
+    }
+    this.notify();
+  }
+
+  /**
+   * Get the playback position
+   *
+   * @returns {number} Position in the log (ms)
+   */
+  getPosition() {
+    if (!this.isPlaying || !this.anchor || !this.log) {
+      return this.position;
+    }
+    return Math.min(this.getPositionAt(Math.max(syncedNow(), this.anchor.syncedTime)), this.log.durationMs);
+  }
+
+  /**
+   * @returns {SessionPlayerState}
+   */
+  getState() {
+    return {
+      isLoaded: Boolean(this.log),
+      name: this.name,
+      durationMs: this.log?.durationMs ?? 0,
+      instruments: this.log?.instruments ?? [],
+      isPlaying: this.isPlaying,
+      loop: this.loop,
+      muted: Array.from(this.muted),
+    };
+  }
+
+  /**
+   * Play from a position, at a given time or START_DELAY_MS from now
+   *
+   * @private
+   * @param {number} position - Position in the log (ms)
+   * @param {number} [syncedTime] - syncedNow() time to start at
+   */
+  startAt(position, syncedTime) {
+    // Don't start before the events already sent have played
+    const startTime = Math.max(syncedNow() + START_DELAY_MS, this.sentUntil, syncedTime ?? 0);
+    this.anchor = { syncedTime: startTime, position, rate: this.getRate(startTime) };
+    const index = this.log.events.findIndex(event => event.time >= position);
+    this.nextIndex = index === -1 ? this.log.events.length : index;
+  }
+
+  /**
+   * Send every event due within the lookahead window
+   *
+   * @private
+   */
+  tick() {
+    if (!this.isPlaying || !this.log) return;
+
+    const now = syncedNow();
+    const horizon = now + LOOKAHEAD_MS;
+    const { events, durationMs } = this.log;
+
+    for (;;) {
+      // A tempo change in the window: send what plays before it, then go on at the new rate
+      const change = this.grid && this.baseBpm
+        ? getTempoTimeline().getNextStep(this.grid, this.anchor.syncedTime, horizon)
+        : null;
+      const until = change ? change.at : horizon;
+
+      while (this.nextIndex < events.length) {
+        const event = events[this.nextIndex];
+        const timestamp = this.getTimestamp(event.time);
+        if (timestamp > until) break;
+        this.nextIndex++;
+        this.send(event, timestamp);
+      }
+
+      const endTime = this.getTimestamp(durationMs);
+      if (this.nextIndex >= events.length && endTime <= until) {
+        if (this.loop && durationMs >= MIN_LOOP_MS) {
+          this.releaseHeld(null, endTime);
+          this.anchor = { ...this.anchor, syncedTime: endTime, position: 0 };
+          this.nextIndex = 0;
+          continue;
+        }
+        if (now >= endTime) {
+          this.position = durationMs;
+          this.stopPlayback();
+          this.notify();
+        }
+        return;
+      }
+
+      if (!change) return;
+      this.anchor = {
+        syncedTime: change.at,
+        position: this.getPositionAt(change.at),
+        rate: change.bpm / this.baseBpm,
+      };
+    }
+  }
+
+  /**
+   * Get the room tempo at a time
+   *
+   * @private
+   * @param {number} timeMs - syncedNow() time
+   * @returns {number} BPM
+   */
+  getBpmAt(timeMs) {
+    return getTempoTimeline().getGridAt(this.grid, timeMs).bpm;
+  }
+
+  /**
+   * Get the playback rate at a time
+   *
+   * @private
+   * @param {number} timeMs - syncedNow() time
+   * @returns {number} 1 = the log's own speed
+   */
+  getRate(timeMs) {
+    return this.grid && this.baseBpm ? this.getBpmAt(timeMs) / this.baseBpm : 1;
+  }
+
+  /**
+   * Get the log position playing at a time (from the current anchor)
+   *
+   * @private
+   * @param {number} timeMs - syncedNow() time
+   * @returns {number} Position in the log (ms)
+   */
+  getPositionAt(timeMs) {
+    return this.anchor.position + (timeMs - this.anchor.syncedTime) * this.anchor.rate;
+  }
+
+  /**
+   * Get the time a log position plays at (from the current anchor)
+   *
+   * @private
+   * @param {number} position - Position in the log (ms)
+   * @returns {number} syncedNow() time
+   */
+  getTimestamp(position) {
+    return this.anchor.syncedTime + (position - this.anchor.position) / this.anchor.rate;
+  }
+
+  /**
+   * Schedule an event locally and send it to peers
+   *
+   * @private
+   * @param {Object} logged - Event from the log
+   * @param {number} timestamp - syncedNow() time it plays at
+   */
+  send(logged, timestamp) {
+    const { instrument, note } = logged;
+    if (this.muted.has(instrument)) return;
+
+    // Drum pads (string notes) have no release
+    const key = `${instrument}|${note}`;
+    if (logged.type === 'noteOn' && typeof note === 'number') {
+      this.held.set(key, { instrument, note });
+    } else if (logged.type === 'noteOff') {
+      // Skip releases for notes we didn't start (e.g. held across a seek)
+      if (!this.held.delete(key)) return;
+    }
+
+    this.dispatch({ ...logged, time: undefined, timestamp, senderId: this.senderId });
+  }
+
+  /**
+   * @private
+   * @param {Object} event - Event with its playback timestamp
+   */
+  dispatch(event) {
+    this.sentUntil = Math.max(this.sentUntil, event.timestamp);
+
+    switch (event.type) {
+      case 'noteOn':
+        scheduleNote({ ...event, velocity: event.velocity ?? 100 });
+        break;
+      case 'noteOff':
+        scheduleNoteOff(event);
+        break;
+      case 'controlChange':
+      case 'pitchBend':
+        scheduleControl(event);
+        break;
+      default:
+        return;
+    }
+
+    if (this.broadcast) {
+      try {
+        this.broadcast(event);
+      } catch (error) {
+        console.error('[SessionPlayer] Error broadcasting playback event:', error);
+      }
+    }
+  }
+
+  /**
+   * Release held notes, after everything already sent has played
+   *
+   * @private
+   * @param {string|null} [instrument] - Only release this instrument's notes
+   * @param {number} [timestamp] - When to release (defaults to after the last sent event)
+   */
+  releaseHeld(instrument = null, timestamp = Math.max(syncedNow(), this.sentUntil)) {
+    this.held.forEach((voice, key) => {
+      if (instrument && voice.instrument !== instrument) return;
+      this.held.delete(key);
+      this.dispatch({ type: 'noteOff', instrument: voice.instrument, note: voice.note, timestamp, senderId: this.senderId });
+    });
+  }
+
+  /**
+   * Stop the playback loop and release held notes
+   *
+   * @private
+   */
+  stopPlayback() {
+    if (this.repeatId !== null) {
+      Tone.Transport.clear(this.repeatId);
+      this.repeatId = null;
+    }
+    if (this.isPlaying) {
+      this.releaseHeld();
+    }
+    this.isPlaying = false;
+    this.anchor = null;
+  }
+
+  /**
+   * Subscribe to player state changes
+   *
+   * @param {function(SessionPlayerState): void} listener - Called with the new state
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('[SessionPlayer] Error in listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let sessionPlayer = null;
+
+/**
+ * Get or create the singleton SessionPlayer instance
+ *
+ * @returns {SessionPlayer} SessionPlayer instance
+ */
+export function getSessionPlayer() {
+  if (!sessionPlayer) {
+    sessionPlayer = new SessionPlayer();
+  }
+  return sessionPlayer;
+}
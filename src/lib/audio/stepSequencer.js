@@ -0,0 +1,548 @@
+import * as Tone from 'tone';
+import { syncedNow } from '@/lib/time/syncedNow';
+import { getNextBarTime, TEMPO_CHANGE_LEAD_MS } from '@/lib/time/beatGrid';
+import { getTempoTimeline } from '@/lib/time/tempoTimeline';
+import { getInstrument } from '@/lib/instruments/registry';
+import { getSessionRecorder } from '@/lib/recording/sessionRecorder';
+import { scheduleNote } from './scheduler';
+
+/**
+ * Step Sequencer
+ *
+ * Drum patterns on the shared beat grid. The room stores four pattern slots
+ * (A-D) of 16 or 32 sixteenth-note steps (a step is a quarter of a grid
+ * beat), each step a velocity per pad (0 = rest), plus swing, and the chain
+ * of slots to play (rooms.drum_sequence). A new chain starts on a bar
+ * boundary: its `startAt` is the first downbeat at least SWITCH_LEAD_MS away,
+ * so the room update reaches every client first.
+ *
+ * Nothing is sent per hit: every client plays the sequence itself through
+ * the scheduler (scheduleNote, which triggers the drum kit, on the grid with
+ * no playout delay), on times worked out from the room's beat grid and tempo
+ * timeline, while the room transport plays. The hits also go to the session
+ * recorder, on a track of the drummer's (see setOwner()), and to onPlayback()
+ * listeners (the host passes them on to the room's listeners, see
+ * lib/crowdChannel.js).
+ */
+
+/**
+ * Instrument the sequencer plays
+ */
+export const SEQUENCER_INSTRUMENT = 'DRUMS';
+
+/**
+ * Pattern lengths (steps)
+ */
+export const STEP_COUNTS = [16, 32];
+
+/**
+ * Pattern slot names (index = slot)
+ */
+export const PATTERN_SLOTS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Steps per grid beat (sixteenths in x/4)
+ */
+export const STEPS_PER_BEAT = 4;
+
+/**
+ * Step velocities a click cycles through: rest, hit, accent, ghost
+ */
+export const STEP_VELOCITIES = [0, 100, 127, 60];
+
+/**
+ * Longest chain (slots)
+ */
+export const MAX_CHAIN_LENGTH = 16;
+
+/**
+ * Minimum time between a chain change and the bar it starts on (ms)
+ */
+const SWITCH_LEAD_MS = TEMPO_CHANGE_LEAD_MS;
+
+/**
+ * How often the playback loop runs (seconds)
+ */
+const TICK_SECONDS = 0.05;
+
+/**
+ * How far ahead of now steps are scheduled (ms)
+ */
+const LOOKAHEAD_MS = 200;
+
+/**
+ * senderId prefix on sequencer hits ('sequencer:<drummer's user ID>')
+ */
+const SENDER_PREFIX = 'sequencer';
+
+/**
+ * @typedef {Object} DrumPattern
+ * @property {number} steps - 16 or 32
+ * @property {number} swing - 0 (straight) to 100 (every other step pushed to a triplet)
+ * @property {Object<string, number[]>} tracks - Pad ID -> velocity per step (0 = rest)
+ */
+
+/**
+ * @typedef {Object} DrumSequence
+ * @property {DrumPattern[]} patterns - One per slot in PATTERN_SLOTS
+ * @property {number[]} chain - Slots played in order, over and over (empty = off)
+ * @property {number|null} startAt - syncedNow() downbeat the chain starts (or the sequencer stops) on
+ * @property {number} updatedAt - syncedNow() time of the last edit (the newest edit wins)
+ */
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * @returns {string[]} Pad IDs of the sequencer's drum kit
+ */
+export function getSequencerPads() {
+  return (getInstrument(SEQUENCER_INSTRUMENT)?.pads || []).map(pad => pad.id);
+}
+
+/**
+ * Build an empty pattern
+ *
+ * @param {number} [steps]
+ * @returns {DrumPattern}
+ */
+export function createPattern(steps = STEP_COUNTS[0]) {
+  return { steps, swing: 0, tracks: {} };
+}
+
+/**
+ * Build an empty sequence (all slots empty, not playing)
+ *
+ * @returns {DrumSequence}
+ */
+export function createSequence() {
+  return {
+    patterns: PATTERN_SLOTS.map(() => createPattern()),
+    chain: [],
+    startAt: null,
+    updatedAt: 0,
+  };
+}
+
+/**
+ * @param {any} raw
+ * @returns {DrumPattern}
+ */
+function normalizePattern(raw) {
+  const steps = STEP_COUNTS.includes(raw?.steps) ? raw.steps : STEP_COUNTS[0];
+  const tracks = {};
+  getSequencerPads().forEach(pad => {
+    const values = raw?.tracks?.[pad];
+    if (!Array.isArray(values)) return;
+    const track = Array.from({ length: steps }, (_, step) => clamp(Math.round(Number(values[step]) || 0), 0, 127));
+    if (track.some(velocity => velocity > 0)) {
+      tracks[pad] = track;
+    }
+  });
+  return { steps, swing: clamp(Number(raw?.swing) || 0, 0, 100), tracks };
+}
+
+/**
+ * Read a sequence from the room row, filling in anything missing or invalid
+ *
+ * @param {any} raw - rooms.drum_sequence
+ * @returns {DrumSequence}
+ */
+export function normalizeSequence(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return createSequence();
+  }
+  const chain = Array.isArray(raw.chain)
+    ? raw.chain.filter(slot => Number.isInteger(slot) && slot >= 0 && slot < PATTERN_SLOTS.length).slice(0, MAX_CHAIN_LENGTH)
+    : [];
+  return {
+    patterns: PATTERN_SLOTS.map((_, slot) => normalizePattern(raw.patterns?.[slot])),
+    chain,
+    startAt: typeof raw.startAt === 'number' ? raw.startAt : null,
+    updatedAt: typeof raw.updatedAt === 'number' ? raw.updatedAt : 0,
+  };
+}
+
+/**
+ * @param {DrumSequence} sequence
+ * @param {number} slot
+ * @param {function(DrumPattern): DrumPattern} update
+ * @returns {DrumSequence}
+ */
+function updatePattern(sequence, slot, update) {
+  return {
+    ...sequence,
+    patterns: sequence.patterns.map((pattern, index) => (index === slot ? update(pattern) : pattern)),
+  };
+}
+
+/**
+ * Set one step of one pad
+ *
+ * @param {DrumSequence} sequence
+ * @param {number} slot - Pattern slot
+ * @param {string} pad - Pad ID
+ * @param {number} step - Step index
+ * @param {number} velocity - 0 (rest) to 127
+ * @returns {DrumSequence}
+ */
+export function setStepVelocity(sequence, slot, pad, step, velocity) {
+  return updatePattern(sequence, slot, pattern => {
+    const track = pattern.tracks[pad] ? [...pattern.tracks[pad]] : new Array(pattern.steps).fill(0);
+    track[step] = clamp(Math.round(velocity), 0, 127);
+    const tracks = { ...pattern.tracks, [pad]: track };
+    if (track.every(value => value === 0)) {
+      delete tracks[pad];
+    }
+    return { ...pattern, tracks };
+  });
+}
+
+/**
+ * Change a pattern's length. Going from 16 to 32 steps repeats the pattern;
+ * going back drops the second half.
+ *
+ * @param {DrumSequence} sequence
+ * @param {number} slot - Pattern slot
+ * @param {number} steps - One of STEP_COUNTS
+ * @returns {DrumSequence}
+ */
+export function setPatternSteps(sequence, slot, steps) {
+  return updatePattern(sequence, slot, pattern => ({
+    ...pattern,
+    steps,
+    tracks: Object.fromEntries(Object.entries(pattern.tracks).map(([pad, track]) => [
+      pad,
+      Array.from({ length: steps }, (_, step) => track[step % track.length]),
+    ])),
+  }));
+}
+
+/**
+ * @param {DrumSequence} sequence
+ * @param {number} slot - Pattern slot
+ * @param {number} swing - 0 to 100
+ * @returns {DrumSequence}
+ */
+export function setPatternSwing(sequence, slot, swing) {
+  return updatePattern(sequence, slot, pattern => ({ ...pattern, swing: clamp(swing, 0, 100) }));
+}
+
+/**
+ * @param {DrumSequence} sequence
+ * @param {number} slot - Pattern slot
+ * @returns {DrumSequence}
+ */
+export function clearPattern(sequence, slot) {
+  return updatePattern(sequence, slot, pattern => ({ ...pattern, tracks: {} }));
+}
+
+/**
+ * Play a new chain of slots (or stop) from the next bar boundary
+ *
+ * @param {DrumSequence} sequence
+ * @param {number[]} chain - Slots (empty = stop)
+ * @param {import('@/lib/time/beatGrid').BeatGrid} grid - Room beat grid
+ * @param {number} nowMs - syncedNow()
+ * @returns {DrumSequence}
+ */
+export function setChain(sequence, chain, grid, nowMs) {
+  const slots = chain.slice(0, MAX_CHAIN_LENGTH);
+  const current = getTempoTimeline().getGridAt(grid, nowMs);
+  return {
+    ...sequence,
+    chain: slots,
+    startAt: Math.round(getNextBarTime(current, nowMs + SWITCH_LEAD_MS)),
+  };
+}
+
+/**
+ * Get where a step falls in its pattern, with swing (odd steps are pushed
+ * late, by up to a third of a step)
+ *
+ * @param {DrumPattern} pattern
+ * @param {number} step - Step index
+ * @returns {number} Beats from the pattern start
+ */
+export function getStepBeat(pattern, step) {
+  const offset = step % 2 === 1 ? pattern.swing / 100 / 3 : 0;
+  return (step + offset) / STEPS_PER_BEAT;
+}
+
+/**
+ * StepSequencer class
+ * Plays the room's drum sequence on this client.
+ */
+export class StepSequencer {
+  constructor() {
+    /** @type {DrumSequence|null} */
+    this.sequence = null;
+
+    /** @type {import('@/lib/time/beatGrid').BeatGrid|null} Room beat grid */
+    this.grid = null;
+
+    /** @type {{isPlaying: boolean, startAt: number|null}} Room transport */
+    this.transport = { isPlaying: false, startAt: null };
+
+    /** @type {Object[]} Chains being scheduled: the current one until the
+     * next starts (`stopAt`), then the next. Each tracks the pass it is on. */
+    this.playheads = [];
+
+    /** @type {number|null} Tone.Transport event ID of the playback loop */
+    this.repeatId = null;
+
+    /** @type {string|null} Player the hits are recorded for (the drummer) */
+    this.ownerId = null;
+
+    /** @type {boolean} Whether the owner is this client's player */
+    this.ownedLocally = false;
+
+    /** @type {Set<function(Object): void>} Called with every hit scheduled */
+    this.playbackListeners = new Set();
+  }
+
+  /**
+   * Set the player the sequencer's hits are recorded for
+   *
+   * @param {string|null} ownerId - The drummer's user ID, or null if nobody plays drums
+   * @param {boolean} local - Whether that's this client's player
+   */
+  setOwner(ownerId, local) {
+    this.ownerId = ownerId;
+    this.ownedLocally = local;
+  }
+
+  /**
+   * Play a sequence. A new chain takes over on its start time; pattern edits
+   * are heard from the next step scheduled.
+   *
+   * @param {DrumSequence} sequence
+   */
+  setSequence(sequence) {
+    const previous = this.sequence;
+    this.sequence = sequence;
+    if (previous && previous.startAt === sequence.startAt && previous.chain.join() === sequence.chain.join()) {
+      return;
+    }
+
+    if (!this.transport.isPlaying) {
+      this.resetPlayheads();
+      return;
+    }
+    const switchAt = sequence.startAt ?? syncedNow();
+    this.playheads.forEach(playhead => {
+      playhead.stopAt = Math.min(playhead.stopAt, switchAt);
+    });
+    this.addPlayhead(sequence.chain, Math.max(switchAt, this.transport.startAt ?? -Infinity));
+  }
+
+  /**
+   * Follow the room tempo
+   *
+   * @param {import('@/lib/time/beatGrid').BeatGrid|null} grid - Room beat grid
+   */
+  setTempoGrid(grid) {
+    this.grid = grid;
+  }
+
+  /**
+   * Follow the room transport: the sequence plays while it plays
+   *
+   * @param {{isPlaying: boolean, startAt: number|null}} transport
+   */
+  setTransport({ isPlaying, startAt }) {
+    if (isPlaying === this.transport.isPlaying && startAt === this.transport.startAt) return;
+
+    this.stopTicking();
+    this.transport = { isPlaying, startAt };
+    this.resetPlayheads();
+    if (isPlaying) {
+      this.repeatId = Tone.Transport.scheduleRepeat(() => this.tick(), TICK_SECONDS, Tone.Transport.seconds);
+      this.tick();
+    }
+  }
+
+  /**
+   * Get the step playing now (for the UI)
+   *
+   * @param {number} [nowMs] - syncedNow()
+   * @returns {{slot: number, step: number}|null} null while nothing plays
+   */
+  getPosition(nowMs = syncedNow()) {
+    if (!this.transport.isPlaying || !this.sequence || !this.grid) return null;
+
+    for (const playhead of this.playheads) {
+      if (nowMs >= playhead.stopAt) continue;
+      const pass = nowMs >= playhead.passStart ? playhead : playhead.previous;
+      if (!pass || nowMs < pass.passStart) continue;
+
+      const slot = playhead.chain[pass.passIndex % playhead.chain.length];
+      const beat = getTempoTimeline().getBeatsBetween(this.grid, pass.passStart, nowMs);
+      const step = Math.floor(beat * STEPS_PER_BEAT);
+      return step < this.sequence.patterns[slot].steps ? { slot, step } : null;
+    }
+    return null;
+  }
+
+  /**
+   * Stop playing and forget the sequence (when leaving the room)
+   */
+  reset() {
+    this.stopTicking();
+    this.sequence = null;
+    this.playheads = [];
+    this.transport = { isPlaying: false, startAt: null };
+  }
+
+  /**
+   * Start the current chain from the top: its own start, or the transport's if that is later
+   *
+   * @private
+   */
+  resetPlayheads() {
+    this.playheads = [];
+    const starts = [this.sequence?.startAt, this.transport.startAt].filter(time => typeof time === 'number');
+    if (this.sequence && starts.length > 0) {
+      this.addPlayhead(this.sequence.chain, Math.max(...starts));
+    }
+  }
+
+  /**
+   * @private
+   * @param {number[]} chain - Slots
+   * @param {number} startAt - syncedNow() time of its first downbeat
+   */
+  addPlayhead(chain, startAt) {
+    if (chain.length === 0) return;
+    this.playheads.push({
+      chain,
+      passStart: startAt,
+      passIndex: 0,
+      previous: null,
+      stopAt: Infinity,
+      sentUntil: 0,
+    });
+  }
+
+  /**
+   * Schedule every step due within the lookahead window
+   *
+   * @private
+   */
+  tick() {
+    if (!this.transport.isPlaying || !this.sequence || !this.grid) return;
+
+    const now = syncedNow();
+    this.playheads = this.playheads.filter(playhead => playhead.stopAt > now);
+    this.playheads.forEach(playhead => this.tickPlayhead(playhead, now, now + LOOKAHEAD_MS));
+  }
+
+  /**
+   * @private
+   * @param {Object} playhead
+   * @param {number} now - syncedNow()
+   * @param {number} horizon - Schedule up to here
+   */
+  tickPlayhead(playhead, now, horizon) {
+    const timeline = getTempoTimeline();
+
+    while (playhead.passStart <= horizon && playhead.passStart < playhead.stopAt) {
+      const { passStart, passIndex } = playhead;
+      const pattern = this.sequence.patterns[playhead.chain[passIndex % playhead.chain.length]];
+      const lengthBeats = pattern.steps / STEPS_PER_BEAT;
+      const end = timeline.getTimeAfterBeats(this.grid, passStart, lengthBeats);
+      const from = Math.max(now, playhead.sentUntil);
+
+      // Skip passes that are already over (e.g. after a transport start or a tab in the background)
+      if (end > from) {
+        const fromBeat = from < passStart ? -Infinity : timeline.getBeatsBetween(this.grid, passStart, from);
+        const untilBeat = horizon >= end ? lengthBeats : timeline.getBeatsBetween(this.grid, passStart, horizon);
+        for (let step = 0; step < pattern.steps; step++) {
+          const beat = getStepBeat(pattern, step);
+          if (beat < fromBeat || beat >= untilBeat) continue;
+          const timestamp = timeline.getTimeAfterBeats(this.grid, passStart, beat);
+          // The next chain takes over from its start
+          if (timestamp >= playhead.stopAt) break;
+          this.playStep(pattern, step, timestamp);
+        }
+      }
+
+      if (horizon < end) break;
+      playhead.previous = { passStart, passIndex };
+      playhead.passStart = end;
+      playhead.passIndex++;
+    }
+    playhead.sentUntil = horizon;
+  }
+
+  /**
+   * Schedule the hits of one step
+   *
+   * @private
+   * @param {DrumPattern} pattern
+   * @param {number} step
+   * @param {number} timestamp - syncedNow() time the step plays at
+   */
+  playStep(pattern, step, timestamp) {
+    const senderId = this.ownerId ? `${SENDER_PREFIX}:${this.ownerId}` : SENDER_PREFIX;
+    Object.entries(pattern.tracks).forEach(([pad, track]) => {
+      const velocity = track[step];
+      if (velocity > 0) {
+        const hit = { type: 'noteOn', instrument: SEQUENCER_INSTRUMENT, note: pad, velocity, timestamp, senderId };
+        scheduleNote(hit, { onGrid: true });
+        // Sequencer hits never arrive as jam events
+        getSessionRecorder().recordJamEvent(hit, this.ownedLocally ? 'local' : 'remote');
+        this.playbackListeners.forEach(listener => {
+          try {
+            listener(hit);
+          } catch (error) {
+            console.error('[StepSequencer] Error in playback listener:', error);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to the hits the sequencer schedules
+   *
+   * @param {function(Object): void} listener - Called with each jam event, ahead of its timestamp
+   * @returns {function(): void} Unsubscribe function
+   */
+  onPlayback(listener) {
+    this.playbackListeners.add(listener);
+    return () => this.playbackListeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  stopTicking() {
+    if (this.repeatId !== null) {
+      Tone.Transport.clear(this.repeatId);
+      this.repeatId = null;
+    }
+  }
+}
+
+// Singleton instance (shared across the app)
+let stepSequencer = null;
+
+/**
+ * Get or create the singleton StepSequencer instance
+ *
+ * @returns {StepSequencer} StepSequencer instance
+ */
+export function getStepSequencer() {
+  if (!stepSequencer) {
+    stepSequencer = new StepSequencer();
+  }
+  return stepSequencer;
+}
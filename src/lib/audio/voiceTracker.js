@@ -0,0 +1,195 @@
+/**
+ * Voice Tracker
+ *
+ * Tracks held notes for sustained instruments (see `sustained` in the instrument
+ * registry) so every noteOn gets exactly one release, on both the local and
+ * remote paths.
+ *
+ * - Voices are keyed by sender + instrument + note, so two players holding the
+ *   same pitch don't release each other
+ * - The audio release only happens when the last holder of a pitch lets go
+ *   (Tone.PolySynth releases all voices at a pitch at once)
+ * - Voices are force-released if their sender leaves, or after MAX_HOLD_MS in
+ *   case the noteOff was lost (DataChannels are unreliable)
+ */
+
+/**
+ * Longest a note may be held before it's assumed stuck (ms)
+ */
+const MAX_HOLD_MS = 60000;
+
+/**
+ * Debug flag for voice tracking
+ */
+const DEBUG_VOICES = false;
+
+/**
+ * @typedef {Object} HeldVoice
+ * @property {string} senderId - Who is holding the note ('local' for this client)
+ * @property {string} instrument - Instrument ID
+ * @property {number|string} note - MIDI note
+ * @property {number} startedAt - Date.now() when the voice started
+ * @property {ReturnType<typeof setTimeout>} timeoutId - Stuck-note safety timer
+ */
+
+/**
+ * VoiceTracker class
+ */
+export class VoiceTracker {
+  /**
+   * @param {function(string, number|string): void} onRelease - Called to release the audio
+   *   for an instrument + note once nobody holds it anymore
+   */
+  constructor(onRelease) {
+    this.onRelease = onRelease;
+
+    /** @type {Map<string, HeldVoice>} Voice key -> held voice */
+    this.voices = new Map();
+
+    /** @type {Map<string, number>} Instrument-note key -> number of holders */
+    this.holders = new Map();
+  }
+
+  /**
+   * @param {string} senderId - Sender ID
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note
+   * @returns {string} Voice key
+   */
+  getVoiceKey(senderId, instrument, note) {
+    return `${senderId}|${instrument}|${note}`;
+  }
+
+  /**
+   * Check if a sender is holding a note
+   *
+   * @param {string} senderId - Sender ID
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note
+   * @returns {boolean}
+   */
+  isHeld(senderId, instrument, note) {
+    return this.voices.has(this.getVoiceKey(senderId, instrument, note));
+  }
+
+  /**
+   * Record that a sender started holding a note
+   * A repeated noteOn for a note the sender already holds replaces the old voice.
+   *
+   * @param {string} senderId - Sender ID
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note
+   */
+  start(senderId, instrument, note) {
+    const key = this.getVoiceKey(senderId, instrument, note);
+    const existing = this.voices.get(key);
+    if (existing) {
+      // Retrigger: the new attack replaces the old voice, keep the holder count as is
+      clearTimeout(existing.timeoutId);
+    } else {
+      const pitchKey = `${instrument}|${note}`;
+      this.holders.set(pitchKey, (this.holders.get(pitchKey) || 0) + 1);
+    }
+
+    const timeoutId = setTimeout(() => {
+      const voice = this.voices.get(key);
+      if (voice) {
+        console.warn(`[VoiceTracker] Releasing stuck note ${instrument} ${note} from ${senderId}`);
+        this.forceRelease(voice);
+      }
+    }, MAX_HOLD_MS);
+
+    this.voices.set(key, {
+      senderId,
+      instrument,
+      note,
+      startedAt: Date.now(),
+      timeoutId,
+    });
+
+    if (DEBUG_VOICES) {
+      console.log('[VoiceTracker] Voice started', { senderId, instrument, note, held: this.voices.size });
+    }
+  }
+
+  /**
+   * Record that a sender let go of a note
+   *
+   * @param {string} senderId - Sender ID
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note
+   * @returns {boolean} True if the audio should be released (sender held it and was the last holder)
+   */
+  end(senderId, instrument, note) {
+    const key = this.getVoiceKey(senderId, instrument, note);
+    const voice = this.voices.get(key);
+    if (!voice) {
+      return false;
+    }
+
+    clearTimeout(voice.timeoutId);
+    this.voices.delete(key);
+
+    const pitchKey = `${instrument}|${note}`;
+    const remaining = (this.holders.get(pitchKey) || 1) - 1;
+    if (remaining > 0) {
+      this.holders.set(pitchKey, remaining);
+      return false;
+    }
+
+    this.holders.delete(pitchKey);
+
+    if (DEBUG_VOICES) {
+      console.log('[VoiceTracker] Voice ended', { senderId, instrument, note, held: this.voices.size });
+    }
+
+    return true;
+  }
+
+  /**
+   * Release a voice now (used for forced releases)
+   *
+   * @param {HeldVoice} voice - Held voice
+   */
+  forceRelease(voice) {
+    if (this.end(voice.senderId, voice.instrument, voice.note)) {
+      try {
+        this.onRelease(voice.instrument, voice.note);
+      } catch (error) {
+        console.error('[VoiceTracker] Error releasing voice:', error);
+      }
+    }
+  }
+
+  /**
+   * Release every voice held by senders not in the given list
+   *
+   * @param {string[]} activeSenderIds - Senders that are still in the room
+   */
+  releaseMissingSenders(activeSenderIds) {
+    const active = new Set(activeSenderIds.map(String));
+    for (const voice of Array.from(this.voices.values())) {
+      if (voice.senderId !== 'local' && !active.has(String(voice.senderId))) {
+        this.forceRelease(voice);
+      }
+    }
+  }
+
+  /**
+   * Release every held voice
+   */
+  releaseAll() {
+    for (const voice of Array.from(this.voices.values())) {
+      this.forceRelease(voice);
+    }
+  }
+
+  /**
+   * Get number of held voices
+   *
+   * @returns {number}
+   */
+  getHeldCount() {
+    return this.voices.size;
+  }
+}
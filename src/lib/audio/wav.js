@@ -0,0 +1,78 @@
+/**
+ * WAV Encoder
+ *
+ * Encodes PCM channel data as a RIFF/WAVE file (16- or 24-bit integer PCM,
+ * interleaved). Pure function, no Web Audio dependency, so it works on the
+ * channel data of any AudioBuffer.
+ */
+
+/**
+ * @typedef {Object} PcmAudio
+ * @property {number} sampleRate - Samples per second
+ * @property {Float32Array[]} channels - Channel data (-1 to 1), all the same length
+ */
+
+/**
+ * Encode PCM audio as a WAV file
+ *
+ * @param {PcmAudio} audio - Audio to encode
+ * @param {16|24} [bitDepth=16] - Bits per sample
+ * @returns {Uint8Array} WAV file bytes
+ */
+export function encodeWav({ sampleRate, channels }, bitDepth = 16) {
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const channelCount = channels.length;
+  const frameCount = channelCount > 0 ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // fmt chunk (PCM)
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const maxValue = bitDepth === 16 ? 0x7fff : 0x7fffff;
+  let offset = 44;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+      const value = Math.round(sample * maxValue);
+      if (bitDepth === 16) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Uint8Array(buffer);
+}
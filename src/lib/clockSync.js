@@ -43,6 +43,36 @@ export const SAFETY_OFFSET_MS = 1.0; // 1.0ms safety offset
  */
 export const IMMEDIATE_PLAYBACK_THRESHOLD_SECONDS = 0.0005; // 0.5ms
 
+/**
+ * Ping results kept per peer for diagnostics (30 seconds at one ping per 500ms)
+ */
+const MAX_PEER_HISTORY = 60;
+
+/**
+ * @typedef {Object} PeerSyncSample
+ * @property {number} at - Date.now() when the pong arrived
+ * @property {number} rttMs - Round-trip time of the ping
+ * @property {number} jitterMs - Smoothed RTT variation (as in RFC 3550)
+ * @property {number|null} offsetMs - How far the peer's syncedNow() is ahead of ours
+ *   (null if either side has no synced clock)
+ */
+
+/**
+ * Read syncedNow() without importing it (avoids a circular dependency, see getRoomTime())
+ *
+ * @returns {number|null} Server-aligned time in milliseconds, or null if not available
+ */
+function readSyncedNow() {
+  if (typeof window === 'undefined' || !window.__syncedNow) {
+    return null;
+  }
+  try {
+    return window.__syncedNow();
+  } catch {
+    return null;
+  }
+}
+
 /**
  * ClockSync class for managing room time and peer latency
  */
@@ -72,6 +102,9 @@ export class ClockSync {
     /** @type {Map<string, number>} Peer ID -> Kalman filter uncertainty */
     this.kalmanUncertainty = new Map();
     
+    /** @type {Map<string, PeerSyncSample[]>} Peer ID -> recent ping results (for diagnostics) */
+    this.peerHistory = new Map();
+    
     /** @type {number} Maximum RTT history to keep per peer */
     this.maxRTTHistory = 5;
     
@@ -266,6 +299,40 @@ export class ClockSync {
     this.kalmanEstimates.delete(peerId);
     this.kalmanUncertainty.delete(peerId);
     this.pendingPings.delete(peerId);
+    this.peerHistory.delete(peerId);
+  }
+
+  /**
+   * Get recent ping results for a peer (oldest first)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {PeerSyncSample[]}
+   */
+  getPeerHistory(peerId) {
+    return [...(this.peerHistory.get(peerId) || [])];
+  }
+
+  /**
+   * Record a ping result for diagnostics
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {number} rttMs - Round-trip time in milliseconds
+   * @param {number|null} offsetMs - Peer's synced clock minus ours
+   */
+  recordPeerSample(peerId, rttMs, offsetMs) {
+    if (!this.peerHistory.has(peerId)) {
+      this.peerHistory.set(peerId, []);
+    }
+    const history = this.peerHistory.get(peerId);
+    const previous = history[history.length - 1];
+    const jitterMs = previous
+      ? previous.jitterMs + (Math.abs(rttMs - previous.rttMs) - previous.jitterMs) / 16
+      : 0;
+
+    history.push({ at: Date.now(), rttMs, jitterMs, offsetMs });
+    if (history.length > MAX_PEER_HISTORY) {
+      history.shift();
+    }
   }
 
   /**
@@ -307,12 +374,13 @@ export class ClockSync {
     }
 
     if (msg.type === 'ping') {
-      // Received a ping - respond with pong
+      // Received a ping - respond with pong (and our synced clock, for diagnostics)
       return {
         type: 'pong',
         senderId: this.userId,
         originalTimestamp: msg.timestamp,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        syncedTime: readSyncedNow()
       };
     } else if (msg.type === 'pong') {
       // Received a pong - calculate latency
@@ -323,8 +391,15 @@ export class ClockSync {
         // Latency is half the RTT (one-way delay)
         const latencyMs = roundTripTime / 2;
         
-        // Update latency estimate
-        this.updateLatency(fromPeerId, latencyMs);
+        // Update latency estimate (updateLatency() halves the RTT itself)
+        this.updateLatency(fromPeerId, roundTripTime);
+
+        // Their clock when they answered, moved on by the return trip, against ours now
+        const ourSyncedTime = readSyncedNow();
+        const offsetMs = typeof msg.syncedTime === 'number' && ourSyncedTime !== null
+          ? msg.syncedTime + latencyMs - ourSyncedTime
+          : null;
+        this.recordPeerSample(fromPeerId, roundTripTime, offsetMs);
         
         // Remove pending ping
         this.pendingPings.delete(fromPeerId);
@@ -0,0 +1,216 @@
+import { supabase } from '@/api/supabaseClient';
+
+/**
+ * Crowd Distribution via Supabase Realtime
+ *
+ * Listeners (players rows with is_player = FALSE) don't open any WebRTC
+ * connections. The room's host (see lib/topology.js) already hears every
+ * player, so it publishes what it plays and receives to one broadcast
+ * channel, and listeners schedule those events a fixed time after their
+ * timestamps (see LISTENER_DELAY_MS in audio/scheduler.js).
+ *
+ * Events are gathered for FLUSH_INTERVAL_MS and sent as one message, so the
+ * host sends at most ten messages a second however many players and
+ * listeners there are. Loops and the step sequencer play locally on each
+ * player and never become jam events; the host publishes what its own copy
+ * schedules, ahead of time, so listeners hear them too.
+ */
+
+/**
+ * Most listeners a room takes
+ */
+export const MAX_LISTENERS = 100;
+
+/**
+ * How long the host gathers events before it sends them (ms)
+ */
+const FLUSH_INTERVAL_MS = 100;
+
+/**
+ * @typedef {Object} CrowdMessage
+ * @property {'jamEvents'} type
+ * @property {string} hostId - userId of the host that sent it
+ * @property {Array<Object>} events - Jam events, each with its original senderId
+ */
+
+/**
+ * @param {string} roomId
+ * @returns {string}
+ */
+function getChannelName(roomId) {
+  return `jam:${roomId}:crowd`;
+}
+
+/**
+ * Start publishing jam events to a room's listeners (host only)
+ *
+ * @param {string} roomId - Room ID
+ * @param {string} hostId - Current user ID (the room's host)
+ * @returns {Object} Broadcast API object
+ */
+export function initCrowdBroadcast(roomId, hostId) {
+  const channelName = getChannelName(roomId);
+  let channel = supabase.channel(channelName);
+  let pending = [];
+  let flushTimer = null;
+
+  channel.subscribe((status) => {
+    if (status === 'SUBSCRIBED') {
+      console.log(`[CrowdChannel] Publishing to ${channelName}`);
+    } else if (status === 'CHANNEL_ERROR') {
+      console.error(`[CrowdChannel] Error subscribing to ${channelName}`);
+    }
+  });
+
+  /**
+   * Send everything waiting
+   */
+  function flush() {
+    flushTimer = null;
+    if (!channel || pending.length === 0) {
+      pending = [];
+      return;
+    }
+
+    channel.send({
+      type: 'broadcast',
+      event: 'jam',
+      payload: { type: 'jamEvents', hostId, events: pending }
+    });
+    pending = [];
+  }
+
+  /**
+   * Queue a jam event for the listeners (sent within FLUSH_INTERVAL_MS)
+   *
+   * @param {Object} event - Jam event
+   */
+  function publish(event) {
+    if (!channel || !event) {
+      return;
+    }
+
+    pending.push(event);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Stop publishing (events still waiting are dropped)
+   */
+  function disconnect() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    pending = [];
+    if (channel) {
+      supabase.removeChannel(channel);
+      channel = null;
+      console.log(`[CrowdChannel] Stopped publishing to ${channelName}`);
+    }
+  }
+
+  return {
+    publish,
+    disconnect
+  };
+}
+
+/**
+ * Listen to the jam events a room's host publishes
+ *
+ * @param {string} roomId - Room ID
+ * @returns {Object} Listener API object
+ */
+export function initCrowdListener(roomId) {
+  const channelName = getChannelName(roomId);
+  let channel = supabase.channel(channelName);
+  let subscribed = false;
+  let eventCallbacks = [];
+  let connectionCallbacks = [];
+
+  channel.on('broadcast', { event: 'jam' }, (payload) => {
+    const message = payload.payload;
+    if (!message || message.type !== 'jamEvents' || !Array.isArray(message.events)) {
+      return;
+    }
+
+    eventCallbacks.forEach(callback => {
+      try {
+        callback(message.events, message.hostId);
+      } catch (error) {
+        console.error('[CrowdChannel] Error in jam event callback:', error);
+      }
+    });
+  });
+
+  channel.subscribe((status) => {
+    subscribed = status === 'SUBSCRIBED';
+    if (status === 'SUBSCRIBED') {
+      console.log(`[CrowdChannel] Listening to ${channelName}`);
+    } else if (status === 'CHANNEL_ERROR') {
+      console.error(`[CrowdChannel] Error subscribing to ${channelName}`);
+    }
+    connectionCallbacks.forEach(callback => callback(subscribed));
+  });
+
+  /**
+   * Register callback for jam events from the host
+   *
+   * @param {function(Array<Object>, string): void} callback - Callback function (events, hostId)
+   * @returns {function(): void} Unsubscribe function
+   */
+  function onJamEvents(callback) {
+    eventCallbacks.push(callback);
+
+    return () => {
+      eventCallbacks = eventCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for the channel connecting or dropping
+   *
+   * @param {function(boolean): void} callback - Callback function (connected)
+   * @returns {function(): void} Unsubscribe function
+   */
+  function onConnectionChange(callback) {
+    connectionCallbacks.push(callback);
+
+    return () => {
+      connectionCallbacks = connectionCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Check whether the channel is currently connected
+   *
+   * @returns {boolean}
+   */
+  function isConnected() {
+    return subscribed;
+  }
+
+  /**
+   * Stop listening
+   */
+  function disconnect() {
+    if (channel) {
+      supabase.removeChannel(channel);
+      channel = null;
+      subscribed = false;
+      eventCallbacks = [];
+      connectionCallbacks = [];
+      console.log(`[CrowdChannel] Stopped listening to ${channelName}`);
+    }
+  }
+
+  return {
+    onJamEvents,
+    onConnectionChange,
+    isConnected,
+    disconnect
+  };
+}
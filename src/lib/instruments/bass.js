@@ -19,6 +19,9 @@ let volume = 0.8;
 // Optional transpose – start with 0
 let SAMPLED_BASS_TRANSPOSE = 0;
 
+// Give up waiting for samples when building an offline renderer (ms)
+const RENDER_LOAD_TIMEOUT_MS = 10000;
+
 /**
  * Normalize velocity to 0-1 range
  */
@@ -38,6 +41,61 @@ function transposeNote(note, semitones) {
   return transposed.toNote();
 }
 
+/**
+ * Create the MonoSynth bass
+ *
+ * @param {Object} [context] - Tone.js context to build on (defaults to the live context)
+ */
+function createSynthBass(context) {
+  return new Tone.MonoSynth({
+    oscillator: {
+      type: "sawtooth",
+    },
+    envelope: {
+      attack: 0.01,
+      decay: 0.3,
+      sustain: 0.4,
+      release: 0.5,
+    },
+    filter: {
+      type: "lowpass",
+      frequency: 800,
+      Q: 2,
+    },
+    filterEnvelope: {
+      attack: 0.1,
+      decay: 0.2,
+      sustain: 0.3,
+      release: 0.4,
+      baseFrequency: 200,
+      octaves: 3,
+    },
+    volume: Tone.gainToDb(volume),
+    ...(context ? { context } : {}),
+  }).toDestination();
+}
+
+/**
+ * Create the sampled bass
+ *
+ * @param {Object} [options] - Extra Sampler options (context, onload, onerror)
+ */
+function createSampledBass(options = {}) {
+  return new Tone.Sampler({
+    urls: {
+      E2: "bass_e2.wav",
+      A2: "bass_a2.wav",
+      D3: "bass_d.wav",
+    },
+    baseUrl: "/samples/bass/",
+    attack: 0.01,
+    release: 0.6,
+    curve: "linear",
+    volume: Tone.gainToDb(volume),
+    ...options,
+  }).toDestination();
+}
+
 /**
  * Initialize the bass instrument (both synth and sampled engines)
  */
@@ -48,44 +106,10 @@ export async function initBass() {
 
   try {
     // Create MonoSynth-based synth bass
-    synth = new Tone.MonoSynth({
-      oscillator: {
-        type: "sawtooth",
-      },
-      envelope: {
-        attack: 0.01,
-        decay: 0.3,
-        sustain: 0.4,
-        release: 0.5,
-      },
-      filter: {
-        type: "lowpass",
-        frequency: 800,
-        Q: 2,
-      },
-      filterEnvelope: {
-        attack: 0.1,
-        decay: 0.2,
-        sustain: 0.3,
-        release: 0.4,
-        baseFrequency: 200,
-        octaves: 3,
-      },
-      volume: Tone.gainToDb(volume),
-    }).toDestination();
+    synth = createSynthBass();
 
     // Create Sampler-based sampled bass using local WAVs
-    sampledBass = new Tone.Sampler({
-      urls: {
-        E2: "bass_e2.wav",
-        A2: "bass_a2.wav",
-        D3: "bass_d.wav",
-      },
-      baseUrl: "/samples/bass/",
-      attack: 0.01,
-      release: 0.6,
-      curve: "linear",
-      volume: Tone.gainToDb(volume),
+    sampledBass = createSampledBass({
       onload: () => {
         console.log("[Bass] Sampled bass ready");
         isInitialized = true;
@@ -95,7 +119,7 @@ export async function initBass() {
         // Still mark as ready even if samples fail to load
         isInitialized = true;
       },
-    }).toDestination();
+    });
 
     isInitialized = true;
     console.log("[Bass] Initialized with Tone.MonoSynth and Tone.Sampler");
@@ -214,3 +238,87 @@ export function dispose() {
   }
   isInitialized = false;
 }
+
+/**
+ * Build a separate bass on another context (e.g., a Tone.OfflineContext for
+ * bouncing), using the current mode, transpose and volume
+ *
+ * @param {Object} context - Tone.js context to build on
+ * @returns {Promise<Object>} Renderer ({ trigger, dispose }, see registry.js)
+ */
+export async function createRenderer(context) {
+  const mode = currentBassMode;
+  const transpose = SAMPLED_BASS_TRANSPOSE;
+
+  let voice;
+  if (mode === BASS_MODE_SAMPLED) {
+    await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        console.warn("[Bass] Sample loading timeout while rendering (continuing anyway)");
+        resolve();
+      }, RENDER_LOAD_TIMEOUT_MS);
+      voice = createSampledBass({
+        context,
+        onload: () => {
+          clearTimeout(timeout);
+          resolve();
+        },
+        onerror: (error) => {
+          console.warn("[Bass] Sample loading error while rendering (non-fatal):", error);
+        },
+      });
+    });
+  } else {
+    voice = createSynthBass(context);
+  }
+
+  return {
+    trigger(note, time, velocity) {
+      const v = normalizeVelocity(velocity);
+      const targetNote = typeof note === "number" ? Tone.Frequency(note, "midi").toNote() : note;
+      if (mode === BASS_MODE_SAMPLED) {
+        if (voice.loaded) {
+          voice.triggerAttackRelease(transposeNote(targetNote, transpose), "8n", time, v);
+        }
+      } else {
+        voice.triggerAttackRelease(targetNote, "8n", time, v);
+      }
+    },
+    dispose() {
+      voice.dispose();
+    },
+  };
+}
+
+/**
+ * Registry definition (see registry.js)
+ */
+export const definition = {
+  id: "BASS",
+  name: "Bass",
+  widget: "keyboard",
+  noteRange: { start: 28, end: 52 },
+  defaultVolume: 0.7,
+  gmProgram: 33, // Electric Bass (finger)
+  ui: {
+    color: "from-blue-500 to-cyan-500",
+    textColor: "text-cyan-400",
+    icon: "🎸",
+  },
+  modes: {
+    label: "Bass",
+    options: [
+      { value: BASS_MODE_SYNTH, label: "Synth" },
+      { value: BASS_MODE_SAMPLED, label: "Sampled" },
+    ],
+    get: getBassMode,
+    set: setBassMode,
+  },
+  init: initBass,
+  trigger: triggerNote,
+  setVolume,
+  getVolume,
+  isReady,
+  dispose,
+  createRenderer,
+};
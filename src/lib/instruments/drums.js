@@ -42,6 +42,21 @@ const DRUM_SAMPLES = {
   'C2': 'crash.mp3',
 };
 
+// Electronic voices use different frequencies for different sounds
+const ELECTRONIC_FREQUENCIES = {
+  kick: 'C1',
+  snare: 'C2',
+  hihat: 'C3',
+  clap: 'C2',
+  tom1: 'G1',
+  tom2: 'A1',
+  ride: 'C4',
+  crash: 'C5'
+};
+
+// Give up waiting for samples when building an offline renderer (ms)
+const RENDER_LOAD_TIMEOUT_MS = 10000;
+
 let sampledDrumKit = null; // Sampler using local samples
 let electronicDrumKit = null; // Object with synth voices for electronic sounds
 let masterVolume = 0.8;
@@ -51,11 +66,15 @@ let currentDrumKitMode = DRUM_KIT_MODE_SAMPLED; // 'sampled' | 'electronic'
 /**
  * Create electronic drum kit using synth-based voices
  * Uses Tone.MembraneSynth for kick/toms, NoiseSynth for snare/hihat/cymbals
+ *
+ * @param {Object} [context] - Tone.js context to build on (defaults to the live context)
+ * @returns {Object} Pad ID -> synth voice
  */
-function createElectronicKit() {
+function createElectronicKit(context) {
   const volume = Tone.gainToDb(masterVolume);
+  const options = context ? { context } : {};
   
-  electronicDrumKit = {
+  return {
     kick: new Tone.MembraneSynth({
       pitchDecay: 0.05,
       octaves: 10,
@@ -69,7 +88,8 @@ function createElectronicKit() {
         release: 0.8,
         attackCurve: 'exponential'
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination(),
     
     snare: new Tone.NoiseSynth({
@@ -83,7 +103,8 @@ function createElectronicKit() {
         sustain: 0,
         release: 0.1
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination(),
     
     hihat: new Tone.NoiseSynth({
@@ -97,7 +118,8 @@ function createElectronicKit() {
         sustain: 0,
         release: 0.03
       },
-      volume: volume - 3 // Slightly quieter
+      volume: volume - 3, // Slightly quieter
+      ...options
     }).toDestination(),
     
     clap: new Tone.NoiseSynth({
@@ -111,7 +133,8 @@ function createElectronicKit() {
         sustain: 0,
         release: 0.1
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination(),
     
     tom1: new Tone.MembraneSynth({
@@ -127,7 +150,8 @@ function createElectronicKit() {
         release: 0.5,
         attackCurve: 'exponential'
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination(),
     
     tom2: new Tone.MembraneSynth({
@@ -143,7 +167,8 @@ function createElectronicKit() {
         release: 0.5,
         attackCurve: 'exponential'
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination(),
     
     ride: new Tone.NoiseSynth({
@@ -157,7 +182,8 @@ function createElectronicKit() {
         sustain: 0,
         release: 0.5
       },
-      volume: volume - 2
+      volume: volume - 2,
+      ...options
     }).toDestination(),
     
     crash: new Tone.NoiseSynth({
@@ -171,11 +197,27 @@ function createElectronicKit() {
         sustain: 0,
         release: 0.6
       },
-      volume: volume
+      volume: volume,
+      ...options
     }).toDestination()
   };
-  
-  console.log('[Drums] Electronic kit ready (synth-based)');
+}
+
+/**
+ * Create the sampled drum kit (Tone.Sampler with local samples)
+ *
+ * @param {Object} [options] - Extra Sampler options (context, onload, onerror)
+ * @returns {Tone.Sampler}
+ */
+function createSampledKit(options = {}) {
+  return new Tone.Sampler({
+    urls: DRUM_SAMPLES,
+    baseUrl: '/samples/drums/',
+    release: 0.1, // Short release for punchy drums
+    attack: 0,    // Instant attack
+    volume: Tone.gainToDb(masterVolume),
+    ...options,
+  }).toDestination();
 }
 
 /**
@@ -191,12 +233,7 @@ export async function initDrums() {
 
   try {
     // Create sampled drum kit with local samples
-    sampledDrumKit = new Tone.Sampler({
-      urls: DRUM_SAMPLES,
-      baseUrl: '/samples/drums/',
-      release: 0.1, // Short release for punchy drums
-      attack: 0,    // Instant attack
-      volume: Tone.gainToDb(masterVolume),
+    sampledDrumKit = createSampledKit({
       onload: () => {
         console.log('[Drums] Sampled kit ready (local)');
       },
@@ -204,10 +241,11 @@ export async function initDrums() {
         console.warn('[Drums] Sample loading error (non-fatal):', error);
         // Continue even if some samples fail to load
       },
-    }).toDestination();
+    });
 
     // Create electronic drum kit (synth-based)
-    createElectronicKit();
+    electronicDrumKit = createElectronicKit();
+    console.log('[Drums] Electronic kit ready (synth-based)');
 
     // Preload samples (with timeout to prevent hanging)
     const loadPromise = Tone.loaded();
@@ -316,19 +354,7 @@ export function triggerNote(name, time, velocity = 100) {
 
     console.log(`[Drums] Electronic kit: ${name}`);
 
-    // Electronic voices use different frequencies for different sounds
-    const frequencies = {
-      kick: 'C1',
-      snare: 'C2',
-      hihat: 'C3',
-      clap: 'C2',
-      tom1: 'G1',
-      tom2: 'A1',
-      ride: 'C4',
-      crash: 'C5'
-    };
-
-    const frequency = frequencies[name] || 'C2';
+    const frequency = ELECTRONIC_FREQUENCIES[name] || 'C2';
     const triggerTime = time !== undefined && time !== null ? time : Tone.now();
 
     // Trigger the synth voice
@@ -407,6 +433,60 @@ export function isReady() {
   return isInitialized && (sampledDrumKit !== null || electronicDrumKit !== null);
 }
 
+/**
+ * Build a separate drum kit on another context (e.g., a Tone.OfflineContext
+ * for bouncing), using the current kit mode and volume
+ *
+ * @param {Object} context - Tone.js context to build on
+ * @returns {Promise<Object>} Renderer ({ trigger, dispose }, see registry.js)
+ */
+export async function createRenderer(context) {
+  if (currentDrumKitMode === DRUM_KIT_MODE_ELECTRONIC) {
+    const kit = createElectronicKit(context);
+    return {
+      trigger(name, time, velocity = 100) {
+        const voice = kit[name];
+        if (voice) {
+          voice.triggerAttackRelease(ELECTRONIC_FREQUENCIES[name] || 'C2', '8n', time, velocity / 127);
+        }
+      },
+      dispose() {
+        Object.values(kit).forEach(voice => voice.dispose());
+      },
+    };
+  }
+
+  let kit = null;
+  await new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      console.warn('[Drums] Sample loading timeout while rendering (continuing anyway)');
+      resolve();
+    }, RENDER_LOAD_TIMEOUT_MS);
+    kit = createSampledKit({
+      context,
+      onload: () => {
+        clearTimeout(timeout);
+        resolve();
+      },
+      onerror: (error) => {
+        console.warn('[Drums] Sample loading error while rendering (non-fatal):', error);
+      },
+    });
+  });
+
+  return {
+    trigger(name, time, velocity = 100) {
+      const note = DRUM_NOTE_MAP[name];
+      if (note && kit.loaded) {
+        kit.triggerAttackRelease(note, '8n', time, velocity / 127);
+      }
+    },
+    dispose() {
+      kit.dispose();
+    },
+  };
+}
+
 /**
  * Debug helper functions for manual testing in browser console
  * Usage: window.__debugDrumsKick(), window.__debugDrumsSnare(), etc.
@@ -443,3 +523,46 @@ if (typeof window !== 'undefined') {
   };
 }
 
+
+/**
+ * Registry definition (see registry.js)
+ */
+export const definition = {
+  id: 'DRUMS',
+  name: 'Drums',
+  widget: 'drumPad',
+  pads: [
+    // midiNote follows the General MIDI percussion map
+    { id: 'kick', label: 'Kick', key: 'q', midiNote: 36 },
+    { id: 'snare', label: 'Snare', key: 'w', midiNote: 38 },
+    { id: 'hihat', label: 'Hi-Hat', key: 'e', midiNote: 42 },
+    { id: 'tom1', label: 'Tom 1', key: 'r', midiNote: 48 },
+    { id: 'tom2', label: 'Tom 2', key: 'a', midiNote: 45 },
+    { id: 'crash', label: 'Crash', key: 's', midiNote: 49 },
+    { id: 'ride', label: 'Ride', key: 'd', midiNote: 51 },
+    { id: 'clap', label: 'Clap', key: 'f', midiNote: 39 },
+  ],
+  lowLatency: true,
+  defaultVolume: 0.8,
+  ui: {
+    color: 'from-red-500 to-orange-500',
+    textColor: 'text-red-400',
+    icon: '🥁',
+  },
+  modes: {
+    label: 'Drums',
+    options: [
+      { value: DRUM_KIT_MODE_SAMPLED, label: 'Sampled' },
+      { value: DRUM_KIT_MODE_ELECTRONIC, label: 'Electronic' },
+    ],
+    get: getDrumKitMode,
+    set: setDrumKitMode,
+  },
+  init: initDrums,
+  trigger: triggerNote,
+  setVolume,
+  getVolume,
+  isReady,
+  dispose,
+  createRenderer,
+};
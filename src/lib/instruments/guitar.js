@@ -11,8 +11,81 @@ let synth = null;
 let distortion = null;
 let reverb = null;
 let masterVolume = 0.7;
+let distortionAmount = 0.4;
+let reverbAmount = 0.2;
 let isInitialized = false;
 
+/**
+ * Create the synth -> distortion -> reverb chain
+ *
+ * @param {Object} [context] - Tone.js context to build on (defaults to the live context)
+ * @returns {Promise<{synth: Tone.Synth, distortion: Tone.Distortion, reverb: Tone.Reverb}>}
+ */
+async function createChain(context) {
+  const options = context ? { context } : {};
+
+  // Create synth with plucked string characteristics
+  const chainSynth = new Tone.Synth({
+    oscillator: {
+      type: 'sawtooth',
+    },
+    envelope: {
+      attack: 0.005,  // Very fast attack for pluck
+      decay: 0.3,
+      sustain: 0.15,
+      release: 0.5,
+    },
+    volume: Tone.gainToDb(masterVolume),
+    ...options,
+  });
+
+  // Create distortion effect
+  const chainDistortion = new Tone.Distortion({
+    distortion: distortionAmount,
+    wet: 0.3,         // 30% wet signal
+    ...options,
+  });
+
+  // Create reverb effect
+  const chainReverb = new Tone.Reverb({
+    roomSize: 0.5,
+    wet: reverbAmount,
+    ...options,
+  });
+
+  // Connect: synth -> distortion -> reverb -> destination
+  chainSynth.connect(chainDistortion);
+  chainDistortion.connect(chainReverb);
+  chainReverb.toDestination();
+
+  // Generate reverb impulse response (required for reverb to work)
+  await chainReverb.generate();
+
+  return { synth: chainSynth, distortion: chainDistortion, reverb: chainReverb };
+}
+
+/**
+ * Play a note on a guitar synth
+ * The synth is monophonic, so velocity is applied through its volume.
+ *
+ * @param {Tone.Synth} target - Synth to play
+ * @param {number} note - MIDI note number (0-127)
+ * @param {number} time - Start time
+ * @param {number} velocity - MIDI velocity (0-127)
+ */
+function playOn(target, note, time, velocity) {
+  // Convert MIDI note to frequency
+  const frequency = Tone.Frequency(note, 'midi').toFrequency();
+
+  // Convert velocity to gain (0-127 -> 0-1)
+  const velocityGain = velocity / 127;
+
+  // Set volume based on velocity (at the note's time, so pre-scheduled notes keep their own velocity)
+  target.volume.setValueAtTime(Tone.gainToDb(masterVolume * velocityGain), time);
+
+  target.triggerAttackRelease(frequency, '8n', time);
+}
+
 /**
  * Initialize the guitar synthesizer with effects
  * 
@@ -24,39 +97,7 @@ export async function initGuitar() {
   }
 
   try {
-    // Create synth with plucked string characteristics
-    synth = new Tone.Synth({
-      oscillator: {
-        type: 'sawtooth',
-      },
-      envelope: {
-        attack: 0.005,  // Very fast attack for pluck
-        decay: 0.3,
-        sustain: 0.15,
-        release: 0.5,
-      },
-      volume: Tone.gainToDb(masterVolume),
-    });
-
-    // Create distortion effect
-    distortion = new Tone.Distortion({
-      distortion: 0.4,  // Moderate distortion
-      wet: 0.3,         // 30% wet signal
-    });
-
-    // Create reverb effect
-    reverb = new Tone.Reverb({
-      roomSize: 0.5,
-      wet: 0.2,         // 20% wet signal
-    });
-
-    // Connect: synth -> distortion -> reverb -> destination
-    synth.connect(distortion);
-    distortion.connect(reverb);
-    reverb.toDestination();
-
-    // Generate reverb impulse response (required for reverb to work)
-    await reverb.generate();
+    ({ synth, distortion, reverb } = await createChain());
 
     // Store effects references for cleanup
     synth._distortion = distortion;
@@ -89,23 +130,9 @@ export function triggerNote(note, time, velocity = 100) {
     return;
   }
 
-  // Convert MIDI note to frequency
-  const frequency = Tone.Frequency(note, 'midi').toFrequency();
-
-  // Convert velocity to gain (0-127 -> 0-1)
-  const velocityGain = velocity / 127;
-
-  // Set volume based on velocity
-  const currentVolume = Tone.gainToDb(masterVolume * velocityGain);
-  synth.volume.value = currentVolume;
-
   // Trigger the note
   // If time is provided, schedule it; otherwise play immediately
-  if (time !== undefined && time !== null) {
-    synth.triggerAttackRelease(frequency, '8n', time);
-  } else {
-    synth.triggerAttackRelease(frequency, '8n', Tone.now());
-  }
+  playOn(synth, note, time !== undefined && time !== null ? time : Tone.now(), velocity);
 }
 
 /**
@@ -136,8 +163,9 @@ export function getVolume() {
  * @param {number} amount - Distortion amount (0-1)
  */
 export function setDistortion(amount) {
+  distortionAmount = Math.max(0, Math.min(1, amount));
   if (distortion) {
-    distortion.distortion = Math.max(0, Math.min(1, amount));
+    distortion.distortion = distortionAmount;
   }
 }
 
@@ -147,8 +175,9 @@ export function setDistortion(amount) {
  * @param {number} amount - Reverb wet amount (0-1)
  */
 export function setReverb(amount) {
+  reverbAmount = Math.max(0, Math.min(1, amount));
   if (reverb) {
-    reverb.wet.value = Math.max(0, Math.min(1, amount));
+    reverb.wet.value = reverbAmount;
   }
 }
 
@@ -180,3 +209,49 @@ export function isReady() {
   return isInitialized && synth !== null;
 }
 
+/**
+ * Build a separate guitar on another context (e.g., a Tone.OfflineContext for
+ * bouncing), using the current volume and effect settings
+ *
+ * @param {Object} context - Tone.js context to build on
+ * @returns {Promise<Object>} Renderer ({ trigger, dispose }, see registry.js)
+ */
+export async function createRenderer(context) {
+  const chain = await createChain(context);
+  return {
+    trigger(note, time, velocity = 100) {
+      if (note >= 0 && note <= 127) {
+        playOn(chain.synth, note, time, velocity);
+      }
+    },
+    dispose() {
+      chain.synth.dispose();
+      chain.distortion.dispose();
+      chain.reverb.dispose();
+    },
+  };
+}
+
+/**
+ * Registry definition (see registry.js)
+ */
+export const definition = {
+  id: 'GUITAR',
+  name: 'Guitar',
+  widget: 'keyboard',
+  noteRange: { start: 40, end: 76 },
+  defaultVolume: 0.7,
+  gmProgram: 27, // Electric Guitar (clean)
+  ui: {
+    color: 'from-green-500 to-emerald-500',
+    textColor: 'text-green-400',
+    icon: '🎸',
+  },
+  init: initGuitar,
+  trigger: triggerNote,
+  setVolume,
+  getVolume,
+  isReady,
+  dispose,
+  createRenderer,
+};
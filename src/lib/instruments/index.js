@@ -3,12 +3,15 @@ import * as drums from './drums';
 import * as piano from './piano';
 import * as bass from './bass';
 import * as guitar from './guitar';
+import * as pad from './pad';
+import { getInstrument, getInstruments } from './registry';
 
 /**
  * Instrument Manager
  * 
  * Centralized initialization and management of all Tone.js instruments.
  * Handles preloading, initialization, and provides unified API.
+ * Which instruments exist is decided by the registry (see registry.js).
  */
 
 let isInitialized = false;
@@ -38,12 +41,7 @@ export async function initAllInstruments() {
       }
 
       // Initialize all instruments in parallel for faster loading
-      await Promise.all([
-        drums.initDrums(),
-        piano.initPiano(),
-        bass.initBass(),
-        guitar.initGuitar(),
-      ]);
+      await Promise.all(getInstruments().map(instrument => instrument.init()));
 
       // Wait for all samples to be loaded
       await Tone.loaded();
@@ -62,7 +60,7 @@ export async function initAllInstruments() {
 /**
  * Trigger a note on the specified instrument
  * 
- * @param {string} instrument - Instrument name: 'DRUMS', 'BASS', 'EP', 'GUITAR'
+ * @param {string} instrument - Registered instrument ID (e.g., 'DRUMS', 'BASS', 'EP', 'GUITAR')
  * @param {string|number} note - MIDI note (0-127) or drum pad ID (for DRUMS)
  * @param {number} time - Time in Tone.Transport time (seconds) or AudioContext time
  * @param {number} [velocity=100] - MIDI velocity (0-127)
@@ -73,24 +71,73 @@ export function triggerNote(instrument, note, time, velocity = 100) {
     return;
   }
 
-  switch (instrument) {
-    case 'DRUMS':
-      drums.triggerNote(note, time, velocity);
-      break;
-    case 'BASS':
-      bass.triggerNote(note, time, velocity);
-      break;
-    case 'EP':
-      piano.triggerNote(note, time, velocity);
-      break;
-    case 'GUITAR':
-      guitar.triggerNote(note, time, velocity);
-      break;
-    default:
-      console.warn(`[InstrumentManager] Unknown instrument: ${instrument}`);
+  const definition = getInstrument(instrument);
+  if (!definition) {
+    console.warn(`[InstrumentManager] Unknown instrument: ${instrument}`);
+    return;
+  }
+
+  definition.trigger(note, time, velocity);
+}
+
+/**
+ * Release a held note on the specified instrument
+ * No-op for instruments that play fixed-length notes.
+ * 
+ * @param {string} instrument - Registered instrument ID
+ * @param {string|number} note - MIDI note (0-127) or drum pad ID
+ * @param {number} [time] - Time in Tone.Transport time (seconds) or AudioContext time
+ */
+export function releaseNote(instrument, note, time) {
+  if (!isInitialized) {
+    return;
+  }
+
+  const definition = getInstrument(instrument);
+  if (definition && definition.release) {
+    definition.release(note, time);
+  }
+}
+
+/**
+ * Apply a pitch bend or control change event to the specified instrument
+ * No-op for instruments that don't handle the event type.
+ * 
+ * @param {string} instrument - Registered instrument ID
+ * @param {Object} event - Control event
+ * @param {'pitchBend'|'controlChange'} event.type - Event type
+ * @param {number} event.value - Pitch bend (-8192 to 8191) or CC value (0-127)
+ * @param {number} [event.cc] - CC number (controlChange only)
+ * @param {number} [time] - Time in Tone.Transport time (seconds) or AudioContext time
+ */
+export function applyControl(instrument, event, time) {
+  if (!isInitialized || !event) {
+    return;
+  }
+
+  const definition = getInstrument(instrument);
+  if (!definition) {
+    return;
+  }
+
+  if (event.type === 'pitchBend' && definition.pitchBend) {
+    definition.pitchBend(event.value, time);
+  } else if (event.type === 'controlChange' && definition.controlChange) {
+    definition.controlChange(event.cc, event.value, time);
   }
 }
 
+/**
+ * Release every held note on every instrument
+ */
+export function releaseAllNotes() {
+  getInstruments().forEach(instrument => {
+    if (instrument.releaseAll) {
+      instrument.releaseAll();
+    }
+  });
+}
+
 /**
  * Set volume for an instrument
  * 
@@ -98,22 +145,13 @@ export function triggerNote(instrument, note, time, velocity = 100) {
  * @param {number} volume - Volume (0-1)
  */
 export function setInstrumentVolume(instrument, volume) {
-  switch (instrument) {
-    case 'DRUMS':
-      drums.setVolume(volume);
-      break;
-    case 'BASS':
-      bass.setVolume(volume);
-      break;
-    case 'EP':
-      piano.setVolume(volume);
-      break;
-    case 'GUITAR':
-      guitar.setVolume(volume);
-      break;
-    default:
-      console.warn(`[InstrumentManager] Unknown instrument: ${instrument}`);
+  const definition = getInstrument(instrument);
+  if (!definition) {
+    console.warn(`[InstrumentManager] Unknown instrument: ${instrument}`);
+    return;
   }
+
+  definition.setVolume(volume);
 }
 
 /**
@@ -123,18 +161,8 @@ export function setInstrumentVolume(instrument, volume) {
  * @returns {number} Volume (0-1)
  */
 export function getInstrumentVolume(instrument) {
-  switch (instrument) {
-    case 'DRUMS':
-      return drums.getVolume();
-    case 'BASS':
-      return bass.getVolume();
-    case 'EP':
-      return piano.getVolume();
-    case 'GUITAR':
-      return guitar.getVolume();
-    default:
-      return 0;
-  }
+  const definition = getInstrument(instrument);
+  return definition ? definition.getVolume() : 0;
 }
 
 /**
@@ -143,11 +171,7 @@ export function getInstrumentVolume(instrument) {
  * @returns {boolean}
  */
 export function areInstrumentsReady() {
-  return isInitialized && 
-         drums.isReady() && 
-         piano.isReady() && 
-         bass.isReady() && 
-         guitar.isReady();
+  return isInitialized && getInstruments().every(instrument => instrument.isReady());
 }
 
 /**
@@ -200,15 +224,21 @@ export function transportTimeToAudioContextTime(transportTime) {
  * Cleanup all instruments
  */
 export function dispose() {
-  drums.dispose();
-  piano.dispose();
-  bass.dispose();
-  guitar.dispose();
+  getInstruments().forEach(instrument => instrument.dispose());
   isInitialized = false;
   initializationPromise = null;
 }
 
 // Export individual instrument modules for advanced usage
-export { drums, piano, bass, guitar };
+export { drums, piano, bass, guitar, pad };
+export {
+  registerInstrument,
+  getInstrument,
+  getInstruments,
+  getInstrumentIds,
+  isRegisteredInstrument,
+  isLowLatencyInstrument,
+  isSustainedInstrument
+} from './registry';
 export { Tone };
 
@@ -0,0 +1,514 @@
+import * as Tone from 'tone';
+
+/**
+ * Synth Pad / Strings Instrument using Tone.PolySynth
+ *
+ * Unlike the other instruments, notes are held until released: triggerNote()
+ * starts a voice and releaseNote() ends it, so the matching noteOff decides
+ * how long a note rings. Detuned sawtooths through a lowpass filter and a
+ * touch of reverb give a soft string-pad sound.
+ */
+
+const MAX_POLYPHONY = 16;
+
+// Pitch bend range (+/- cents at full bend)
+const PITCH_BEND_RANGE_CENTS = 200;
+
+// MIDI CC numbers handled by the pad
+const CC_MOD_WHEEL = 1;
+const CC_SUSTAIN_PEDAL = 64;
+const CC_RESONANCE = 71;
+const CC_RELEASE = 72;
+const CC_ATTACK = 73;
+const CC_CUTOFF = 74;
+
+let synth = null;
+let filter = null;
+let reverb = null;
+let masterVolume = 0.6;
+let isInitialized = false;
+
+// Envelope and filter settings (kept here so they survive re-initialization)
+let attack = 0.4;
+let release = 1.5;
+let filterCutoff = 2400;
+let filterResonance = 1;
+
+// Sustain pedal: while down, releases are deferred until the pedal comes up
+let sustainPedalDown = false;
+const pedalHeldNotes = new Set();
+
+/**
+ * Convert a MIDI note number or note name to a note name
+ *
+ * @param {number|string} note - MIDI note (0-127) or note name
+ * @returns {string|null} Note name, or null if invalid
+ */
+function toNoteName(note) {
+  if (typeof note === 'number') {
+    if (note < 0 || note > 127) {
+      return null;
+    }
+    return Tone.Frequency(note, 'midi').toNote();
+  }
+  return typeof note === 'string' && note.length > 0 ? note : null;
+}
+
+/**
+ * Create the synth -> filter -> reverb chain with the current settings
+ *
+ * @param {Object} [context] - Tone.js context to build on (defaults to the live context)
+ * @returns {Promise<{synth: Tone.PolySynth, filter: Tone.Filter, reverb: Tone.Reverb}>}
+ */
+async function createChain(context) {
+  const options = context ? { context } : {};
+
+  const chainSynth = new Tone.PolySynth({
+    voice: Tone.Synth,
+    options: {
+      oscillator: {
+        type: 'fatsawtooth',
+        count: 3,
+        spread: 20,
+      },
+      envelope: {
+        attack,
+        decay: 0.5,
+        sustain: 0.8,
+        release,
+      },
+    },
+    volume: Tone.gainToDb(masterVolume),
+    ...options,
+  });
+  chainSynth.maxPolyphony = MAX_POLYPHONY;
+
+  const chainFilter = new Tone.Filter({
+    type: 'lowpass',
+    frequency: filterCutoff,
+    Q: filterResonance,
+    rolloff: -24,
+    ...options,
+  });
+
+  const chainReverb = new Tone.Reverb({
+    decay: 4,
+    wet: 0.3,
+    ...options,
+  });
+
+  // Connect: synth -> filter -> reverb -> destination
+  chainSynth.connect(chainFilter);
+  chainFilter.connect(chainReverb);
+  chainReverb.toDestination();
+
+  // Generate reverb impulse response (required for reverb to work)
+  await chainReverb.generate();
+
+  return { synth: chainSynth, filter: chainFilter, reverb: chainReverb };
+}
+
+/**
+ * Map a MIDI CC to the pad setting it controls
+ * Mod wheel and CC74 sweep the filter, CC71/72/73 set resonance/release/attack,
+ * and CC64 is the sustain pedal.
+ *
+ * @param {number} cc - MIDI CC number (0-127)
+ * @param {number} value - CC value (0-127)
+ * @returns {{setting: string, value: number|boolean}|null} Setting and its new value, or null if unhandled
+ */
+function mapControlChange(cc, value) {
+  const amount = Math.max(0, Math.min(127, value)) / 127;
+
+  switch (cc) {
+    case CC_MOD_WHEEL:
+    case CC_CUTOFF:
+      // Exponential sweep so the low end isn't crammed into the bottom of the range
+      return { setting: 'cutoff', value: 100 * Math.pow(120, amount) };
+    case CC_RESONANCE:
+      return { setting: 'resonance', value: 0.1 + amount * 11.9 };
+    case CC_RELEASE:
+      return { setting: 'release', value: 0.05 + amount * 7.95 };
+    case CC_ATTACK:
+      return { setting: 'attack', value: 0.005 + amount * 3.995 };
+    case CC_SUSTAIN_PEDAL:
+      return { setting: 'pedal', value: value >= 64 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Initialize the pad synthesizer with filter and reverb
+ *
+ * @returns {Promise<void>}
+ */
+export async function initPad() {
+  if (isInitialized) {
+    return;
+  }
+
+  try {
+    ({ synth, filter, reverb } = await createChain());
+
+    isInitialized = true;
+    console.log('[Pad] Initialized with Tone.PolySynth + Filter + Reverb');
+  } catch (error) {
+    console.error('[Pad] Failed to initialize:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a pad note (held until releaseNote is called)
+ *
+ * @param {number|string} note - MIDI note number (0-127) or note name
+ * @param {number} time - Time in Tone.Transport time (seconds) or AudioContext time
+ * @param {number} [velocity=100] - MIDI velocity (0-127), defaults to 100
+ */
+export function triggerNote(note, time, velocity = 100) {
+  if (!isInitialized || !synth) {
+    console.warn('[Pad] Not initialized, cannot trigger note');
+    return;
+  }
+
+  const noteName = toNoteName(note);
+  if (!noteName) {
+    console.warn(`[Pad] Invalid note: ${note}`);
+    return;
+  }
+
+  const triggerTime = time !== undefined && time !== null ? time : Tone.now();
+  pedalHeldNotes.delete(noteName);
+  synth.triggerAttack(noteName, triggerTime, velocity / 127);
+}
+
+/**
+ * Release a held pad note
+ *
+ * @param {number|string} note - MIDI note number (0-127) or note name
+ * @param {number} [time] - Time in Tone.Transport time (seconds) or AudioContext time
+ */
+export function releaseNote(note, time) {
+  if (!isInitialized || !synth) {
+    return;
+  }
+
+  const noteName = toNoteName(note);
+  if (!noteName) {
+    return;
+  }
+
+  if (sustainPedalDown) {
+    pedalHeldNotes.add(noteName);
+    return;
+  }
+
+  const releaseTime = time !== undefined && time !== null ? time : Tone.now();
+  synth.triggerRelease(noteName, releaseTime);
+}
+
+/**
+ * Apply pitch bend to all voices
+ *
+ * @param {number} value - Pitch bend value (-8192 to 8191, 0 = center)
+ */
+export function pitchBend(value) {
+  if (!synth) {
+    return;
+  }
+  const cents = (Math.max(-8192, Math.min(8191, value)) / 8192) * PITCH_BEND_RANGE_CENTS;
+  synth.set({ detune: cents });
+}
+
+/**
+ * Handle a MIDI control change (see mapControlChange)
+ *
+ * @param {number} cc - MIDI CC number (0-127)
+ * @param {number} value - CC value (0-127)
+ * @param {number} [time] - Time in Tone.Transport time (seconds) or AudioContext time
+ */
+export function controlChange(cc, value, time) {
+  const change = mapControlChange(cc, value);
+  if (!change) {
+    return;
+  }
+
+  switch (change.setting) {
+    case 'cutoff':
+      setFilterCutoff(change.value);
+      break;
+    case 'resonance':
+      setFilterResonance(change.value);
+      break;
+    case 'release':
+      setRelease(change.value);
+      break;
+    case 'attack':
+      setAttack(change.value);
+      break;
+    case 'pedal':
+      if (sustainPedalDown && !change.value) {
+        sustainPedalDown = false;
+        const releaseTime = time !== undefined && time !== null ? time : Tone.now();
+        pedalHeldNotes.forEach(noteName => {
+          if (synth) {
+            synth.triggerRelease(noteName, releaseTime);
+          }
+        });
+        pedalHeldNotes.clear();
+      } else {
+        sustainPedalDown = change.value;
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Release every held note (e.g., when leaving the room)
+ */
+export function releaseAll() {
+  sustainPedalDown = false;
+  pedalHeldNotes.clear();
+  if (synth) {
+    synth.releaseAll();
+  }
+}
+
+/**
+ * Set attack time
+ *
+ * @param {number} seconds - Attack time in seconds
+ */
+export function setAttack(seconds) {
+  attack = Math.max(0.005, Math.min(4, seconds));
+  if (synth) {
+    synth.set({ envelope: { attack } });
+  }
+}
+
+/**
+ * Get attack time
+ *
+ * @returns {number} Attack time in seconds
+ */
+export function getAttack() {
+  return attack;
+}
+
+/**
+ * Set release time
+ *
+ * @param {number} seconds - Release time in seconds
+ */
+export function setRelease(seconds) {
+  release = Math.max(0.05, Math.min(8, seconds));
+  if (synth) {
+    synth.set({ envelope: { release } });
+  }
+}
+
+/**
+ * Get release time
+ *
+ * @returns {number} Release time in seconds
+ */
+export function getRelease() {
+  return release;
+}
+
+/**
+ * Set filter cutoff frequency
+ *
+ * @param {number} frequency - Cutoff in Hz
+ */
+export function setFilterCutoff(frequency) {
+  filterCutoff = Math.max(100, Math.min(12000, frequency));
+  if (filter) {
+    filter.frequency.rampTo(filterCutoff, 0.05);
+  }
+}
+
+/**
+ * Get filter cutoff frequency
+ *
+ * @returns {number} Cutoff in Hz
+ */
+export function getFilterCutoff() {
+  return filterCutoff;
+}
+
+/**
+ * Set filter resonance
+ *
+ * @param {number} q - Filter Q (0.1-12)
+ */
+export function setFilterResonance(q) {
+  filterResonance = Math.max(0.1, Math.min(12, q));
+  if (filter) {
+    filter.Q.value = filterResonance;
+  }
+}
+
+/**
+ * Get filter resonance
+ *
+ * @returns {number} Filter Q
+ */
+export function getFilterResonance() {
+  return filterResonance;
+}
+
+/**
+ * Set master volume for pad
+ *
+ * @param {number} volume - Volume (0-1)
+ */
+export function setVolume(volume) {
+  masterVolume = Math.max(0, Math.min(1, volume));
+  if (synth) {
+    synth.volume.value = Tone.gainToDb(masterVolume);
+  }
+}
+
+/**
+ * Get current volume
+ *
+ * @returns {number} Volume (0-1)
+ */
+export function getVolume() {
+  return masterVolume;
+}
+
+/**
+ * Cleanup and dispose of the synthesizer and effects
+ */
+export function dispose() {
+  if (synth) {
+    synth.releaseAll();
+    synth.dispose();
+    synth = null;
+  }
+  if (filter) {
+    filter.dispose();
+    filter = null;
+  }
+  if (reverb) {
+    reverb.dispose();
+    reverb = null;
+  }
+  isInitialized = false;
+}
+
+/**
+ * Check if pad is initialized
+ *
+ * @returns {boolean}
+ */
+export function isReady() {
+  return isInitialized && synth !== null;
+}
+
+/**
+ * Build a separate pad on another context (e.g., a Tone.OfflineContext for
+ * bouncing), starting from the current volume, envelope and filter settings.
+ * Controller changes only affect the renderer's copy, not the live pad.
+ *
+ * @param {Object} context - Tone.js context to build on
+ * @returns {Promise<Object>} Renderer (see registry.js)
+ */
+export async function createRenderer(context) {
+  const chain = await createChain(context);
+  let pedalDown = false;
+  const pedalHeld = new Set();
+
+  return {
+    trigger(note, time, velocity = 100) {
+      const noteName = toNoteName(note);
+      if (noteName) {
+        pedalHeld.delete(noteName);
+        chain.synth.triggerAttack(noteName, time, velocity / 127);
+      }
+    },
+    release(note, time) {
+      const noteName = toNoteName(note);
+      if (!noteName) {
+        return;
+      }
+      if (pedalDown) {
+        pedalHeld.add(noteName);
+      } else {
+        chain.synth.triggerRelease(noteName, time);
+      }
+    },
+    pitchBend(value, time) {
+      const cents = (Math.max(-8192, Math.min(8191, value)) / 8192) * PITCH_BEND_RANGE_CENTS;
+      // PolySynth settings can't be automated, so apply them when the render clock gets there
+      context.setTimeout(() => chain.synth.set({ detune: cents }), time);
+    },
+    controlChange(cc, value, time) {
+      const change = mapControlChange(cc, value);
+      if (!change) {
+        return;
+      }
+      if (change.setting === 'cutoff') {
+        chain.filter.frequency.rampTo(change.value, 0.05, time);
+      } else if (change.setting === 'resonance') {
+        chain.filter.Q.setValueAtTime(change.value, time);
+      } else if (change.setting === 'attack' || change.setting === 'release') {
+        context.setTimeout(() => chain.synth.set({ envelope: { [change.setting]: change.value } }), time);
+      } else if (change.setting === 'pedal') {
+        if (pedalDown && !change.value) {
+          pedalHeld.forEach(noteName => chain.synth.triggerRelease(noteName, time));
+          pedalHeld.clear();
+        }
+        pedalDown = change.value;
+      }
+    },
+    releaseAll(time) {
+      chain.synth.releaseAll(time);
+    },
+    dispose() {
+      chain.synth.dispose();
+      chain.filter.dispose();
+      chain.reverb.dispose();
+    },
+  };
+}
+
+/**
+ * Registry definition (see registry.js)
+ */
+export const definition = {
+  id: 'PAD',
+  name: 'Synth Pad',
+  widget: 'keyboard',
+  noteRange: { start: 48, end: 84 },
+  sustained: true,
+  defaultVolume: 0.6,
+  gmProgram: 89, // Pad 2 (warm)
+  ui: {
+    color: 'from-indigo-500 to-violet-500',
+    textColor: 'text-indigo-300',
+    icon: '🎻',
+  },
+  controls: [
+    { id: 'attack', label: 'Attack', min: 0.005, max: 4, step: 0.005, unit: 's', get: getAttack, set: setAttack },
+    { id: 'release', label: 'Release', min: 0.05, max: 8, step: 0.05, unit: 's', get: getRelease, set: setRelease },
+    { id: 'cutoff', label: 'Filter', min: 100, max: 12000, step: 50, unit: 'Hz', get: getFilterCutoff, set: setFilterCutoff },
+    { id: 'resonance', label: 'Resonance', min: 0.1, max: 12, step: 0.1, unit: '', get: getFilterResonance, set: setFilterResonance },
+  ],
+  init: initPad,
+  trigger: triggerNote,
+  release: releaseNote,
+  releaseAll,
+  pitchBend,
+  controlChange,
+  setVolume,
+  getVolume,
+  isReady,
+  dispose,
+  createRenderer,
+};
@@ -20,10 +20,29 @@ const PIANO_SAMPLES = {
   C6: 'https://tonejs.github.io/audio/salamander/C6.mp3',
 };
 
+// Give up waiting for samples when building an offline renderer (ms)
+const RENDER_LOAD_TIMEOUT_MS = 10000;
+
 let sampler = null;
 let masterVolume = 0.7;
 let isInitialized = false;
 
+/**
+ * Create the piano sampler
+ *
+ * @param {Object} [options] - Extra Sampler options (context, onload, onerror)
+ * @returns {Tone.Sampler}
+ */
+function createSampler(options = {}) {
+  return new Tone.Sampler({
+    urls: PIANO_SAMPLES,
+    release: 1.5, // Longer release for sustained piano sound
+    attack: 0.01, // Slight attack for natural feel
+    volume: Tone.gainToDb(masterVolume),
+    ...options,
+  }).toDestination();
+}
+
 /**
  * Initialize the piano sampler
  * Preloads all samples for zero-latency playback
@@ -37,16 +56,12 @@ export async function initPiano() {
 
   try {
     // Create sampler with piano samples
-    sampler = new Tone.Sampler({
-      urls: PIANO_SAMPLES,
-      release: 1.5, // Longer release for sustained piano sound
-      attack: 0.01, // Slight attack for natural feel
-      volume: Tone.gainToDb(masterVolume),
+    sampler = createSampler({
       onerror: (error) => {
         console.warn('[Piano] Sample loading error (non-fatal):', error);
         // Continue even if some samples fail to load
       },
-    }).toDestination();
+    });
 
     // Preload samples (with timeout to prevent hanging)
     const loadPromise = Tone.loaded();
@@ -144,3 +159,64 @@ export function isReady() {
   return isInitialized && sampler !== null;
 }
 
+/**
+ * Build a separate piano on another context (e.g., a Tone.OfflineContext for
+ * bouncing), using the current volume
+ *
+ * @param {Object} context - Tone.js context to build on
+ * @returns {Promise<Object>} Renderer ({ trigger, dispose }, see registry.js)
+ */
+export async function createRenderer(context) {
+  let renderSampler = null;
+  await new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      console.warn('[Piano] Sample loading timeout while rendering (continuing anyway)');
+      resolve();
+    }, RENDER_LOAD_TIMEOUT_MS);
+    renderSampler = createSampler({
+      context,
+      onload: () => {
+        clearTimeout(timeout);
+        resolve();
+      },
+      onerror: (error) => {
+        console.warn('[Piano] Sample loading error while rendering (non-fatal):', error);
+      },
+    });
+  });
+
+  return {
+    trigger(note, time, velocity = 100) {
+      if (renderSampler.loaded && note >= 0 && note <= 127) {
+        renderSampler.triggerAttackRelease(Tone.Frequency(note, 'midi').toNote(), '2n', time, velocity / 127);
+      }
+    },
+    dispose() {
+      renderSampler.dispose();
+    },
+  };
+}
+
+/**
+ * Registry definition (see registry.js)
+ */
+export const definition = {
+  id: 'EP',
+  name: 'Electric Piano',
+  widget: 'keyboard',
+  noteRange: { start: 48, end: 84 },
+  defaultVolume: 0.7,
+  gmProgram: 4, // Electric Piano 1
+  ui: {
+    color: 'from-purple-500 to-pink-500',
+    textColor: 'text-purple-400',
+    icon: '🎹',
+  },
+  init: initPiano,
+  trigger: triggerNote,
+  setVolume,
+  getVolume,
+  isReady,
+  dispose,
+  createRenderer,
+};
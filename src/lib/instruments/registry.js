@@ -0,0 +1,208 @@
+import * as drums from './drums';
+import * as bass from './bass';
+import * as piano from './piano';
+import * as guitar from './guitar';
+import * as pad from './pad';
+
+/**
+ * Instrument Registry
+ *
+ * Single source of truth for which instruments exist. Protocol validation,
+ * audio (initialization, triggering, volume) and the room UI are all driven
+ * from the definitions registered here.
+ *
+ * Adding an instrument:
+ * 1. Create a module in this folder that exports `definition` (see InstrumentDefinition)
+ * 2. Add it to BUILTIN_INSTRUMENTS below (or call registerInstrument() before the room loads)
+ *
+ * Note that players on older builds won't know about a new instrument; the
+ * hello handshake in jamEventProtocol.js reports that mismatch per peer.
+ */
+
+/**
+ * @typedef {Object} InstrumentPad
+ * @property {string} id - Pad ID sent as the note (e.g., 'kick')
+ * @property {string} label - Display label
+ * @property {string} key - Computer keyboard shortcut
+ * @property {number} [midiNote] - Default MIDI note for controllers (General MIDI drum map)
+ */
+
+/**
+ * @typedef {Object} InstrumentModeOption
+ * @property {string} value - Mode value
+ * @property {string} label - Display label
+ */
+
+/**
+ * @typedef {Object} InstrumentModes
+ * @property {string} label - Label shown next to the mode toggle (e.g., 'Bass')
+ * @property {InstrumentModeOption[]} options - Available modes
+ * @property {function(): string} get - Get the current mode
+ * @property {function(string): void} set - Set the current mode
+ */
+
+/**
+ * @typedef {Object} InstrumentControl
+ * @property {string} id - Control ID
+ * @property {string} label - Display label
+ * @property {number} min - Minimum value
+ * @property {number} max - Maximum value
+ * @property {number} step - Slider step
+ * @property {string} unit - Unit shown after the value (e.g., 's', 'Hz')
+ * @property {function(): number} get - Get the current value
+ * @property {function(number): void} set - Set the value
+ */
+
+/**
+ * @typedef {Object} InstrumentDefinition
+ * @property {string} id - Wire ID used in jam events and the players table (e.g., 'DRUMS')
+ * @property {string} name - Display name
+ * @property {'keyboard'|'drumPad'} widget - UI widget used to play the instrument
+ * @property {{start: number, end: number}} [noteRange] - MIDI note range for 'keyboard' instruments
+ * @property {InstrumentPad[]} [pads] - Pads for 'drumPad' instruments
+ * @property {boolean} [lowLatency=false] - Bypass the send bundler and play on receipt (no scheduling)
+ * @property {boolean} [sustained=false] - Notes are held until noteOff (requires release)
+ * @property {number} defaultVolume - Initial volume (0-1)
+ * @property {number} [gmProgram] - General MIDI program (0-127) used when exporting to MIDI
+ * @property {{color: string, textColor: string, icon: string}} ui - Tailwind gradient/text classes and icon
+ * @property {InstrumentModes} [modes] - Optional sound engine toggle
+ * @property {InstrumentControl[]} [controls] - Optional sound controls (sliders)
+ * @property {function(): Promise<void>} init - Create Tone.js nodes and preload samples
+ * @property {function(number|string, number=, number=): void} trigger - Trigger a note (note, time, velocity)
+ * @property {function(number|string, number=): void} [release] - Release a held note (note, time)
+ * @property {function(): void} [releaseAll] - Release every held note
+ * @property {function(number, number=): void} [pitchBend] - Apply pitch bend (value -8192..8191, time)
+ * @property {function(number, number, number=): void} [controlChange] - Handle a MIDI CC (cc, value, time)
+ * @property {function(number): void} setVolume - Set volume (0-1)
+ * @property {function(): number} getVolume - Get volume (0-1)
+ * @property {function(): boolean} isReady - Whether the instrument can play
+ * @property {function(): void} dispose - Release Tone.js nodes
+ * @property {function(Object): Promise<InstrumentRenderer>} [createRenderer] - Build a separate copy on
+ *   another Tone.js context (e.g., an OfflineContext), with the current mode, volume and settings
+ */
+
+/**
+ * @typedef {Object} InstrumentRenderer
+ * A private copy of an instrument for offline rendering; the live instrument is untouched.
+ * Times are in the renderer's context time (seconds).
+ * @property {function(number|string, number, number=): void} trigger - Trigger a note (note, time, velocity)
+ * @property {function(number|string, number): void} [release] - Release a held note (note, time)
+ * @property {function(number, number): void} [pitchBend] - Apply pitch bend (value, time)
+ * @property {function(number, number, number): void} [controlChange] - Handle a MIDI CC (cc, value, time)
+ * @property {function(number=): void} [releaseAll] - Release every held note (time)
+ * @property {function(): void} dispose - Release Tone.js nodes
+ */
+
+const BUILTIN_INSTRUMENTS = [
+  drums.definition,
+  bass.definition,
+  piano.definition,
+  guitar.definition,
+  pad.definition,
+];
+
+const REQUIRED_FUNCTIONS = ['init', 'trigger', 'setVolume', 'getVolume', 'isReady', 'dispose'];
+
+/** @type {Map<string, InstrumentDefinition>} */
+const instruments = new Map();
+
+/**
+ * Register an instrument
+ *
+ * @param {InstrumentDefinition} definition - Instrument definition
+ * @returns {boolean} True if registered
+ */
+export function registerInstrument(definition) {
+  if (!definition || typeof definition.id !== 'string' || definition.id.length === 0) {
+    console.warn('[InstrumentRegistry] Instrument definition is missing an id:', definition);
+    return false;
+  }
+
+  const missing = REQUIRED_FUNCTIONS.filter(name => typeof definition[name] !== 'function');
+  if (missing.length > 0) {
+    console.warn(`[InstrumentRegistry] ${definition.id} is missing: ${missing.join(', ')}`);
+    return false;
+  }
+
+  if (definition.widget === 'keyboard' && !definition.noteRange) {
+    console.warn(`[InstrumentRegistry] ${definition.id} uses the keyboard widget but has no noteRange`);
+    return false;
+  }
+
+  if (definition.widget === 'drumPad' && !Array.isArray(definition.pads)) {
+    console.warn(`[InstrumentRegistry] ${definition.id} uses the drumPad widget but has no pads`);
+    return false;
+  }
+
+  if (definition.sustained && typeof definition.release !== 'function') {
+    console.warn(`[InstrumentRegistry] ${definition.id} is sustained but has no release function`);
+    return false;
+  }
+
+  if (instruments.has(definition.id)) {
+    console.warn(`[InstrumentRegistry] Replacing existing instrument: ${definition.id}`);
+  }
+
+  instruments.set(definition.id, definition);
+  return true;
+}
+
+/**
+ * Get an instrument definition
+ *
+ * @param {string} id - Instrument ID
+ * @returns {InstrumentDefinition|null}
+ */
+export function getInstrument(id) {
+  return instruments.get(id) || null;
+}
+
+/**
+ * Get all registered instruments, in registration order
+ *
+ * @returns {InstrumentDefinition[]}
+ */
+export function getInstruments() {
+  return Array.from(instruments.values());
+}
+
+/**
+ * Get all registered instrument IDs, in registration order
+ *
+ * @returns {string[]}
+ */
+export function getInstrumentIds() {
+  return Array.from(instruments.keys());
+}
+
+/**
+ * Check if an instrument ID is registered
+ *
+ * @param {string} id - Instrument ID
+ * @returns {boolean}
+ */
+export function isRegisteredInstrument(id) {
+  return instruments.has(id);
+}
+
+/**
+ * Check if an instrument uses the low-latency path
+ *
+ * @param {string} id - Instrument ID
+ * @returns {boolean}
+ */
+export function isLowLatencyInstrument(id) {
+  return instruments.get(id)?.lowLatency === true;
+}
+
+/**
+ * Check if an instrument holds notes until noteOff
+ *
+ * @param {string} id - Instrument ID
+ * @returns {boolean}
+ */
+export function isSustainedInstrument(id) {
+  return instruments.get(id)?.sustained === true;
+}
+
+BUILTIN_INSTRUMENTS.forEach(registerInstrument);
@@ -94,6 +94,26 @@ export class JamEventBundler {
     this.flushNow();
   }
 
+  /**
+   * Change the flush interval (takes effect right away if started)
+   * 
+   * @param {number} flushIntervalMs - Flush interval in milliseconds
+   */
+  setFlushInterval(flushIntervalMs) {
+    if (flushIntervalMs === this.flushIntervalMs) {
+      return;
+    }
+
+    this.flushIntervalMs = flushIntervalMs;
+
+    if (this.started) {
+      clearInterval(this.timer);
+      this.timer = setInterval(() => {
+        this.flush();
+      }, this.flushIntervalMs);
+    }
+  }
+
   /**
    * Add an event to the queue
    * 
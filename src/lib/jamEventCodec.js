@@ -0,0 +1,360 @@
+import { isJamEvent, describeRejectedEvent } from './jamEventProtocol';
+
+/**
+ * Jam Event Binary Codec
+ *
+ * Compact binary encoding for jam events sent over the "midi" DataChannel.
+ * Replaces JSON.stringify/JSON.parse on the hot path for peers that support it.
+ *
+ * Negotiation:
+ * - When a DataChannel opens, each side sends a 'hello' control message (JSON)
+ *   listing the encodings it can receive (see createHelloMessage in jamEventProtocol.js)
+ * - If the remote side lists 'binary', we send ArrayBuffers to that peer
+ * - Older clients never send a hello, so they keep receiving JSON strings
+ *
+ * Wire layout (little-endian):
+ *
+ *   Header
+ *     u8   magic (0x4A, 'J')
+ *     u8   codec version
+ *     u16  event count
+ *   String table (sender IDs, instruments, drum pad IDs)
+ *     u8   string count
+ *     [u8 length, utf-8 bytes] * count
+ *   Events
+ *     u8   type code
+ *     u8   flags (bit 0: has instrument, bit 1: note is a string table index)
+ *     u8   instrument string index (0 if no instrument)
+ *     u8   senderId string index
+ *     f64  timestamp
+ *     f64  roomTime
+ *     ...  type-specific fields:
+ *          noteOn:        u8 note, u8 velocity
+ *          noteOff:       u8 note
+ *          controlChange: u8 cc, u8 value
+ *          tempo:         f64 bpm
+ *          pitchBend:     i16 value
+ *
+ * A single event and a bundle share the same layout (count = 1 vs count > 1).
+ */
+
+export const ENCODING_JSON = 'json';
+export const ENCODING_BINARY = 'binary';
+
+/**
+ * Encodings this client can receive, in order of preference
+ */
+export const SUPPORTED_ENCODINGS = [ENCODING_BINARY, ENCODING_JSON];
+
+const MAGIC = 0x4a;
+const CODEC_VERSION = 1;
+const HEADER_BYTES = 4;
+const EVENT_HEADER_BYTES = 4 + 8 + 8;
+const MAX_TABLE_ENTRIES = 255;
+const MAX_STRING_BYTES = 255;
+
+const FLAG_HAS_INSTRUMENT = 0x01;
+const FLAG_STRING_NOTE = 0x02;
+
+const TYPE_CODES = {
+  noteOn: 1,
+  noteOff: 2,
+  controlChange: 3,
+  tempo: 4,
+  pitchBend: 5,
+};
+
+const TYPES_BY_CODE = Object.fromEntries(
+  Object.entries(TYPE_CODES).map(([type, code]) => [code, type])
+);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Pick the encoding to use when sending to a peer
+ *
+ * @param {string[]|undefined} remoteEncodings - Encodings advertised by the peer
+ * @returns {'json'|'binary'} Encoding to use for that peer
+ */
+export function negotiateEncoding(remoteEncodings) {
+  if (!Array.isArray(remoteEncodings)) {
+    return ENCODING_JSON;
+  }
+
+  for (const encoding of SUPPORTED_ENCODINGS) {
+    if (remoteEncodings.includes(encoding)) {
+      return encoding;
+    }
+  }
+
+  return ENCODING_JSON;
+}
+
+/**
+ * Check if a DataChannel message is a binary payload
+ *
+ * @param {any} data - MessageEvent.data
+ * @returns {boolean} True if data is an ArrayBuffer or typed array view
+ */
+export function isBinaryPayload(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Build the string table for a set of events
+ *
+ * @param {Array<Object>} events - Jam events
+ * @returns {{strings: Uint8Array[], indexOf: Map<string, number>}}
+ */
+function buildStringTable(events) {
+  const indexOf = new Map();
+  const strings = [];
+
+  const add = (value) => {
+    if (indexOf.has(value)) {
+      return;
+    }
+    const bytes = textEncoder.encode(value);
+    if (bytes.length > MAX_STRING_BYTES) {
+      throw new Error(`String too long for binary encoding: ${value}`);
+    }
+    if (strings.length >= MAX_TABLE_ENTRIES) {
+      throw new Error('Too many distinct strings for binary encoding');
+    }
+    indexOf.set(value, strings.length);
+    strings.push(bytes);
+  };
+
+  for (const event of events) {
+    add(event.senderId);
+    if (typeof event.instrument === 'string') {
+      add(event.instrument);
+    }
+    if (typeof event.note === 'string') {
+      add(event.note);
+    }
+  }
+
+  return { strings, indexOf };
+}
+
+/**
+ * Size of the type-specific part of an event
+ *
+ * @param {string} type - Event type
+ * @returns {number} Bytes
+ */
+function payloadSize(type) {
+  switch (type) {
+    case 'noteOn':
+      return 2;
+    case 'noteOff':
+      return 1;
+    case 'controlChange':
+      return 2;
+    case 'tempo':
+      return 8;
+    case 'pitchBend':
+      return 2;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Encode one or more jam events into a binary payload
+ *
+ * Throws if an event can't be represented (invalid event, too many strings, etc.).
+ * Callers should fall back to JSON in that case.
+ *
+ * @param {Array<Object>} events - Validated jam events
+ * @returns {ArrayBuffer} Binary payload
+ */
+export function encodeJamEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || events.length > 0xffff) {
+    throw new Error('Binary encoding requires 1-65535 events');
+  }
+
+  for (const event of events) {
+    if (!isJamEvent(event)) {
+      throw new Error('Invalid jam event: ' + JSON.stringify(event));
+    }
+  }
+
+  const { strings, indexOf } = buildStringTable(events);
+
+  let size = HEADER_BYTES + 1;
+  for (const bytes of strings) {
+    size += 1 + bytes.length;
+  }
+  for (const event of events) {
+    size += EVENT_HEADER_BYTES + payloadSize(event.type);
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  const bytesView = new Uint8Array(buffer);
+  let offset = 0;
+
+  // Header
+  view.setUint8(offset, MAGIC); offset += 1;
+  view.setUint8(offset, CODEC_VERSION); offset += 1;
+  view.setUint16(offset, events.length, true); offset += 2;
+
+  // String table
+  view.setUint8(offset, strings.length); offset += 1;
+  for (const bytes of strings) {
+    view.setUint8(offset, bytes.length); offset += 1;
+    bytesView.set(bytes, offset); offset += bytes.length;
+  }
+
+  // Events
+  for (const event of events) {
+    const hasInstrument = typeof event.instrument === 'string';
+    const stringNote = typeof event.note === 'string';
+    let flags = 0;
+    if (hasInstrument) flags |= FLAG_HAS_INSTRUMENT;
+    if (stringNote) flags |= FLAG_STRING_NOTE;
+
+    view.setUint8(offset, TYPE_CODES[event.type]); offset += 1;
+    view.setUint8(offset, flags); offset += 1;
+    view.setUint8(offset, hasInstrument ? indexOf.get(event.instrument) : 0); offset += 1;
+    view.setUint8(offset, indexOf.get(event.senderId)); offset += 1;
+    view.setFloat64(offset, event.timestamp, true); offset += 8;
+    view.setFloat64(offset, event.roomTime, true); offset += 8;
+
+    const note = stringNote ? indexOf.get(event.note) : Math.round(event.note);
+
+    switch (event.type) {
+      case 'noteOn':
+        view.setUint8(offset, note); offset += 1;
+        view.setUint8(offset, Math.round(event.velocity)); offset += 1;
+        break;
+      case 'noteOff':
+        view.setUint8(offset, note); offset += 1;
+        break;
+      case 'controlChange':
+        view.setUint8(offset, Math.round(event.cc)); offset += 1;
+        view.setUint8(offset, Math.round(event.value)); offset += 1;
+        break;
+      case 'tempo':
+        view.setFloat64(offset, event.bpm, true); offset += 8;
+        break;
+      case 'pitchBend':
+        view.setInt16(offset, Math.round(event.value), true); offset += 2;
+        break;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decode a binary payload into validated jam events
+ *
+ * Never throws: malformed payloads return an empty array,
+ * and individual events that fail validation are skipped.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary payload
+ * @param {Object} [options]
+ * @param {function(Object, string): void} [options.onRejected] - Called with each decoded
+ *   event that failed validation and the reason
+ * @returns {Array<Object>} Validated jam events
+ */
+export function decodeJamEvents(data, options = {}) {
+  try {
+    const view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data);
+    let offset = 0;
+
+    if (view.getUint8(offset) !== MAGIC) {
+      return [];
+    }
+    offset += 1;
+
+    const version = view.getUint8(offset); offset += 1;
+    if (version !== CODEC_VERSION) {
+      console.warn('[JamEventCodec] Unsupported codec version:', version);
+      return [];
+    }
+
+    const count = view.getUint16(offset, true); offset += 2;
+
+    // String table
+    const stringCount = view.getUint8(offset); offset += 1;
+    const strings = [];
+    for (let i = 0; i < stringCount; i++) {
+      const length = view.getUint8(offset); offset += 1;
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+      strings.push(textDecoder.decode(bytes));
+      offset += length;
+    }
+
+    // Events
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      const type = TYPES_BY_CODE[view.getUint8(offset)]; offset += 1;
+      const flags = view.getUint8(offset); offset += 1;
+      const instrumentIndex = view.getUint8(offset); offset += 1;
+      const senderIndex = view.getUint8(offset); offset += 1;
+      const timestamp = view.getFloat64(offset, true); offset += 8;
+      const roomTime = view.getFloat64(offset, true); offset += 8;
+
+      if (!type) {
+        // Unknown type code - we can't know its size, so stop here
+        console.warn('[JamEventCodec] Unknown event type code, dropping rest of payload');
+        break;
+      }
+
+      const event = {
+        type,
+        roomTime,
+        senderId: strings[senderIndex],
+        timestamp,
+      };
+
+      if (flags & FLAG_HAS_INSTRUMENT) {
+        event.instrument = strings[instrumentIndex];
+      }
+
+      const readNote = () => {
+        const raw = view.getUint8(offset);
+        offset += 1;
+        return flags & FLAG_STRING_NOTE ? strings[raw] : raw;
+      };
+
+      switch (type) {
+        case 'noteOn':
+          event.note = readNote();
+          event.velocity = view.getUint8(offset); offset += 1;
+          break;
+        case 'noteOff':
+          event.note = readNote();
+          break;
+        case 'controlChange':
+          event.cc = view.getUint8(offset); offset += 1;
+          event.value = view.getUint8(offset); offset += 1;
+          break;
+        case 'tempo':
+          event.bpm = view.getFloat64(offset, true); offset += 8;
+          break;
+        case 'pitchBend':
+          event.value = view.getInt16(offset, true); offset += 2;
+          break;
+      }
+
+      if (isJamEvent(event)) {
+        events.push(event);
+      } else if (options.onRejected) {
+        options.onRejected(event, describeRejectedEvent(event));
+      }
+    }
+
+    return events;
+  } catch (error) {
+    console.error('[JamEventCodec] Error decoding binary payload:', error);
+    return [];
+  }
+}
@@ -1,16 +1,19 @@
+import { getInstrumentIds, isRegisteredInstrument } from './instruments/registry';
+
 /**
  * Jam Event Protocol
  * 
  * Defines message types and serialization for jam events sent over WebRTC DataChannels
  * and Supabase Realtime (for crowd distribution).
  * 
- * Events are small JSON objects for now. Can be swapped to binary later if needed.
+ * Events are small JSON objects. On the DataChannel, peers that negotiate it
+ * exchange them in a compact binary form instead (see jamEventCodec.js).
  */
 
 /**
  * @typedef {Object} JamEventBase
  * @property {string} type - Event type: 'noteOn', 'noteOff', 'controlChange', 'tempo', 'pitchBend'
- * @property {string} instrument - Instrument: 'DRUMS', 'BASS', 'EP', 'GUITAR'
+ * @property {string} instrument - Registered instrument ID (see instruments/registry.js)
  * @property {number} roomTime - Synchronized room time (seconds since room start)
  * @property {string} senderId - User ID of sender
  * @property {number} timestamp - Local timestamp (ms) for debugging
@@ -72,7 +75,57 @@
  */
 
 const VALID_EVENT_TYPES = ['noteOn', 'noteOff', 'controlChange', 'tempo', 'pitchBend'];
-const VALID_INSTRUMENTS = ['DRUMS', 'BASS', 'EP', 'GUITAR'];
+
+/**
+ * Protocol version spoken by this build
+ * 
+ * v1: JSON jam events, no handshake
+ * v2: 'hello' capability handshake, optional binary encoding
+ * v3: reliable 'control' DataChannel for room state messages (claims, transport, loops, tempo)
+ */
+export const PROTOCOL_VERSION = 3;
+
+/**
+ * First protocol version that reads the 'control' DataChannel
+ * (older peers get those messages on the 'midi' channel)
+ */
+export const CONTROL_CHANNEL_PROTOCOL_VERSION = 3;
+
+/**
+ * Oldest protocol version this build can still jam with
+ */
+export const MIN_COMPATIBLE_PROTOCOL_VERSION = 1;
+
+/**
+ * Capabilities assumed for peers that never send a hello (v1 builds)
+ */
+const V1_CAPABILITIES = {
+  protocolVersion: 1,
+  minProtocolVersion: 1,
+  eventTypes: ['noteOn', 'noteOff', 'controlChange', 'tempo', 'pitchBend'],
+  instruments: ['DRUMS', 'BASS', 'EP', 'GUITAR'],
+  encodings: ['json'],
+};
+
+/**
+ * @typedef {Object} PeerCapabilities
+ * @property {number} protocolVersion - Protocol version the peer speaks
+ * @property {number} minProtocolVersion - Oldest version the peer accepts
+ * @property {string[]} eventTypes - Jam event types the peer understands
+ * @property {string[]} instruments - Instruments the peer can play back
+ * @property {string[]} encodings - Wire encodings the peer can receive
+ */
+
+/**
+ * @typedef {Object} HelloMessage
+ * @property {'hello'} type
+ * @property {string} senderId
+ * @property {number} protocolVersion
+ * @property {number} minProtocolVersion
+ * @property {string[]} eventTypes
+ * @property {string[]} instruments
+ * @property {string[]} encodings
+ */
 
 /**
  * Serialize a jam event to JSON string
@@ -153,7 +206,7 @@ export function isJamEvent(obj) {
   // Type-specific validation
   switch (obj.type) {
     case 'noteOn':
-      if (typeof obj.instrument !== 'string' || !VALID_INSTRUMENTS.includes(obj.instrument)) {
+      if (typeof obj.instrument !== 'string' || !isRegisteredInstrument(obj.instrument)) {
         return false;
       }
       // Note can be number (MIDI 0-127) or string (drum pad ID like "kick", "snare")
@@ -178,7 +231,7 @@ export function isJamEvent(obj) {
       return true;
 
     case 'noteOff':
-      if (typeof obj.instrument !== 'string' || !VALID_INSTRUMENTS.includes(obj.instrument)) {
+      if (typeof obj.instrument !== 'string' || !isRegisteredInstrument(obj.instrument)) {
         return false;
       }
       // Note can be number (MIDI 0-127) or string (drum pad ID like "kick", "snare")
@@ -200,7 +253,7 @@ export function isJamEvent(obj) {
       return true;
 
     case 'controlChange':
-      if (typeof obj.instrument !== 'string' || !VALID_INSTRUMENTS.includes(obj.instrument)) {
+      if (typeof obj.instrument !== 'string' || !isRegisteredInstrument(obj.instrument)) {
         return false;
       }
       if (typeof obj.cc !== 'number' || obj.cc < 0 || obj.cc > 127) {
@@ -218,7 +271,7 @@ export function isJamEvent(obj) {
       return true;
 
     case 'pitchBend':
-      if (typeof obj.instrument !== 'string' || !VALID_INSTRUMENTS.includes(obj.instrument)) {
+      if (typeof obj.instrument !== 'string' || !isRegisteredInstrument(obj.instrument)) {
         return false;
       }
       if (typeof obj.value !== 'number' || obj.value < -8192 || obj.value > 8191) {
@@ -309,6 +362,270 @@ export function createNoteOffEvent({ instrument, note, roomTime, senderId, times
   };
 }
 
+/**
+ * Resolve an event timestamp, defaulting to syncedNow() when available
+ * 
+ * @param {number} [timestamp] - Explicit timestamp
+ * @returns {number} Timestamp in milliseconds
+ */
+function resolveTimestamp(timestamp) {
+  if (timestamp !== undefined && timestamp !== null) {
+    return timestamp;
+  }
+  if (typeof window !== 'undefined' && window.__syncedNow) {
+    try {
+      return window.__syncedNow();
+    } catch {
+      return Date.now();
+    }
+  }
+  return Date.now();
+}
+
+/**
+ * Create a controlChange event
+ * 
+ * @param {Object} params
+ * @param {string} params.instrument
+ * @param {number} params.cc - MIDI CC number (0-127)
+ * @param {number} params.value - CC value (0-127)
+ * @param {number} params.roomTime
+ * @param {string} params.senderId
+ * @param {number} [params.timestamp] - Optional server-aligned timestamp (uses syncedNow() if not provided)
+ * @returns {ControlChangeEvent}
+ */
+export function createControlChangeEvent({ instrument, cc, value, roomTime, senderId, timestamp }) {
+  return {
+    type: 'controlChange',
+    instrument,
+    cc,
+    value,
+    roomTime,
+    senderId,
+    timestamp: resolveTimestamp(timestamp)
+  };
+}
+
+/**
+ * Create a pitchBend event
+ * 
+ * @param {Object} params
+ * @param {string} params.instrument
+ * @param {number} params.value - Pitch bend value (-8192 to 8191, 0 = center)
+ * @param {number} params.roomTime
+ * @param {string} params.senderId
+ * @param {number} [params.timestamp] - Optional server-aligned timestamp (uses syncedNow() if not provided)
+ * @returns {PitchBendEvent}
+ */
+export function createPitchBendEvent({ instrument, value, roomTime, senderId, timestamp }) {
+  return {
+    type: 'pitchBend',
+    instrument,
+    value,
+    roomTime,
+    senderId,
+    timestamp: resolveTimestamp(timestamp)
+  };
+}
+
+/**
+ * Create a tempo event
+ * The timestamp is when the tempo takes effect (a downbeat, usually in the
+ * future), see time/tempoTimeline.js.
+ *
+ * @param {Object} params
+ * @param {number} params.bpm - New BPM value (40-240)
+ * @param {number} params.roomTime
+ * @param {string} params.senderId
+ * @param {number} [params.timestamp] - Optional server-aligned timestamp (uses syncedNow() if not provided)
+ * @returns {TempoEvent}
+ */
+export function createTempoEvent({ bpm, roomTime, senderId, timestamp }) {
+  return {
+    type: 'tempo',
+    bpm,
+    roomTime,
+    senderId,
+    timestamp: resolveTimestamp(timestamp)
+  };
+}
+
+/**
+ * senderId prefix for session playback events (see audio/sessionPlayer.js)
+ *
+ * Playback is streamed to peers as ordinary jam events, stamped a little ahead
+ * of time. The prefix lets receivers schedule them on their timestamps (even
+ * for low-latency instruments, which normally play on arrival) and keeps them
+ * apart from the player's own live notes.
+ */
+const PLAYBACK_SENDER_PREFIX = 'playback:';
+
+/**
+ * Get the senderId used for a player's session playback events
+ *
+ * @param {string} userId - User ID of the player running the playback
+ * @returns {string}
+ */
+export function getPlaybackSenderId(userId) {
+  return `${PLAYBACK_SENDER_PREFIX}${userId}`;
+}
+
+/**
+ * Check if a jam event comes from session playback
+ *
+ * @param {JamEvent} event
+ * @returns {boolean}
+ */
+export function isPlaybackEvent(event) {
+  return typeof event?.senderId === 'string' && event.senderId.startsWith(PLAYBACK_SENDER_PREFIX);
+}
+
+/**
+ * Get the capabilities of this build
+ * 
+ * @param {string[]} encodings - Wire encodings this client can receive
+ * @returns {PeerCapabilities}
+ */
+export function getLocalCapabilities(encodings = ['json']) {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_COMPATIBLE_PROTOCOL_VERSION,
+    eventTypes: [...VALID_EVENT_TYPES],
+    instruments: getInstrumentIds(),
+    encodings: [...encodings],
+  };
+}
+
+/**
+ * Create the hello message sent when a DataChannel opens
+ * 
+ * @param {Object} params
+ * @param {string} params.senderId - Current user ID
+ * @param {string[]} params.encodings - Wire encodings this client can receive
+ * @returns {HelloMessage}
+ */
+export function createHelloMessage({ senderId, encodings }) {
+  return {
+    type: 'hello',
+    senderId,
+    ...getLocalCapabilities(encodings),
+  };
+}
+
+/**
+ * Type guard: Check if object is a hello message
+ * 
+ * @param {any} obj - Object to check
+ * @returns {obj is HelloMessage}
+ */
+export function isHelloMessage(obj) {
+  return !!obj &&
+    typeof obj === 'object' &&
+    obj.type === 'hello' &&
+    typeof obj.protocolVersion === 'number';
+}
+
+/**
+ * Extract peer capabilities from a hello message
+ * Missing fields fall back to what a v1 peer supports.
+ * 
+ * @param {HelloMessage|null} hello - Hello message, or null for peers that never sent one
+ * @returns {PeerCapabilities}
+ */
+export function parsePeerCapabilities(hello) {
+  if (!isHelloMessage(hello)) {
+    return { ...V1_CAPABILITIES };
+  }
+
+  const listOr = (value, fallback) => (
+    Array.isArray(value) ? value.filter(item => typeof item === 'string') : fallback
+  );
+
+  return {
+    protocolVersion: hello.protocolVersion,
+    minProtocolVersion: typeof hello.minProtocolVersion === 'number'
+      ? hello.minProtocolVersion
+      : hello.protocolVersion,
+    eventTypes: listOr(hello.eventTypes, V1_CAPABILITIES.eventTypes),
+    instruments: listOr(hello.instruments, V1_CAPABILITIES.instruments),
+    encodings: listOr(hello.encodings, V1_CAPABILITIES.encodings),
+  };
+}
+
+/**
+ * Compare a peer's capabilities with ours
+ * 
+ * @param {PeerCapabilities} capabilities - Peer capabilities
+ * @returns {{compatible: boolean, issues: string[]}} compatible is false if the
+ *   protocol versions can't talk at all; issues lists everything that differs
+ */
+export function checkCompatibility(capabilities) {
+  const issues = [];
+  let compatible = true;
+
+  if (capabilities.protocolVersion < MIN_COMPATIBLE_PROTOCOL_VERSION) {
+    compatible = false;
+    issues.push(`peer speaks protocol v${capabilities.protocolVersion}, we need at least v${MIN_COMPATIBLE_PROTOCOL_VERSION}`);
+  } else if (capabilities.minProtocolVersion > PROTOCOL_VERSION) {
+    compatible = false;
+    issues.push(`peer needs protocol v${capabilities.minProtocolVersion}, we speak v${PROTOCOL_VERSION}`);
+  }
+
+  const missingTypes = VALID_EVENT_TYPES.filter(type => !capabilities.eventTypes.includes(type));
+  if (missingTypes.length > 0) {
+    issues.push(`peer does not understand event types: ${missingTypes.join(', ')}`);
+  }
+
+  const missingInstruments = getInstrumentIds().filter(id => !capabilities.instruments.includes(id));
+  if (missingInstruments.length > 0) {
+    issues.push(`peer cannot play instruments: ${missingInstruments.join(', ')}`);
+  }
+
+  const unknownInstruments = capabilities.instruments.filter(id => !isRegisteredInstrument(id));
+  if (unknownInstruments.length > 0) {
+    issues.push(`peer has instruments we cannot play: ${unknownInstruments.join(', ')}`);
+  }
+
+  return { compatible, issues };
+}
+
+/**
+ * Check whether a peer can handle an outgoing event
+ * 
+ * @param {JamEvent} event - Outgoing jam event
+ * @param {PeerCapabilities} capabilities - Peer capabilities
+ * @returns {string|null} Reason the peer can't handle it, or null if it can
+ */
+export function getUnsupportedReason(event, capabilities) {
+  if (!capabilities.eventTypes.includes(event.type)) {
+    return `event type "${event.type}"`;
+  }
+  if (typeof event.instrument === 'string' && !capabilities.instruments.includes(event.instrument)) {
+    return `instrument "${event.instrument}"`;
+  }
+  return null;
+}
+
+/**
+ * Explain why an incoming object was rejected as a jam event
+ * Used to turn silent drops into actionable warnings.
+ * 
+ * @param {any} obj - Rejected object
+ * @returns {string} Human-readable reason
+ */
+export function describeRejectedEvent(obj) {
+  if (!obj || typeof obj !== 'object') {
+    return 'not an object';
+  }
+  if (typeof obj.type !== 'string' || !VALID_EVENT_TYPES.includes(obj.type)) {
+    return `unknown event type "${obj.type}"`;
+  }
+  if (obj.type !== 'tempo' && (typeof obj.instrument !== 'string' || !isRegisteredInstrument(obj.instrument))) {
+    return `unknown instrument "${obj.instrument}"`;
+  }
+  return `malformed ${obj.type} event`;
+}
+
 /**
  * Normalize incoming jam payload to an array of validated jam events
  * 
@@ -318,43 +635,45 @@ export function createNoteOffEvent({ instrument, note, roomTime, senderId, times
  * 3. Bundle object: { kind: 'bundle', events: [ { ... }, ... ] }
  * 
  * @param {any} payload - Incoming payload (already parsed JSON)
+ * @param {Object} [options]
+ * @param {function(any, string): void} [options.onRejected] - Called with each raw event that
+ *   failed validation and the reason (e.g. an event type from a newer build)
  * @returns {JamEvent[]} Array of validated jam events (empty if invalid)
  */
-export function normalizeIncomingJamPayload(payload) {
+export function normalizeIncomingJamPayload(payload, options = {}) {
   if (!payload || typeof payload !== 'object') {
     return [];
   }
 
-  // Case A: Bundle object with events array
-  if (payload.events && Array.isArray(payload.events)) {
+  const { onRejected } = options;
+
+  const collect = (rawEvents) => {
     const events = [];
-    for (const rawEvent of payload.events) {
-      const jamEvent = deserializeEvent(rawEvent);
-      if (jamEvent) {
-        events.push(jamEvent);
+    for (const rawEvent of rawEvents) {
+      if (isJamEvent(rawEvent)) {
+        events.push(rawEvent);
+      } else if (onRejected) {
+        onRejected(rawEvent, describeRejectedEvent(rawEvent));
+      } else {
+        const jamEvent = deserializeEvent(rawEvent);
+        if (jamEvent) {
+          events.push(jamEvent);
+        }
       }
     }
     return events;
+  };
+
+  // Case A: Bundle object with events array
+  if (payload.events && Array.isArray(payload.events)) {
+    return collect(payload.events);
   }
 
   // Case B: Bare array of events
   if (Array.isArray(payload)) {
-    const events = [];
-    for (const rawEvent of payload) {
-      const jamEvent = deserializeEvent(rawEvent);
-      if (jamEvent) {
-        events.push(jamEvent);
-      }
-    }
-    return events;
+    return collect(payload);
   }
 
   // Case C: Single event (existing behavior)
-  const jamEvent = deserializeEvent(payload);
-  if (jamEvent) {
-    return [jamEvent];
-  }
-
-  return [];
+  return collect([payload]);
 }
-
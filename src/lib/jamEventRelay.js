@@ -0,0 +1,215 @@
+import { supabase } from '@/api/supabaseClient';
+
+/**
+ * Jam Event Relay via Supabase Realtime
+ *
+ * Fallback path for jam events to peers whose DataChannel isn't open (still
+ * connecting, reconnecting, or no route at all). WebRTCManager hands the
+ * events for those peers to the relay instead of dropping them; the peers
+ * get them from this channel and handle them like DataChannel events.
+ *
+ * Every player is on the channel, so each message says who it's for (`to`).
+ * Events are sent as JSON and gathered for FLUSH_INTERVAL_MS, which keeps
+ * the message rate well under Supabase's limits. The extra latency shows
+ * up as a longer playout delay for the sender (see audio/playoutDelay.js).
+ */
+
+/**
+ * How long events are gathered before they are sent (ms)
+ */
+const FLUSH_INTERVAL_MS = 40;
+
+/**
+ * @typedef {Object} RelayMessage
+ * @property {string} from - Sender userId
+ * @property {string[]} to - Target userIds
+ * @property {Array<Object>} events - Jam events
+ */
+
+/**
+ * Initialize the jam event relay for a room
+ *
+ * @param {string} roomId - Room ID
+ * @param {string} userId - Current user ID
+ * @returns {Object} Relay API object
+ */
+export function initJamEventRelay(roomId, userId) {
+  const channelName = `jam:${roomId}:relay`;
+  let channel = null;
+  let subscribed = false;
+  let eventCallbacks = [];
+  let statusCallbacks = [];
+
+  /** @type {Map<string, RelayMessage>} Sorted target IDs -> events waiting to be sent */
+  const pending = new Map();
+  let flushTimer = null;
+
+  /**
+   * Join the relay channel
+   */
+  function connect() {
+    if (channel) {
+      console.warn(`[JamEventRelay] Already connected to ${channelName}`);
+      return;
+    }
+
+    channel = supabase.channel(channelName);
+
+    channel.on('broadcast', { event: 'jam' }, (payload) => {
+      const message = payload.payload;
+
+      // Only messages for us, from someone else
+      if (!message || message.from === userId || !Array.isArray(message.to) || !message.to.includes(userId)) {
+        return;
+      }
+
+      eventCallbacks.forEach(callback => {
+        try {
+          callback(message.events, message.from);
+        } catch (error) {
+          console.error('[JamEventRelay] Error in jam event callback:', error);
+        }
+      });
+    });
+
+    channel.subscribe((status) => {
+      setSubscribed(status === 'SUBSCRIBED');
+      if (status === 'SUBSCRIBED') {
+        console.log(`[JamEventRelay] Connected to ${channelName}`);
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error(`[JamEventRelay] Error subscribing to ${channelName}`);
+      }
+    });
+  }
+
+  /**
+   * Record whether the channel is subscribed, and report it if it changed
+   *
+   * @param {boolean} value - Subscribed
+   */
+  function setSubscribed(value) {
+    if (subscribed === value) {
+      return;
+    }
+    subscribed = value;
+    statusCallbacks.forEach(callback => {
+      try {
+        callback(subscribed);
+      } catch (error) {
+        console.error('[JamEventRelay] Error in status callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Send everything waiting
+   */
+  function flush() {
+    flushTimer = null;
+    if (!channel) {
+      pending.clear();
+      return;
+    }
+
+    pending.forEach(message => {
+      channel.send({
+        type: 'broadcast',
+        event: 'jam',
+        payload: message
+      });
+    });
+    pending.clear();
+  }
+
+  /**
+   * Queue jam events for some peers (sent within FLUSH_INTERVAL_MS)
+   *
+   * @param {string[]} targetUserIds - Peers to send them to
+   * @param {Array<Object>} events - Jam events
+   */
+  function sendJamEvents(targetUserIds, events) {
+    if (!channel || targetUserIds.length === 0 || events.length === 0) {
+      return;
+    }
+
+    const to = [...targetUserIds].sort();
+    const key = to.join(',');
+    const message = pending.get(key);
+    if (message) {
+      message.events.push(...events);
+    } else {
+      pending.set(key, { from: userId, to, events: [...events] });
+    }
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Register callback for relayed jam events
+   *
+   * @param {function(Array<Object>, string): void} callback - Callback function (events, fromUserId)
+   * @returns {function(): void} Unsubscribe function
+   */
+  function onJamEvents(callback) {
+    eventCallbacks.push(callback);
+
+    return () => {
+      eventCallbacks = eventCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Register callback for when the relay connects or drops
+   *
+   * @param {function(boolean): void} callback - Callback function (connected)
+   * @returns {function(): void} Unsubscribe function
+   */
+  function onStatusChange(callback) {
+    statusCallbacks.push(callback);
+
+    return () => {
+      statusCallbacks = statusCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Check whether the relay can currently send and receive
+   *
+   * @returns {boolean}
+   */
+  function isConnected() {
+    return subscribed;
+  }
+
+  /**
+   * Disconnect from the relay channel (events still waiting are dropped)
+   */
+  function disconnect() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    pending.clear();
+    if (channel) {
+      supabase.removeChannel(channel);
+      channel = null;
+      subscribed = false;
+      eventCallbacks = [];
+      statusCallbacks = [];
+      console.log(`[JamEventRelay] Disconnected from ${channelName}`);
+    }
+  }
+
+  // Auto-connect on init
+  connect();
+
+  return {
+    sendJamEvents,
+    onJamEvents,
+    onStatusChange,
+    isConnected,
+    disconnect
+  };
+}
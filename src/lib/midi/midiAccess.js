@@ -0,0 +1,56 @@
+/**
+ * MIDI Access
+ *
+ * Shared Web MIDI access for midiInput.js and midiOutput.js, so the browser
+ * only asks for permission once.
+ */
+
+let access = null;
+let accessPromise = null;
+
+/**
+ * Check if this browser supports Web MIDI
+ *
+ * @returns {boolean}
+ */
+export function isMidiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+/**
+ * Request MIDI access (prompts the user the first time in some browsers)
+ *
+ * @returns {Promise<MIDIAccess|null>} MIDIAccess, or null if unsupported or denied
+ */
+export async function requestMidiAccess() {
+  if (access) {
+    return access;
+  }
+  if (!isMidiSupported()) {
+    return null;
+  }
+
+  if (!accessPromise) {
+    accessPromise = navigator.requestMIDIAccess({ sysex: false })
+      .then(result => {
+        access = result;
+        return result;
+      })
+      .catch(error => {
+        console.warn('[MidiAccess] MIDI access denied:', error);
+        accessPromise = null;
+        return null;
+      });
+  }
+
+  return accessPromise;
+}
+
+/**
+ * Get MIDI access if it has already been granted
+ *
+ * @returns {MIDIAccess|null}
+ */
+export function getMidiAccess() {
+  return access;
+}
@@ -0,0 +1,447 @@
+/**
+ * Standard MIDI File writer / parser
+ *
+ * Pure functions, no browser or app dependencies. writeMidiFile() produces a
+ * Type 1 file: track 0 carries tempo, time signature and key signature meta
+ * events, followed by one track per part. Event times are given in
+ * milliseconds and converted to ticks through the tempo map, so tempo changes
+ * during a jam keep the notes where they were played.
+ *
+ * parseMidiFile() reads Type 0 / 1 files back (including running status),
+ * with event times in both ticks and milliseconds.
+ */
+
+export const DEFAULT_PPQ = 480;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Flats / sharps for each major key, indexed by pitch class (flat keys for C#/D#/G#/A#)
+const MAJOR_KEY_ACCIDENTALS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+
+/**
+ * @typedef {Object} MidiPartEvent
+ * @property {'noteOn'|'noteOff'|'controlChange'|'pitchBend'} type
+ * @property {number} time - Milliseconds from the start
+ * @property {number} [note] - MIDI note (0-127)
+ * @property {number} [velocity] - MIDI velocity (1-127)
+ * @property {number} [duration] - For noteOn: length in ms (a noteOff is generated)
+ * @property {number} [cc] - CC number
+ * @property {number} [value] - CC value (0-127) or pitch bend (-8192 to 8191)
+ */
+
+/**
+ * @typedef {Object} MidiPart
+ * @property {string} name - Track name
+ * @property {number} channel - MIDI channel (0-15, 9 = drums)
+ * @property {number} [program] - Program change sent at the start
+ * @property {MidiPartEvent[]} events - Events (any order)
+ */
+
+/**
+ * @typedef {Object} MidiSong
+ * @property {number} bpm - Starting tempo
+ * @property {[number, number]} [timeSignature=[4, 4]] - Numerator, denominator
+ * @property {string} [key] - Key name (e.g., 'C', 'F#')
+ * @property {string} [scale] - 'major' or 'minor'
+ * @property {Array<{time: number, bpm: number}>} [tempoChanges] - Tempo changes (ms)
+ * @property {Array<{time: number, key: string, scale: string}>} [keyChanges] - Key changes (ms)
+ * @property {MidiPart[]} parts - One track each
+ * @property {number} [ppq=480] - Ticks per quarter note
+ */
+
+/**
+ * Encode a variable-length quantity
+ *
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Bytes
+ */
+export function encodeVarLen(value) {
+  let buffer = value & 0x7f;
+  const bytes = [];
+  let remaining = value >> 7;
+  while (remaining > 0) {
+    buffer <<= 8;
+    buffer |= (remaining & 0x7f) | 0x80;
+    remaining >>= 7;
+  }
+  for (;;) {
+    bytes.push(buffer & 0xff);
+    if (buffer & 0x80) {
+      buffer >>= 8;
+    } else {
+      break;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Get the key signature accidentals for a key
+ *
+ * @param {string} key - Key name (sharps, e.g. 'C#')
+ * @param {string} scale - 'major' or 'minor'
+ * @returns {{sf: number, mi: number}} Sharps (+) / flats (-), and 1 for minor
+ */
+export function getKeySignature(key, scale) {
+  const pitchClass = Math.max(0, NOTE_NAMES.indexOf(key));
+  if (scale === 'minor') {
+    // Same accidentals as the relative major
+    return { sf: MAJOR_KEY_ACCIDENTALS[(pitchClass + 3) % 12], mi: 1 };
+  }
+  return { sf: MAJOR_KEY_ACCIDENTALS[pitchClass], mi: 0 };
+}
+
+/**
+ * Build a ms -> ticks converter from a tempo map
+ *
+ * @param {number} bpm - Starting tempo
+ * @param {Array<{time: number, bpm: number}>} tempoChanges - Tempo changes (ms)
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {function(number): number} Converter
+ */
+function createTickConverter(bpm, tempoChanges, ppq) {
+  // Segments: [startMs, startTick, bpm]
+  const segments = [{ ms: 0, tick: 0, bpm }];
+  tempoChanges
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(change => {
+      const last = segments[segments.length - 1];
+      const time = Math.max(last.ms, change.time);
+      const tick = last.tick + ((time - last.ms) / 60000) * last.bpm * ppq;
+      segments.push({ ms: time, tick, bpm: change.bpm });
+    });
+
+  return (ms) => {
+    let segment = segments[0];
+    for (let i = segments.length - 1; i >= 0; i--) {
+      if (segments[i].ms <= ms) {
+        segment = segments[i];
+        break;
+      }
+    }
+    return Math.max(0, Math.round(segment.tick + ((ms - segment.ms) / 60000) * segment.bpm * ppq));
+  };
+}
+
+/**
+ * Serialize a track's events into an MTrk chunk
+ *
+ * @param {Array<{tick: number, order: number, bytes: number[]}>} events - Timed raw events
+ * @returns {number[]} Chunk bytes
+ */
+function buildTrackChunk(events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index);
+
+  const data = [];
+  let lastTick = 0;
+  sorted.forEach(event => {
+    data.push(...encodeVarLen(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  data.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // 'MTrk'
+    (data.length >>> 24) & 0xff, (data.length >>> 16) & 0xff, (data.length >>> 8) & 0xff, data.length & 0xff,
+    ...data,
+  ];
+}
+
+/**
+ * Encode a text meta event
+ *
+ * @param {number} type - Meta type (0x03 = track name)
+ * @param {string} text
+ * @returns {number[]}
+ */
+function textMeta(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  return [0xff, type, ...encodeVarLen(bytes.length), ...bytes];
+}
+
+/**
+ * Encode a tempo meta event
+ *
+ * @param {number} bpm
+ * @returns {number[]}
+ */
+function tempoMeta(bpm) {
+  const microseconds = Math.round(60000000 / bpm);
+  return [0xff, 0x51, 0x03, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff];
+}
+
+/**
+ * Encode a key signature meta event
+ *
+ * @param {string} key
+ * @param {string} scale
+ * @returns {number[]}
+ */
+function keySignatureMeta(key, scale) {
+  const { sf, mi } = getKeySignature(key, scale);
+  return [0xff, 0x59, 0x02, sf & 0xff, mi];
+}
+
+const clamp7 = (value) => Math.max(0, Math.min(127, Math.round(value)));
+
+/**
+ * Write a Type 1 Standard MIDI File
+ *
+ * @param {MidiSong} song
+ * @returns {Uint8Array} File bytes
+ */
+export function writeMidiFile(song) {
+  const ppq = song.ppq || DEFAULT_PPQ;
+  const [numerator, denominator] = song.timeSignature || [4, 4];
+  const toTicks = createTickConverter(song.bpm, song.tempoChanges || [], ppq);
+
+  // Track 0: tempo map, time signature and key signature
+  const conductor = [
+    { tick: 0, order: 0, bytes: textMeta(0x03, 'Tempo') },
+    { tick: 0, order: 0, bytes: tempoMeta(song.bpm) },
+    {
+      tick: 0,
+      order: 0,
+      bytes: [0xff, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), 24, 8],
+    },
+  ];
+  if (song.key) {
+    conductor.push({ tick: 0, order: 0, bytes: keySignatureMeta(song.key, song.scale) });
+  }
+  (song.tempoChanges || []).forEach(change => {
+    conductor.push({ tick: toTicks(change.time), order: 0, bytes: tempoMeta(change.bpm) });
+  });
+  (song.keyChanges || []).forEach(change => {
+    conductor.push({ tick: toTicks(change.time), order: 0, bytes: keySignatureMeta(change.key, change.scale) });
+  });
+
+  const chunks = [buildTrackChunk(conductor)];
+
+  song.parts.forEach(part => {
+    const channel = part.channel & 0x0f;
+    // order: meta / program first, then note offs before note ons at the same tick
+    const events = [{ tick: 0, order: 0, bytes: textMeta(0x03, part.name) }];
+    if (typeof part.program === 'number') {
+      events.push({ tick: 0, order: 1, bytes: [0xc0 | channel, clamp7(part.program)] });
+    }
+
+    part.events.forEach(event => {
+      const tick = toTicks(event.time);
+      switch (event.type) {
+        case 'noteOn':
+          events.push({ tick, order: 3, bytes: [0x90 | channel, clamp7(event.note), Math.max(1, clamp7(event.velocity ?? 100))] });
+          if (typeof event.duration === 'number') {
+            const offTick = Math.max(tick + 1, toTicks(event.time + event.duration));
+            events.push({ tick: offTick, order: 2, bytes: [0x80 | channel, clamp7(event.note), 0] });
+          }
+          break;
+        case 'noteOff':
+          events.push({ tick, order: 2, bytes: [0x80 | channel, clamp7(event.note), 0] });
+          break;
+        case 'controlChange':
+          events.push({ tick, order: 1, bytes: [0xb0 | channel, clamp7(event.cc), clamp7(event.value)] });
+          break;
+        case 'pitchBend': {
+          const bend = Math.max(0, Math.min(16383, Math.round(event.value) + 8192));
+          events.push({ tick, order: 1, bytes: [0xe0 | channel, bend & 0x7f, bend >> 7] });
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    chunks.push(buildTrackChunk(events));
+  });
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // 'MThd'
+    0x00, 0x00, 0x00, 0x06,
+    0x00, 0x01, // Format 1
+    (chunks.length >> 8) & 0xff, chunks.length & 0xff,
+    (ppq >> 8) & 0xff, ppq & 0xff,
+  ];
+
+  const bytes = new Uint8Array(header.length + chunks.reduce((total, chunk) => total + chunk.length, 0));
+  bytes.set(header, 0);
+  let offset = header.length;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * @typedef {Object} ParsedMidiEvent
+ * @property {number} tick - Absolute tick
+ * @property {number} time - Milliseconds from the start (through the tempo map)
+ * @property {string} type - 'noteOn', 'noteOff', 'controlChange', 'pitchBend', 'programChange',
+ *   'tempo', 'timeSignature', 'keySignature', 'trackName', 'meta' or 'sysex'
+ * @property {number} [channel]
+ * @property {number} [note]
+ * @property {number} [velocity]
+ * @property {number} [cc]
+ * @property {number} [value]
+ * @property {number} [program]
+ * @property {number} [bpm]
+ * @property {number} [numerator]
+ * @property {number} [denominator]
+ * @property {number} [sf]
+ * @property {number} [mi]
+ * @property {string} [text]
+ */
+
+/**
+ * Parse a Standard MIDI File
+ *
+ * @param {Uint8Array|ArrayBuffer} input - File bytes
+ * @returns {{format: number, ppq: number, tracks: Array<{name: string, events: ParsedMidiEvent[]}>}}
+ */
+export function parseMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  let pos = 0;
+
+  const readUint32 = () => {
+    const value = ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+    pos += 4;
+    return value;
+  };
+  const readUint16 = () => {
+    const value = (bytes[pos] << 8) | bytes[pos + 1];
+    pos += 2;
+    return value;
+  };
+  const readVarLen = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = bytes[pos++];
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+  const readChunkId = () => {
+    const id = String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+    pos += 4;
+    return id;
+  };
+
+  if (readChunkId() !== 'MThd') {
+    throw new Error('Not a MIDI file');
+  }
+  const headerLength = readUint32();
+  const format = readUint16();
+  const trackCount = readUint16();
+  const division = readUint16();
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+  pos += headerLength - 6;
+
+  const tracks = [];
+  for (let t = 0; t < trackCount && pos < bytes.length; t++) {
+    const chunkId = readChunkId();
+    const length = readUint32();
+    const end = pos + length;
+    if (chunkId !== 'MTrk') {
+      pos = end;
+      t--;
+      continue;
+    }
+
+    const events = [];
+    let tick = 0;
+    let runningStatus = 0;
+    let name = '';
+
+    while (pos < end) {
+      tick += readVarLen();
+      let status = bytes[pos];
+      if (status & 0x80) {
+        pos++;
+      } else {
+        status = runningStatus;
+      }
+
+      if (status === 0xff) {
+        const metaType = bytes[pos++];
+        const metaLength = readVarLen();
+        const data = bytes.subarray(pos, pos + metaLength);
+        pos += metaLength;
+
+        if (metaType === 0x2f) {
+          break;
+        } else if (metaType === 0x51) {
+          const microseconds = (data[0] << 16) | (data[1] << 8) | data[2];
+          events.push({ tick, type: 'tempo', bpm: 60000000 / microseconds });
+        } else if (metaType === 0x58) {
+          events.push({ tick, type: 'timeSignature', numerator: data[0], denominator: 2 ** data[1] });
+        } else if (metaType === 0x59) {
+          events.push({ tick, type: 'keySignature', sf: (data[0] << 24) >> 24, mi: data[1] });
+        } else if (metaType === 0x03) {
+          const text = new TextDecoder().decode(data);
+          if (!name) name = text;
+          events.push({ tick, type: 'trackName', text });
+        } else {
+          events.push({ tick, type: 'meta', metaType });
+        }
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        pos += readVarLen();
+        events.push({ tick, type: 'sysex' });
+        continue;
+      }
+
+      runningStatus = status;
+      const kind = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = bytes[pos++];
+      const data2 = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[pos++];
+
+      if (kind === 0x90 && data2 > 0) {
+        events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+      } else if (kind === 0x80 || kind === 0x90) {
+        events.push({ tick, type: 'noteOff', channel, note: data1 });
+      } else if (kind === 0xb0) {
+        events.push({ tick, type: 'controlChange', channel, cc: data1, value: data2 });
+      } else if (kind === 0xe0) {
+        events.push({ tick, type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 });
+      } else if (kind === 0xc0) {
+        events.push({ tick, type: 'programChange', channel, program: data1 });
+      }
+    }
+
+    pos = end;
+    tracks.push({ name, events });
+  }
+
+  // Tempo map from every track (Type 1 keeps it in track 0)
+  const tempoEvents = tracks
+    .flatMap(track => track.events.filter(event => event.type === 'tempo'))
+    .sort((a, b) => a.tick - b.tick);
+  const tickToMs = (tick) => {
+    let ms = 0;
+    let lastTick = 0;
+    let bpm = 120;
+    for (const tempo of tempoEvents) {
+      if (tempo.tick > tick) break;
+      ms += ((tempo.tick - lastTick) / division) * (60000 / bpm);
+      lastTick = tempo.tick;
+      bpm = tempo.bpm;
+    }
+    return ms + ((tick - lastTick) / division) * (60000 / bpm);
+  };
+  tracks.forEach(track => {
+    track.events.forEach(event => {
+      event.time = tickToMs(event.tick);
+    });
+  });
+
+  return { format, ppq: division, tracks };
+}
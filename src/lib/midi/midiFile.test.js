@@ -0,0 +1,205 @@
+import { describe, it, expect } from 'vitest';
+import { writeMidiFile, parseMidiFile, encodeVarLen, getKeySignature, DEFAULT_PPQ } from './midiFile';
+
+/**
+ * Write a song and parse it back
+ */
+function roundTrip(song) {
+  return parseMidiFile(writeMidiFile(song));
+}
+
+const eventsOfType = (track, type) => track.events.filter(event => event.type === type);
+
+describe('encodeVarLen', () => {
+  it('encodes the examples from the SMF spec', () => {
+    expect(encodeVarLen(0x00)).toEqual([0x00]);
+    expect(encodeVarLen(0x7f)).toEqual([0x7f]);
+    expect(encodeVarLen(0x80)).toEqual([0x81, 0x00]);
+    expect(encodeVarLen(0x2000)).toEqual([0xc0, 0x00]);
+    expect(encodeVarLen(0x0fffffff)).toEqual([0xff, 0xff, 0xff, 0x7f]);
+  });
+});
+
+describe('getKeySignature', () => {
+  it('counts sharps and flats for major keys', () => {
+    expect(getKeySignature('C', 'major')).toEqual({ sf: 0, mi: 0 });
+    expect(getKeySignature('D', 'major')).toEqual({ sf: 2, mi: 0 });
+    expect(getKeySignature('F', 'major')).toEqual({ sf: -1, mi: 0 });
+  });
+
+  it('uses the relative major for minor keys', () => {
+    expect(getKeySignature('A', 'minor')).toEqual({ sf: 0, mi: 1 });
+    expect(getKeySignature('E', 'minor')).toEqual({ sf: 1, mi: 1 });
+    expect(getKeySignature('C', 'minor')).toEqual({ sf: -3, mi: 1 });
+  });
+});
+
+describe('writeMidiFile / parseMidiFile', () => {
+  const part = (overrides) => ({ name: 'Part', channel: 0, events: [], ...overrides });
+
+  it('writes a Type 1 file with a conductor track and one track per part', () => {
+    const parsed = roundTrip({ bpm: 120, parts: [part({ name: 'Bass' }), part({ name: 'Keys', channel: 1 })] });
+
+    expect(parsed.format).toBe(1);
+    expect(parsed.ppq).toBe(DEFAULT_PPQ);
+    expect(parsed.tracks.map(track => track.name)).toEqual(['Tempo', 'Bass', 'Keys']);
+  });
+
+  it('keeps the tempo and tempo changes', () => {
+    const parsed = roundTrip({
+      bpm: 90,
+      tempoChanges: [{ time: 4000, bpm: 150 }],
+      parts: [part({ events: [{ type: 'noteOn', time: 6000, note: 60, velocity: 100, duration: 500 }] })],
+    });
+
+    const tempos = eventsOfType(parsed.tracks[0], 'tempo');
+    // Stored as whole microseconds per quarter note
+    expect(tempos.map(tempo => Math.round(tempo.bpm * 1000) / 1000)).toEqual([90, 150]);
+    expect(tempos[1].tick).toBe(6 * DEFAULT_PPQ); // 4 s at 90 bpm = 6 beats
+    expect(tempos[1].time).toBeCloseTo(4000, 1);
+
+    // A note after the change lands where it was played
+    const [noteOn] = eventsOfType(parsed.tracks[1], 'noteOn');
+    expect(noteOn.time).toBeCloseTo(6000, 0);
+    const [noteOff] = eventsOfType(parsed.tracks[1], 'noteOff');
+    expect(noteOff.time).toBeCloseTo(6500, 0);
+  });
+
+  it('keeps the time signature', () => {
+    const parsed = roundTrip({ bpm: 120, timeSignature: [7, 8], parts: [] });
+
+    expect(eventsOfType(parsed.tracks[0], 'timeSignature')).toEqual([
+      expect.objectContaining({ tick: 0, numerator: 7, denominator: 8 }),
+    ]);
+  });
+
+  it('defaults to 4/4', () => {
+    const parsed = roundTrip({ bpm: 120, parts: [] });
+
+    expect(eventsOfType(parsed.tracks[0], 'timeSignature')).toEqual([
+      expect.objectContaining({ numerator: 4, denominator: 4 }),
+    ]);
+  });
+
+  it('keeps the key signature and key changes', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      key: 'D',
+      scale: 'major',
+      keyChanges: [{ time: 2000, key: 'F', scale: 'minor' }],
+      parts: [],
+    });
+
+    const keys = eventsOfType(parsed.tracks[0], 'keySignature');
+    expect(keys).toEqual([
+      expect.objectContaining({ tick: 0, sf: 2, mi: 0 }),
+      expect.objectContaining({ tick: 4 * DEFAULT_PPQ, sf: -4, mi: 1 }),
+    ]);
+  });
+
+  it('sends the program change first on the part channel', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      parts: [part({ channel: 2, program: 33, events: [{ type: 'noteOn', time: 0, note: 40, velocity: 90, duration: 100 }] })],
+    });
+
+    const channelEvents = parsed.tracks[1].events.filter(event => typeof event.channel === 'number');
+    expect(channelEvents[0]).toEqual(expect.objectContaining({ type: 'programChange', channel: 2, program: 33, tick: 0 }));
+    expect(channelEvents.every(event => event.channel === 2)).toBe(true);
+  });
+
+  it('writes drum parts on channel 10 without a program change', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      parts: [part({ channel: 9, events: [{ type: 'noteOn', time: 0, note: 36, velocity: 110, duration: 100 }] })],
+    });
+
+    expect(eventsOfType(parsed.tracks[1], 'programChange')).toEqual([]);
+    expect(eventsOfType(parsed.tracks[1], 'noteOn')).toEqual([
+      expect.objectContaining({ channel: 9, note: 36, velocity: 110 }),
+    ]);
+  });
+
+  it('keeps velocities, clamped to 1-127', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      parts: [part({
+        events: [
+          { type: 'noteOn', time: 0, note: 60, velocity: 1, duration: 100 },
+          { type: 'noteOn', time: 250, note: 62, velocity: 64, duration: 100 },
+          { type: 'noteOn', time: 500, note: 64, velocity: 127, duration: 100 },
+          { type: 'noteOn', time: 750, note: 65, velocity: 200, duration: 100 },
+          { type: 'noteOn', time: 1000, note: 67, velocity: 0, duration: 100 },
+          { type: 'noteOn', time: 1250, note: 69, duration: 100 },
+        ],
+      })],
+    });
+
+    expect(eventsOfType(parsed.tracks[1], 'noteOn').map(event => event.velocity)).toEqual([1, 64, 127, 127, 1, 100]);
+  });
+
+  it('puts a noteOff before a noteOn at the same tick', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      parts: [part({
+        events: [
+          { type: 'noteOn', time: 0, note: 60, velocity: 100 },
+          { type: 'noteOn', time: 500, note: 60, velocity: 100 },
+          { type: 'noteOff', time: 500, note: 60 },
+        ],
+      })],
+    });
+
+    const notes = parsed.tracks[1].events.filter(event => event.type === 'noteOn' || event.type === 'noteOff');
+    expect(notes.map(event => `${event.type}@${event.tick}`)).toEqual(['noteOn@0', 'noteOff@480', 'noteOn@480']);
+  });
+
+  it('keeps control changes and pitch bends', () => {
+    const parsed = roundTrip({
+      bpm: 120,
+      parts: [part({
+        events: [
+          { type: 'controlChange', time: 0, cc: 64, value: 127 },
+          { type: 'pitchBend', time: 100, value: -8192 },
+          { type: 'pitchBend', time: 200, value: 0 },
+          { type: 'pitchBend', time: 300, value: 8191 },
+        ],
+      })],
+    });
+
+    expect(eventsOfType(parsed.tracks[1], 'controlChange')).toEqual([
+      expect.objectContaining({ cc: 64, value: 127 }),
+    ]);
+    expect(eventsOfType(parsed.tracks[1], 'pitchBend').map(event => event.value)).toEqual([-8192, 0, 8191]);
+  });
+});
+
+describe('parseMidiFile', () => {
+  it('reads running status', () => {
+    const track = [
+      0x00, 0x90, 60, 100, // noteOn
+      0x60, 62, 90, // noteOn, running status
+      0x60, 60, 0, // noteOn velocity 0 = noteOff, running status
+      0x00, 0xff, 0x2f, 0x00,
+    ];
+    const bytes = new Uint8Array([
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length,
+      ...track,
+    ]);
+
+    const parsed = parseMidiFile(bytes);
+    expect(parsed.format).toBe(0);
+    expect(parsed.tracks[0].events.map(event => [event.type, event.note, event.tick])).toEqual([
+      ['noteOn', 60, 0],
+      ['noteOn', 62, 96],
+      ['noteOff', 60, 192],
+    ]);
+    // No tempo event: 120 bpm
+    expect(parsed.tracks[0].events[2].time).toBe(1000);
+  });
+
+  it('rejects files that are not MIDI', () => {
+    expect(() => parseMidiFile(new TextEncoder().encode('RIFF0000WAVE'))).toThrow('Not a MIDI file');
+  });
+});
@@ -0,0 +1,278 @@
+import { isMidiSupported, requestMidiAccess } from './midiAccess';
+
+/**
+ * MIDI Input
+ *
+ * Wraps the Web MIDI API: requests access, lists connected controllers, and
+ * turns raw messages from the selected input into note / pitch bend / CC
+ * messages that useMidiInput sends as jam events.
+ *
+ * Only one input is listened to at a time. All channels are merged; the jam
+ * protocol has no notion of MIDI channels.
+ */
+
+/**
+ * Debug flag for MIDI input logging
+ */
+const DEBUG_MIDI = false;
+
+const STATUS_NOTE_OFF = 0x80;
+const STATUS_NOTE_ON = 0x90;
+const STATUS_CONTROL_CHANGE = 0xb0;
+const STATUS_PITCH_BEND = 0xe0;
+
+/**
+ * @typedef {Object} MidiMessage
+ * @property {'noteOn'|'noteOff'|'controlChange'|'pitchBend'} type
+ * @property {number} channel - MIDI channel (0-15)
+ * @property {number} [note] - MIDI note (noteOn / noteOff)
+ * @property {number} [velocity] - MIDI velocity (noteOn)
+ * @property {number} [cc] - CC number (controlChange)
+ * @property {number} [value] - CC value (0-127) or pitch bend (-8192 to 8191)
+ */
+
+/**
+ * @typedef {Object} MidiInputInfo
+ * @property {string} id - Port ID
+ * @property {string} name - Device name
+ * @property {string} manufacturer - Manufacturer (may be empty)
+ * @property {string} state - 'connected' or 'disconnected'
+ */
+
+/**
+ * Parse a raw MIDI message
+ *
+ * @param {Uint8Array|number[]} data - Raw MIDI bytes
+ * @returns {MidiMessage|null} Parsed message, or null for unsupported messages
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 2) {
+    return null;
+  }
+
+  const status = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  const data1 = data[1] & 0x7f;
+  const data2 = data.length > 2 ? data[2] & 0x7f : 0;
+
+  switch (status) {
+    case STATUS_NOTE_ON:
+      // Note on with velocity 0 is a note off (running status)
+      if (data2 === 0) {
+        return { type: 'noteOff', channel, note: data1 };
+      }
+      return { type: 'noteOn', channel, note: data1, velocity: data2 };
+    case STATUS_NOTE_OFF:
+      return { type: 'noteOff', channel, note: data1 };
+    case STATUS_CONTROL_CHANGE:
+      return { type: 'controlChange', channel, cc: data1, value: data2 };
+    case STATUS_PITCH_BEND:
+      // 14-bit value (LSB first), centered on 0
+      return { type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * MidiInputManager class
+ */
+export class MidiInputManager {
+  constructor() {
+    /** @type {MIDIAccess|null} */
+    this.access = null;
+
+    /** @type {MIDIInput|null} */
+    this.selectedInput = null;
+
+    this.messageListeners = new Set();
+    this.deviceListeners = new Set();
+
+    this.handleMidiMessage = this.handleMidiMessage.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * Check if this browser supports Web MIDI
+   *
+   * @returns {boolean}
+   */
+  isSupported() {
+    return isMidiSupported();
+  }
+
+  /**
+   * Request MIDI access (prompts the user the first time in some browsers)
+   *
+   * @returns {Promise<boolean>} True if access was granted
+   */
+  async requestAccess() {
+    if (this.access) {
+      return true;
+    }
+
+    const access = await requestMidiAccess();
+    if (!access) {
+      return false;
+    }
+
+    if (!this.access) {
+      this.access = access;
+      access.addEventListener('statechange', this.handleStateChange);
+    }
+    return true;
+  }
+
+  /**
+   * Check if MIDI access has been granted
+   *
+   * @returns {boolean}
+   */
+  hasAccess() {
+    return this.access !== null;
+  }
+
+  /**
+   * List available MIDI inputs
+   *
+   * @returns {MidiInputInfo[]}
+   */
+  getInputs() {
+    if (!this.access) {
+      return [];
+    }
+    return Array.from(this.access.inputs.values()).map(input => ({
+      id: input.id,
+      name: input.name || 'Unknown device',
+      manufacturer: input.manufacturer || '',
+      state: input.state,
+    }));
+  }
+
+  /**
+   * Listen to a MIDI input (replaces the current one)
+   *
+   * @param {string|null} inputId - Input port ID, or null to stop listening
+   * @returns {boolean} True if the input was found (or null was passed)
+   */
+  selectInput(inputId) {
+    if (this.selectedInput) {
+      this.selectedInput.onmidimessage = null;
+      this.selectedInput = null;
+    }
+
+    if (!inputId) {
+      return true;
+    }
+
+    const input = this.access ? this.access.inputs.get(inputId) : null;
+    if (!input) {
+      console.warn(`[MidiInput] Input not found: ${inputId}`);
+      return false;
+    }
+
+    input.onmidimessage = this.handleMidiMessage;
+    this.selectedInput = input;
+
+    if (DEBUG_MIDI) {
+      console.log('[MidiInput] Listening to', input.name);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the ID of the input being listened to
+   *
+   * @returns {string|null}
+   */
+  getSelectedInputId() {
+    return this.selectedInput ? this.selectedInput.id : null;
+  }
+
+  /**
+   * Subscribe to parsed messages from the selected input
+   *
+   * @param {function(MidiMessage): void} listener
+   * @returns {function(): void} Unsubscribe function
+   */
+  onMessage(listener) {
+    this.messageListeners.add(listener);
+    return () => this.messageListeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to device connect / disconnect
+   *
+   * @param {function(MidiInputInfo[]): void} listener - Called with the updated input list
+   * @returns {function(): void} Unsubscribe function
+   */
+  onDevicesChange(listener) {
+    this.deviceListeners.add(listener);
+    return () => this.deviceListeners.delete(listener);
+  }
+
+  /**
+   * @private
+   * @param {MIDIMessageEvent} event
+   */
+  handleMidiMessage(event) {
+    const message = parseMidiMessage(event.data);
+    if (!message) {
+      return;
+    }
+
+    if (DEBUG_MIDI) {
+      console.log('[MidiInput] Message:', message);
+    }
+
+    this.messageListeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('[MidiInput] Error in message listener:', error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   * @param {MIDIConnectionEvent} event
+   */
+  handleStateChange(event) {
+    const port = event.port;
+    if (!port || port.type !== 'input') {
+      return;
+    }
+
+    // The selected device was unplugged
+    if (this.selectedInput && port.id === this.selectedInput.id && port.state === 'disconnected') {
+      console.warn(`[MidiInput] Input disconnected: ${port.name}`);
+      this.selectInput(null);
+    }
+
+    const inputs = this.getInputs();
+    this.deviceListeners.forEach(listener => {
+      try {
+        listener(inputs);
+      } catch (error) {
+        console.error('[MidiInput] Error in device listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let midiInputManager = null;
+
+/**
+ * Get or create the singleton MidiInputManager instance
+ *
+ * @returns {MidiInputManager} MidiInputManager instance
+ */
+export function getMidiInput() {
+  if (!midiInputManager) {
+    midiInputManager = new MidiInputManager();
+  }
+  return midiInputManager;
+}
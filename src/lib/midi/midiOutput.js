@@ -0,0 +1,389 @@
+import { isMidiSupported, requestMidiAccess } from './midiAccess';
+import { getInstrument } from '@/lib/instruments/registry';
+
+/**
+ * MIDI Output
+ *
+ * Forwards remote players' jam events to external synths / DAWs. Each
+ * instrument can be routed to a MIDI output port and channel; the scheduler
+ * calls in here once an event has passed the EventBufferManager and late-note
+ * checks, with the time it computed for local playback, so the external synth
+ * plays in step with the Tone.js instruments.
+ *
+ * Drum pads are sent on their `midiNote` (General MIDI by default), with a
+ * short automatic noteOff because pad hits have no release.
+ */
+
+/**
+ * Debug flag for MIDI output logging
+ */
+const DEBUG_MIDI_OUT = false;
+
+const STORAGE_KEY_ROUTES = 'jam_midiOutputRoutes';
+
+// Length of the automatic noteOff for pads (ms)
+const PAD_NOTE_LENGTH_MS = 100;
+
+const STATUS_NOTE_OFF = 0x80;
+const STATUS_NOTE_ON = 0x90;
+const STATUS_CONTROL_CHANGE = 0xb0;
+const STATUS_PITCH_BEND = 0xe0;
+const CC_ALL_NOTES_OFF = 123;
+
+/**
+ * @typedef {Object} MidiRoute
+ * @property {string} outputId - Output port ID
+ * @property {number} channel - MIDI channel (0-15)
+ */
+
+/**
+ * @typedef {Object} MidiOutputInfo
+ * @property {string} id - Port ID
+ * @property {string} name - Device name
+ * @property {string} manufacturer - Manufacturer (may be empty)
+ * @property {string} state - 'connected' or 'disconnected'
+ */
+
+/**
+ * MidiOutputManager class
+ */
+export class MidiOutputManager {
+  constructor() {
+    /** @type {MIDIAccess|null} */
+    this.access = null;
+
+    /** @type {Map<string, MidiRoute>} Instrument ID -> route */
+    this.routes = this.loadRoutes();
+
+    /** @type {Map<string, Set<number>>} Instrument ID -> notes sent without a noteOff yet */
+    this.soundingNotes = new Map();
+
+    this.deviceListeners = new Set();
+
+    this.handleStateChange = this.handleStateChange.bind(this);
+  }
+
+  /**
+   * Check if this browser supports Web MIDI
+   *
+   * @returns {boolean}
+   */
+  isSupported() {
+    return isMidiSupported();
+  }
+
+  /**
+   * Request MIDI access (prompts the user the first time in some browsers)
+   *
+   * @returns {Promise<boolean>} True if access was granted
+   */
+  async requestAccess() {
+    if (this.access) {
+      return true;
+    }
+
+    const access = await requestMidiAccess();
+    if (!access) {
+      return false;
+    }
+
+    if (!this.access) {
+      this.access = access;
+      access.addEventListener('statechange', this.handleStateChange);
+    }
+    return true;
+  }
+
+  /**
+   * Check if MIDI access has been granted
+   *
+   * @returns {boolean}
+   */
+  hasAccess() {
+    return this.access !== null;
+  }
+
+  /**
+   * List available MIDI outputs
+   *
+   * @returns {MidiOutputInfo[]}
+   */
+  getOutputs() {
+    if (!this.access) {
+      return [];
+    }
+    return Array.from(this.access.outputs.values()).map(output => ({
+      id: output.id,
+      name: output.name || 'Unknown device',
+      manufacturer: output.manufacturer || '',
+      state: output.state,
+    }));
+  }
+
+  /**
+   * Subscribe to device connect / disconnect
+   *
+   * @param {function(MidiOutputInfo[]): void} listener - Called with the updated output list
+   * @returns {function(): void} Unsubscribe function
+   */
+  onDevicesChange(listener) {
+    this.deviceListeners.add(listener);
+    return () => this.deviceListeners.delete(listener);
+  }
+
+  /**
+   * Get the route for an instrument
+   *
+   * @param {string} instrument - Instrument ID
+   * @returns {MidiRoute|null}
+   */
+  getRoute(instrument) {
+    return this.routes.get(instrument) || null;
+  }
+
+  /**
+   * Route an instrument to an output port and channel
+   * Notes still sounding on the old route are turned off first.
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {MidiRoute|null} route - New route, or null to stop forwarding
+   */
+  setRoute(instrument, route) {
+    this.allNotesOff(instrument);
+
+    if (route && route.outputId) {
+      this.routes.set(instrument, {
+        outputId: route.outputId,
+        channel: Math.max(0, Math.min(15, route.channel || 0)),
+      });
+    } else {
+      this.routes.delete(instrument);
+    }
+
+    this.saveRoutes();
+  }
+
+  /**
+   * Send a noteOn for a remote event
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note (0-127) or drum pad ID
+   * @param {number} velocity - MIDI velocity (1-127)
+   * @param {number} [atMs] - performance.now() time to play at (defaults to now)
+   * @returns {boolean} True if sent
+   */
+  sendNoteOn(instrument, note, velocity, atMs) {
+    const target = this.getTarget(instrument);
+    const midiNote = this.toMidiNote(instrument, note);
+    if (!target || midiNote === null) {
+      return false;
+    }
+
+    const clampedVelocity = Math.max(1, Math.min(127, Math.round(velocity || 100)));
+    this.send(target, [STATUS_NOTE_ON | target.channel, midiNote, clampedVelocity], atMs);
+
+    if (getInstrument(instrument)?.widget === 'drumPad') {
+      // Pad hits have no noteOff of their own
+      const offAt = (atMs !== undefined ? atMs : performance.now()) + PAD_NOTE_LENGTH_MS;
+      this.send(target, [STATUS_NOTE_OFF | target.channel, midiNote, 0], offAt);
+    } else {
+      if (!this.soundingNotes.has(instrument)) {
+        this.soundingNotes.set(instrument, new Set());
+      }
+      this.soundingNotes.get(instrument).add(midiNote);
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a noteOff for a remote event
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note (0-127) or drum pad ID
+   * @param {number} [atMs] - performance.now() time to release at (defaults to now)
+   * @returns {boolean} True if sent
+   */
+  sendNoteOff(instrument, note, atMs) {
+    const target = this.getTarget(instrument);
+    const midiNote = this.toMidiNote(instrument, note);
+    if (!target || midiNote === null) {
+      return false;
+    }
+
+    this.soundingNotes.get(instrument)?.delete(midiNote);
+    this.send(target, [STATUS_NOTE_OFF | target.channel, midiNote, 0], atMs);
+    return true;
+  }
+
+  /**
+   * Send a pitch bend or control change for a remote event
+   *
+   * @param {string} instrument - Instrument ID
+   * @param {Object} event - Control event ({ type: 'pitchBend'|'controlChange', value, cc })
+   * @param {number} [atMs] - performance.now() time to apply at (defaults to now)
+   * @returns {boolean} True if sent
+   */
+  sendControl(instrument, event, atMs) {
+    const target = this.getTarget(instrument);
+    if (!target || !event) {
+      return false;
+    }
+
+    if (event.type === 'pitchBend') {
+      const value = Math.max(0, Math.min(16383, Math.round(event.value) + 8192));
+      this.send(target, [STATUS_PITCH_BEND | target.channel, value & 0x7f, value >> 7], atMs);
+      return true;
+    }
+
+    if (event.type === 'controlChange') {
+      this.send(target, [STATUS_CONTROL_CHANGE | target.channel, event.cc & 0x7f, event.value & 0x7f], atMs);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Turn off every note sent for an instrument (or all routed instruments)
+   *
+   * @param {string} [instrument] - Instrument ID (all routes if omitted)
+   */
+  allNotesOff(instrument) {
+    const instruments = instrument ? [instrument] : Array.from(this.routes.keys());
+    instruments.forEach(id => {
+      const target = this.getTarget(id);
+      if (target) {
+        this.soundingNotes.get(id)?.forEach(midiNote => {
+          this.send(target, [STATUS_NOTE_OFF | target.channel, midiNote, 0]);
+        });
+        this.send(target, [STATUS_CONTROL_CHANGE | target.channel, CC_ALL_NOTES_OFF, 0]);
+        this.send(target, [STATUS_PITCH_BEND | target.channel, 0, 64]);
+      }
+      this.soundingNotes.delete(id);
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} instrument - Instrument ID
+   * @returns {{output: MIDIOutput, channel: number}|null}
+   */
+  getTarget(instrument) {
+    const route = this.routes.get(instrument);
+    if (!route || !this.access) {
+      return null;
+    }
+    const output = this.access.outputs.get(route.outputId);
+    if (!output || output.state === 'disconnected') {
+      return null;
+    }
+    return { output, channel: route.channel };
+  }
+
+  /**
+   * @private
+   * @param {string} instrument - Instrument ID
+   * @param {number|string} note - MIDI note or drum pad ID
+   * @returns {number|null} MIDI note, or null if it can't be mapped
+   */
+  toMidiNote(instrument, note) {
+    if (typeof note === 'number') {
+      return note >= 0 && note <= 127 ? note : null;
+    }
+    const pad = getInstrument(instrument)?.pads?.find(p => p.id === note);
+    return pad && typeof pad.midiNote === 'number' ? pad.midiNote : null;
+  }
+
+  /**
+   * @private
+   * @param {{output: MIDIOutput}} target
+   * @param {number[]} data - MIDI bytes
+   * @param {number} [atMs] - performance.now() time (sent immediately if omitted or past)
+   */
+  send(target, data, atMs) {
+    try {
+      if (atMs !== undefined && atMs > performance.now()) {
+        target.output.send(data, atMs);
+      } else {
+        target.output.send(data);
+      }
+      if (DEBUG_MIDI_OUT) {
+        console.log('[MidiOutput] Sent', data, atMs);
+      }
+    } catch (error) {
+      console.warn('[MidiOutput] Failed to send MIDI message:', error);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Map<string, MidiRoute>}
+   */
+  loadRoutes() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY_ROUTES) : null;
+      if (stored) {
+        return new Map(Object.entries(JSON.parse(stored)));
+      }
+    } catch (error) {
+      console.warn('[MidiOutput] Failed to load MIDI routes:', error);
+    }
+    return new Map();
+  }
+
+  /**
+   * @private
+   */
+  saveRoutes() {
+    try {
+      localStorage.setItem(STORAGE_KEY_ROUTES, JSON.stringify(Object.fromEntries(this.routes)));
+    } catch (error) {
+      console.warn('[MidiOutput] Failed to save MIDI routes:', error);
+    }
+  }
+
+  /**
+   * @private
+   * @param {MIDIConnectionEvent} event
+   */
+  handleStateChange(event) {
+    const port = event.port;
+    if (!port || port.type !== 'output') {
+      return;
+    }
+
+    // Routes are kept when a device is unplugged; events resume if it comes back
+    if (port.state === 'disconnected') {
+      this.routes.forEach((route, instrument) => {
+        if (route.outputId === port.id) {
+          this.soundingNotes.delete(instrument);
+        }
+      });
+    }
+
+    const outputs = this.getOutputs();
+    this.deviceListeners.forEach(listener => {
+      try {
+        listener(outputs);
+      } catch (error) {
+        console.error('[MidiOutput] Error in device listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let midiOutputManager = null;
+
+/**
+ * Get or create the singleton MidiOutputManager instance
+ *
+ * @returns {MidiOutputManager} MidiOutputManager instance
+ */
+export function getMidiOutput() {
+  if (!midiOutputManager) {
+    midiOutputManager = new MidiOutputManager();
+  }
+  return midiOutputManager;
+}
@@ -0,0 +1,99 @@
+import { getInstrument } from '@/lib/instruments/registry';
+
+/**
+ * MIDI Pad Mapping
+ *
+ * Maps MIDI notes from a controller to the pads of a drumPad instrument.
+ * Defaults come from each pad's `midiNote` (General MIDI for the built-in kit);
+ * MIDI learn overrides are saved per instrument in localStorage.
+ */
+
+const STORAGE_KEY_PREFIX = 'jam_midiPadMap_';
+
+/**
+ * Get the default note -> pad mapping from the registry
+ *
+ * @param {string} instrument - Instrument ID
+ * @returns {Object<number, string>} MIDI note -> pad ID
+ */
+export function getDefaultPadMap(instrument) {
+  const pads = getInstrument(instrument)?.pads || [];
+  const map = {};
+  pads.forEach(pad => {
+    if (typeof pad.midiNote === 'number') {
+      map[pad.midiNote] = pad.id;
+    }
+  });
+  return map;
+}
+
+/**
+ * Load the note -> pad mapping (learned overrides, or the defaults)
+ *
+ * @param {string} instrument - Instrument ID
+ * @returns {Object<number, string>} MIDI note -> pad ID
+ */
+export function loadPadMap(instrument) {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY_PREFIX + instrument);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    }
+  } catch (error) {
+    console.warn('[PadMapping] Failed to load pad mapping:', error);
+  }
+  return getDefaultPadMap(instrument);
+}
+
+/**
+ * Save a note -> pad mapping
+ *
+ * @param {string} instrument - Instrument ID
+ * @param {Object<number, string>} map - MIDI note -> pad ID
+ */
+export function savePadMap(instrument, map) {
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + instrument, JSON.stringify(map));
+  } catch (error) {
+    console.warn('[PadMapping] Failed to save pad mapping:', error);
+  }
+}
+
+/**
+ * Assign a MIDI note to a pad
+ * The pad's previous note and any other pad on that note are unassigned, so
+ * each pad has exactly one note.
+ *
+ * @param {Object<number, string>} map - Current mapping
+ * @param {number} note - MIDI note (0-127)
+ * @param {string} padId - Pad ID
+ * @returns {Object<number, string>} New mapping
+ */
+export function assignPadNote(map, note, padId) {
+  const next = {};
+  Object.entries(map).forEach(([mappedNote, mappedPad]) => {
+    if (mappedPad !== padId && Number(mappedNote) !== note) {
+      next[mappedNote] = mappedPad;
+    }
+  });
+  next[note] = padId;
+  return next;
+}
+
+/**
+ * Forget learned overrides and go back to the defaults
+ *
+ * @param {string} instrument - Instrument ID
+ * @returns {Object<number, string>} Default mapping
+ */
+export function resetPadMap(instrument) {
+  try {
+    localStorage.removeItem(STORAGE_KEY_PREFIX + instrument);
+  } catch (error) {
+    console.warn('[PadMapping] Failed to reset pad mapping:', error);
+  }
+  return getDefaultPadMap(instrument);
+}
@@ -0,0 +1,166 @@
+import * as Tone from 'tone';
+import { getInstrument } from '@/lib/instruments/registry';
+
+/**
+ * Bounce
+ *
+ * Renders a recorded take (or the session log, see sessionRecorder.js) to
+ * audio offline. Every instrument in the take gets its own renderer (see
+ * createRenderer in registry.js): a private copy of the instrument built on
+ * a Tone.OfflineContext with the current mode, volume and settings, so the
+ * live instruments keep playing while we render. The result is either one
+ * mixdown or one stem per instrument; wav.js turns it into a file.
+ */
+
+/**
+ * Extra time rendered after the last event so releases and reverb tails ring out (seconds)
+ */
+const TAIL_SECONDS = 3;
+
+/**
+ * @typedef {Object} BouncedAudio
+ * @property {string} name - 'Mix' or the instrument name
+ * @property {string|null} instrument - Instrument ID (null for the mixdown)
+ * @property {number} sampleRate - Samples per second
+ * @property {Float32Array[]} channels - Rendered channel data (stereo)
+ */
+
+/**
+ * Cut a take down to its last windowMs, with event times rebased to the clip start
+ *
+ * @param {Object} take - Take (see sessionRecorder.js)
+ * @param {number} [windowMs] - Length to keep from the end (whole take if omitted)
+ * @returns {{durationMs: number, bpm: number, tempoChanges: Array<{time: number, bpm: number}>, tracks: Array<Object>}}
+ */
+function getClip(take, windowMs) {
+  const start = windowMs ? Math.max(0, take.durationMs - windowMs) : 0;
+
+  let bpm = take.bpm;
+  const tempoChanges = [];
+  (take.roomEvents || []).forEach(event => {
+    if (typeof event.bpm !== 'number') return;
+    if (event.time <= start) {
+      bpm = event.bpm;
+    } else {
+      tempoChanges.push({ time: event.time - start, bpm: event.bpm });
+    }
+  });
+
+  return {
+    durationMs: take.durationMs - start,
+    bpm,
+    tempoChanges,
+    tracks: take.tracks.map(track => ({
+      ...track,
+      events: track.events
+        .filter(event => event.time >= start)
+        .map(event => ({ ...event, time: event.time - start })),
+    })),
+  };
+}
+
+/**
+ * Render some of a take's tracks into one buffer
+ *
+ * @param {Array<Object>} tracks - Tracks to render (from the clip)
+ * @param {Object} clip - Clip from getClip()
+ * @param {number} sampleRate - Output sample rate
+ * @returns {Promise<Float32Array[]>} Channel data
+ */
+async function renderTracks(tracks, clip, sampleRate) {
+  const durationSeconds = clip.durationMs / 1000 + TAIL_SECONDS;
+  const context = new Tone.OfflineContext(2, durationSeconds, sampleRate);
+
+  // Note lengths like '8n' follow the transport tempo, as they do live
+  context.transport.bpm.value = clip.bpm;
+
+  const renderers = new Map();
+  try {
+    for (const track of tracks) {
+      if (renderers.has(track.instrument)) continue;
+      const definition = getInstrument(track.instrument);
+      if (!definition?.createRenderer) {
+        console.warn(`[Bounce] ${track.instrument} can't be rendered offline, skipping`);
+        continue;
+      }
+      renderers.set(track.instrument, await definition.createRenderer(context));
+    }
+
+    // Schedule everything in time order, so tempo changes apply to the notes after them
+    const events = tracks
+      .flatMap(track => track.events.map(event => ({ ...event, instrument: track.instrument })))
+      .concat(clip.tempoChanges.map(change => ({ ...change, type: 'tempo' })))
+      .sort((a, b) => a.time - b.time);
+
+    events.forEach(event => {
+      const time = event.time / 1000;
+      if (event.type === 'tempo') {
+        context.transport.bpm.value = event.bpm;
+        return;
+      }
+
+      const renderer = renderers.get(event.instrument);
+      if (!renderer) return;
+
+      switch (event.type) {
+        case 'noteOn':
+          renderer.trigger(event.note, time, event.velocity);
+          break;
+        case 'noteOff':
+          renderer.release?.(event.note, time);
+          break;
+        case 'controlChange':
+          renderer.controlChange?.(event.cc, event.value, time);
+          break;
+        case 'pitchBend':
+          renderer.pitchBend?.(event.value, time);
+          break;
+        default:
+          break;
+      }
+    });
+
+    // Let anything still held ring out into the tail
+    renderers.forEach(renderer => renderer.releaseAll?.(clip.durationMs / 1000));
+
+    const buffer = await context.render();
+    const audioBuffer = buffer.get();
+    return Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) => audioBuffer.getChannelData(channel));
+  } finally {
+    renderers.forEach(renderer => renderer.dispose());
+    context.dispose();
+  }
+}
+
+/**
+ * Render a take offline
+ *
+ * @param {Object} take - Take (see sessionRecorder.js)
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - Only render the last windowMs of the take
+ * @param {boolean} [options.stems=false] - One buffer per instrument instead of a mixdown
+ * @returns {Promise<BouncedAudio[]>} Mixdown (one entry) or stems
+ */
+export async function bounceTake(take, { windowMs, stems = false } = {}) {
+  const clip = getClip(take, windowMs);
+  const tracks = clip.tracks.filter(track => track.events.length > 0);
+  if (tracks.length === 0) {
+    return [];
+  }
+
+  const sampleRate = Tone.getContext().sampleRate;
+
+  if (!stems) {
+    const channels = await renderTracks(tracks, clip, sampleRate);
+    return [{ name: 'Mix', instrument: null, sampleRate, channels }];
+  }
+
+  // One render per instrument, one at a time to keep memory down
+  const results = [];
+  const instruments = Array.from(new Set(tracks.map(track => track.instrument)));
+  for (const instrument of instruments) {
+    const channels = await renderTracks(tracks.filter(track => track.instrument === instrument), clip, sampleRate);
+    results.push({ name: getInstrument(instrument)?.name || instrument, instrument, sampleRate, channels });
+  }
+  return results;
+}
@@ -0,0 +1,100 @@
+import { isJamEvent } from '@/lib/jamEventProtocol';
+
+/**
+ * Jam Event Log
+ *
+ * A plain JSON file format for jams: an array of jam events (see
+ * jamEventProtocol.js) with their original syncedNow() timestamps. Exported
+ * from the session log or a take, and loaded back by the session player.
+ */
+
+/**
+ * Largest event log we accept
+ */
+const MAX_LOG_EVENTS = 200000;
+
+/**
+ * @typedef {Object} LoggedEvent
+ * @property {string} type - 'noteOn', 'noteOff', 'controlChange' or 'pitchBend'
+ * @property {string} instrument - Instrument ID
+ * @property {number} time - Milliseconds from the first event
+ * @property {number|string} [note] - MIDI note or drum pad ID
+ * @property {number} [velocity] - MIDI velocity
+ * @property {number} [cc] - CC number
+ * @property {number} [value] - CC value or pitch bend
+ */
+
+/**
+ * @typedef {Object} EventLog
+ * @property {LoggedEvent[]} events - Events in time order
+ * @property {number} durationMs - Time of the last event
+ * @property {string[]} instruments - Instruments used in the log
+ */
+
+/**
+ * Convert a take to a list of jam events
+ *
+ * @param {Object} take - Take (see sessionRecorder.js)
+ * @returns {Array<Object>} Jam events in time order, with synced timestamps
+ */
+export function takeToEventLog(take) {
+  return take.tracks
+    .flatMap(track => track.events.map(({ time, ...event }) => ({
+      ...event,
+      instrument: track.instrument,
+      senderId: track.senderId,
+      timestamp: take.startedAt + time,
+      roomTime: time / 1000,
+    })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse a jam event log file
+ * Tempo events and anything that isn't a valid jam event are skipped.
+ *
+ * @param {string} text - File contents (JSON array of jam events)
+ * @returns {EventLog}
+ * @throws {Error} If the file isn't a jam event log
+ */
+export function parseEventLog(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+
+  // Accept a bare array or { events: [...] }
+  const rawEvents = Array.isArray(parsed) ? parsed : parsed?.events;
+  if (!Array.isArray(rawEvents)) {
+    throw new Error('Expected a list of jam events');
+  }
+  if (rawEvents.length > MAX_LOG_EVENTS) {
+    throw new Error(`Event log is too long (${rawEvents.length} events, max ${MAX_LOG_EVENTS})`);
+  }
+
+  const valid = rawEvents
+    .filter(event => isJamEvent(event) && event.type !== 'tempo')
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (valid.length === 0) {
+    throw new Error('No playable jam events in the file');
+  }
+
+  const startTime = valid[0].timestamp;
+  const events = valid.map(event => {
+    /** @type {LoggedEvent} */
+    const logged = { type: event.type, instrument: event.instrument, time: event.timestamp - startTime };
+    if (event.note !== undefined) logged.note = event.note;
+    if (event.velocity !== undefined) logged.velocity = event.velocity;
+    if (event.cc !== undefined) logged.cc = event.cc;
+    if (event.value !== undefined) logged.value = event.value;
+    return logged;
+  });
+
+  return {
+    events,
+    durationMs: events[events.length - 1].time,
+    instruments: Array.from(new Set(events.map(event => event.instrument))),
+  };
+}
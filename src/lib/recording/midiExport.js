@@ -0,0 +1,144 @@
+import { getInstrument } from '@/lib/instruments/registry';
+import { writeMidiFile } from '@/lib/midi/midiFile';
+import { toFilename } from '@/lib/utils';
+
+/**
+ * MIDI Export
+ *
+ * Turns a recorded take (see sessionRecorder.js) into a Type 1 Standard MIDI
+ * File: one track per instrument, drums on channel 10 with the pad IDs mapped
+ * to General MIDI percussion notes (the pads' midiNote), everything else on
+ * its own channel with the instrument's General MIDI program.
+ */
+
+/**
+ * MIDI channel for drum instruments (channel 10)
+ */
+const DRUM_CHANNEL = 9;
+
+/**
+ * Length of a drum hit (drum pads never send noteOff) (ms)
+ */
+const DRUM_HIT_MS = 100;
+
+/**
+ * Convert one instrument's events into MIDI part events
+ * Unreleased notes are closed at a retrigger or at the end of the take.
+ *
+ * @param {Object} definition - Instrument definition (may be undefined for unknown instruments)
+ * @param {Array<Object>} events - Recorded events, in time order
+ * @param {number} endTime - End of the take (ms)
+ * @returns {Array<Object>} MIDI part events
+ */
+function toPartEvents(definition, events, endTime) {
+  const partEvents = [];
+
+  if (definition?.widget === 'drumPad') {
+    events.forEach(event => {
+      if (event.type !== 'noteOn') return;
+      const midiNote = definition.pads.find(pad => pad.id === event.note)?.midiNote;
+      if (typeof midiNote === 'number') {
+        partEvents.push({ type: 'noteOn', time: event.time, note: midiNote, velocity: event.velocity, duration: DRUM_HIT_MS });
+      }
+    });
+    return partEvents;
+  }
+
+  const held = new Set();
+  events.forEach(event => {
+    if (event.type === 'noteOn' && typeof event.note === 'number') {
+      if (held.has(event.note)) {
+        partEvents.push({ type: 'noteOff', time: event.time, note: event.note });
+      }
+      held.add(event.note);
+      partEvents.push({ type: 'noteOn', time: event.time, note: event.note, velocity: event.velocity });
+    } else if (event.type === 'noteOff' && held.has(event.note)) {
+      held.delete(event.note);
+      partEvents.push({ type: 'noteOff', time: event.time, note: event.note });
+    } else if (event.type === 'controlChange' || event.type === 'pitchBend') {
+      partEvents.push({ type: event.type, time: event.time, cc: event.cc, value: event.value });
+    }
+  });
+  held.forEach(note => {
+    partEvents.push({ type: 'noteOff', time: endTime, note });
+  });
+  return partEvents;
+}
+
+/**
+ * Build a Standard MIDI File from a take
+ *
+ * @param {Object} take - Take (see sessionRecorder.js)
+ * @returns {Uint8Array} .mid file bytes
+ */
+export function takeToMidiFile(take) {
+  // Merge tracks per instrument (several players can share an instrument over a take)
+  const byInstrument = new Map();
+  take.tracks.forEach(track => {
+    const entry = byInstrument.get(track.instrument) || { players: [], events: [] };
+    if (!entry.players.includes(track.displayName)) {
+      entry.players.push(track.displayName);
+    }
+    entry.events.push(...track.events);
+    byInstrument.set(track.instrument, entry);
+  });
+
+  let nextChannel = 0;
+  const parts = [];
+  byInstrument.forEach((entry, instrument) => {
+    const definition = getInstrument(instrument);
+    const isDrums = definition?.widget === 'drumPad';
+
+    let channel = DRUM_CHANNEL;
+    if (!isDrums) {
+      if (nextChannel === DRUM_CHANNEL) nextChannel++;
+      channel = nextChannel % 16;
+      nextChannel++;
+    }
+
+    const events = entry.events.slice().sort((a, b) => a.time - b.time);
+    parts.push({
+      name: `${definition?.name || instrument} (${entry.players.join(', ')})`,
+      channel,
+      program: isDrums ? undefined : definition?.gmProgram,
+      events: toPartEvents(definition, events, take.durationMs),
+    });
+  });
+
+  const roomEvents = take.roomEvents || [];
+  let key = take.key;
+  let scale = take.scale;
+  const keyChanges = [];
+  roomEvents.forEach(event => {
+    if (event.key === undefined && event.scale === undefined) return;
+    key = event.key ?? key;
+    scale = event.scale ?? scale;
+    keyChanges.push({ time: event.time, key, scale });
+  });
+
+  // Room bpm counts the time signature's beat unit; MIDI tempo is in quarter notes
+  const timeSignature = take.timeSignature || [4, 4];
+  const toQuarterBpm = bpm => bpm * 4 / timeSignature[1];
+
+  return writeMidiFile({
+    bpm: toQuarterBpm(take.bpm),
+    timeSignature,
+    key: take.key,
+    scale: take.scale,
+    tempoChanges: roomEvents
+      .filter(event => typeof event.bpm === 'number')
+      .map(event => ({ time: event.time, bpm: toQuarterBpm(event.bpm) })),
+    keyChanges,
+    parts,
+  });
+}
+
+/**
+ * Get a download filename for a take
+ *
+ * @param {Object} take - Take (or take summary)
+ * @returns {string} e.g. 'Take 1-2-2025 10_30_00.mid'
+ */
+export function getMidiFilename(take) {
+  return `${toFilename(take.name)}.mid`;
+}
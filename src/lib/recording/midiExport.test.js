@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { takeToMidiFile, getMidiFilename } from './midiExport';
+import { parseMidiFile } from '@/lib/midi/midiFile';
+import { getInstrument } from '@/lib/instruments/registry';
+
+/**
+ * A take as saved by the session recorder
+ */
+function createTake(overrides) {
+  return {
+    name: 'Take 1',
+    bpm: 120,
+    key: 'C',
+    scale: 'major',
+    timeSignature: [4, 4],
+    durationMs: 4000,
+    tracks: [],
+    roomEvents: [],
+    ...overrides,
+  };
+}
+
+const trackNamed = (parsed, prefix) => parsed.tracks.find(track => track.name.startsWith(prefix));
+const eventsOfType = (track, type) => track.events.filter(event => event.type === type);
+
+describe('takeToMidiFile', () => {
+  it('maps drum pads to their General MIDI notes on channel 10', () => {
+    const pads = getInstrument('DRUMS').pads;
+    const kick = pads.find(pad => pad.id === 'kick');
+    const snare = pads.find(pad => pad.id === 'snare');
+    const parsed = parseMidiFile(takeToMidiFile(createTake({
+      tracks: [{
+        instrument: 'DRUMS',
+        displayName: 'Alex',
+        events: [
+          { type: 'noteOn', time: 0, note: 'kick', velocity: 120 },
+          { type: 'noteOn', time: 500, note: 'snare', velocity: 80 },
+        ],
+      }],
+    })));
+
+    const drums = trackNamed(parsed, 'Drums');
+    expect(eventsOfType(drums, 'programChange')).toEqual([]);
+    expect(eventsOfType(drums, 'noteOn')).toEqual([
+      expect.objectContaining({ channel: 9, note: kick.midiNote, velocity: 120 }),
+      expect.objectContaining({ channel: 9, note: snare.midiNote, velocity: 80 }),
+    ]);
+    // Pads never send noteOff: every hit gets one
+    expect(eventsOfType(drums, 'noteOff')).toHaveLength(2);
+  });
+
+  it('gives every other instrument its General MIDI program on its own channel', () => {
+    const parsed = parseMidiFile(takeToMidiFile(createTake({
+      tracks: ['BASS', 'EP', 'GUITAR', 'PAD'].map(instrument => ({
+        instrument,
+        displayName: 'Sam',
+        events: [{ type: 'noteOn', time: 0, note: 48, velocity: 100 }],
+      })),
+    })));
+
+    const programs = parsed.tracks.slice(1).map(track => eventsOfType(track, 'programChange')[0]);
+    expect(programs.map(event => event.program)).toEqual(
+      ['BASS', 'EP', 'GUITAR', 'PAD'].map(instrument => getInstrument(instrument).gmProgram)
+    );
+    const channels = programs.map(event => event.channel);
+    expect(new Set(channels).size).toBe(4);
+    expect(channels).not.toContain(9);
+  });
+
+  it('keeps velocities and closes notes still held at the end of the take', () => {
+    const parsed = parseMidiFile(takeToMidiFile(createTake({
+      tracks: [{
+        instrument: 'EP',
+        displayName: 'Sam',
+        events: [
+          { type: 'noteOn', time: 0, note: 60, velocity: 30 },
+          { type: 'noteOff', time: 500, note: 60 },
+          { type: 'noteOn', time: 1000, note: 64, velocity: 110 },
+        ],
+      }],
+    })));
+
+    const keys = parsed.tracks[1];
+    expect(eventsOfType(keys, 'noteOn').map(event => event.velocity)).toEqual([30, 110]);
+    expect(eventsOfType(keys, 'noteOff').map(event => Math.round(event.time))).toEqual([500, 4000]);
+  });
+
+  it('writes the tempo, meter, key and their changes in quarter-note tempo', () => {
+    const parsed = parseMidiFile(takeToMidiFile(createTake({
+      bpm: 210,
+      timeSignature: [7, 8],
+      key: 'A',
+      scale: 'minor',
+      roomEvents: [
+        { time: 2000, bpm: 180 },
+        { time: 3000, key: 'G' },
+      ],
+    })));
+
+    const conductor = parsed.tracks[0];
+    expect(eventsOfType(conductor, 'tempo').map(event => Math.round(event.bpm * 1000) / 1000)).toEqual([105, 90]);
+    expect(eventsOfType(conductor, 'timeSignature')).toEqual([
+      expect.objectContaining({ numerator: 7, denominator: 8 }),
+    ]);
+    expect(eventsOfType(conductor, 'keySignature').map(({ sf, mi }) => ({ sf, mi }))).toEqual([
+      { sf: 0, mi: 1 }, // A minor
+      { sf: -2, mi: 1 }, // G minor
+    ]);
+  });
+
+  it('merges the tracks of players who shared an instrument', () => {
+    const parsed = parseMidiFile(takeToMidiFile(createTake({
+      tracks: [
+        { instrument: 'BASS', displayName: 'Alex', events: [{ type: 'noteOn', time: 0, note: 40, velocity: 100 }] },
+        { instrument: 'BASS', displayName: 'Sam', events: [{ type: 'noteOn', time: 1000, note: 43, velocity: 100 }] },
+      ],
+    })));
+
+    expect(parsed.tracks).toHaveLength(2);
+    expect(parsed.tracks[1].name).toContain('Alex, Sam');
+    expect(eventsOfType(parsed.tracks[1], 'noteOn').map(event => event.note)).toEqual([40, 43]);
+  });
+});
+
+describe('getMidiFilename', () => {
+  it('uses the take name', () => {
+    expect(getMidiFilename({ name: 'Take 1' })).toMatch(/^Take 1.*\.mid$/);
+  });
+});
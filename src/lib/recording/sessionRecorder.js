@@ -0,0 +1,448 @@
+import { syncedNow } from '@/lib/time/syncedNow';
+import { parseTimeSignature } from '@/lib/time/beatGrid';
+import { saveTake } from './takeStore';
+
+/**
+ * Session Recorder
+ *
+ * Records every jam event in the room (our own sends and what we receive from
+ * peers) into a multitrack take, one track per instrument + player. Event
+ * times come from the events' own timestamps, which every client stamps with
+ * syncedNow(), so all tracks share one timeline no matter who recorded them.
+ * Tempo / key / scale changes are kept alongside as room events.
+ *
+ * Loops and the drum sequencer never arrive as jam events (every client plays
+ * them itself), so the loop station and step sequencer record what they
+ * schedule here too, with senderIds like 'loop:<userId>' that put them on
+ * their own track named after the player (see getTrackDisplayName()).
+ *
+ * Takes are saved to IndexedDB on stop (see takeStore.js). The session log
+ * (everything since joining the room) only lives in memory.
+ */
+
+/**
+ * Debug flag for recorder logging
+ */
+const DEBUG_RECORDER = false;
+
+/**
+ * Stop recording automatically after this long, to keep takes a sane size (ms)
+ */
+const MAX_TAKE_MS = 60 * 60 * 1000;
+
+/**
+ * Most events kept in the session log before it stops growing
+ */
+const MAX_SESSION_LOG_EVENTS = 200000;
+
+/**
+ * @typedef {Object} RecordedEvent
+ * @property {string} type - Jam event type ('noteOn', 'noteOff', 'controlChange', 'pitchBend')
+ * @property {number} time - Milliseconds since the take started (syncedNow() timeline)
+ * @property {number|string} [note] - MIDI note or drum pad ID
+ * @property {number} [velocity] - MIDI velocity
+ * @property {number} [cc] - CC number
+ * @property {number} [value] - CC value or pitch bend
+ */
+
+/**
+ * @typedef {Object} Track
+ * @property {string} id - Track ID (instrument + sender)
+ * @property {string} instrument - Instrument ID
+ * @property {string} senderId - Player user ID (or 'loop:<userId>' / 'sequencer:<userId>' for their loops and patterns)
+ * @property {string} displayName - Player name when the take was recorded
+ * @property {'local'|'remote'} source - Whether this client played the track
+ * @property {RecordedEvent[]} events - Events in time order
+ */
+
+/**
+ * @typedef {Object} RoomEvent
+ * @property {number} time - Milliseconds since the take started
+ * @property {number} [bpm] - New tempo
+ * @property {string} [key] - New key
+ * @property {string} [scale] - New scale
+ */
+
+/**
+ * @typedef {Object} Take
+ * @property {string} id - Take ID
+ * @property {string} name - Display name
+ * @property {string} roomId - Room the take was recorded in
+ * @property {number} createdAt - Date.now() when recording stopped
+ * @property {number} startedAt - syncedNow() when recording started
+ * @property {number} durationMs - Length of the take
+ * @property {number} bpm - Tempo at the start
+ * @property {string} key - Key at the start
+ * @property {string} scale - Scale at the start
+ * @property {[number, number]} timeSignature - Time signature at the start (bpm counts its beat unit)
+ * @property {Track[]} tracks - One track per instrument + player
+ * @property {RoomEvent[]} roomEvents - Tempo / key / scale changes
+ */
+
+/**
+ * Track name suffixes for notes a client plays on a player's behalf, by senderId prefix
+ */
+const GENERATED_TRACK_LABELS = {
+  loop: 'loop',
+  sequencer: 'step sequencer',
+};
+
+/**
+ * Get the name of a sender's track: the player's name, plus what played
+ * for senderIds like 'loop:<userId>'
+ *
+ * @param {string} senderId
+ * @param {Map<string, string>} participantNames - User ID -> display name
+ * @returns {string}
+ */
+function getTrackDisplayName(senderId, participantNames) {
+  const [prefix, ownerId] = senderId.split(':');
+  const label = GENERATED_TRACK_LABELS[prefix];
+  if (!label) {
+    return participantNames.get(senderId) || 'Player';
+  }
+  return `${participantNames.get(ownerId) || 'Player'} (${label})`;
+}
+
+/**
+ * Generate a take ID
+ *
+ * @returns {string}
+ */
+function createTakeId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `take-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Collects jam events into tracks for one take (or the session log)
+ * @private
+ */
+class TakeCapture {
+  /**
+   * @param {string} roomId - Room ID
+   * @param {Object} [room] - Room state at the start (bpm, key, scale, timeSignature)
+   * @param {number} [startedAt] - syncedNow() time the capture starts (may be in the future)
+   */
+  constructor(roomId, room, startedAt = syncedNow()) {
+    this.roomId = roomId;
+    this.startedAt = startedAt;
+    this.initialRoomState = {
+      bpm: room?.bpm || 120,
+      key: room?.key || 'C',
+      scale: room?.scale || 'major',
+      timeSignature: parseTimeSignature(room?.timeSignature),
+    };
+    this.eventCount = 0;
+
+    /** @type {Map<string, Track>} Track ID -> track */
+    this.tracks = new Map();
+
+    /** @type {RoomEvent[]} */
+    this.roomEvents = [];
+  }
+
+  /**
+   * @param {Object} event - Jam event
+   * @param {'local'|'remote'} source - Sent by this client or received from a peer
+   * @param {Map<string, string>} participantNames - User ID -> display name
+   * @returns {boolean} True if the event was captured
+   */
+  addJamEvent(event, source, participantNames) {
+    const time = (typeof event.timestamp === 'number' ? event.timestamp : syncedNow()) - this.startedAt;
+    if (time < 0) {
+      // Played before the capture started (arrived late)
+      return false;
+    }
+
+    if (event.type === 'tempo') {
+      this.roomEvents.push({ time, bpm: event.bpm });
+      return true;
+    }
+
+    if (!event.instrument) {
+      return false;
+    }
+
+    const senderId = String(event.senderId);
+    const trackId = `${event.instrument}|${senderId}`;
+    let track = this.tracks.get(trackId);
+    if (!track) {
+      track = {
+        id: trackId,
+        instrument: event.instrument,
+        senderId,
+        displayName: getTrackDisplayName(senderId, participantNames),
+        source,
+        events: [],
+      };
+      this.tracks.set(trackId, track);
+    }
+
+    /** @type {RecordedEvent} */
+    const recorded = { type: event.type, time };
+    if (event.note !== undefined) recorded.note = event.note;
+    if (event.velocity !== undefined) recorded.velocity = event.velocity;
+    if (event.cc !== undefined) recorded.cc = event.cc;
+    if (event.value !== undefined) recorded.value = event.value;
+    track.events.push(recorded);
+    this.eventCount++;
+    return true;
+  }
+
+  /**
+   * @param {Object} change - Changed fields ({ bpm, key, scale })
+   */
+  addRoomChange(change) {
+    this.roomEvents.push({ time: Math.max(0, syncedNow() - this.startedAt), ...change });
+  }
+
+  /**
+   * Build a take from everything captured so far
+   *
+   * @param {string} name - Take name
+   * @returns {Take}
+   */
+  toTake(name) {
+    const createdAt = Date.now();
+    return {
+      id: createTakeId(),
+      name,
+      roomId: this.roomId,
+      createdAt,
+      startedAt: this.startedAt,
+      durationMs: Math.max(0, syncedNow() - this.startedAt),
+      ...this.initialRoomState,
+      tracks: Array.from(this.tracks.values()).map(track => ({
+        ...track,
+        // Remote events can arrive slightly out of order
+        events: track.events.slice().sort((a, b) => a.time - b.time),
+      })),
+      roomEvents: this.roomEvents.slice(),
+    };
+  }
+}
+
+/**
+ * SessionRecorder class
+ *
+ * Besides explicit takes (start / stop), keeps an in-memory log of the whole
+ * session since joining the room, so a jam can be exported even if nobody hit
+ * record (see getSessionLog()).
+ */
+export class SessionRecorder {
+  constructor() {
+    /** @type {TakeCapture|null} Current take, while recording */
+    this.take = null;
+
+    /** @type {TakeCapture|null} Everything since joining the room */
+    this.sessionLog = null;
+    this.sessionLogFull = false;
+
+    /** @type {Map<string, string>} User ID -> display name */
+    this.participantNames = new Map();
+
+    this.listeners = new Set();
+    this.maxLengthTimer = null;
+  }
+
+  /**
+   * Start a new take
+   *
+   * @param {Object} params
+   * @param {string} params.roomId - Room ID
+   * @param {Object} [params.room] - Current room state (bpm, key, scale)
+   * @param {number} [params.startAt] - syncedNow() time the take starts, e.g. the end
+   *   of the room transport's count-in (defaults to now)
+   * @returns {boolean} True if recording started
+   */
+  start({ roomId, room, startAt }) {
+    if (this.take) {
+      return false;
+    }
+
+    this.take = new TakeCapture(roomId, room, Math.max(startAt ?? 0, syncedNow()));
+
+    this.maxLengthTimer = setTimeout(() => {
+      console.warn('[SessionRecorder] Maximum take length reached, stopping');
+      this.stop().catch(() => {
+        // Already logged in stop()
+      });
+    }, MAX_TAKE_MS + (this.take.startedAt - syncedNow()));
+
+    console.log('[SessionRecorder] Recording started');
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Stop recording and save the take
+   *
+   * @returns {Promise<Take|null>} Saved take, or null if nothing was recording
+   */
+  async stop() {
+    if (!this.take) {
+      return null;
+    }
+
+    clearTimeout(this.maxLengthTimer);
+    this.maxLengthTimer = null;
+
+    const take = this.take.toTake(`Take ${new Date().toLocaleString()}`);
+    this.take = null;
+    this.notify();
+
+    try {
+      await saveTake(take);
+      console.log(`[SessionRecorder] Saved take with ${take.tracks.length} track(s)`);
+    } catch (error) {
+      console.error('[SessionRecorder] Failed to save take:', error);
+      throw error;
+    }
+
+    return take;
+  }
+
+  /**
+   * Check if a take is being recorded
+   *
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.take !== null;
+  }
+
+  /**
+   * Get the elapsed time of the current take (ms)
+   * Stays at 0 until a take with a future start begins.
+   *
+   * @returns {number}
+   */
+  getElapsed() {
+    return this.take ? Math.max(0, syncedNow() - this.take.startedAt) : 0;
+  }
+
+  /**
+   * Start a fresh session log (when joining a room)
+   *
+   * @param {Object} params
+   * @param {string} params.roomId - Room ID
+   * @param {Object} [params.room] - Current room state (bpm, key, scale)
+   */
+  startSessionLog({ roomId, room }) {
+    this.sessionLog = new TakeCapture(roomId, room);
+    this.sessionLogFull = false;
+  }
+
+  /**
+   * Get everything played since joining the room, as a take (not saved)
+   *
+   * @returns {Take|null}
+   */
+  getSessionLog() {
+    return this.sessionLog ? this.sessionLog.toTake(`Session ${new Date().toLocaleString()}`) : null;
+  }
+
+  /**
+   * Update the names used for new tracks
+   *
+   * @param {Array<Object>} players - Room players
+   */
+  setParticipants(players) {
+    if (!Array.isArray(players)) {
+      return;
+    }
+    players.forEach(player => {
+      const id = player.userId || player.user_id || player.id;
+      if (id) {
+        this.participantNames.set(String(id), player.displayName || player.display_name || 'Player');
+      }
+    });
+  }
+
+  /**
+   * Record a jam event
+   * Tempo events are stored as room events; everything else goes on the
+   * sender's track for that instrument.
+   *
+   * @param {Object} event - Jam event (see jamEventProtocol.js)
+   * @param {'local'|'remote'} source - Sent by this client or received from a peer
+   */
+  recordJamEvent(event, source) {
+    if (!event) {
+      return;
+    }
+
+    if (this.sessionLog && !this.sessionLogFull) {
+      if (this.sessionLog.eventCount >= MAX_SESSION_LOG_EVENTS) {
+        console.warn('[SessionRecorder] Session log is full, hit record to keep capturing');
+        this.sessionLogFull = true;
+      } else {
+        this.sessionLog.addJamEvent(event, source, this.participantNames);
+      }
+    }
+
+    if (this.take && this.take.addJamEvent(event, source, this.participantNames) && DEBUG_RECORDER) {
+      console.log('[SessionRecorder] Recorded', event.instrument, event.type);
+    }
+  }
+
+  /**
+   * Record a tempo / key / scale change
+   *
+   * @param {Object} change - Changed fields ({ bpm, key, scale })
+   */
+  recordRoomChange(change) {
+    if (!change) {
+      return;
+    }
+    if (this.sessionLog) {
+      this.sessionLog.addRoomChange(change);
+    }
+    if (this.take) {
+      this.take.addRoomChange(change);
+    }
+  }
+
+  /**
+   * Subscribe to recording state changes
+   *
+   * @param {function(boolean): void} listener - Called with isRecording
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    const recording = this.isRecording();
+    this.listeners.forEach(listener => {
+      try {
+        listener(recording);
+      } catch (error) {
+        console.error('[SessionRecorder] Error in listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let sessionRecorder = null;
+
+/**
+ * Get or create the singleton SessionRecorder instance
+ *
+ * @returns {SessionRecorder} SessionRecorder instance
+ */
+export function getSessionRecorder() {
+  if (!sessionRecorder) {
+    sessionRecorder = new SessionRecorder();
+  }
+  return sessionRecorder;
+}
@@ -0,0 +1,145 @@
+/**
+ * Take Store
+ *
+ * Keeps recorded takes (see sessionRecorder.js) in IndexedDB so they survive
+ * reloads. Takes are stored whole; listTakes() strips the event data so the
+ * take list stays cheap to render.
+ */
+
+const DB_NAME = 'jam-sessions';
+const DB_VERSION = 1;
+const STORE_TAKES = 'takes';
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (or create) the database
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_TAKES)) {
+        const store = db.createObjectStore(STORE_TAKES, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+        store.createIndex('roomId', 'roomId');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a function against the takes object store
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const transaction = db.transaction(STORE_TAKES, mode);
+  return promisify(fn(transaction.objectStore(STORE_TAKES)));
+}
+
+/**
+ * Save a take (insert or replace)
+ *
+ * @param {Object} take - Take from SessionRecorder.stop()
+ * @returns {Promise<void>}
+ */
+export async function saveTake(take) {
+  await withStore('readwrite', store => store.put(take));
+}
+
+/**
+ * Get a take with all of its events
+ *
+ * @param {string} id - Take ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getTake(id) {
+  const take = await withStore('readonly', store => store.get(id));
+  return take || null;
+}
+
+/**
+ * List takes, newest first, without their event data
+ *
+ * @returns {Promise<Object[]>} Take summaries
+ */
+export async function listTakes() {
+  const takes = await withStore('readonly', store => store.getAll());
+  return takes
+    .map(take => ({
+      id: take.id,
+      name: take.name,
+      roomId: take.roomId,
+      createdAt: take.createdAt,
+      durationMs: take.durationMs,
+      bpm: take.bpm,
+      key: take.key,
+      scale: take.scale,
+      instruments: Array.from(new Set(take.tracks.map(track => track.instrument))),
+      trackCount: take.tracks.length,
+      eventCount: take.tracks.reduce((total, track) => total + track.events.length, 0),
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Rename a take
+ *
+ * @param {string} id - Take ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+export async function renameTake(id, name) {
+  const take = await getTake(id);
+  if (!take) {
+    return;
+  }
+  await saveTake({ ...take, name });
+}
+
+/**
+ * Delete a take
+ *
+ * @param {string} id - Take ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTake(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
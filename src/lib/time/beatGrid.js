@@ -0,0 +1,359 @@
+/**
+ * Beat Grid
+ *
+ * The room's shared musical timeline: beat 0 is a downbeat at `originMs`
+ * (a syncedNow() time) and beats follow every 60000 / bpm ms from there, in
+ * both directions. Every client derives the same grid from the room state
+ * (beat_origin, or the room's created_at, plus bpm), so beat 1 lands at the
+ * same synced instant for everyone.
+ *
+ * Tempo and meter changes move the origin to a bar boundary of the old grid a
+ * little in the future (see changeTempo / changeMeter), so clicks before the
+ * change stay where they were and the new tempo or meter starts on a downbeat.
+ * A tempo ramp is a series of such changes, one per bar (see createTempoRamp and
+ * tempoTimeline.js). The room stores the ramp itself (tempo_ramp) next to
+ * where it ends up, and every client derives the bars from it with
+ * getTempoRampSteps.
+ *
+ * The meter comes from the room's time signature: a bar has `numerator` beats
+ * and bpm counts the beat unit (the denominator), so 7/8 at 210 bpm is 210
+ * eighth notes a minute. Accents follow the room's accent pattern, written as
+ * beat groups like '2+2+3' (the first beat of each group is accented).
+ */
+
+/**
+ * Time signatures offered in the room settings
+ */
+export const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '5/4', '6/4', '7/4', '3/8', '5/8', '6/8', '7/8', '9/8', '11/8', '12/8', '13/8'];
+
+/**
+ * Default time signature
+ */
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+/**
+ * Click subdivisions (clicks per beat) offered in the room settings
+ */
+export const CLICK_SUBDIVISIONS = [1, 2, 3, 4];
+
+/**
+ * Accent levels, from strongest
+ */
+export const ACCENT_DOWNBEAT = 2;
+export const ACCENT_GROUP = 1;
+export const ACCENT_NONE = 0;
+
+/**
+ * Minimum time between a tempo change and the bar it takes effect on (ms),
+ * so the change reaches every client before it starts
+ */
+export const TEMPO_CHANGE_LEAD_MS = 500;
+
+/**
+ * Longest tempo ramp (bars)
+ */
+export const MAX_RAMP_BARS = 64;
+
+/**
+ * @typedef {Object} BeatGrid
+ * @property {number} originMs - syncedNow() time of a downbeat (beat 0)
+ * @property {number} bpm - Beats per minute (in the time signature's beat unit)
+ * @property {number} beatsPerBar - Beats per bar
+ * @property {[number, number]} timeSignature - Numerator, denominator
+ * @property {number} subdivision - Metronome clicks per beat
+ * @property {number[]} accents - Accent level per beat of the bar (ACCENT_*)
+ */
+
+/**
+ * Parse a time signature
+ *
+ * @param {string} [text] - e.g. '7/8'
+ * @returns {[number, number]} Numerator, denominator (4/4 if invalid)
+ */
+export function parseTimeSignature(text) {
+  const match = /^(\d{1,2})\/(\d{1,2})$/.exec(String(text ?? '').trim());
+  if (match) {
+    const numerator = Number(match[1]);
+    const denominator = Number(match[2]);
+    if (numerator >= 1 && numerator <= 32 && [1, 2, 4, 8, 16, 32].includes(denominator)) {
+      return [numerator, denominator];
+    }
+  }
+  return [4, 4];
+}
+
+/**
+ * Parse an accent pattern
+ *
+ * @param {string} [text] - Beat groups, e.g. '2+2+3'
+ * @param {number} beatsPerBar - The groups must add up to this
+ * @returns {number[]|null} Group sizes, or null if empty or invalid
+ */
+export function parseAccentPattern(text, beatsPerBar) {
+  const trimmed = String(text ?? '').replace(/\s+/g, '');
+  if (!/^\d+(\+\d+)*$/.test(trimmed)) {
+    return null;
+  }
+  const groups = trimmed.split('+').map(Number);
+  if (groups.some(group => group < 1)) {
+    return null;
+  }
+  const total = groups.reduce((sum, group) => sum + group, 0);
+  return total === beatsPerBar ? groups : null;
+}
+
+/**
+ * Get the default accent pattern for a time signature
+ * Compound meters (6/8, 9/8, 12/8) are grouped in threes; everything else
+ * only accents the downbeat.
+ *
+ * @param {[number, number]} timeSignature - Numerator, denominator
+ * @returns {string|null} Accent pattern, or null for downbeat only
+ */
+export function getDefaultAccentPattern([numerator, denominator]) {
+  if (denominator === 8 && numerator > 3 && numerator % 3 === 0) {
+    return Array(numerator / 3).fill(3).join('+');
+  }
+  return null;
+}
+
+/**
+ * Get the accent level of every beat in a bar
+ *
+ * @param {number} beatsPerBar
+ * @param {number[]|null} groups - Beat groups (see parseAccentPattern)
+ * @returns {number[]} Accent level per beat
+ */
+function getAccents(beatsPerBar, groups) {
+  const accents = Array(beatsPerBar).fill(ACCENT_NONE);
+  let beat = 0;
+  (groups || []).forEach(group => {
+    accents[beat] = ACCENT_GROUP;
+    beat += group;
+  });
+  accents[0] = ACCENT_DOWNBEAT;
+  return accents;
+}
+
+/**
+ * Get the beat grid for a room
+ *
+ * @param {Object} room - Room from getRoom()/subscribeToRoom()
+ * @returns {BeatGrid|null} Grid, or null until the room has loaded
+ */
+export function getRoomBeatGrid(room) {
+  if (!room) {
+    return null;
+  }
+
+  let originMs = typeof room.beatOrigin === 'number' ? room.beatOrigin : null;
+  if (originMs === null) {
+    const createdAt = room.createdAt || room.created_at;
+    originMs = createdAt ? new Date(createdAt).getTime() : 0;
+  }
+
+  const timeSignature = parseTimeSignature(room.timeSignature || DEFAULT_TIME_SIGNATURE);
+  const beatsPerBar = timeSignature[0];
+  const groups = parseAccentPattern(room.accentPattern ?? getDefaultAccentPattern(timeSignature), beatsPerBar);
+
+  return {
+    originMs,
+    bpm: room.bpm || 120,
+    beatsPerBar,
+    timeSignature,
+    subdivision: CLICK_SUBDIVISIONS.includes(room.clickSubdivision) ? room.clickSubdivision : 1,
+    accents: getAccents(beatsPerBar, groups),
+  };
+}
+
+/**
+ * Get the length of a beat
+ *
+ * @param {BeatGrid} grid
+ * @returns {number} Milliseconds per beat
+ */
+export function getBeatDuration(grid) {
+  return 60000 / grid.bpm;
+}
+
+/**
+ * Get the (fractional) beat number at a time
+ *
+ * @param {BeatGrid} grid
+ * @param {number} timeMs - syncedNow() time
+ * @returns {number} Beats since the origin (negative before it)
+ */
+export function getBeatAt(grid, timeMs) {
+  return (timeMs - grid.originMs) / getBeatDuration(grid);
+}
+
+/**
+ * Get the time of a beat
+ *
+ * @param {BeatGrid} grid
+ * @param {number} beat - Beat number
+ * @returns {number} syncedNow() time (ms)
+ */
+export function getBeatTime(grid, beat) {
+  return grid.originMs + beat * getBeatDuration(grid);
+}
+
+/**
+ * Get the position of a beat within its bar
+ *
+ * @param {BeatGrid} grid
+ * @param {number} beat - Beat number
+ * @returns {number} 0 for the downbeat, up to beatsPerBar - 1
+ */
+export function getBeatInBar(grid, beat) {
+  return ((beat % grid.beatsPerBar) + grid.beatsPerBar) % grid.beatsPerBar;
+}
+
+/**
+ * Check if a beat is the first beat of a bar
+ *
+ * @param {BeatGrid} grid
+ * @param {number} beat - Beat number
+ * @returns {boolean}
+ */
+export function isDownbeat(grid, beat) {
+  return getBeatInBar(grid, beat) === 0;
+}
+
+/**
+ * Get the accent level of a beat
+ *
+ * @param {BeatGrid} grid
+ * @param {number} beat - Beat number
+ * @returns {number} ACCENT_DOWNBEAT, ACCENT_GROUP or ACCENT_NONE
+ */
+export function getBeatAccent(grid, beat) {
+  return grid.accents?.[getBeatInBar(grid, beat)] ?? (isDownbeat(grid, beat) ? ACCENT_DOWNBEAT : ACCENT_NONE);
+}
+
+/**
+ * Get the first bar boundary at or after a time
+ *
+ * @param {BeatGrid} grid
+ * @param {number} timeMs - syncedNow() time
+ * @returns {number} syncedNow() time of the bar's downbeat (ms)
+ */
+export function getNextBarTime(grid, timeMs) {
+  const bar = Math.ceil(getBeatAt(grid, timeMs) / grid.beatsPerBar - 1e-9);
+  return getBeatTime(grid, bar * grid.beatsPerBar);
+}
+
+/**
+ * Get the origin for a grid change made now: the first bar boundary of the
+ * current grid that is at least TEMPO_CHANGE_LEAD_MS away
+ *
+ * @param {BeatGrid} grid - Current grid
+ * @param {number} nowMs - syncedNow()
+ * @returns {number} New origin (rounded to whole ms for storage)
+ */
+function getChangeOrigin(grid, nowMs) {
+  return Math.round(getNextBarTime(grid, nowMs + TEMPO_CHANGE_LEAD_MS));
+}
+
+/**
+ * Build the grid for a tempo change made now
+ * The new tempo starts on an upcoming bar of the current grid.
+ *
+ * @param {BeatGrid} grid - Current grid
+ * @param {number} bpm - New tempo
+ * @param {number} nowMs - syncedNow()
+ * @returns {BeatGrid} New grid
+ */
+export function changeTempo(grid, bpm, nowMs) {
+  return { ...grid, originMs: getChangeOrigin(grid, nowMs), bpm };
+}
+
+/**
+ * @typedef {Object} TempoRamp
+ * @property {number} startAt - syncedNow() time of the ramp's first bar (a downbeat)
+ * @property {number} startBpm - Tempo before the ramp
+ * @property {number} beatsPerBar - Bar length during the ramp
+ * @property {number} bpm - Target tempo
+ * @property {number} bars - Length of the ramp (1 to MAX_RAMP_BARS)
+ */
+
+/**
+ * Describe a tempo ramp made now (stored as rooms.tempo_ramp)
+ * The ramp starts on an upcoming bar of the current grid.
+ *
+ * @param {BeatGrid} grid - Current grid
+ * @param {number} bpm - Target tempo
+ * @param {number} bars - Length of the ramp (1 to MAX_RAMP_BARS)
+ * @param {number} nowMs - syncedNow()
+ * @returns {TempoRamp}
+ */
+export function createTempoRamp(grid, bpm, bars, nowMs) {
+  return {
+    startAt: getChangeOrigin(grid, nowMs),
+    startBpm: grid.bpm,
+    beatsPerBar: grid.beatsPerBar,
+    bpm,
+    bars: Math.max(1, Math.min(MAX_RAMP_BARS, Math.round(bars))),
+  };
+}
+
+/**
+ * Type guard: Check if a value is a usable tempo ramp (e.g. rooms.tempo_ramp)
+ *
+ * @param {any} obj - Value to check
+ * @returns {obj is TempoRamp}
+ */
+export function isTempoRamp(obj) {
+  return !!obj &&
+    typeof obj === 'object' &&
+    Number.isFinite(obj.startAt) &&
+    obj.startBpm > 0 &&
+    Number.isInteger(obj.beatsPerBar) && obj.beatsPerBar > 0 &&
+    obj.bpm > 0 &&
+    Number.isInteger(obj.bars) && obj.bars >= 1 && obj.bars <= MAX_RAMP_BARS;
+}
+
+/**
+ * Build the steps of a tempo ramp
+ * The tempo changes once per bar, in equal steps, reaching the target on the
+ * ramp's last bar. Every client gets the same steps from the same ramp.
+ *
+ * @param {BeatGrid} grid - Room grid (for the meter and accents)
+ * @param {TempoRamp} ramp - From createTempoRamp or rooms.tempo_ramp
+ * @returns {BeatGrid[]} One grid per bar of the ramp; the last one has the target tempo
+ */
+export function getTempoRampSteps(grid, ramp) {
+  const steps = [];
+  let originMs = ramp.startAt;
+  for (let bar = 1; bar <= ramp.bars; bar++) {
+    const stepBpm = bar === ramp.bars
+      ? ramp.bpm
+      : Math.round((ramp.startBpm + (ramp.bpm - ramp.startBpm) * bar / ramp.bars) * 100) / 100;
+    const step = { ...grid, originMs, bpm: stepBpm };
+    steps.push(step);
+    originMs = Math.round(originMs + getBeatDuration(step) * ramp.beatsPerBar);
+  }
+  return steps;
+}
+
+/**
+ * Build the grid for a time signature change made now
+ * The new meter starts on an upcoming bar of the current grid, with its
+ * default accents.
+ *
+ * @param {BeatGrid} grid - Current grid
+ * @param {string} timeSignature - New time signature, e.g. '7/8'
+ * @param {number} nowMs - syncedNow()
+ * @returns {BeatGrid} New grid
+ */
+export function changeMeter(grid, timeSignature, nowMs) {
+  const parsed = parseTimeSignature(timeSignature);
+  const beatsPerBar = parsed[0];
+  return {
+    ...grid,
+    originMs: getChangeOrigin(grid, nowMs),
+    beatsPerBar,
+    timeSignature: parsed,
+    accents: getAccents(beatsPerBar, parseAccentPattern(getDefaultAccentPattern(parsed), beatsPerBar)),
+  };
+}
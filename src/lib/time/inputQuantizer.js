@@ -0,0 +1,221 @@
+import { getBeatAt, getBeatTime } from './beatGrid';
+import { getTempoTimeline } from './tempoTimeline';
+
+/**
+ * Input Quantizer
+ *
+ * Optional quantization of the notes this player sends: each noteOn is moved
+ * toward the nearest grid position on the room's beat grid (following the
+ * tempo timeline), by the chosen strength. Its noteOff moves by the same
+ * amount so the note keeps its length.
+ *
+ * A note played ahead of the grid is delayed to it (the send path holds it
+ * until then). A note played just behind the grid is stamped back onto it:
+ * peers schedule notes at timestamp plus a playout delay (see
+ * audio/playoutDelay.js), so a small step back still reaches them in time. A note further behind
+ * is moved back by MAX_PULL_BACK_MS only (closer, never onto another grid
+ * position).
+ *
+ * The setting belongs to this player (saved in localStorage) and applies to
+ * whatever they play.
+ */
+
+/**
+ * @typedef {Object} QuantizeDivision
+ * @property {string} id - Stored value
+ * @property {string} label - Display label
+ * @property {number} stepsPerBeat - Grid positions per beat (0 = off); note values are for x/4
+ */
+
+/**
+ * @type {QuantizeDivision[]}
+ */
+export const QUANTIZE_DIVISIONS = [
+  { id: 'off', label: 'Off', stepsPerBeat: 0 },
+  { id: '1/8', label: '1/8', stepsPerBeat: 2 },
+  { id: '1/8T', label: '1/8 triplets', stepsPerBeat: 3 },
+  { id: '1/16', label: '1/16', stepsPerBeat: 4 },
+  { id: '1/16T', label: '1/16 triplets', stepsPerBeat: 6 },
+];
+
+/**
+ * @typedef {Object} QuantizeSettings
+ * @property {string} division - QuantizeDivision id
+ * @property {number} strength - How far notes move toward the grid (0-100%)
+ */
+
+/**
+ * @type {QuantizeSettings}
+ */
+export const DEFAULT_QUANTIZE = { division: 'off', strength: 100 };
+
+/**
+ * Furthest a note is moved back in time (ms), well inside the playout delay
+ */
+const MAX_PULL_BACK_MS = 20;
+
+const STORAGE_KEY = 'jam_inputQuantize';
+
+/**
+ * @param {Object} settings
+ * @returns {QuantizeSettings}
+ */
+function normalizeSettings(settings) {
+  const division = QUANTIZE_DIVISIONS.some(option => option.id === settings?.division)
+    ? settings.division
+    : DEFAULT_QUANTIZE.division;
+  const strength = Number(settings?.strength);
+  return {
+    division,
+    strength: Number.isFinite(strength) ? Math.max(0, Math.min(100, Math.round(strength))) : DEFAULT_QUANTIZE.strength,
+  };
+}
+
+/**
+ * Get the quantized time of a note
+ *
+ * @param {import('./beatGrid').BeatGrid|null} grid - Room beat grid
+ * @param {number} timeMs - syncedNow() time the note was played
+ * @param {QuantizeSettings} settings
+ * @returns {number} syncedNow() time to stamp it with (timeMs when quantize is off)
+ */
+export function getQuantizedTime(grid, timeMs, settings) {
+  const stepsPerBeat = QUANTIZE_DIVISIONS.find(option => option.id === settings.division)?.stepsPerBeat || 0;
+  if (!grid || stepsPerBeat === 0 || settings.strength <= 0) {
+    return timeMs;
+  }
+
+  const current = getTempoTimeline().getGridAt(grid, timeMs);
+  const step = getBeatAt(current, timeMs) * stepsPerBeat;
+  const amount = settings.strength / 100;
+  const nearest = getBeatTime(current, Math.round(step) / stepsPerBeat);
+  return Math.max(timeMs + (nearest - timeMs) * amount, timeMs - MAX_PULL_BACK_MS);
+}
+
+/**
+ * InputQuantizer class
+ * Holds this player's quantize setting and the shift of each held note.
+ */
+export class InputQuantizer {
+  constructor() {
+    /** @type {QuantizeSettings} */
+    this.settings = this.load();
+
+    /** @type {Map<string, number>} "instrument:note" -> shift of its noteOn (ms) */
+    this.shifts = new Map();
+
+    /** @type {Set<function(QuantizeSettings): void>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * @returns {QuantizeSettings}
+   */
+  getSettings() {
+    return this.settings;
+  }
+
+  /**
+   * Change the setting (and remember it)
+   *
+   * @param {Partial<QuantizeSettings>} changes
+   */
+  setSettings(changes) {
+    this.settings = normalizeSettings({ ...this.settings, ...changes });
+    this.save();
+    this.listeners.forEach(listener => listener(this.settings));
+  }
+
+  /**
+   * Get the time to stamp a noteOn with
+   *
+   * @param {import('./beatGrid').BeatGrid|null} grid - Room beat grid
+   * @param {string} instrument
+   * @param {number|string} note
+   * @param {number} timeMs - syncedNow() time it was played
+   * @returns {number} syncedNow() time
+   */
+  noteOn(grid, instrument, note, timeMs) {
+    const target = getQuantizedTime(grid, timeMs, this.settings);
+    const key = `${instrument}:${note}`;
+    if (target !== timeMs) {
+      this.shifts.set(key, target - timeMs);
+    } else {
+      this.shifts.delete(key);
+    }
+    return target;
+  }
+
+  /**
+   * Get the time to stamp a noteOff with: moved as far as its noteOn was
+   *
+   * @param {string} instrument
+   * @param {number|string} note
+   * @param {number} timeMs - syncedNow() time it was released
+   * @returns {number} syncedNow() time
+   */
+  noteOff(instrument, note, timeMs) {
+    const key = `${instrument}:${note}`;
+    const shift = this.shifts.get(key) ?? 0;
+    this.shifts.delete(key);
+    return timeMs + shift;
+  }
+
+  /**
+   * Forget held notes (when leaving the room)
+   */
+  reset() {
+    this.shifts.clear();
+  }
+
+  /**
+   * @param {function(QuantizeSettings): void} listener
+   * @returns {function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   * @returns {QuantizeSettings}
+   */
+  load() {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+      if (stored) {
+        return normalizeSettings(JSON.parse(stored));
+      }
+    } catch (error) {
+      console.warn('[InputQuantizer] Failed to load quantize setting:', error);
+    }
+    return { ...DEFAULT_QUANTIZE };
+  }
+
+  /**
+   * @private
+   */
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('[InputQuantizer] Failed to save quantize setting:', error);
+    }
+  }
+}
+
+// Singleton instance (shared across the app)
+let inputQuantizer = null;
+
+/**
+ * Get or create the singleton InputQuantizer instance
+ *
+ * @returns {InputQuantizer} InputQuantizer instance
+ */
+export function getInputQuantizer() {
+  if (!inputQuantizer) {
+    inputQuantizer = new InputQuantizer();
+  }
+  return inputQuantizer;
+}
@@ -0,0 +1,64 @@
+/**
+ * Tap Tempo
+ *
+ * Turns taps (a button, or a key) into a tempo: the average interval between
+ * the last few taps. A pause longer than TAP_RESET_MS starts a new count.
+ */
+
+/**
+ * A pause this long between taps starts over (ms)
+ */
+export const TAP_RESET_MS = 2000;
+
+/**
+ * Taps averaged
+ */
+const MAX_TAPS = 8;
+
+/**
+ * TapTempo class
+ */
+export class TapTempo {
+  constructor() {
+    /** @type {number[]} Tap times (ms) */
+    this.taps = [];
+  }
+
+  /**
+   * Register a tap
+   *
+   * @param {number} timeMs - Time of the tap (any clock, e.g. performance.now())
+   * @returns {number|null} Tempo in BPM (40-240), or null until there are two taps
+   */
+  tap(timeMs) {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && timeMs - last > TAP_RESET_MS) {
+      this.taps = [];
+    }
+
+    this.taps.push(timeMs);
+    if (this.taps.length > MAX_TAPS) {
+      this.taps.shift();
+    }
+    if (this.taps.length < 2) {
+      return null;
+    }
+
+    const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+    return Math.max(40, Math.min(240, Math.round(60000 / interval)));
+  }
+
+  /**
+   * @returns {number} Taps in the current count
+   */
+  getCount() {
+    return this.taps.length;
+  }
+
+  /**
+   * Start over
+   */
+  reset() {
+    this.taps = [];
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Tempo Timeline
+ *
+ * Tempo changes on the synced timeline. Every tempo change (the BPM controls,
+ * tap tempo, and each bar of a tempo ramp) goes out as a `tempo` jam event
+ * stamped with the syncedNow() time it takes effect, always a downbeat, and is
+ * collected here on every client.
+ *
+ * The room row stores where the tempo ends up (bpm + beat_origin, see
+ * beatGrid.js) and the last ramp (tempo_ramp), whose bars every client adds
+ * here too, so a lost tempo event or a late join doesn't skip the ramp.
+ * Steps before the room's origin come from here, so the metronome and the
+ * session player follow a ramp bar by bar. Steps after the room's origin are
+ * ignored: they belong to a ramp that was overridden by a later change.
+ */
+
+import { getBeatAt, getBeatTime } from './beatGrid';
+
+/**
+ * Steps kept (the oldest are dropped first)
+ */
+const MAX_STEPS = 256;
+
+/**
+ * @typedef {Object} TempoStep
+ * @property {number} at - syncedNow() time of the downbeat the tempo starts on
+ * @property {number} bpm - Tempo from then on
+ */
+
+/**
+ * TempoTimeline class
+ */
+export class TempoTimeline {
+  constructor() {
+    /** @type {TempoStep[]} In time order */
+    this.steps = [];
+  }
+
+  /**
+   * Add a tempo step (a step at the same time replaces it)
+   *
+   * @param {number} at - syncedNow() time
+   * @param {number} bpm - Tempo
+   */
+  add(at, bpm) {
+    const index = this.steps.findIndex(step => step.at >= at);
+    if (index === -1) {
+      this.steps.push({ at, bpm });
+    } else if (this.steps[index].at === at) {
+      this.steps[index] = { at, bpm };
+    } else {
+      this.steps.splice(index, 0, { at, bpm });
+    }
+
+    if (this.steps.length > MAX_STEPS) {
+      this.steps.splice(0, this.steps.length - MAX_STEPS);
+    }
+  }
+
+  /**
+   * Get the grid in effect at a time
+   *
+   * @param {import('./beatGrid').BeatGrid} grid - Room beat grid (where the tempo ends up)
+   * @param {number} timeMs - syncedNow() time
+   * @returns {import('./beatGrid').BeatGrid} The room grid, or a step of the way to it
+   */
+  getGridAt(grid, timeMs) {
+    if (timeMs >= grid.originMs) {
+      return grid;
+    }
+    let current = null;
+    for (const step of this.steps) {
+      if (step.at > timeMs) break;
+      current = step;
+    }
+    return current ? { ...grid, originMs: current.at, bpm: current.bpm } : grid;
+  }
+
+  /**
+   * Get the first step between two times, on the way to the room grid
+   *
+   * @param {import('./beatGrid').BeatGrid} grid - Room beat grid
+   * @param {number} afterMs - Exclusive
+   * @param {number} [untilMs] - Inclusive (defaults to the room grid's origin)
+   * @returns {TempoStep|null} The step, or the room grid's own origin if that comes first
+   */
+  getNextStep(grid, afterMs, untilMs = grid.originMs) {
+    const step = this.steps.find(candidate => candidate.at > afterMs && candidate.at < grid.originMs);
+    if (step && step.at <= untilMs) {
+      return step;
+    }
+    if (grid.originMs > afterMs && grid.originMs <= untilMs) {
+      return { at: grid.originMs, bpm: grid.bpm };
+    }
+    return null;
+  }
+
+  /**
+   * Count the beats between two times, across tempo steps
+   *
+   * @param {import('./beatGrid').BeatGrid} grid - Room beat grid
+   * @param {number} fromMs - syncedNow() time
+   * @param {number} toMs - syncedNow() time (before fromMs gives a negative count)
+   * @returns {number} Beats (fractional)
+   */
+  getBeatsBetween(grid, fromMs, toMs) {
+    if (toMs < fromMs) {
+      return -this.getBeatsBetween(grid, toMs, fromMs);
+    }
+    let beats = 0;
+    let time = fromMs;
+    for (;;) {
+      const current = this.getGridAt(grid, time);
+      const step = this.getNextStep(grid, time, toMs);
+      const end = step ? step.at : toMs;
+      beats += getBeatAt(current, end) - getBeatAt(current, time);
+      if (!step) return beats;
+      time = step.at;
+    }
+  }
+
+  /**
+   * Get the time a number of beats after a time, across tempo steps
+   *
+   * @param {import('./beatGrid').BeatGrid} grid - Room beat grid
+   * @param {number} fromMs - syncedNow() time
+   * @param {number} beats - Beats (fractional, >= 0)
+   * @returns {number} syncedNow() time
+   */
+  getTimeAfterBeats(grid, fromMs, beats) {
+    let remaining = beats;
+    let time = fromMs;
+    for (;;) {
+      const current = this.getGridAt(grid, time);
+      const startBeat = getBeatAt(current, time);
+      const end = getBeatTime(current, startBeat + remaining);
+      const step = this.getNextStep(grid, time, end);
+      if (!step) return end;
+      remaining -= getBeatAt(current, step.at) - startBeat;
+      time = step.at;
+    }
+  }
+
+  /**
+   * Get the time a number of beats before a time, across tempo steps
+   *
+   * @param {import('./beatGrid').BeatGrid} grid - Room beat grid
+   * @param {number} toMs - syncedNow() time
+   * @param {number} beats - Beats (fractional, >= 0)
+   * @returns {number} syncedNow() time
+   */
+  getTimeBeforeBeats(grid, toMs, beats) {
+    let remaining = beats;
+    let time = toMs;
+    for (;;) {
+      // The grid in effect just before `time`, and where it took effect
+      const previous = time > grid.originMs
+        ? null
+        : this.steps.filter(step => step.at < time).pop() || null;
+      const current = previous ? { ...grid, originMs: previous.at, bpm: previous.bpm } : grid;
+      const segmentStart = previous ? previous.at : (time > grid.originMs ? grid.originMs : -Infinity);
+
+      const endBeat = getBeatAt(current, time);
+      const start = getBeatTime(current, endBeat - remaining);
+      if (start >= segmentStart) return start;
+      remaining -= endBeat - getBeatAt(current, segmentStart);
+      time = segmentStart;
+    }
+  }
+
+  /**
+   * Forget every step (when leaving the room)
+   */
+  clear() {
+    this.steps = [];
+  }
+}
+
+// Singleton instance (shared across the app)
+let tempoTimeline = null;
+
+/**
+ * Get or create the singleton TempoTimeline instance
+ *
+ * @returns {TempoTimeline} TempoTimeline instance
+ */
+export function getTempoTimeline() {
+  if (!tempoTimeline) {
+    tempoTimeline = new TempoTimeline();
+  }
+  return tempoTimeline;
+}
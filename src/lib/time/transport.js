@@ -0,0 +1,246 @@
+import { getBeatDuration, getNextBarTime } from './beatGrid';
+import { getTempoTimeline } from './tempoTimeline';
+
+/**
+ * Room Transport
+ *
+ * Shared start / stop for the jam. A start command carries a future
+ * syncedNow() time for the first downbeat (`startAt`, a bar of the room's
+ * beat grid) and the number of count-in bars before it, so every client's
+ * metronome, loop playback and recording begin on the same instant no matter
+ * when the command reaches them.
+ *
+ * Commands go out over the DataChannels (fast, but unreliable) and are
+ * written to the room row (Supabase Realtime, also what late joiners read).
+ * Both copies are applied here; the newest command (by `issuedAt`) wins, so
+ * the second copy of a command is a no-op.
+ */
+
+/**
+ * Message type for transport commands on the DataChannel
+ */
+export const TRANSPORT_COMMAND_TYPE = 'transport';
+
+/**
+ * Minimum time between a start command and the first count-in click (ms),
+ * so the command reaches every client (including over Supabase) first
+ */
+export const START_LEAD_MS = 1000;
+
+/**
+ * Count-in lengths offered in the UI (bars)
+ */
+export const COUNT_IN_OPTIONS = [0, 1, 2, 4];
+
+/**
+ * @typedef {Object} TransportCommand
+ * @property {'transport'} type
+ * @property {'start'|'stop'} action
+ * @property {number|null} startAt - syncedNow() time of the first downbeat after the count-in (start only)
+ * @property {number} countInBars - Count-in length (start only)
+ * @property {number} issuedAt - syncedNow() when the command was made
+ * @property {string} senderId - Who sent it
+ */
+
+/**
+ * @typedef {Object} TransportState
+ * @property {boolean} isPlaying - Started (possibly still counting in)
+ * @property {number|null} startAt - First downbeat (null = started without a synced start)
+ * @property {number} countInBars - Count-in length
+ * @property {number} issuedAt - issuedAt of the command that set this state
+ */
+
+/**
+ * Check if a message is a transport command
+ *
+ * @param {any} obj
+ * @returns {obj is TransportCommand}
+ */
+export function isTransportCommand(obj) {
+  return Boolean(obj)
+    && typeof obj === 'object'
+    && obj.type === TRANSPORT_COMMAND_TYPE
+    && (obj.action === 'start' || obj.action === 'stop')
+    && typeof obj.issuedAt === 'number';
+}
+
+/**
+ * Build a start command
+ * The count-in starts on the first bar at least START_LEAD_MS away, and is
+ * counted in the tempo of the moment (see tempoTimeline.js), so a start
+ * during a tempo ramp lands on the metronome's downbeats.
+ *
+ * @param {import('./beatGrid').BeatGrid} grid - Room beat grid
+ * @param {Object} params
+ * @param {number} params.countInBars - Count-in length (bars)
+ * @param {string} params.senderId - User ID
+ * @param {number} params.nowMs - syncedNow()
+ * @returns {TransportCommand}
+ */
+export function createStartCommand(grid, { countInBars, senderId, nowMs }) {
+  const timeline = getTempoTimeline();
+  const earliest = nowMs + START_LEAD_MS;
+  const countInStart = getNextBarTime(timeline.getGridAt(grid, earliest), earliest);
+  return {
+    type: TRANSPORT_COMMAND_TYPE,
+    action: 'start',
+    startAt: Math.round(timeline.getTimeAfterBeats(grid, countInStart, countInBars * grid.beatsPerBar)),
+    countInBars,
+    issuedAt: nowMs,
+    senderId,
+  };
+}
+
+/**
+ * Build a stop command
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - User ID
+ * @param {number} params.nowMs - syncedNow()
+ * @returns {TransportCommand}
+ */
+export function createStopCommand({ senderId, nowMs }) {
+  return {
+    type: TRANSPORT_COMMAND_TYPE,
+    action: 'stop',
+    startAt: null,
+    countInBars: 0,
+    issuedAt: nowMs,
+    senderId,
+  };
+}
+
+/**
+ * Read the transport command stored on a room row
+ *
+ * @param {Object} room - Room from getRoom()/subscribeToRoom()
+ * @returns {TransportCommand}
+ */
+export function getRoomTransportCommand(room) {
+  return {
+    type: TRANSPORT_COMMAND_TYPE,
+    action: room?.isPlaying ? 'start' : 'stop',
+    startAt: room?.isPlaying ? room.transportStartAt ?? null : null,
+    countInBars: room?.countInBars ?? 0,
+    issuedAt: room?.transportIssuedAt ?? 0,
+    senderId: 'room',
+  };
+}
+
+/**
+ * Get the length of a bar
+ *
+ * @param {import('./beatGrid').BeatGrid} grid
+ * @returns {number} Milliseconds per bar
+ */
+export function getBarDuration(grid) {
+  return getBeatDuration(grid) * grid.beatsPerBar;
+}
+
+/**
+ * Get when the count-in starts (its bars counted back across tempo steps)
+ *
+ * @param {import('./beatGrid').BeatGrid} grid
+ * @param {TransportState} state
+ * @returns {number|null} syncedNow() time, or null without a synced start
+ */
+export function getCountInStart(grid, state) {
+  if (!state.isPlaying || state.startAt === null) {
+    return null;
+  }
+  return getTempoTimeline().getTimeBeforeBeats(grid, state.startAt, state.countInBars * grid.beatsPerBar);
+}
+
+/**
+ * RoomTransport class
+ */
+export class RoomTransport {
+  constructor() {
+    /** @type {TransportState} */
+    this.state = { isPlaying: false, startAt: null, countInBars: 0, issuedAt: 0 };
+    this.listeners = new Set();
+  }
+
+  /**
+   * Apply a command (from a peer, the room row or this client)
+   * Commands older than the current state are ignored.
+   *
+   * @param {TransportCommand} command
+   * @returns {boolean} True if the state changed
+   */
+  apply(command) {
+    if (!isTransportCommand(command) || command.issuedAt < this.state.issuedAt) {
+      return false;
+    }
+
+    const next = {
+      isPlaying: command.action === 'start',
+      startAt: command.action === 'start' ? command.startAt ?? null : null,
+      countInBars: command.action === 'start' ? command.countInBars || 0 : 0,
+      issuedAt: command.issuedAt,
+    };
+    const current = this.state;
+    if (next.isPlaying === current.isPlaying && next.startAt === current.startAt
+      && next.countInBars === current.countInBars && next.issuedAt === current.issuedAt) {
+      return false;
+    }
+
+    this.state = next;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Forget the state (when leaving the room)
+   */
+  reset() {
+    this.state = { isPlaying: false, startAt: null, countInBars: 0, issuedAt: 0 };
+    this.notify();
+  }
+
+  /**
+   * @returns {TransportState}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Subscribe to transport changes
+   *
+   * @param {function(TransportState): void} listener - Called with the new state
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        console.error('[RoomTransport] Error in listener:', error);
+      }
+    });
+  }
+}
+
+// Singleton instance (shared across the app)
+let roomTransport = null;
+
+/**
+ * Get or create the singleton RoomTransport instance
+ *
+ * @returns {RoomTransport} RoomTransport instance
+ */
+export function getRoomTransport() {
+  if (!roomTransport) {
+    roomTransport = new RoomTransport();
+  }
+  return roomTransport;
+}
@@ -0,0 +1,100 @@
+/**
+ * Room Topology
+ *
+ * How the players' DataChannels are laid out (rooms.topology):
+ *
+ * - mesh (default): every player connects to every other player. Lowest
+ *   latency, but connections grow as N² and every player uploads each note
+ *   N-1 times, so it suits up to MESH_MAX_PLAYERS players.
+ * - star: every player connects to the host only, and the host forwards
+ *   what it receives to everyone else (see lib/webrtcManager.js). Notes take
+ *   two hops, but each player uploads them once: for up to STAR_MAX_PLAYERS
+ *   players, or players with weak uplinks.
+ *
+ * The host is rooms.host_user_id while that player is in the room, else the
+ * player who joined first. Every client works this out from the same room and
+ * player rows, so they agree without talking to each other; the elected
+ * player then records itself in rooms.host_user_id.
+ *
+ * Failover: a host that leaves the room is replaced at once (by the rule
+ * above). A host that is still listed but has gone from the signaling
+ * channel's presence (closed tab, lost network) is replaced by the next player
+ * in join order, after HOST_FAILOVER_MS (longer for players further down the
+ * order, in case the next one is gone too). A player who merely can't connect
+ * to the host doesn't take over, since everyone else may still reach it. The
+ * takeover only succeeds if rooms.host_user_id still names the old host, so
+ * two players can't both take over.
+ */
+
+/**
+ * @typedef {'mesh'|'star'} Topology
+ */
+
+export const TOPOLOGIES = {
+  MESH: 'mesh',
+  STAR: 'star',
+};
+
+/**
+ * Players each topology is meant for
+ */
+export const MESH_MAX_PLAYERS = 4;
+export const STAR_MAX_PLAYERS = 8;
+
+/**
+ * How long the host can be gone before the next player takes over (ms)
+ */
+export const HOST_FAILOVER_MS = 10000;
+
+/**
+ * @param {any} topology - rooms.topology
+ * @returns {Topology} Mesh for anything unknown (and NULL)
+ */
+export function normalizeTopology(topology) {
+  return topology === TOPOLOGIES.STAR ? TOPOLOGIES.STAR : TOPOLOGIES.MESH;
+}
+
+/**
+ * Elect the room's host
+ *
+ * @param {string[]} playerIds - Players in the room, in join order
+ * @param {string|null} hostUserId - rooms.host_user_id
+ * @returns {string|null} Null for an empty room
+ */
+export function electHost(playerIds, hostUserId) {
+  if (hostUserId && playerIds.includes(String(hostUserId))) {
+    return String(hostUserId);
+  }
+  return playerIds[0] ?? null;
+}
+
+/**
+ * Get a player's place in line to take over from the host
+ *
+ * @param {string[]} playerIds - Players in the room, in join order
+ * @param {string|null} hostId - Current host
+ * @param {string} userId - Player asking
+ * @returns {number} 0 for the next host, -1 for the host itself (or a player not in the room)
+ */
+export function getFailoverRank(playerIds, hostId, userId) {
+  if (String(userId) === String(hostId)) {
+    return -1;
+  }
+  return playerIds.filter(id => id !== String(hostId)).indexOf(String(userId));
+}
+
+/**
+ * Pick the peers a player connects to
+ *
+ * @param {Topology} topology
+ * @param {string|null} hostId - Current host
+ * @param {string} userId - Player asking
+ * @param {string[]} peerIds - The other players in the room
+ * @returns {string[]} All of them in a mesh (and for the host), else the host only
+ */
+export function getLinkPeers(topology, hostId, userId, peerIds) {
+  if (topology !== TOPOLOGIES.STAR || !hostId || String(hostId) === String(userId)) {
+    return peerIds;
+  }
+  return peerIds.filter(peerId => peerId === String(hostId));
+}
@@ -3,4 +3,45 @@ import { twMerge } from "tailwind-merge"
 
 export function cn(...inputs) {
   return twMerge(clsx(inputs))
-} 
\ No newline at end of file
+} 
+/**
+ * Format a duration as m:ss
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+/**
+ * Make a name safe to use as a filename
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function toFilename(name) {
+  return (name || 'jam').replace(/[\\/:*?"<>|]+/g, '_')
+}
+
+/**
+ * Download bytes as a file
+ *
+ * @param {Uint8Array|Blob} data - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} [type] - MIME type
+ */
+export function downloadFile(data, filename, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
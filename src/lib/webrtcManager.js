@@ -1,6 +1,33 @@
-import { deserializeEvent, normalizeIncomingJamPayload, serializeEvent } from './jamEventProtocol';
+import {
+  CONTROL_CHANNEL_PROTOCOL_VERSION,
+  checkCompatibility,
+  createHelloMessage,
+  getUnsupportedReason,
+  isHelloMessage,
+  normalizeIncomingJamPayload,
+  parsePeerCapabilities,
+  serializeEvent
+} from './jamEventProtocol';
 import { JamEventBundler } from './jamEventBundler';
-import { CURRENT_LATENCY_MODE, LATENCY_MODES, BUNDLE_INTERVAL_MS_ULTRA, BUNDLE_INTERVAL_MS_SYNCED } from '../config/latencyMode';
+import {
+  ENCODING_BINARY,
+  ENCODING_JSON,
+  SUPPORTED_ENCODINGS,
+  decodeJamEvents,
+  encodeJamEvents,
+  isBinaryPayload,
+  negotiateEncoding
+} from './jamEventCodec';
+import {
+  LATENCY_MODES,
+  getBundleIntervalMs,
+  getInstrumentLatencyMode,
+  subscribeLatencySettings
+} from '../config/latencyMode';
+import { getIceConfiguration, hasRelayServers } from '../config/iceServers';
+import { isTransportCommand } from './time/transport';
+import { isLoopMessage } from './audio/loopStation';
+import { TOPOLOGIES } from './topology';
 
 /**
  * Debug flag for WebRTC operations
@@ -8,6 +35,121 @@ import { CURRENT_LATENCY_MODE, LATENCY_MODES, BUNDLE_INTERVAL_MS_ULTRA, BUNDLE_I
  */
 const DEBUG_WEBRTC = false;
 
+/**
+ * Connection recovery timing (see handleConnectionLoss())
+ * 
+ * DISCONNECT_GRACE_MS: a 'disconnected' connection often comes back by itself;
+ *   the ICE restart waits this long first
+ * CONNECT_TIMEOUT_MS: a new connection or ICE restart not connected by then
+ *   is replaced by a full renegotiation
+ * RECONNECT_BASE_DELAY_MS / RECONNECT_MAX_DELAY_MS: backoff between full
+ *   renegotiations, doubling per attempt
+ */
+const DISCONNECT_GRACE_MS = 1000;
+const CONNECT_TIMEOUT_MS = 8000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+/**
+ * Largest message sent on a 'control' DataChannel in one piece (characters);
+ * longer ones (e.g. loops) go out as chunks. 16 KB is what every browser
+ * accepts, whatever maximum message size the connection negotiated.
+ */
+const CONTROL_CHUNK_SIZE = 16 * 1024;
+
+/**
+ * Split a serialized control message into chunk messages if it's too long
+ * for one DataChannel message
+ *
+ * @param {string} serialized - JSON message
+ * @returns {string[]} The message itself, or its chunks in order
+ */
+function splitControlMessage(serialized) {
+  if (serialized.length <= CONTROL_CHUNK_SIZE) {
+    return [serialized];
+  }
+
+  const id = createSessionId();
+  const count = Math.ceil(serialized.length / CONTROL_CHUNK_SIZE);
+  const chunks = [];
+  for (let index = 0; index < count; index++) {
+    chunks.push(JSON.stringify({
+      type: 'chunk',
+      id,
+      index,
+      count,
+      data: serialized.slice(index * CONTROL_CHUNK_SIZE, (index + 1) * CONTROL_CHUNK_SIZE)
+    }));
+  }
+  return chunks;
+}
+
+/**
+ * Type guard: Check if a message is one chunk of a longer control message
+ *
+ * @param {any} obj - Parsed message
+ * @returns {boolean}
+ */
+function isChunkMessage(obj) {
+  return !!obj &&
+    typeof obj === 'object' &&
+    obj.type === 'chunk' &&
+    typeof obj.id === 'string' &&
+    Number.isInteger(obj.index) &&
+    Number.isInteger(obj.count) &&
+    typeof obj.data === 'string';
+}
+
+/**
+ * Create an ID for a new connection to a peer (see WebRTCManager.sessions)
+ * 
+ * @returns {string}
+ */
+function createSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Lazily build the JSON and binary payloads for a list of jam events
+ * 
+ * @param {Array<Object>} eventsArray - Jam events to send
+ * @returns {{json: function(): string, binary: function(): (ArrayBuffer|null)}}
+ *   binary() returns null if the events can't be binary-encoded
+ */
+function createPayloadBuilder(eventsArray) {
+  let jsonPayload = null;
+  let binaryPayload = null;
+  let binaryFailed = false;
+
+  return {
+    json() {
+      if (jsonPayload === null) {
+        jsonPayload = eventsArray.length === 1
+          ? serializeEvent(eventsArray[0])
+          : JSON.stringify({
+            kind: 'bundle',
+            events: eventsArray
+          });
+      }
+      return jsonPayload;
+    },
+    binary() {
+      if (binaryPayload === null && !binaryFailed) {
+        try {
+          binaryPayload = encodeJamEvents(eventsArray);
+        } catch (error) {
+          // Fall back to JSON for this send (e.g. unusually long strings)
+          binaryFailed = true;
+          if (DEBUG_WEBRTC) {
+            console.warn('[WebRTCManager] Binary encoding failed, falling back to JSON:', error);
+          }
+        }
+      }
+      return binaryPayload;
+    }
+  };
+}
+
 /**
  * WebRTC Manager
  * 
@@ -18,16 +160,16 @@ const DEBUG_WEBRTC = false;
  *   This provides the lowest latency for jam events. We don't need reliability
  *   because missing a note is better than late notes (which cause audio glitches).
  * 
- * - Full mesh topology: Each player connects to all other players
- * - One DataChannel per peer connection, named "midi"
+ * - Full mesh topology by default: Each player connects to all other players
+ * - One DataChannel per peer connection for jam events, named "midi"; room
+ *   state (claims, transport, loops, tempo) goes on a reliable "control" channel
  * - All jam events broadcast to all connected peers
  * 
  * This path must stay as fast as possible - no database calls, no heavy processing.
  * 
- * DRUMS are treated in ultra-low-latency mode:
- * - sending: bypasses bundler and goes out immediately
- * - receiving: plays immediately, no scheduling (handled in useNoteEvents.jsx)
- * Other instruments keep the existing scheduling / bundling behavior.
+ * Instruments in ULTRA_LOW_LATENCY mode bypass the bundler and go out
+ * immediately; the others are bundled at the room's latency mode interval.
+ * Protocol, relay and star topology: see TIMING.md; routes and recovery: DEPLOYMENT.md.
  */
 
 /**
@@ -44,9 +186,39 @@ const DEBUG_WEBRTC = false;
  * @property {string} userId - Current user ID
  * @property {Object} signaling - Signaling API from initSignaling()
  * @property {function(JamEvent, string): void} onJamEvent - Callback when jam event received
- * @property {function(string, 'connecting'|'connected'|'disconnected'): void} [onPeerConnectionChange] - Optional callback for connection state changes
+ * @property {function(string, 'connecting'|'connected'|'reconnecting'|'disconnected'): void} [onPeerConnectionChange] - Optional callback for connection state changes
  * @property {Object} [clockSync] - ClockSync instance for latency measurement
  * @property {function(Object): void} [onClaimEvent] - Optional callback for claim events
+ * @property {function(Object, string): void} [onTransportCommand] - Optional callback for transport
+ *   start/stop commands (see lib/time/transport.js)
+ * @property {function(Object, string): void} [onLoopMessage] - Optional callback for loop station
+ *   updates (see lib/audio/loopStation.js)
+ * @property {function(string, Object|null, Object|null): void} [onPeerCapabilities] - Optional callback
+ *   when a peer's capabilities are learned (or cleared), with the result of checkCompatibility()
+ * @property {RTCIceServer[]|null} [iceServers] - The room's ICE servers (rooms.ice_servers), if set
+ * @property {function(string, PeerRoute|null): void} [onPeerRouteChange] - Optional callback when a
+ *   peer's route is known (or cleared)
+ * @property {Object} [relay] - Jam event relay from initJamEventRelay(), used for peers without an
+ *   open DataChannel
+ * @property {function(string, PeerLink|null): void} [onPeerLinkChange] - Optional callback when the
+ *   link jam events take to a peer changes (or the peer is removed)
+ */
+
+/**
+ * How jam events reach a peer: its DataChannel ('direct'), the relay
+ * ('relay'), or not at all ('none', no DataChannel and the relay isn't connected)
+ * 
+ * @typedef {'direct'|'relay'|'none'} PeerLink
+ */
+
+/**
+ * @typedef {Object} PeerRoute
+ * @property {boolean} relayed - Through a TURN relay (on either side)
+ * @property {boolean} failed - ICE found no working route
+ * @property {boolean} relayAvailable - A TURN server was configured for the connection
+ * @property {string|null} localCandidateType - 'host', 'srflx', 'prflx' or 'relay'
+ * @property {string|null} remoteCandidateType
+ * @property {string|null} relayProtocol - 'udp', 'tcp' or 'tls' when our side is relayed
  */
 
 /**
@@ -63,46 +235,193 @@ export class WebRTCManager {
     this.onJamEvent = options.onJamEvent;
     this.onPeerConnectionChange = options.onPeerConnectionChange || (() => {});
     this.onClaimEvent = options.onClaimEvent || null;
+    this.onTransportCommand = options.onTransportCommand || null;
+    this.onLoopMessage = options.onLoopMessage || null;
+    this.onPeerCapabilities = options.onPeerCapabilities || (() => {});
     this.clockSync = options.clockSync || null;
+    this.onPeerRouteChange = options.onPeerRouteChange || (() => {});
+    this.relay = options.relay || null;
+    this.onPeerLinkChange = options.onPeerLinkChange || (() => {});
+
+    /** @type {RTCIceServer[]|null} The room's ICE servers (rooms.ice_servers) */
+    this.roomIceServers = options.iceServers || null;
 
     /** @type {Map<string, RTCPeerConnection>} Peer ID -> RTCPeerConnection */
     this.peerConnections = new Map();
     
     /** @type {Map<string, RTCDataChannel>} Peer ID -> DataChannel */
     this.dataChannels = new Map();
+
+    /** @type {Map<string, RTCDataChannel>} Peer ID -> reliable, ordered 'control' DataChannel */
+    this.controlChannels = new Map();
+
+    /** @type {Map<string, string[]>} Peer ID -> control messages waiting for its 'control' channel to open */
+    this.pendingControl = new Map();
+
+    /** @type {Map<string, {id: string, parts: string[]}>} Peer ID -> control message being received in chunks */
+    this.controlChunks = new Map();
     
     /** @type {Set<string>} Peers we've initiated connection to */
     this.initiatedConnections = new Set();
     
-    /** @type {Map<string, 'connecting'|'connected'|'disconnected'>} Peer connection states */
+    /** @type {Map<string, 'connecting'|'connected'|'reconnecting'|'disconnected'>} Peer connection states */
     this.connectionStates = new Map();
 
     /** @type {Map<string, number>} Peer ID -> ping interval ID */
     this.pingIntervals = new Map();
 
+    /** @type {Map<string, 'json'|'binary'>} Peer ID -> negotiated jam event encoding */
+    this.peerEncodings = new Map();
+
+    /** @type {Map<string, Object>} Peer ID -> capabilities from the peer's hello */
+    this.peerCapabilities = new Map();
+
+    /** @type {Set<string>} Peers whose protocol version we can't talk to */
+    this.incompatiblePeers = new Set();
+
+    /** @type {Set<string>} Compatibility warnings already logged ("peerId|message") */
+    this.reportedIssues = new Set();
+
+    /** @type {Map<string, Promise<void>>} Peer ID -> handling of its latest signal */
+    this.signalQueues = new Map();
+
+    /** @type {Map<string, PeerRoute>} Peer ID -> route of the connection */
+    this.peerRoutes = new Map();
+
+    /** @type {Map<string, string>} Peer ID -> session of the connection (set by the caller, new per connection) */
+    this.sessions = new Map();
+
+    /** @type {Map<string, {attempt: number, timer: number|null, lastAttemptAt: number}>} Peer ID -> recovery in progress */
+    this.recoveries = new Map();
+
+    /** @type {Map<string, PeerLink>} Peer ID -> link jam events take to it */
+    this.peerLinks = new Map();
+
+    /** @type {import('./topology').Topology} */
+    this.topology = TOPOLOGIES.MESH;
+
+    /** @type {string|null} Host of a star topology */
+    this.hostId = null;
+
+    /** @type {Map<string, {senderId: string, serialized: string}>} Instrument -> latest loop forwarded, to replay to new peers */
+    this.forwardedLoops = new Map();
+
     // Initialize event bundler
-    const flushIntervalMs = CURRENT_LATENCY_MODE === LATENCY_MODES.ULTRA
-      ? BUNDLE_INTERVAL_MS_ULTRA
-      : BUNDLE_INTERVAL_MS_SYNCED;
-    
     this.bundler = new JamEventBundler({
-      flushIntervalMs,
+      flushIntervalMs: getBundleIntervalMs(),
       sendBundle: (eventsArray) => this.sendBundle(eventsArray)
     });
     
     // Start bundler immediately
     this.bundler.start();
 
+    // Follow the room's latency mode
+    this.latencyUnsubscribe = subscribeLatencySettings(() => {
+      this.bundler?.setFlushInterval(getBundleIntervalMs());
+    });
+
     // Listen for signaling messages
     this.signalingUnsubscribe = this.signaling.onSignal((signal) => {
       this.handleSignal(signal);
     });
 
-    // STUN server configuration
-    this.iceServers = [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' }
-    ];
+    // Jam events relayed to us by peers that can't reach our DataChannel
+    this.relayUnsubscribe = this.relay
+      ? this.relay.onJamEvents((events, peerId) => this.handleRelayedJamEvents(events, peerId))
+      : null;
+
+    // Peers without a DataChannel switch between 'relay' and 'none' as the relay comes and goes
+    this.relayStatusUnsubscribe = this.relay
+      ? this.relay.onStatusChange(() => {
+        this.connectionStates.forEach((_state, peerId) => this.updatePeerLink(peerId));
+      })
+      : null;
+  }
+
+  /**
+   * Set the room topology (the caller adds and removes peers to match)
+   * 
+   * @param {import('./topology').Topology} topology
+   * @param {string|null} hostId - Elected host (see topology.js)
+   */
+  setTopology(topology, hostId) {
+    const wasForwarding = this.isForwarding();
+    this.topology = topology;
+    this.hostId = hostId ? String(hostId) : null;
+
+    if (wasForwarding !== this.isForwarding()) {
+      console.log(`[WebRTCManager] ${this.isForwarding() ? 'Forwarding' : 'No longer forwarding'} messages between peers`);
+      this.forwardedLoops.clear();
+    }
+  }
+
+  /**
+   * Check whether we are the host of a star topology (and pass messages on)
+   * 
+   * @returns {boolean}
+   */
+  isForwarding() {
+    return this.topology === TOPOLOGIES.STAR && this.hostId === this.userId;
+  }
+
+  /**
+   * Pass a claim, transport command or loop update from one peer on to the others
+   * 
+   * @private
+   * @param {Object} message - Parsed message
+   * @param {string} fromPeerId - Peer it came from
+   */
+  forwardMessage(message, fromPeerId) {
+    const serialized = JSON.stringify(message);
+    if (isLoopMessage(message)) {
+      if (message.action === 'clear') {
+        this.forwardedLoops.delete(message.instrument);
+      } else {
+        this.forwardedLoops.set(message.instrument, { senderId: message.senderId, serialized });
+      }
+    }
+
+    this.dataChannels.forEach((dataChannel, peerId) => {
+      if (peerId !== fromPeerId) {
+        this.sendControlMessage(peerId, serialized);
+      }
+    });
+  }
+
+  /**
+   * Send the loops other players made to a peer that just connected (host only)
+   * 
+   * @private
+   * @param {string} peerId - Peer user ID
+   */
+  replayForwardedLoops(peerId) {
+    this.forwardedLoops.forEach(({ senderId, serialized }) => {
+      if (senderId !== peerId) { // Not its own loop
+        this.sendControlMessage(peerId, serialized);
+      }
+    });
+  }
+
+  /**
+   * Use the room's ICE servers for connections made from now on
+   * 
+   * @param {RTCIceServer[]|null} iceServers - rooms.ice_servers
+   */
+  setRoomIceServers(iceServers) {
+    this.roomIceServers = iceServers || null;
+  }
+
+  /**
+   * Get the configuration for a new peer connection (fetches TURN credentials when needed)
+   * 
+   * @returns {Promise<RTCConfiguration>}
+   */
+  getIceConfig() {
+    return getIceConfiguration({
+      roomId: this.roomId,
+      userId: this.userId,
+      roomIceServers: this.roomIceServers
+    });
   }
 
   /**
@@ -119,7 +438,7 @@ export class WebRTCManager {
 
     // Check if peer already exists and has an active connection
     const existingState = this.connectionStates.get(peerId);
-    if (existingState === 'connected' || existingState === 'connecting') {
+    if (existingState === 'connected' || existingState === 'connecting' || existingState === 'reconnecting') {
       console.log(`[WebRTCManager] Peer ${peerId} already exists with state: ${existingState}, skipping addPeer`);
       return;
     }
@@ -155,10 +474,18 @@ export class WebRTCManager {
     }
 
     this.initiatedConnections.add(peerId);
-    this.setConnectionState(peerId, 'connecting');
+    if (this.connectionStates.get(peerId) !== 'reconnecting') {
+      this.setConnectionState(peerId, 'connecting');
+    }
+    this.sessions.set(peerId, createSessionId());
 
     try {
-      const pc = this.createPeerConnection(peerId);
+      const config = await this.getIceConfig();
+      if (!this.initiatedConnections.has(peerId)) {
+        return; // Removed while fetching the configuration
+      }
+
+      const pc = this.createPeerConnection(peerId, config);
       this.peerConnections.set(peerId, pc);
 
       // Create data channel
@@ -170,22 +497,25 @@ export class WebRTCManager {
       this.setupDataChannel(peerId, dataChannel);
       this.dataChannels.set(peerId, dataChannel);
 
+      // Room state messages (see sendControlMessage()) must arrive, in order
+      const controlChannel = pc.createDataChannel('control', { ordered: true });
+      this.setupControlChannel(peerId, controlChannel);
+      this.controlChannels.set(peerId, controlChannel);
+
       // Create and send offer
       const offer = await pc.createOffer();
       await pc.setLocalDescription(offer);
       
-      this.signaling.sendOffer(peerId, offer);
+      this.signaling.sendOffer(peerId, offer, this.sessions.get(peerId));
 
-      // Handle ICE candidates
-      pc.onicecandidate = (event) => {
-        if (event.candidate) {
-          this.signaling.sendIceCandidate(peerId, event.candidate);
-        }
-      };
+      // Start over if the callee never answers (e.g. it missed the offer)
+      if (!this.recoveries.get(peerId)?.timer) {
+        this.scheduleRecovery(peerId, 'full', CONNECT_TIMEOUT_MS);
+      }
 
     } catch (error) {
       console.error(`Error initiating connection to ${peerId}:`, error);
-      this.setConnectionState(peerId, 'disconnected');
+      this.handleConnectionLoss(peerId, 'failed');
     }
   }
 
@@ -197,41 +527,284 @@ export class WebRTCManager {
   prepareForIncomingConnection(peerId) {
     // Connection will be created when we receive the offer
     this.setConnectionState(peerId, 'connecting');
+
+    // Ask the caller to start over if no offer arrives
+    this.scheduleRecovery(peerId, 'full', CONNECT_TIMEOUT_MS);
+  }
+
+  /**
+   * Start recovering a lost connection
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {'disconnected'|'failed'} reason - 'disconnected' tries an ICE restart first
+   */
+  handleConnectionLoss(peerId, reason) {
+    if (this.isRemoved(peerId)) {
+      return;
+    }
+
+    this.setConnectionState(peerId, 'reconnecting');
+    const recovery = this.recoveries.get(peerId);
+    if (reason === 'disconnected') {
+      this.scheduleRecovery(peerId, 'ice', DISCONNECT_GRACE_MS);
+    } else {
+      this.scheduleRecovery(peerId, 'full', this.getBackoffDelay(recovery?.attempt || 0));
+    }
+  }
+
+  /**
+   * Backoff before a full renegotiation
+   * 
+   * @param {number} attempt - Renegotiations already tried
+   * @returns {number} Milliseconds (with some jitter, so peers don't retry in lockstep)
+   */
+  getBackoffDelay(attempt) {
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** attempt);
+    return delay * (0.8 + Math.random() * 0.4);
+  }
+
+  /**
+   * Recover a peer's connection after a delay, unless it is connected by then
+   * Replaces any recovery step already scheduled.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {'ice'|'full'} restart - ICE restart or full renegotiation
+   * @param {number} delayMs
+   */
+  scheduleRecovery(peerId, restart, delayMs) {
+    const recovery = this.recoveries.get(peerId) || { attempt: 0, timer: null, lastAttemptAt: 0 };
+    if (recovery.timer) {
+      clearTimeout(recovery.timer);
+    }
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      this.recover(peerId, restart);
+    }, delayMs);
+    this.recoveries.set(peerId, recovery);
+  }
+
+  /**
+   * Stop recovering a peer's connection (connected again, or removed)
+   * 
+   * @param {string} peerId - Peer user ID
+   */
+  clearRecovery(peerId) {
+    const recovery = this.recoveries.get(peerId);
+    if (recovery?.timer) {
+      clearTimeout(recovery.timer);
+    }
+    this.recoveries.delete(peerId);
+  }
+
+  /**
+   * Run one recovery step and schedule the next one in case it doesn't work
+   * 
+   * The caller restarts or renegotiates; the callee asks the caller to.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {'ice'|'full'} restart - ICE restart or full renegotiation
+   * @param {boolean} [force] - Even if the connection looks fine here (the peer asked)
+   */
+  async recover(peerId, restart, force = false) {
+    if (this.isRemoved(peerId)) {
+      return;
+    }
+
+    const pc = this.peerConnections.get(peerId);
+    const dataChannel = this.dataChannels.get(peerId);
+    if (!force && pc?.connectionState === 'connected' && dataChannel?.readyState === 'open') {
+      this.clearRecovery(peerId);
+      this.setConnectionState(peerId, 'connected');
+      return;
+    }
+
+    // Also when the first connection never came up, so the UI shows the link is down
+    this.setConnectionState(peerId, 'reconnecting');
+
+    const recovery = this.recoveries.get(peerId) || { attempt: 0, timer: null, lastAttemptAt: 0 };
+    this.recoveries.set(peerId, recovery);
+    recovery.lastAttemptAt = Date.now();
+
+    // An ICE restart needs a connection to restart
+    const step = restart === 'ice' && pc ? 'ice' : 'full';
+    const isCaller = this.userId < peerId;
+    console.log(`[WebRTCManager] Reconnecting to ${peerId}: ${step === 'ice' ? 'ICE restart' : `renegotiation #${recovery.attempt + 1}`}${isCaller ? '' : ' (asking the caller)'}`);
+
+    if (step === 'ice') {
+      this.scheduleRecovery(peerId, 'full', CONNECT_TIMEOUT_MS);
+    } else {
+      recovery.attempt++;
+      this.scheduleRecovery(peerId, 'full', CONNECT_TIMEOUT_MS + this.getBackoffDelay(recovery.attempt));
+    }
+
+    if (!isCaller) {
+      this.signaling.sendReconnectRequest(peerId, step, this.sessions.get(peerId));
+    } else if (step === 'ice') {
+      await this.restartIce(peerId, pc);
+    } else {
+      this.renegotiate(peerId);
+    }
+  }
+
+  /**
+   * Restart ICE on the existing connection (caller side)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {RTCPeerConnection} pc - Its connection
+   */
+  async restartIce(peerId, pc) {
+    try {
+      // Fresh TURN credentials, in case the old ones expired
+      pc.setConfiguration(await this.getIceConfig());
+      const offer = await pc.createOffer({ iceRestart: true });
+      if (this.peerConnections.get(peerId) !== pc) {
+        return; // Replaced meanwhile
+      }
+      await pc.setLocalDescription(offer);
+      this.signaling.sendOffer(peerId, offer, this.sessions.get(peerId));
+    } catch (error) {
+      console.error(`[WebRTCManager] ICE restart with ${peerId} failed:`, error);
+    }
+  }
+
+  /**
+   * Replace the connection and DataChannel with new ones (caller side)
+   * 
+   * @param {string} peerId - Peer user ID
+   */
+  renegotiate(peerId) {
+    this.closePeerConnection(peerId);
+    this.initiateConnection(peerId);
+  }
+
+  /**
+   * Handle a callee's request to reconnect (caller side)
+   * 
+   * @param {string} peerId - Callee user ID
+   * @param {'ice'|'full'} restart
+   */
+  handleReconnectRequest(peerId, restart) {
+    if (this.userId >= peerId || this.isRemoved(peerId)) {
+      return; // Not our call, or we don't know this peer yet (we'll connect when we do)
+    }
+
+    // Give the last attempt time to work (both sides may detect the same loss)
+    const recovery = this.recoveries.get(peerId);
+    if (recovery && Date.now() - recovery.lastAttemptAt < CONNECT_TIMEOUT_MS) {
+      return;
+    }
+
+    // The callee may have lost a connection that still looks fine here (e.g. it reloaded)
+    this.setConnectionState(peerId, 'reconnecting');
+    this.recover(peerId, restart, true);
   }
 
   /**
    * Create RTCPeerConnection for a peer
    * 
    * @param {string} peerId - Peer user ID
+   * @param {RTCConfiguration} config - From getIceConfig()
    * @returns {RTCPeerConnection}
    */
-  createPeerConnection(peerId) {
-    const pc = new RTCPeerConnection({
-      iceServers: this.iceServers
-    });
+  createPeerConnection(peerId, config) {
+    const pc = new RTCPeerConnection(config);
+
+    // Send our ICE candidates (both sides, so relay candidates reach the peer)
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signaling.sendIceCandidate(peerId, event.candidate, this.sessions.get(peerId));
+      }
+    };
 
     // Track connection state
     pc.onconnectionstatechange = () => {
+      if (this.peerConnections.get(peerId) !== pc) {
+        return; // Replaced by a renegotiation, or removed
+      }
+
       const state = pc.connectionState;
-      if (state === 'connected' || state === 'completed') {
-        this.setConnectionState(peerId, 'connected');
-      } else if (state === 'disconnected' || state === 'failed' || state === 'closed') {
-        this.setConnectionState(peerId, 'disconnected');
+      if (state === 'connected') {
+        if (this.dataChannels.get(peerId)?.readyState === 'open') {
+          this.clearRecovery(peerId);
+          this.setConnectionState(peerId, 'connected');
+        }
+        this.reportRoute(peerId, pc, config);
+      } else if (state === 'disconnected') {
+        this.handleConnectionLoss(peerId, 'disconnected');
+      } else if (state === 'failed') {
+        this.reportFailedRoute(peerId, config);
+        this.handleConnectionLoss(peerId, 'failed');
       }
     };
 
     // Handle incoming data channel (for callee)
-    pc.ondatachannel = (event) => {
-      const dataChannel = event.channel;
-      if (dataChannel.label === 'midi') {
-        this.setupDataChannel(peerId, dataChannel);
-        this.dataChannels.set(peerId, dataChannel);
-      }
-    };
+    pc.ondatachannel = (event) => this.acceptDataChannel(peerId, event.channel);
 
     return pc;
   }
 
+  /**
+   * Report the route of a connected peer (direct or through a TURN relay)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {RTCPeerConnection} pc - Its connection
+   * @param {RTCConfiguration} config - Configuration it was made with
+   */
+  async reportRoute(peerId, pc, config) {
+    const stats = await this.getPeerTransportStats(peerId);
+    if (!stats || this.peerConnections.get(peerId) !== pc) {
+      return;
+    }
+
+    const route = {
+      relayed: stats.localCandidateType === 'relay' || stats.remoteCandidateType === 'relay',
+      failed: false,
+      relayAvailable: hasRelayServers(config.iceServers),
+      localCandidateType: stats.localCandidateType,
+      remoteCandidateType: stats.remoteCandidateType,
+      relayProtocol: stats.relayProtocol
+    };
+    if (route.relayed) {
+      console.log(`[WebRTCManager] Connected to ${peerId} through a TURN relay (${stats.localCandidateType} ↔ ${stats.remoteCandidateType})`);
+    }
+    this.peerRoutes.set(peerId, route);
+    this.onPeerRouteChange(peerId, route);
+  }
+
+  /**
+   * Report that ICE found no route to a peer
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {RTCConfiguration} config - Configuration the connection was made with
+   */
+  reportFailedRoute(peerId, config) {
+    const relayAvailable = hasRelayServers(config.iceServers);
+    if (!relayAvailable) {
+      console.warn(`[WebRTCManager] Could not connect to ${peerId} and no TURN server is configured (see config/iceServers.js)`);
+    }
+
+    const route = {
+      relayed: false,
+      failed: true,
+      relayAvailable,
+      localCandidateType: null,
+      remoteCandidateType: null,
+      relayProtocol: null
+    };
+    this.peerRoutes.set(peerId, route);
+    this.onPeerRouteChange(peerId, route);
+  }
+
+  /**
+   * Get the route of a peer's connection
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {PeerRoute|null} Null until connected (or failed)
+   */
+  getPeerRoute(peerId) {
+    return this.peerRoutes.get(peerId) || null;
+  }
+
   /**
    * Setup data channel event handlers
    * 
@@ -239,9 +812,24 @@ export class WebRTCManager {
    * @param {RTCDataChannel} dataChannel - Data channel
    */
   setupDataChannel(peerId, dataChannel) {
+    // Receive binary payloads as ArrayBuffer (not Blob) so they can be decoded synchronously
+    dataChannel.binaryType = 'arraybuffer';
+
     dataChannel.onopen = () => {
       console.log(`[WebRTCManager] DataChannel opened with ${peerId}`);
+      this.clearRecovery(peerId);
       this.setConnectionState(peerId, 'connected');
+
+      // Until the peer answers with its own hello, keep sending JSON
+      this.peerEncodings.set(peerId, ENCODING_JSON);
+      try {
+        dataChannel.send(JSON.stringify(createHelloMessage({
+          senderId: this.userId,
+          encodings: SUPPORTED_ENCODINGS
+        })));
+      } catch (error) {
+        console.error(`[WebRTCManager] Error sending hello to ${peerId}:`, error);
+      }
       
       // STEP 2.3: Start periodic ping messages (every 500ms for faster adaptation)
       if (this.clockSync) {
@@ -250,107 +838,379 @@ export class WebRTCManager {
     };
 
     dataChannel.onclose = () => {
-      // Stop ping interval
-      this.stopPingInterval(peerId);
-      
-      // Only log and update state if this wasn't an intentional close
-      // (If we called removePeer, the state is already being updated)
-      const currentState = this.connectionStates.get(peerId);
-      if (currentState !== 'disconnected') {
-        console.log(`[WebRTCManager] DataChannel closed with ${peerId} (unexpected)`);
-        this.setConnectionState(peerId, 'disconnected');
-      } else {
+      // Closed by removePeer() or a renegotiation: they clean up themselves
+      if (this.dataChannels.get(peerId) !== dataChannel) {
         console.log(`[WebRTCManager] DataChannel closed with ${peerId} (expected)`);
+        return;
       }
+
+      console.log(`[WebRTCManager] DataChannel closed with ${peerId} (unexpected)`);
+
+      // Stop ping interval
+      this.stopPingInterval(peerId);
+
+      // A new channel renegotiates its encoding and capabilities
+      this.peerEncodings.delete(peerId);
+      this.clearPeerCapabilities(peerId);
+
+      // A closed channel doesn't reopen: it takes a new connection
+      this.handleConnectionLoss(peerId, 'failed');
     };
 
     dataChannel.onerror = (error) => {
-      // Log error but don't automatically close - let the connection state handle it
+      // Log error but don't automatically close - onclose handles a closed channel
       console.error(`[WebRTCManager] DataChannel error with ${peerId}:`, error);
-      // Only update state if channel is actually closed
-      if (dataChannel.readyState === 'closed') {
-        this.setConnectionState(peerId, 'disconnected');
-      }
     };
 
     // Handle incoming messages (ping/pong or jam events)
     // STEP 2.4: Fast-path - move event handling to microtask to avoid blocking WebRTC queue
-    dataChannel.onmessage = (event) => {
+    dataChannel.onmessage = (event) => this.handleMessage(peerId, event.data);
+  }
+
+  /**
+   * Set up a peer's reliable, ordered 'control' DataChannel
+   * 
+   * Carries room state messages (claims and the like) to peers that read it
+   * (see sendControlMessage()). Its messages are handled
+   * like those on the 'midi' channel; the 'midi' channel alone decides
+   * whether the peer is connected.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {RTCDataChannel} controlChannel - Control channel
+   */
+  setupControlChannel(peerId, controlChannel) {
+    controlChannel.binaryType = 'arraybuffer';
+
+    controlChannel.onopen = () => {
+      const pending = this.pendingControl.get(peerId) || [];
+      this.pendingControl.delete(peerId);
+      pending.forEach(serialized => this.sendOnControlChannel(peerId, controlChannel, serialized));
+    };
+
+    controlChannel.onclose = () => {
+      if (this.controlChannels.get(peerId) === controlChannel) {
+        this.controlChannels.delete(peerId);
+        this.pendingControl.delete(peerId);
+        this.controlChunks.delete(peerId);
+      }
+    };
+
+    controlChannel.onerror = (error) => {
+      console.error(`[WebRTCManager] Control channel error with ${peerId}:`, error);
+    };
+
+    controlChannel.onmessage = (event) => this.handleMessage(peerId, event.data);
+  }
+
+  /**
+   * Set up a DataChannel the caller opened (callee side)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {RTCDataChannel} channel - Incoming channel
+   */
+  acceptDataChannel(peerId, channel) {
+    if (channel.label === 'midi') {
+      this.setupDataChannel(peerId, channel);
+      this.dataChannels.set(peerId, channel);
+    } else if (channel.label === 'control') {
+      this.setupControlChannel(peerId, channel);
+      this.controlChannels.set(peerId, channel);
+    }
+  }
+
+  /**
+   * Handle a message from either of a peer's DataChannels
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {string|ArrayBuffer} data - Message data
+   */
+  handleMessage(peerId, data) {
+    try {
+      // Binary payloads are always jam events (single or bundle)
+      if (isBinaryPayload(data)) {
+        const jamEvents = decodeJamEvents(data, {
+          onRejected: (raw, reason) => this.reportRejectedEvent(peerId, reason)
+        });
+        queueMicrotask(() => this.dispatchJamEvents(jamEvents, peerId));
+        return;
+      }
+
+      let parsed;
+      
+      // Try to parse as JSON (only once - fix double parsing)
       try {
-        const data = event.data;
-        let parsed;
-        
-        // Try to parse as JSON (only once - fix double parsing)
-        try {
-          parsed = JSON.parse(data);
-        } catch (e) {
-          if (DEBUG_WEBRTC) {
-            console.warn(`[WebRTCManager] Failed to parse message from ${peerId}:`, data);
-          }
-          return;
+        parsed = JSON.parse(data);
+      } catch (e) {
+        if (DEBUG_WEBRTC) {
+          console.warn(`[WebRTCManager] Failed to parse message from ${peerId}:`, data);
+        }
+        return;
+      }
+
+      // One piece of a long control message: handle it once it's complete
+      if (isChunkMessage(parsed)) {
+        const message = this.collectChunk(peerId, parsed);
+        if (message !== null) {
+          this.handleMessage(peerId, message);
         }
+        return;
+      }
 
-        // Check if it's a control message (ping/pong) - handle synchronously (fast)
-        if (parsed && typeof parsed === 'object' && (parsed.type === 'ping' || parsed.type === 'pong')) {
-          if (this.clockSync) {
-            const response = this.clockSync.handleIncomingControlMessage(parsed, peerId);
-            if (response) {
-              // Send pong response
-              const dataChannel = this.dataChannels.get(peerId);
-              if (dataChannel && dataChannel.readyState === 'open') {
-                dataChannel.send(JSON.stringify(response));
-              }
+      // Check if it's a control message (ping/pong) - handle synchronously (fast)
+      if (parsed && typeof parsed === 'object' && (parsed.type === 'ping' || parsed.type === 'pong')) {
+        if (this.clockSync) {
+          const response = this.clockSync.handleIncomingControlMessage(parsed, peerId);
+          if (response) {
+            // Send pong response
+            const dataChannel = this.dataChannels.get(peerId);
+            if (dataChannel && dataChannel.readyState === 'open') {
+              dataChannel.send(JSON.stringify(response));
             }
           }
-          return; // Control message handled, don't process as jam event
         }
+        return; // Control message handled, don't process as jam event
+      }
+
+      // Check if it's a claim event - handle synchronously (fast)
+      if (parsed && typeof parsed === 'object' && parsed.type === 'instrument-claim') {
+        if (this.onClaimEvent) {
+          try {
+            this.onClaimEvent(parsed);
+          } catch (error) {
+            console.error(`[WebRTCManager] Error handling claim event from ${peerId}:`, error);
+          }
+        }
+        if (this.isForwarding()) {
+          this.forwardMessage(parsed, peerId);
+        }
+        return; // Claim event handled, don't process as jam event
+      }
 
-        // Check if it's a claim event - handle synchronously (fast)
-        if (parsed && typeof parsed === 'object' && parsed.type === 'instrument-claim') {
-          if (this.onClaimEvent) {
-            try {
-              this.onClaimEvent(parsed);
-            } catch (error) {
-              console.error(`[WebRTCManager] Error handling claim event from ${peerId}:`, error);
-            }
+      // Transport start/stop - handle synchronously, the start time is already fixed
+      if (isTransportCommand(parsed)) {
+        if (this.onTransportCommand) {
+          try {
+            this.onTransportCommand(parsed, peerId);
+          } catch (error) {
+            console.error(`[WebRTCManager] Error handling transport command from ${peerId}:`, error);
           }
-          return; // Claim event handled, don't process as jam event
         }
+        if (this.isForwarding()) {
+          this.forwardMessage(parsed, peerId);
+        }
+        return;
+      }
 
-        // STEP 2.4: Move jam event handling to microtask to avoid blocking WebRTC message queue
-        // This ensures WebRTC can continue receiving messages while we process events
-        queueMicrotask(() => {
+      // Loop station update (a whole loop, or a clear)
+      if (isLoopMessage(parsed)) {
+        if (this.onLoopMessage) {
           try {
-            // Handle bundles: normalizeIncomingJamPayload handles single events, arrays, and bundle objects
-            const jamEvents = normalizeIncomingJamPayload(parsed);
-            
-            if (DEBUG_WEBRTC && jamEvents.length > 1) {
-              console.log('[WebRTCManager] Received bundle', {
-                kind: Array.isArray(parsed?.events) ? 'object+events' : Array.isArray(parsed) ? 'array' : 'single',
-                count: jamEvents.length
-              });
-            }
-            
-            // Process each event in the bundle (or single event)
-            for (const jamEvent of jamEvents) {
-              if (jamEvent) {
-                this.onJamEvent(jamEvent, peerId);
-              }
-            }
-            
-            if (jamEvents.length === 0) {
-              if (DEBUG_WEBRTC) {
-                console.warn(`[WebRTCManager] Failed to deserialize jam events from ${peerId}`);
-              }
-            }
+            this.onLoopMessage(parsed, peerId);
           } catch (error) {
-            console.error(`[WebRTCManager] Error handling jam event from ${peerId}:`, error);
+            console.error(`[WebRTCManager] Error handling loop message from ${peerId}:`, error);
           }
+        }
+        if (this.isForwarding()) {
+          this.forwardMessage(parsed, peerId);
+        }
+        return;
+      }
+
+      // Capability handshake - also picks the encoding we use when sending to this peer
+      if (isHelloMessage(parsed)) {
+        this.handleHello(peerId, parsed);
+        return;
+      }
+
+      // STEP 2.4: Move jam event handling to microtask to avoid blocking WebRTC message queue
+      // This ensures WebRTC can continue receiving messages while we process events
+      queueMicrotask(() => {
+        // Handle bundles: normalizeIncomingJamPayload handles single events, arrays, and bundle objects
+        const jamEvents = normalizeIncomingJamPayload(parsed, {
+          onRejected: (raw, reason) => this.reportRejectedEvent(peerId, reason)
         });
+
+        if (DEBUG_WEBRTC && jamEvents.length > 1) {
+          console.log('[WebRTCManager] Received bundle', {
+            kind: Array.isArray(parsed?.events) ? 'object+events' : Array.isArray(parsed) ? 'array' : 'single',
+            count: jamEvents.length
+          });
+        }
+
+        this.dispatchJamEvents(jamEvents, peerId);
+      });
+    } catch (error) {
+      console.error(`[WebRTCManager] Error handling message from ${peerId}:`, error);
+    }
+  }
+
+  /**
+   * Add a chunk to the control message a peer is sending in pieces
+   * 
+   * The control channel is ordered and reliable, so chunks arrive in order;
+   * a chunk of another message means the previous one was abandoned.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {Object} chunk - Chunk message (see splitControlMessage())
+   * @returns {string|null} The whole message once its last chunk arrived, else null
+   */
+  collectChunk(peerId, chunk) {
+    let pending = this.controlChunks.get(peerId);
+    if (chunk.index === 0 || !pending || pending.id !== chunk.id) {
+      pending = { id: chunk.id, parts: [] };
+      this.controlChunks.set(peerId, pending);
+    }
+    if (pending.parts.length !== chunk.index) {
+      this.controlChunks.delete(peerId);
+      return null; // Missed the start of this message
+    }
+
+    pending.parts.push(chunk.data);
+    if (pending.parts.length < chunk.count) {
+      return null;
+    }
+    this.controlChunks.delete(peerId);
+    return pending.parts.join('');
+  }
+
+  /**
+   * Handle a peer's hello: store its capabilities and report any mismatch
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {Object} hello - Hello message from the peer
+   */
+  handleHello(peerId, hello) {
+    const capabilities = parsePeerCapabilities(hello);
+    const compatibility = checkCompatibility(capabilities);
+    const encoding = negotiateEncoding(capabilities.encodings);
+
+    this.peerCapabilities.set(peerId, capabilities);
+    this.peerEncodings.set(peerId, encoding);
+    if (compatibility.compatible) {
+      this.incompatiblePeers.delete(peerId);
+    } else {
+      this.incompatiblePeers.add(peerId);
+    }
+
+    console.log(`[WebRTCManager] ${peerId} speaks protocol v${capabilities.protocolVersion}, using ${encoding} encoding`);
+    for (const issue of compatibility.issues) {
+      this.reportIssue(peerId, issue);
+    }
+
+    try {
+      this.onPeerCapabilities(peerId, capabilities, compatibility);
+    } catch (error) {
+      console.error('[WebRTCManager] Error in peer capabilities callback:', error);
+    }
+
+    // Players only connected to us can't get other players' loops from their owners
+    // (replayed now that we know which channel the peer reads them on)
+    if (this.isForwarding()) {
+      this.replayForwardedLoops(peerId);
+    }
+  }
+
+  /**
+   * Forget a peer's capabilities (channel closed or peer removed)
+   * 
+   * @param {string} peerId - Peer user ID
+   */
+  clearPeerCapabilities(peerId) {
+    const hadCapabilities = this.peerCapabilities.delete(peerId);
+    this.incompatiblePeers.delete(peerId);
+
+    for (const key of this.reportedIssues) {
+      if (key.startsWith(`${peerId}|`)) {
+        this.reportedIssues.delete(key);
+      }
+    }
+
+    if (hadCapabilities) {
+      try {
+        this.onPeerCapabilities(peerId, null, null);
       } catch (error) {
-        console.error(`[WebRTCManager] Error handling message from ${peerId}:`, error);
+        console.error('[WebRTCManager] Error in peer capabilities callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Get the capabilities we assume for a peer
+   * Peers that never sent a hello are treated as protocol v1.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {Object} Peer capabilities
+   */
+  getPeerCapabilities(peerId) {
+    return this.peerCapabilities.get(peerId) || parsePeerCapabilities(null);
+  }
+
+  /**
+   * Log a compatibility warning once per peer
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {string} message - Warning message
+   */
+  reportIssue(peerId, message) {
+    const key = `${peerId}|${message}`;
+    if (this.reportedIssues.has(key)) {
+      return;
+    }
+    this.reportedIssues.add(key);
+    console.warn(`[WebRTCManager] Peer ${peerId}: ${message}`);
+  }
+
+  /**
+   * Report an incoming event we had to drop
+   * 
+   * @param {string} peerId - Peer user ID
+   * @param {string} reason - Why the event was rejected
+   */
+  reportRejectedEvent(peerId, reason) {
+    const { protocolVersion } = this.getPeerCapabilities(peerId);
+    this.reportIssue(peerId, `dropping incoming events with ${reason} (peer speaks protocol v${protocolVersion})`);
+  }
+
+  /**
+   * Deliver decoded jam events to the onJamEvent callback
+   * 
+   * @param {Array<JamEvent>} jamEvents - Validated jam events (single event or bundle)
+   * @param {string} peerId - Peer the events came from
+   */
+  dispatchJamEvents(jamEvents, peerId) {
+    try {
+      // Process each event in the bundle (or single event)
+      for (const jamEvent of jamEvents) {
+        if (jamEvent) {
+          this.onJamEvent(jamEvent, peerId);
+        }
+      }
+
+      if (jamEvents.length === 0) {
+        if (DEBUG_WEBRTC) {
+          console.warn(`[WebRTCManager] Failed to deserialize jam events from ${peerId}`);
+        }
+      } else if (this.isForwarding()) {
+        // Star host: on to everyone else, as they are (senderId stays the player's)
+        const reliable = jamEvents.some(jamEvent => jamEvent.type === 'tempo');
+        this.broadcastJamEvents(jamEvents, peerId, { reliable });
       }
-    };
+    } catch (error) {
+      console.error(`[WebRTCManager] Error handling jam event from ${peerId}:`, error);
+    }
+  }
+
+  /**
+   * Handle jam events a peer sent through the relay
+   * 
+   * @param {Array<Object>} events - Raw events from the relay message
+   * @param {string} peerId - Peer the events came from
+   */
+  handleRelayedJamEvents(events, peerId) {
+    const jamEvents = normalizeIncomingJamPayload(events, {
+      onRejected: (raw, reason) => this.reportRejectedEvent(peerId, reason)
+    });
+    this.dispatchJamEvents(jamEvents, peerId);
   }
 
   /**
@@ -362,8 +1222,8 @@ export class WebRTCManager {
    * @param {string} signal.type - Signal type
    * @param {any} signal.payload - Signal payload
    */
-  async handleSignal(signal) {
-    const { from, to, type, payload } = signal;
+  handleSignal(signal) {
+    const { from, to } = signal;
 
     // Ignore signals not for us (unless broadcast)
     if (to !== null && to !== this.userId) {
@@ -375,21 +1235,60 @@ export class WebRTCManager {
       return;
     }
 
+    // One signal at a time per peer: candidates must not be added before the
+    // offer they belong to is applied (which may wait for TURN credentials)
+    const previous = this.signalQueues.get(from) || Promise.resolve();
+    const next = previous
+      .then(() => this.processSignal(signal))
+      .catch(error => console.error(`Error handling ${signal.type} from ${from}:`, error));
+    this.signalQueues.set(from, next);
+    next.then(() => {
+      if (this.signalQueues.get(from) === next) {
+        this.signalQueues.delete(from);
+      }
+    });
+  }
+
+  /**
+   * Apply a signal from a peer (see handleSignal())
+   * 
+   * @param {Object} signal - Signal message
+   */
+  async processSignal(signal) {
+    const { from, type, payload } = signal;
+    const session = typeof signal.session === 'string' ? signal.session : null;
+
+    if (type === 'reconnect') {
+      this.handleReconnectRequest(from, payload?.restart === 'ice' ? 'ice' : 'full');
+      return;
+    }
+
+    // Only the caller's offers start sessions; anything else from another session is stale
+    if (session !== null && this.sessions.has(from) && session !== this.sessions.get(from)) {
+      if (type !== 'offer' || this.userId < from) {
+        if (DEBUG_WEBRTC) {
+          console.log(`[WebRTCManager] Ignoring ${type} from ${from} for session ${session}`);
+        }
+        return;
+      }
+      // The caller started over: replace our connection
+      this.closePeerConnection(from);
+    }
+    if (type === 'offer' && session !== null) {
+      this.sessions.set(from, session);
+    }
+
     let pc = this.peerConnections.get(from);
 
     // Create connection if we don't have one yet (callee receiving offer)
     if (!pc && type === 'offer') {
-      pc = this.createPeerConnection(from);
+      const config = await this.getIceConfig();
+      // Our own offer may have created one meanwhile
+      pc = this.peerConnections.get(from) || this.createPeerConnection(from, config);
       this.peerConnections.set(from, pc);
       
       // Setup incoming data channel handler
-      pc.ondatachannel = (event) => {
-        const dataChannel = event.channel;
-        if (dataChannel.label === 'midi') {
-          this.setupDataChannel(from, dataChannel);
-          this.dataChannels.set(from, dataChannel);
-        }
-      };
+      pc.ondatachannel = (event) => this.acceptDataChannel(from, event.channel);
     }
 
     if (!pc) {
@@ -403,7 +1302,7 @@ export class WebRTCManager {
           await pc.setRemoteDescription(payload);
           const answer = await pc.createAnswer();
           await pc.setLocalDescription(answer);
-          this.signaling.sendAnswer(from, answer);
+          this.signaling.sendAnswer(from, answer, this.sessions.get(from));
           break;
 
         case 'answer':
@@ -456,39 +1355,156 @@ export class WebRTCManager {
       });
     }
 
-    // Send to all open data channels (immediate, no bundling)
+    // Send to all connected peers (immediate, no bundling)
+    const sentCount = this.broadcastControlMessage(serialized);
+
+    if (DEBUG_WEBRTC && sentCount > 0) {
+      console.log(`[WebRTCManager] Sent claim event to ${sentCount} peer(s)`);
+    }
+  }
+
+  /**
+   * Send a transport command to all connected peers
+   * Sent immediately (bypass bundler) on the 'control' channel; the room row
+   * carries the same command for peers this misses.
+   *
+   * @param {import('./time/transport').TransportCommand} command - From createStartCommand/createStopCommand
+   */
+  sendTransportCommand(command) {
+    if (!isTransportCommand(command)) {
+      console.warn('[WebRTCManager] Invalid transport command:', command);
+      return;
+    }
+
+    this.broadcastControlMessage(JSON.stringify(command));
+  }
+
+  /**
+   * Send a loop station update to all connected peers
+   * Sent immediately (bypass bundler) on the 'control' channel, in chunks for
+   * long loops; the owner re-sends its loops when a peer connects.
+   *
+   * @param {import('./audio/loopStation').LoopMessage} message
+   */
+  sendLoopMessage(message) {
+    if (!isLoopMessage(message)) {
+      console.warn('[WebRTCManager] Invalid loop message:', message);
+      return;
+    }
+
+    this.broadcastControlMessage(JSON.stringify(message));
+  }
+
+  /**
+   * Send a control message (room state that must arrive) to all connected peers
+   * 
+   * @private
+   * @param {string} serialized - JSON message
+   * @returns {number} Number of peers it was sent or queued to
+   */
+  broadcastControlMessage(serialized) {
     let sentCount = 0;
     this.dataChannels.forEach((dataChannel, peerId) => {
-      if (dataChannel.readyState === 'open') {
-        try {
-          dataChannel.send(serialized);
-          sentCount++;
-        } catch (error) {
-          console.error(`[WebRTCManager] Error sending claim event to ${peerId}:`, error);
-        }
+      if (this.sendControlMessage(peerId, serialized)) {
+        sentCount++;
       }
     });
+    return sentCount;
+  }
 
-    if (DEBUG_WEBRTC && sentCount > 0) {
-      console.log(`[WebRTCManager] Sent claim event to ${sentCount} peer(s)`);
+  /**
+   * Send a control message to one peer
+   * 
+   * Peers that read the 'control' channel get it there: reliably, in order,
+   * and in chunks if it's long. If that channel is still opening the message
+   * waits for it. Everyone else (older peers, or before the peer's hello)
+   * gets it on the 'midi' channel, where it can be lost.
+   * 
+   * @private
+   * @param {string} peerId - Peer user ID
+   * @param {string} serialized - JSON message
+   * @returns {boolean} False if the peer has no usable channel
+   */
+  sendControlMessage(peerId, serialized) {
+    const controlChannel = this.controlChannels.get(peerId);
+    if (controlChannel && this.readsControlChannel(peerId)) {
+      if (controlChannel.readyState === 'open') {
+        return this.sendOnControlChannel(peerId, controlChannel, serialized);
+      }
+      if (controlChannel.readyState === 'connecting') {
+        const pending = this.pendingControl.get(peerId) || [];
+        pending.push(serialized);
+        this.pendingControl.set(peerId, pending);
+        return true;
+      }
+    }
+
+    const dataChannel = this.dataChannels.get(peerId);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      return false;
+    }
+    try {
+      dataChannel.send(serialized);
+      return true;
+    } catch (error) {
+      console.error(`[WebRTCManager] Error sending control message to ${peerId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a control message on a 'control' channel, in chunks if it's long
+   * 
+   * @private
+   * @param {string} peerId - Peer user ID
+   * @param {RTCDataChannel} controlChannel - Its open control channel
+   * @param {string} serialized - JSON message
+   * @returns {boolean} Whether it was sent
+   */
+  sendOnControlChannel(peerId, controlChannel, serialized) {
+    try {
+      splitControlMessage(serialized).forEach(part => controlChannel.send(part));
+      return true;
+    } catch (error) {
+      console.error(`[WebRTCManager] Error sending control message to ${peerId}:`, error);
+      return false;
     }
   }
 
+  /**
+   * Check whether a peer reads its 'control' channel (known from its hello)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {boolean}
+   */
+  readsControlChannel(peerId) {
+    const capabilities = this.peerCapabilities.get(peerId);
+    return !!capabilities && capabilities.protocolVersion >= CONTROL_CHANNEL_PROTOCOL_VERSION;
+  }
+
   /**
    * Send jam event to all connected peers
    * 
-   * DRUMS events bypass the bundler and are sent immediately for ultra-low latency.
-   * Other instruments are queued in the bundler and sent at regular intervals
+   * Events for instruments in ULTRA_LOW_LATENCY mode (see getInstrumentLatencyMode())
+   * bypass the bundler and are sent immediately. Other instruments are queued in the bundler and sent at regular intervals
    * to reduce burst pressure and stabilize latency.
+   * Tempo changes go out immediately on the reliable 'control' channel: a lost
+   * one would leave a peer playing at the old tempo.
    * 
    * @param {JamEvent} event - Jam event to send
    */
   sendJamEvent(event) {
-    // Fast path: DRUMS events bypass bundler and go out immediately
-    const isDrumsEvent = event && event.instrument === 'DRUMS';
+    if (event?.type === 'tempo') {
+      this.broadcastJamEvents([event], null, { reliable: true });
+      return;
+    }
+
+    // Fast path: ULTRA instruments bypass bundler and go out immediately
+    const isUltraEvent = event &&
+      getInstrumentLatencyMode(event.instrument) === LATENCY_MODES.ULTRA;
     
-    if (isDrumsEvent) {
-      // Send DRUMS event immediately, no bundling delay
+    if (isUltraEvent) {
+      // Send event immediately, no bundling delay
       this._sendSingleImmediate(event);
       return;
     }
@@ -509,7 +1525,7 @@ export class WebRTCManager {
 
   /**
    * Send a single event immediately to all connected peers (bypasses bundler)
-   * Used for DRUMS events that require ultra-low latency.
+   * Used for instruments in ULTRA_LOW_LATENCY mode.
    * 
    * @private
    * @param {JamEvent} event - Jam event to send
@@ -519,17 +1535,8 @@ export class WebRTCManager {
       return;
     }
 
-    // Serialize the event
-    let serialized;
-    try {
-      serialized = serializeEvent(event);
-    } catch (error) {
-      console.error('[WebRTCManager] Error serializing DRUMS event:', error);
-      return;
-    }
-
     if (DEBUG_WEBRTC) {
-      console.log(`[WebRTCManager] Sending DRUMS event immediately (bypassing bundler):`, {
+      console.log(`[WebRTCManager] Sending ULTRA event immediately (bypassing bundler):`, {
         type: event.type,
         instrument: event.instrument,
         note: event.note,
@@ -537,25 +1544,10 @@ export class WebRTCManager {
       });
     }
 
-    // Send to all open data channels
-    let sentCount = 0;
-    this.dataChannels.forEach((dataChannel, peerId) => {
-      if (dataChannel.readyState === 'open') {
-        try {
-          dataChannel.send(serialized);
-          sentCount++;
-        } catch (error) {
-          console.error(`[WebRTCManager] Error sending DRUMS event to ${peerId}:`, error);
-        }
-      } else {
-        if (DEBUG_WEBRTC) {
-          console.warn(`[WebRTCManager] DataChannel to ${peerId} not open, cannot send DRUMS event, state: ${dataChannel.readyState}`);
-        }
-      }
-    });
+    const sentCount = this.broadcastJamEvents([event]);
 
     if (DEBUG_WEBRTC && sentCount > 0) {
-      console.log(`[WebRTCManager] Sent DRUMS event immediately to ${sentCount} peer(s)`);
+      console.log(`[WebRTCManager] Sent ULTRA event immediately to ${sentCount} peer(s)`);
     }
   }
 
@@ -573,19 +1565,6 @@ export class WebRTCManager {
       return; // Nothing to send
     }
 
-    let serialized;
-    
-    // Backwards compatibility: single events sent as single JSON object
-    if (eventsArray.length === 1) {
-      serialized = JSON.stringify(eventsArray[0]);
-    } else {
-      // Multiple events: send as bundle object
-      serialized = JSON.stringify({
-        kind: 'bundle',
-        events: eventsArray
-      });
-    }
-    
     if (DEBUG_WEBRTC) {
       console.log('[WebRTCManager] Flushing bundle', {
         count: eventsArray.length,
@@ -593,30 +1572,142 @@ export class WebRTCManager {
         format: eventsArray.length === 1 ? 'single' : 'bundle'
       });
     }
-    
+
+    const sentCount = this.broadcastJamEvents(eventsArray);
+
+    if (DEBUG_WEBRTC) {
+      console.log(`[WebRTCManager] Sent bundle to ${sentCount} peer(s)`);
+    }
+  }
+
+  /**
+   * Send jam events to every open DataChannel using each peer's negotiated encoding
+   * 
+   * Payloads are built lazily and at most once per encoding, so a room where
+   * everyone speaks binary never pays for JSON.stringify (and vice versa).
+   * Peers that can't handle some of the events get a payload without them.
+   * 
+   * JSON format (backwards compatible): single events are sent as a single
+   * object, multiple events as { kind: 'bundle', events: [...] }.
+   * 
+   * @private
+   * @param {Array<JamEvent>} eventsArray - Jam events to send
+   * @param {string|null} [excludePeerId] - Peer they came from, when forwarding
+   * @param {Object} [options]
+   * @param {boolean} [options.reliable=false] - Send on the 'control' channel of peers that read it
+   * @returns {number} Number of peers the payload was sent to
+   */
+  broadcastJamEvents(eventsArray, excludePeerId = null, { reliable = false } = {}) {
+    const sharedPayloads = createPayloadBuilder(eventsArray);
+
     let sentCount = 0;
     this.dataChannels.forEach((dataChannel, peerId) => {
-      if (dataChannel.readyState === 'open') {
-        try {
-          if (DEBUG_WEBRTC) {
-            console.log(`[WebRTCManager] Sending bundle to peer ${peerId}, channel state: ${dataChannel.readyState}`);
-          }
-          dataChannel.send(serialized);
-          sentCount++;
-        } catch (error) {
-          // Only log errors (not in hot path, but important for debugging)
-          console.error(`[WebRTCManager] Error sending bundle to ${peerId}:`, error);
-        }
-      } else {
+      if (peerId === excludePeerId) {
+        return;
+      }
+      if (!this.isDirectlyConnected(peerId)) {
         if (DEBUG_WEBRTC) {
-          console.warn(`[WebRTCManager] DataChannel to ${peerId} not open, state: ${dataChannel.readyState}`);
+          console.warn(`[WebRTCManager] DataChannel to ${peerId} not usable (${dataChannel.readyState}, ${this.getConnectionState(peerId)}), relaying`);
         }
+        return;
+      }
+
+      const supportedEvents = this.filterEventsForPeer(peerId, eventsArray);
+      if (supportedEvents.length === 0) {
+        return;
+      }
+
+      try {
+        const payloads = supportedEvents === eventsArray
+          ? sharedPayloads
+          : createPayloadBuilder(supportedEvents);
+        const payload = this.peerEncodings.get(peerId) === ENCODING_BINARY
+          ? payloads.binary() || payloads.json()
+          : payloads.json();
+        const controlChannel = this.controlChannels.get(peerId);
+        if (reliable && controlChannel?.readyState === 'open' && this.readsControlChannel(peerId)) {
+          controlChannel.send(payload);
+        } else {
+          dataChannel.send(payload);
+        }
+        sentCount++;
+      } catch (error) {
+        // Only log errors (not in hot path, but important for debugging)
+        console.error(`[WebRTCManager] Error sending jam events to ${peerId}:`, error);
       }
     });
-    
-    if (DEBUG_WEBRTC) {
-      console.log(`[WebRTCManager] Sent bundle to ${sentCount} peer(s)`);
+
+    sentCount += this.relayJamEvents(eventsArray, excludePeerId);
+
+    return sentCount;
+  }
+
+  /**
+   * Send jam events through the relay to peers without an open DataChannel
+   * 
+   * @private
+   * @param {Array<JamEvent>} eventsArray - Jam events to send
+   * @param {string|null} [excludePeerId] - Peer they came from, when forwarding
+   * @returns {number} Number of peers they were relayed to
+   */
+  relayJamEvents(eventsArray, excludePeerId = null) {
+    if (!this.isRelayConnected()) {
+      return 0;
+    }
+
+    // Peers that can take the same events share one relay message
+    const targets = new Map();
+    this.connectionStates.forEach((state, peerId) => {
+      if (state === 'disconnected' || peerId === excludePeerId || this.isDirectlyConnected(peerId)) {
+        return;
+      }
+      const supportedEvents = this.filterEventsForPeer(peerId, eventsArray);
+      if (supportedEvents.length === 0) {
+        return;
+      }
+      const peerIds = targets.get(supportedEvents) || [];
+      peerIds.push(peerId);
+      targets.set(supportedEvents, peerIds);
+    });
+
+    let relayedCount = 0;
+    targets.forEach((peerIds, events) => {
+      this.relay.sendJamEvents(peerIds, events);
+      relayedCount += peerIds.length;
+    });
+    return relayedCount;
+  }
+
+  /**
+   * Drop events a peer has told us it can't handle
+   * 
+   * @private
+   * @param {string} peerId - Peer user ID
+   * @param {Array<JamEvent>} eventsArray - Outgoing jam events
+   * @returns {Array<JamEvent>} eventsArray itself if every event is supported, else the supported subset
+   */
+  filterEventsForPeer(peerId, eventsArray) {
+    const capabilities = this.getPeerCapabilities(peerId);
+
+    if (this.incompatiblePeers.has(peerId)) {
+      this.reportIssue(peerId, `not sending jam events, protocol v${capabilities.protocolVersion} is incompatible`);
+      return [];
+    }
+
+    let supported = null;
+    for (let i = 0; i < eventsArray.length; i++) {
+      const reason = getUnsupportedReason(eventsArray[i], capabilities);
+      if (reason) {
+        this.reportIssue(peerId, `not sending ${reason} (peer speaks protocol v${capabilities.protocolVersion})`);
+        if (supported === null) {
+          supported = eventsArray.slice(0, i);
+        }
+      } else if (supported !== null) {
+        supported.push(eventsArray[i]);
+      }
     }
+
+    return supported === null ? eventsArray : supported;
   }
 
   /**
@@ -626,17 +1717,43 @@ export class WebRTCManager {
    * @param {string} peerId - Peer user ID
    */
   removePeer(peerId) {
-    // Stop ping interval
+    // Stop ping interval and any reconnection
     this.stopPingInterval(peerId);
+    this.clearRecovery(peerId);
 
     // Check if peer exists before trying to remove
     if (!this.peerConnections.has(peerId) && !this.dataChannels.has(peerId)) {
       console.log(`[WebRTCManager] Peer ${peerId} already removed or never existed`);
+      if (this.connectionStates.has(peerId)) {
+        this.setConnectionState(peerId, 'disconnected');
+      }
       return;
     }
 
     console.log(`[WebRTCManager] Removing peer: ${peerId}`);
 
+    this.closePeerConnection(peerId);
+    this.sessions.delete(peerId);
+    this.forwardedLoops.forEach((loop, instrument) => {
+      if (loop.senderId === peerId) {
+        this.forwardedLoops.delete(instrument);
+      }
+    });
+    if (this.peerRoutes.delete(peerId)) {
+      this.onPeerRouteChange(peerId, null);
+    }
+    // Update state to disconnected (this will trigger callback)
+    this.setConnectionState(peerId, 'disconnected');
+  }
+
+  /**
+   * Close a peer's connection and DataChannel, keeping the peer (see removePeer())
+   * 
+   * @param {string} peerId - Peer user ID
+   */
+  closePeerConnection(peerId) {
+    this.stopPingInterval(peerId);
+
     const dataChannel = this.dataChannels.get(peerId);
     if (dataChannel) {
       // Only close if not already closed
@@ -646,6 +1763,16 @@ export class WebRTCManager {
       this.dataChannels.delete(peerId);
     }
 
+    const controlChannel = this.controlChannels.get(peerId);
+    if (controlChannel) {
+      if (controlChannel.readyState !== 'closed') {
+        controlChannel.close();
+      }
+      this.controlChannels.delete(peerId);
+    }
+    this.pendingControl.delete(peerId);
+    this.controlChunks.delete(peerId);
+
     const pc = this.peerConnections.get(peerId);
     if (pc) {
       // Only close if not already closed
@@ -656,15 +1783,26 @@ export class WebRTCManager {
     }
 
     this.initiatedConnections.delete(peerId);
-    // Update state to disconnected (this will trigger callback)
-    this.setConnectionState(peerId, 'disconnected');
+    this.peerEncodings.delete(peerId);
+    this.clearPeerCapabilities(peerId);
+  }
+
+  /**
+   * Check whether a peer was removed (or never added)
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {boolean}
+   */
+  isRemoved(peerId) {
+    const state = this.connectionStates.get(peerId);
+    return !state || state === 'disconnected';
   }
 
   /**
    * Set connection state and notify callback
    * 
    * @param {string} peerId - Peer user ID
-   * @param {'connecting'|'connected'|'disconnected'} state - Connection state
+   * @param {'connecting'|'connected'|'reconnecting'|'disconnected'} state - Connection state
    */
   setConnectionState(peerId, state) {
     const previousState = this.connectionStates.get(peerId);
@@ -672,13 +1810,73 @@ export class WebRTCManager {
       this.connectionStates.set(peerId, state);
       this.onPeerConnectionChange(peerId, state);
     }
+    this.updatePeerLink(peerId);
+  }
+
+  /**
+   * Check whether the relay is subscribed and can carry jam events
+   * 
+   * @private
+   * @returns {boolean}
+   */
+  isRelayConnected() {
+    return !!this.relay && this.relay.isConnected();
+  }
+
+  /**
+   * Work out the link jam events take to a peer, and report it if it changed
+   * 
+   * @param {string} peerId - Peer user ID
+   */
+  updatePeerLink(peerId) {
+    let link = null;
+    if (!this.isRemoved(peerId)) {
+      if (this.isDirectlyConnected(peerId)) {
+        link = 'direct';
+      } else {
+        link = this.isRelayConnected() ? 'relay' : 'none';
+      }
+    }
+
+    if ((this.peerLinks.get(peerId) || null) === link) {
+      return;
+    }
+    if (link) {
+      this.peerLinks.set(peerId, link);
+    } else {
+      this.peerLinks.delete(peerId);
+    }
+    this.onPeerLinkChange(peerId, link);
+  }
+
+  /**
+   * Check whether jam events can go to a peer over its DataChannel
+   * 
+   * Not while reconnecting: the channel may still say 'open' while ICE is
+   * disconnected, and what is sent then is lost.
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {boolean}
+   */
+  isDirectlyConnected(peerId) {
+    return this.connectionStates.get(peerId) === 'connected' && this.dataChannels.get(peerId)?.readyState === 'open';
+  }
+
+  /**
+   * Get the link jam events take to a peer
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {PeerLink|null} Null for peers we don't know
+   */
+  getPeerLink(peerId) {
+    return this.peerLinks.get(peerId) || null;
   }
 
   /**
    * Get connection state for a peer
    * 
    * @param {string} peerId - Peer user ID
-   * @returns {'connecting'|'connected'|'disconnected'}
+   * @returns {'connecting'|'connected'|'reconnecting'|'disconnected'}
    */
   getConnectionState(peerId) {
     return this.connectionStates.get(peerId) || 'disconnected';
@@ -704,6 +1902,61 @@ export class WebRTCManager {
     return Array.from(this.connectionStates.keys());
   }
 
+  /**
+   * Get transport details of a peer connection (for the diagnostics panel)
+   * 
+   * Candidate types are those of the selected ICE candidate pair:
+   * 'host' (direct), 'srflx'/'prflx' (through NAT) or 'relay' (through TURN).
+   * 
+   * @param {string} peerId - Peer user ID
+   * @returns {Promise<Object|null>} {connectionState, iceConnectionState, localCandidateType,
+   *   remoteCandidateType, relayProtocol, channelState, bufferedAmount}, or null if unknown
+   */
+  async getPeerTransportStats(peerId) {
+    const pc = this.peerConnections.get(peerId);
+    const dataChannel = this.dataChannels.get(peerId);
+    if (!pc && !dataChannel) {
+      return null;
+    }
+
+    const result = {
+      connectionState: pc ? pc.connectionState : null,
+      iceConnectionState: pc ? pc.iceConnectionState : null,
+      localCandidateType: null,
+      remoteCandidateType: null,
+      relayProtocol: null,
+      channelState: dataChannel ? dataChannel.readyState : null,
+      bufferedAmount: dataChannel ? dataChannel.bufferedAmount : 0
+    };
+
+    if (!pc || pc.connectionState === 'closed') {
+      return result;
+    }
+
+    try {
+      const reports = new Map();
+      (await pc.getStats()).forEach(report => reports.set(report.id, report));
+
+      // Chrome names the pair on the transport; Firefox marks it as selected
+      const transport = Array.from(reports.values()).find(report => report.type === 'transport' && report.selectedCandidatePairId);
+      const pair = transport
+        ? reports.get(transport.selectedCandidatePairId)
+        : Array.from(reports.values()).find(report => report.type === 'candidate-pair' && (report.selected || (report.nominated && report.state === 'succeeded')));
+
+      if (pair) {
+        const local = reports.get(pair.localCandidateId);
+        const remote = reports.get(pair.remoteCandidateId);
+        result.localCandidateType = local?.candidateType || null;
+        result.remoteCandidateType = remote?.candidateType || null;
+        result.relayProtocol = local?.candidateType === 'relay' ? (local.relayProtocol || null) : null;
+      }
+    } catch (error) {
+      console.warn(`[WebRTCManager] Failed to read stats for ${peerId}:`, error);
+    }
+
+    return result;
+  }
+
   /**
    * Start periodic ping messages to a peer
    * 
@@ -751,6 +2004,9 @@ export class WebRTCManager {
    */
   destroy() {
     // Stop and flush bundler
+    if (this.latencyUnsubscribe) {
+      this.latencyUnsubscribe();
+    }
     if (this.bundler) {
       this.bundler.stop();
       this.bundler = null;
@@ -761,14 +2017,21 @@ export class WebRTCManager {
       this.stopPingInterval(peerId);
     });
 
-    // Remove all peers
+    // Stop reconnecting and remove all peers
+    Array.from(this.recoveries.keys()).forEach(peerId => this.clearRecovery(peerId));
     const peerIds = Array.from(this.peerConnections.keys());
     peerIds.forEach(peerId => this.removePeer(peerId));
 
-    // Unsubscribe from signaling
+    // Unsubscribe from signaling and the relay
     if (this.signalingUnsubscribe) {
       this.signalingUnsubscribe();
     }
+    if (this.relayUnsubscribe) {
+      this.relayUnsubscribe();
+    }
+    if (this.relayStatusUnsubscribe) {
+      this.relayStatusUnsubscribe();
+    }
   }
 }
 
@@ -11,14 +11,24 @@ import { supabase } from '@/api/supabaseClient';
  * 2. Player B receives offer → creates answer → sends back to A
  * 3. ICE candidates exchanged similarly
  * 4. Once WebRTC connection established, signaling stops
+ * 
+ * Reconnection uses the same roles: the caller (lower user ID) sends a new
+ * offer (ICE restart or a whole new connection); the callee asks for one with
+ * a 'reconnect' signal. Signals carry the caller's session ID for the
+ * connection, so those of a replaced connection can be told apart.
+ * 
+ * Every player also tracks its presence on the channel, so the others can
+ * tell a player who left (or lost the server) from one they merely can't
+ * reach over WebRTC (see the star topology failover in useWebRTC.jsx).
  */
 
 /**
  * @typedef {Object} SignalingMessage
  * @property {string} from - Sender userId
  * @property {string|null} to - Target userId (null = broadcast to all)
- * @property {'offer'|'answer'|'ice-candidate'} type - Signal type
- * @property {any} payload - WebRTC SDP or ICE candidate
+ * @property {'offer'|'answer'|'ice-candidate'|'reconnect'} type - Signal type
+ * @property {any} payload - WebRTC SDP, ICE candidate, or {restart: 'ice'|'full'} for 'reconnect'
+ * @property {string} [session] - Connection session ID (set by the caller's offer)
  */
 
 /**
@@ -32,6 +42,9 @@ export function initSignaling(roomId, userId) {
   const channelName = `webrtc:${roomId}`;
   let channel = null;
   let signalCallbacks = [];
+  let presenceCallbacks = [];
+  /** @type {string[]|null} User IDs present on the channel (null until the first sync) */
+  let presentUserIds = null;
 
   /**
    * Join the signaling channel
@@ -42,7 +55,21 @@ export function initSignaling(roomId, userId) {
       return;
     }
 
-    channel = supabase.channel(channelName);
+    channel = supabase.channel(channelName, {
+      config: { presence: { key: userId } }
+    });
+
+    // Who is on the channel (including us), after every join and leave
+    channel.on('presence', { event: 'sync' }, () => {
+      presentUserIds = Object.keys(channel.presenceState());
+      presenceCallbacks.forEach(callback => {
+        try {
+          callback(presentUserIds);
+        } catch (error) {
+          console.error('Error in presence callback:', error);
+        }
+      });
+    });
 
     // Listen for signaling messages
     channel.on('broadcast', { event: 'signal' }, (payload) => {
@@ -71,6 +98,9 @@ export function initSignaling(roomId, userId) {
     channel.subscribe((status) => {
       if (status === 'SUBSCRIBED') {
         console.log(`Connected to signaling channel: ${channelName}`);
+        channel?.track({ joinedAt: Date.now() }).catch(error => {
+          console.error('Error tracking presence on signaling channel:', error);
+        });
       } else if (status === 'CHANNEL_ERROR') {
         console.error(`Error subscribing to signaling channel: ${channelName}`);
       }
@@ -81,10 +111,11 @@ export function initSignaling(roomId, userId) {
    * Send a signaling message
    * 
    * @param {string|null} targetUserId - Target user ID (null = broadcast)
-   * @param {'offer'|'answer'|'ice-candidate'} type - Signal type
+   * @param {'offer'|'answer'|'ice-candidate'|'reconnect'} type - Signal type
    * @param {any} payload - WebRTC SDP or ICE candidate
+   * @param {string} [session] - Connection session ID
    */
-  function sendSignal(targetUserId, type, payload) {
+  function sendSignal(targetUserId, type, payload, session) {
     if (!channel) {
       console.error('Signaling channel not connected');
       return;
@@ -94,7 +125,8 @@ export function initSignaling(roomId, userId) {
       from: userId,
       to: targetUserId,
       type: type,
-      payload: payload
+      payload: payload,
+      ...(session ? { session } : {})
     };
 
     channel.send({
@@ -109,9 +141,10 @@ export function initSignaling(roomId, userId) {
    * 
    * @param {string|null} targetUserId - Target user ID (null = broadcast)
    * @param {RTCSessionDescriptionInit} offer - WebRTC offer
+   * @param {string} [session] - Connection session ID
    */
-  function sendOffer(targetUserId, offer) {
-    sendSignal(targetUserId, 'offer', offer);
+  function sendOffer(targetUserId, offer, session) {
+    sendSignal(targetUserId, 'offer', offer, session);
   }
 
   /**
@@ -119,9 +152,10 @@ export function initSignaling(roomId, userId) {
    * 
    * @param {string} targetUserId - Target user ID
    * @param {RTCSessionDescriptionInit} answer - WebRTC answer
+   * @param {string} [session] - Connection session ID
    */
-  function sendAnswer(targetUserId, answer) {
-    sendSignal(targetUserId, 'answer', answer);
+  function sendAnswer(targetUserId, answer, session) {
+    sendSignal(targetUserId, 'answer', answer, session);
   }
 
   /**
@@ -129,9 +163,21 @@ export function initSignaling(roomId, userId) {
    * 
    * @param {string|null} targetUserId - Target user ID (null = broadcast)
    * @param {RTCIceCandidateInit} candidate - ICE candidate
+   * @param {string} [session] - Connection session ID
+   */
+  function sendIceCandidate(targetUserId, candidate, session) {
+    sendSignal(targetUserId, 'ice-candidate', candidate, session);
+  }
+
+  /**
+   * Ask the caller to reconnect (sent by the callee)
+   * 
+   * @param {string} targetUserId - Caller user ID
+   * @param {'ice'|'full'} restart - ICE restart or a new connection
+   * @param {string} [session] - Session ID of the connection that was lost
    */
-  function sendIceCandidate(targetUserId, candidate) {
-    sendSignal(targetUserId, 'ice-candidate', candidate);
+  function sendReconnectRequest(targetUserId, restart, session) {
+    sendSignal(targetUserId, 'reconnect', { restart }, session);
   }
 
   /**
@@ -148,6 +194,23 @@ export function initSignaling(roomId, userId) {
     };
   }
 
+  /**
+   * Register callback for presence changes
+   * 
+   * @param {function(string[]): void} callback - Callback function (user IDs present, including ours)
+   * @returns {function(): void} Unsubscribe function
+   */
+  function onPresenceChange(callback) {
+    presenceCallbacks.push(callback);
+    if (presentUserIds) {
+      callback(presentUserIds);
+    }
+    
+    return () => {
+      presenceCallbacks = presenceCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
   /**
    * Disconnect from signaling channel
    */
@@ -156,6 +219,8 @@ export function initSignaling(roomId, userId) {
       supabase.removeChannel(channel);
       channel = null;
       signalCallbacks = [];
+      presenceCallbacks = [];
+      presentUserIds = null;
       console.log(`Disconnected from signaling channel: ${channelName}`);
     }
   }
@@ -167,7 +232,9 @@ export function initSignaling(roomId, userId) {
     sendOffer,
     sendAnswer,
     sendIceCandidate,
+    sendReconnectRequest,
     onSignal,
+    onPresenceChange,
     disconnect
   };
 }
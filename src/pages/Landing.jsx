@@ -6,10 +6,11 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { createPageUrl } from '@/utils';
 import { createRoom } from '../components/firebaseClient';
-import { Music, Users, Zap, Play } from 'lucide-react';
+import { Music, Users, Zap, Play, Headphones } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent } from '@/components/ui/card';
+import { STAR_MAX_PLAYERS } from '@/lib/topology';
 
 export default function Landing() {
   const navigate = useNavigate();
@@ -45,6 +46,12 @@ export default function Landing() {
     }
   };
 
+  const handleListen = () => {
+    if (joinCode.trim()) {
+      navigate(createPageUrl(`Listen?id=${joinCode.trim().toUpperCase()}`));
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
       <div className="absolute inset-0 overflow-hidden pointer-events-none">
@@ -70,7 +77,7 @@ export default function Landing() {
           </h1>
 
           <p className="text-xl md:text-2xl text-gray-300 mb-12 font-light">
-            Real-time band in your browser – jam with up to 4 players
+            Real-time band in your browser – jam with up to {STAR_MAX_PLAYERS} players
           </p>
 
           {error && (
@@ -99,7 +106,7 @@ export default function Landing() {
             <Card className="bg-white/5 backdrop-blur-sm border-white/10 hover:bg-white/10 transition-all duration-300">
               <CardContent className="p-6 text-center">
                 <Users className="w-12 h-12 text-cyan-400 mx-auto mb-3" />
-                <h3 className="text-white font-semibold mb-2">4 Players</h3>
+                <h3 className="text-white font-semibold mb-2">Up to {STAR_MAX_PLAYERS} Players</h3>
                 <p className="text-gray-400 text-sm">Drums, Bass, EPiano & Guitar</p>
               </CardContent>
             </Card>
@@ -158,6 +165,15 @@ export default function Landing() {
                     Join
                   </Button>
                 </div>
+                <Button
+                  onClick={handleListen}
+                  disabled={!joinCode.trim()}
+                  variant="ghost"
+                  className="w-full mt-3 text-white hover:bg-white/20 hover:text-white"
+                >
+                  <Headphones className="w-4 h-4 mr-2" />
+                  Just listen
+                </Button>
               </CardContent>
             </Card>
           </div>
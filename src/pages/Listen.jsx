@@ -0,0 +1,171 @@
+/**
+ * Listen Page
+ * Audience view of a room: hears the band through the host's crowd stream
+ * (see lib/crowdChannel.js) and shows who is playing, without playing along.
+ */
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { createPageUrl } from '@/utils';
+import { useUserIdentity } from '../components/hooks/useUserIdentity';
+import { useRoomState } from '../components/hooks/useRoomState';
+import { useAudioEngine } from '../components/hooks/useAudioEngine';
+import { useCrowdListener } from '../components/hooks/useCrowdListener';
+import { joinRoomAsListener } from '../components/firebaseClient';
+import ListenerStage from '../components/ListenerStage';
+import { Button } from '@/components/ui/button';
+import { LISTENER_DELAY_MS } from '@/lib/audio/scheduler';
+import { Loader2, Music, Headphones, Volume2 } from 'lucide-react';
+
+export default function Listen() {
+  const navigate = useNavigate();
+  const urlParams = new URLSearchParams(window.location.search);
+  const roomId = urlParams.get('id');
+
+  const { userId, displayName, color, isReady: userReady } = useUserIdentity();
+  const audioEngine = useAudioEngine();
+  const { room, players, loading: roomLoading, error: roomError } = useRoomState(roomId, userId);
+
+  const activityTriggersRef = useRef({});
+  const handleNoteActivity = React.useCallback(({ instrument }) => {
+    const trigger = activityTriggersRef.current[instrument];
+    if (trigger) {
+      trigger();
+    }
+  }, []);
+
+  const [joining, setJoining] = useState(true);
+  const [joinError, setJoinError] = useState(null);
+
+  useEffect(() => {
+    if (!roomId || !userReady || !userId) return;
+
+    setJoining(true);
+    setJoinError(null);
+    joinRoomAsListener(roomId, userId, displayName, color)
+      .catch(error => {
+        console.error('[Listen] Failed to join as listener:', error);
+        setJoinError(error.message || 'Failed to join room');
+      })
+      .finally(() => setJoining(false));
+  }, [roomId, userId, displayName, color, userReady]);
+
+  const listening = !joining && !joinError;
+  const crowd = useCrowdListener({
+    roomId: listening ? roomId : null,
+    userId,
+    audioEngine,
+    players,
+    onNoteActivity: handleNoteActivity
+  });
+
+  const error = joinError || roomError;
+  if (!roomId || error) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-red-400 mb-4">{roomId ? error : 'No room ID provided'}</p>
+          <button
+            onClick={() => navigate(createPageUrl('Landing'))}
+            className="text-purple-400 hover:text-purple-300"
+          >
+            Back to Home
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (joining || roomLoading || !userReady || !room || !audioEngine.isReady) {
+    return (
+      <div className="min-h-screen bg-slate-900 flex items-center justify-center">
+        <div className="text-center">
+          <Loader2 className="w-12 h-12 text-purple-400 animate-spin mx-auto mb-4" />
+          <p className="text-gray-400">Joining the audience...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const band = players.filter(p => p.isPlayer !== false);
+  const listenerCount = players.length - band.length;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
+      <div className="bg-slate-800/80 backdrop-blur-sm border-b border-white/10 sticky top-0 z-50">
+        <div className="container mx-auto px-4 py-4 flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2">
+              <Music className="w-6 h-6 text-purple-400" />
+              <div>
+                <h1 className="text-white font-bold">Room: {roomId}</h1>
+                <p className="text-gray-400 text-xs">Jam in a Docs</p>
+              </div>
+            </div>
+            <span
+              className="flex items-center gap-1 text-sm text-gray-300"
+              title="People listening to this room"
+            >
+              <Headphones className="w-4 h-4" />
+              {listenerCount}
+            </span>
+            <span className="text-sm text-gray-400">
+              {room.bpm} BPM · {room.key} {room.scale}
+            </span>
+          </div>
+
+          <div className="flex items-center gap-4">
+            <span className={`text-xs ${crowd.connected ? 'text-green-400' : 'text-yellow-400'}`}>
+              ● {crowd.connected ? 'Live' : 'Connecting...'}
+            </span>
+            <Button
+              variant="outline"
+              onClick={() => navigate(createPageUrl(`Room?id=${roomId}`))}
+              className="bg-white/5 border-white/20 text-white hover:bg-white/10"
+            >
+              Join as player
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <div className="container mx-auto px-4 py-6 max-w-6xl space-y-6">
+        {!crowd.started && (
+          <div className="bg-purple-500/10 border border-purple-500/30 rounded-lg p-6 text-center">
+            <p className="text-gray-300 mb-4">Your browser needs a click before it plays any sound.</p>
+            <Button onClick={crowd.start} className="bg-purple-500 hover:bg-purple-600 text-white">
+              <Volume2 className="w-4 h-4 mr-2" />
+              Start listening
+            </Button>
+          </div>
+        )}
+
+        <ListenerStage players={band} activityTriggersRef={activityTriggersRef} />
+
+        <div className="bg-white/5 rounded-lg p-6">
+          <h3 className="text-xl font-semibold text-white mb-4">In the Band</h3>
+          {band.length === 0 ? (
+            <p className="text-gray-400">Waiting for players...</p>
+          ) : (
+            <div className="space-y-2">
+              {band.map(player => (
+                <div key={player.id} className="flex items-center gap-3">
+                  <div
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: player.color }}
+                  />
+                  <span className="text-white">{player.displayName}</span>
+                  <span className="text-gray-400 text-sm">
+                    • {player.instrument || 'choosing an instrument'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          <p className="text-gray-500 text-xs mt-4">
+            You hear the band about {(LISTENER_DELAY_MS / 1000).toFixed(2)}s behind the players.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
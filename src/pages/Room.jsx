@@ -11,12 +11,24 @@ import { useRoomState } from '../components/hooks/useRoomState';
 import { useAudioEngine } from '../components/hooks/useAudioEngine';
 import { useNoteEvents } from '../components/hooks/useNoteEvents';
 import { useWebRTC } from '../components/hooks/useWebRTC';
+import { useSessionRecorder } from '../components/hooks/useSessionRecorder';
+import { useSessionPlayer } from '../components/hooks/useSessionPlayer';
+import { useRoomTransport } from '../components/hooks/useRoomTransport';
+import { useLoopStation } from '../components/hooks/useLoopStation';
+import { useStepSequencer } from '../components/hooks/useStepSequencer';
 import { createRoom, joinRoomAsPlayer, getRoom } from '../components/firebaseClient';
 import RoomTopBar from '../components/RoomTopBar';
 import InstrumentSlot from '../components/InstrumentSlot';
 import InstrumentGrid from '../components/InstrumentGrid';
 import ChatPanel from '../components/ChatPanel';
-import { Loader2 } from 'lucide-react';
+import SessionPlayerPanel from '../components/SessionPlayerPanel';
+import LooperPanel from '../components/LooperPanel';
+import DiagnosticsPanel from '../components/DiagnosticsPanel';
+import { getInstrumentIds } from '@/lib/instruments/registry';
+import { getRoomBeatGrid } from '@/lib/time/beatGrid';
+import { getCountInStart } from '@/lib/time/transport';
+import { syncedNow } from '@/lib/time/syncedNow';
+import { Loader2, AlertTriangle, Network, Unplug, Headphones } from 'lucide-react';
 
 export default function Room() {
   // EMERGENCY DEBUG: Log immediately to verify component is loading
@@ -82,7 +94,7 @@ export default function Room() {
   // Initialize WebRTC with peers and room (needed for claim sync and note events)
   // PHASE 2: Ensure peers is always an array (even if empty)
   const safePeers = Array.isArray(peers) ? peers : [];
-  const webrtc = useWebRTC({ roomId, userId, peers: safePeers, room });
+  const webrtc = useWebRTC({ roomId, userId, peers: safePeers, room, players });
   
   // PHASE 3: Log WebRTC initialization
   useEffect(() => {
@@ -125,7 +137,13 @@ export default function Room() {
     }
   }, [webrtc]);
 
-  const { sendNote } = useNoteEvents(roomId, userId, audioEngine, peers, room, handleNoteActivity, webrtc);
+  const { sendNote, sendControl } = useNoteEvents(roomId, userId, audioEngine, peers, room, handleNoteActivity, webrtc);
+
+  const transport = useRoomTransport({ roomId, userId, room, webrtc });
+  const recorder = useSessionRecorder({ roomId, room, players, transport });
+  const sessionPlayer = useSessionPlayer({ userId, webrtc, transport, room });
+  const looper = useLoopStation({ roomId, userId, room, players, transport, webrtc });
+  const drumSequencer = useStepSequencer({ roomId, userId, room, players, transport });
 
   const [initializing, setInitializing] = useState(true);
   const [showInstruments, setShowInstruments] = useState(false);
@@ -196,15 +214,26 @@ export default function Room() {
     }
   }, [currentPlayer]);
 
+  // The metronome restarts only when the room settings it follows change
+  const roomRef = useRef(room);
+  roomRef.current = room;
+  const { isPlaying: transportPlaying, startAt: transportStartAt, countInBars } = transport;
   useEffect(() => {
-    if (!room) return;
+    const currentRoom = roomRef.current;
+    if (!currentRoom) return;
 
-    if (room.isPlaying && room.metronomeOn) {
-      audioEngine.startMetronome(room.bpm);
+    // Clicks follow the room's shared beat grid; tempo changes switch on a bar.
+    // They start with the transport's count-in, which clicks even with the metronome off.
+    const grid = getRoomBeatGrid(currentRoom);
+    const countInStart = getCountInStart(grid, { isPlaying: transportPlaying, startAt: transportStartAt, countInBars });
+    if (transportPlaying && currentRoom.metronomeOn) {
+      audioEngine.startMetronome(grid, { startAt: countInStart });
+    } else if (transportPlaying && countInStart !== null && transportStartAt > Math.max(countInStart, syncedNow())) {
+      audioEngine.startMetronome(grid, { startAt: countInStart, stopAt: transportStartAt });
     } else {
       audioEngine.stopMetronome();
     }
-  }, [room?.isPlaying, room?.metronomeOn, room?.bpm, audioEngine]);
+  }, [transportPlaying, transportStartAt, countInBars, room?.metronomeOn, room?.bpm, room?.beatOrigin, room?.timeSignature, room?.clickSubdivision, room?.accentPattern, audioEngine]);
 
   if (!roomId) {
     return (
@@ -296,13 +325,39 @@ export default function Room() {
   // PHASE 3: Debugging helpers (only in dev mode)
   const debugInfo = import.meta.env.DEV ? {
     roomId,
-    room: room ? { id: room.id, bpm: room.bpm, isPlaying: room.isPlaying } : null,
+    room: room ? { id: room.id, bpm: room.bpm, isPlaying: transport.isPlaying, startAt: transport.startAt } : null,
     players: players?.length || 0,
     peers: peers?.length || 0,
     loading: { initializing, roomLoading, userReady, audioReady: audioEngine.isReady },
     webrtc: webrtc ? { ready: webrtc.ready, connectionStates: Object.keys(webrtc.connectionStates || {}).length } : null
   } : null;
 
+  // Peers whose build doesn't fully match ours (reported by their hello message)
+  const mismatchedPeers = Object.entries(webrtc?.peerCompatibility || {})
+    .filter(([, compatibility]) => compatibility.issues.length > 0)
+    .map(([peerId, compatibility]) => ({
+      peerId,
+      ...compatibility,
+      displayName: players.find(p => String(p.id) === peerId)?.displayName || 'A player'
+    }));
+
+  // Peers connected through a TURN relay, or not connected at all
+  const getPeerName = (peerId) => players.find(p => String(p.userId || p.user_id || p.id) === peerId)?.displayName || 'A player';
+  const relayedPeers = Object.entries(webrtc?.peerRoutes || {})
+    .filter(([, route]) => route.relayed)
+    .map(([peerId]) => getPeerName(peerId));
+  const failedPeers = Object.entries(webrtc?.peerRoutes || {})
+    .filter(([, route]) => route.failed)
+    .map(([peerId, route]) => ({ peerId, relayAvailable: route.relayAvailable, displayName: getPeerName(peerId) }));
+
+  // Peers whose P2P link is down (not just still coming up): notes go through the server, if at all
+  const degradedPeers = Object.entries(webrtc?.peerLinks || {})
+    .filter(([peerId, link]) => link !== 'direct' && webrtc.connectionStates?.[peerId] === 'reconnecting')
+    .map(([peerId, link]) => ({ peerId, link, displayName: getPeerName(peerId) }));
+
+  // Listeners hear the room through the host (see Listen page) and aren't in the band
+  const band = players.filter(p => p.isPlayer !== false);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
       {/* PHASE 3: Debug info panel (dev only) */}
@@ -318,9 +373,73 @@ export default function Room() {
       <RoomTopBar 
         room={room}
         roomId={roomId}
+        recorder={recorder}
+        transport={transport}
+        players={players}
+        topology={webrtc.topology}
+        hostId={webrtc.hostId}
         {...roomControls}
       />
 
+      {mismatchedPeers.length > 0 && (
+        <div className="container mx-auto px-4 pt-4">
+          <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-3 text-sm text-yellow-200 space-y-1">
+            {mismatchedPeers.map(peer => (
+              <div key={peer.peerId} className="flex items-start gap-2">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>
+                  {peer.displayName} is on a {peer.compatible ? 'different' : 'incompatible'} version
+                  (protocol v{peer.protocolVersion}): {peer.issues.join('; ')}.
+                  {' '}Reloading both browsers should fix this.
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {(relayedPeers.length > 0 || failedPeers.length > 0 || degradedPeers.length > 0) && (
+        <div className="container mx-auto px-4 pt-4 space-y-2">
+          {degradedPeers.length > 0 && (
+            <div className="bg-orange-500/10 border border-orange-500/30 rounded-lg p-3 text-sm text-orange-200 space-y-1">
+              {degradedPeers.map(peer => (
+                <div key={peer.peerId} className="flex items-start gap-2">
+                  <Unplug className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {peer.link === 'relay'
+                      ? `Reconnecting to ${peer.displayName}. Until then your notes go through the server, so they arrive later than usual.`
+                      : `Reconnecting to ${peer.displayName}. They won't hear your notes until then.`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          {failedPeers.length > 0 && (
+            <div className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg p-3 text-sm text-yellow-200 space-y-1">
+              {failedPeers.map(peer => (
+                <div key={peer.peerId} className="flex items-start gap-2">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Could not connect to {peer.displayName}.
+                    {peer.relayAvailable
+                      ? ' Even the relay server couldn\'t reach them; their network may block it.'
+                      : ' Their network blocks direct connections and no relay (TURN) server is configured.'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          {relayedPeers.length > 0 && (
+            <div className="bg-blue-500/10 border border-blue-500/30 rounded-lg p-3 text-sm text-blue-200 flex items-start gap-2">
+              <Network className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>
+                Connected to {relayedPeers.join(', ')} through a relay server, which adds some latency.
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="container mx-auto px-4 py-6">
         {!showInstruments ? (
           <div className="max-w-6xl mx-auto">
@@ -330,43 +449,34 @@ export default function Room() {
             </div>
 
             <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
-              <InstrumentSlot
-                instrument="DRUMS"
-                player={roomControls.getPlayerByInstrument('DRUMS')}
-                isAvailable={roomControls.isInstrumentAvailable('DRUMS')}
-                onClaim={() => roomControls.claimMyInstrument('DRUMS')}
-                currentUserId={userId}
-              />
-              <InstrumentSlot
-                instrument="BASS"
-                player={roomControls.getPlayerByInstrument('BASS')}
-                isAvailable={roomControls.isInstrumentAvailable('BASS')}
-                onClaim={() => roomControls.claimMyInstrument('BASS')}
-                currentUserId={userId}
-              />
-              <InstrumentSlot
-                instrument="EP"
-                player={roomControls.getPlayerByInstrument('EP')}
-                isAvailable={roomControls.isInstrumentAvailable('EP')}
-                onClaim={() => roomControls.claimMyInstrument('EP')}
-                currentUserId={userId}
-              />
-              <InstrumentSlot
-                instrument="GUITAR"
-                player={roomControls.getPlayerByInstrument('GUITAR')}
-                isAvailable={roomControls.isInstrumentAvailable('GUITAR')}
-                onClaim={() => roomControls.claimMyInstrument('GUITAR')}
-                currentUserId={userId}
-              />
+              {getInstrumentIds().map(instrument => (
+                <InstrumentSlot
+                  key={instrument}
+                  instrument={instrument}
+                  player={roomControls.getPlayerByInstrument(instrument)}
+                  isAvailable={roomControls.isInstrumentAvailable(instrument)}
+                  onClaim={() => roomControls.claimMyInstrument(instrument)}
+                  currentUserId={userId}
+                />
+              ))}
             </div>
 
             <div className="mt-8 bg-white/5 rounded-lg p-6">
-              <h3 className="text-xl font-semibold text-white mb-4">Players in Room</h3>
-              {players.length === 0 ? (
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold text-white">Players in Room</h3>
+                <button
+                  onClick={() => navigate(createPageUrl(`Listen?id=${roomId}`))}
+                  className="flex items-center gap-1 text-sm text-purple-400 hover:text-purple-300"
+                >
+                  <Headphones className="w-4 h-4" />
+                  Just listen instead
+                </button>
+              </div>
+              {band.length === 0 ? (
                 <p className="text-gray-400">Waiting for players...</p>
               ) : (
                 <div className="space-y-2">
-                  {players.map(player => (
+                  {band.map(player => (
                     <div key={player.id} className="flex items-center gap-3">
                       <div
                         className="w-3 h-3 rounded-full"
@@ -392,17 +502,27 @@ export default function Room() {
                 currentPlayer={currentPlayer}
                 audioEngine={audioEngine}
                 sendNote={sendNote}
+                sendControl={sendControl}
                 room={room}
+                sequencer={drumSequencer}
                 activityTriggersRef={activityTriggersRef}
               />
             </div>
 
-            <div className="lg:col-span-1">
+            <div className="lg:col-span-1 space-y-6">
+              <LooperPanel
+                looper={looper}
+                currentPlayer={currentPlayer}
+                players={players}
+                userId={userId}
+              />
+              <SessionPlayerPanel player={sessionPlayer} />
               <ChatPanel
                 roomId={roomId}
                 userId={userId}
                 displayName={displayName}
               />
+              <DiagnosticsPanel webrtc={webrtc} players={players} />
             </div>
           </div>
         )}
@@ -4,6 +4,8 @@ import Landing from "./Landing";
 
 import Room from "./Room";
 
+import Listen from "./Listen";
+
 import Setup from "./Setup";
 
 import ErrorBoundary from "../components/ErrorBoundary";
@@ -16,6 +18,8 @@ const PAGES = {
     
     Room: Room,
     
+    Listen: Listen,
+    
     Setup: Setup,
     
 }
@@ -53,6 +57,12 @@ function PagesContent() {
                   </ErrorBoundary>
                 } />
                 
+                <Route path="/Listen" element={
+                  <ErrorBoundary>
+                    <Listen />
+                  </ErrorBoundary>
+                } />
+                
                 <Route path="/Setup" element={<Setup />} />
                 
             </Routes>
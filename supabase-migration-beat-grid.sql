@@ -0,0 +1,17 @@
+-- Migration: Shared beat grid for the metronome
+-- Run this in your Supabase SQL Editor AFTER the initial schema is created
+-- Clients anchor the metronome to a room-wide beat grid (src/lib/time/beatGrid.js):
+-- beat_origin plus bpm. Tempo changes move the origin to an upcoming bar so
+-- the new tempo starts on a downbeat for everyone.
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- Server-aligned time (ms since the epoch) of a downbeat at the current bpm.
+-- NULL means the grid starts at created_at.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS beat_origin BIGINT;
+
+-- Add comment explaining the column
+COMMENT ON COLUMN rooms.beat_origin IS 'Shared beat grid origin: server-aligned ms of a downbeat at the current bpm. NULL = created_at.';
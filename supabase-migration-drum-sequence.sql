@@ -0,0 +1,15 @@
+-- Migration: Drum step sequencer patterns
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-transport.sql
+-- Written by the drummer's sequencer editor (see src/lib/audio/stepSequencer.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- Pattern slots A-D (steps, swing, velocity per pad and step) and the chain playing.
+-- NULL = empty patterns, not playing.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS drum_sequence JSONB;
+
+-- Add comments explaining the columns
+COMMENT ON COLUMN rooms.drum_sequence IS 'Drum step sequencer: {patterns, chain, startAt (server-aligned ms of the downbeat the chain starts on), updatedAt}. NULL = empty.';
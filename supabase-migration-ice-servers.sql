@@ -0,0 +1,16 @@
+-- Migration: Per-room ICE servers
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-latency-modes.sql
+-- Read by every client in the room (see src/config/iceServers.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- STUN/TURN servers for the room's peer connections, as RTCIceServer objects, e.g.
+-- [{"urls": "turn:turn.example.com:3478", "username": "jam", "credential": "secret"}].
+-- NULL = the servers configured in the app's environment.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS ice_servers JSONB CHECK (ice_servers IS NULL OR jsonb_typeof(ice_servers) = 'array');
+
+-- Add comment explaining the column
+COMMENT ON COLUMN rooms.ice_servers IS 'RTCIceServer objects for this room''s peer connections, replacing the app''s. NULL = servers from the environment.';
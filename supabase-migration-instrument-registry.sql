@@ -0,0 +1,21 @@
+-- Migration: Let the client-side instrument registry decide which instruments exist
+-- Run this in your Supabase SQL Editor AFTER the initial schema is created
+-- Instruments are declared in src/lib/instruments/registry.js, so the database
+-- no longer hardcodes the list. New instruments need no schema change.
+
+-- ============================================================================
+-- PLAYERS TABLE UPDATES
+-- ============================================================================
+
+-- Drop the CHECK constraint that limited instrument to DRUMS/BASS/EP/GUITAR
+-- (Postgres auto-named it players_instrument_check when it was created inline)
+ALTER TABLE players
+DROP CONSTRAINT IF EXISTS players_instrument_check;
+
+-- Keep a sanity check on the format: short uppercase IDs like 'DRUMS' or 'SYNTH_PAD'
+ALTER TABLE players
+ADD CONSTRAINT players_instrument_format_check
+CHECK (instrument IS NULL OR instrument ~ '^[A-Z][A-Z0-9_]{0,31}$');
+
+-- Add comment explaining the column
+COMMENT ON COLUMN players.instrument IS 'Instrument ID from the client instrument registry (e.g. DRUMS, BASS, EP, GUITAR), or NULL for listeners / unclaimed.';
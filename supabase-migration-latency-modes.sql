@@ -0,0 +1,19 @@
+-- Migration: Runtime latency modes
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-drum-sequence.sql
+-- Read by every client in the room (see src/config/latencyMode.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- Room default latency mode. NULL = by instrument (drums ULTRA_LOW_LATENCY, others SYNCED).
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS latency_mode TEXT CHECK (latency_mode IN ('ULTRA_LOW_LATENCY', 'SYNCED'));
+
+-- Per-instrument overrides of the room default, e.g. {"DRUMS": "SYNCED"}.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS instrument_latency_modes JSONB;
+
+-- Add comments explaining the columns
+COMMENT ON COLUMN rooms.latency_mode IS 'Room default latency mode: ULTRA_LOW_LATENCY (play on receipt) or SYNCED (scheduled on timestamps). NULL = by instrument.';
+COMMENT ON COLUMN rooms.instrument_latency_modes IS 'Instrument ID -> latency mode, overriding rooms.latency_mode. NULL = no overrides.';
@@ -0,0 +1,24 @@
+-- Migration: Room time signature, click subdivisions and accent patterns
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-beat-grid.sql
+-- The metronome and the shared beat grid (src/lib/time/beatGrid.js) follow these.
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- Meter, e.g. '3/4', '7/8'. bpm counts the beat unit (the denominator).
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS time_signature TEXT NOT NULL DEFAULT '4/4';
+
+-- Metronome clicks per beat
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS click_subdivision INTEGER NOT NULL DEFAULT 1 CHECK (click_subdivision BETWEEN 1 AND 4);
+
+-- Metronome accents as beat groups, e.g. '2+2+3'. NULL = the meter's default.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS accent_pattern TEXT;
+
+-- Add comments explaining the columns
+COMMENT ON COLUMN rooms.time_signature IS 'Room meter, e.g. 7/8. bpm counts the beat unit (the denominator).';
+COMMENT ON COLUMN rooms.click_subdivision IS 'Metronome clicks per beat (1-4).';
+COMMENT ON COLUMN rooms.accent_pattern IS 'Metronome accents as beat groups, e.g. 2+2+3. NULL = default for the meter.';
@@ -0,0 +1,15 @@
+-- Migration: Tempo ramps
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-topology.sql
+-- Read by every client in the room (see src/lib/time/beatGrid.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- The last tempo ramp: the grid it starts from and where it goes, so every
+-- client can work out each bar's tempo. NULL = no ramp since the last change.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS tempo_ramp JSONB;
+
+-- Add comment explaining the column
+COMMENT ON COLUMN rooms.tempo_ramp IS 'Last tempo ramp: {startAt (server-aligned ms of its first bar), startBpm, beatsPerBar, bpm (target), bars}. bpm and beat_origin hold its last bar. NULL = none.';
@@ -0,0 +1,19 @@
+-- Migration: Room topology (mesh or star)
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-ice-servers.sql
+-- Read by every client in the room (see src/lib/topology.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- How players connect: 'mesh' (everyone to everyone) or 'star' (everyone to
+-- the host in host_user_id, which forwards). NULL = mesh.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS topology TEXT CHECK (topology IN ('mesh', 'star'));
+
+-- Add comment explaining the column
+COMMENT ON COLUMN rooms.topology IS 'How players connect: mesh (everyone to everyone) or star (everyone to host_user_id, which forwards). NULL = mesh.';
+
+-- host_user_id is now also the forwarding host of a star room, kept up to date
+-- by the clients (the elected player records itself; see src/lib/topology.js)
+COMMENT ON COLUMN rooms.host_user_id IS 'Room host: forwards between players in a star room and sends jam events to listeners. Elected by the clients.';
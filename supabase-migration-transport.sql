@@ -0,0 +1,24 @@
+-- Migration: Synchronized room transport start with count-in
+-- Run this in your Supabase SQL Editor AFTER supabase-migration-meter.sql
+-- Written with is_playing by every play / stop (see src/lib/time/transport.js).
+
+-- ============================================================================
+-- ROOMS TABLE UPDATES
+-- ============================================================================
+
+-- Server-aligned time (ms) of the first downbeat after the count-in. NULL = start immediately.
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS transport_start_at BIGINT;
+
+-- Count-in length (bars) before transport_start_at
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS count_in_bars INTEGER NOT NULL DEFAULT 0 CHECK (count_in_bars >= 0);
+
+-- Server-aligned time (ms) the last play / stop was issued; the newest command wins
+ALTER TABLE rooms
+ADD COLUMN IF NOT EXISTS transport_issued_at BIGINT;
+
+-- Add comments explaining the columns
+COMMENT ON COLUMN rooms.transport_start_at IS 'Server-aligned ms of the first downbeat after the count-in. NULL = start immediately.';
+COMMENT ON COLUMN rooms.count_in_bars IS 'Count-in length in bars before transport_start_at.';
+COMMENT ON COLUMN rooms.transport_issued_at IS 'Server-aligned ms the last play/stop was issued; newer commands win.';
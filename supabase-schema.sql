@@ -12,6 +12,27 @@ CREATE TABLE IF NOT EXISTS rooms (
   scale TEXT NOT NULL DEFAULT 'major',
   is_playing BOOLEAN NOT NULL DEFAULT false,
   metronome_on BOOLEAN NOT NULL DEFAULT false,
+  -- Shared beat grid origin: syncedNow() ms of a downbeat at the current bpm (NULL = created_at)
+  beat_origin BIGINT,
+  time_signature TEXT NOT NULL DEFAULT '4/4',
+  click_subdivision INTEGER NOT NULL DEFAULT 1 CHECK (click_subdivision BETWEEN 1 AND 4),
+  -- Metronome accents as beat groups, e.g. '2+2+3' (NULL = the meter's default)
+  accent_pattern TEXT,
+  -- Synchronized start: first downbeat after the count-in, and when play/stop was issued (syncedNow() ms)
+  transport_start_at BIGINT,
+  count_in_bars INTEGER NOT NULL DEFAULT 0 CHECK (count_in_bars >= 0),
+  transport_issued_at BIGINT,
+  -- Drum step sequencer: pattern slots A-D and the chain playing (see src/lib/audio/stepSequencer.js)
+  drum_sequence JSONB,
+  -- Latency modes: room default (NULL = by instrument) and per-instrument overrides (see src/config/latencyMode.js)
+  latency_mode TEXT CHECK (latency_mode IN ('ULTRA_LOW_LATENCY', 'SYNCED')),
+  instrument_latency_modes JSONB,
+  -- STUN/TURN servers for this room's peer connections, replacing the app's (see src/config/iceServers.js)
+  ice_servers JSONB,
+  -- How players connect: 'mesh' or 'star' around the host (NULL = mesh, see src/lib/topology.js)
+  topology TEXT CHECK (topology IN ('mesh', 'star')),
+  -- Last tempo ramp, so every client can work out each bar's tempo (see src/lib/time/beatGrid.js)
+  tempo_ramp JSONB,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -23,7 +44,8 @@ CREATE TABLE IF NOT EXISTS players (
   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
   display_name TEXT NOT NULL,
   color TEXT NOT NULL,
-  instrument TEXT CHECK (instrument IN ('DRUMS', 'BASS', 'EP', 'GUITAR') OR instrument IS NULL),
+  -- Instrument IDs come from the client instrument registry (src/lib/instruments/registry.js)
+  instrument TEXT CONSTRAINT players_instrument_format_check CHECK (instrument IS NULL OR instrument ~ '^[A-Z][A-Z0-9_]{0,31}$'),
   joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   UNIQUE(room_id, user_id)